@@ -10,7 +10,7 @@ const chai       = require('chai');
 gulp.task('compile', function () {
     return gulp
     .src([
-      'test/geom.specs.ts',
+      'test/*.specs.ts',
       'src/**/*.ts'
     ], { base: "." })
     .pipe(typescript(tscConfig.compilerOptions))
@@ -18,6 +18,6 @@ gulp.task('compile', function () {
 });
 
 gulp.task('test', function () {
-  return gulp.src("./test/geom.specs.js", {read:false})
+  return gulp.src("./test/*.specs.js", {read:false})
   .pipe(mocha({reporter:'spec'}));
 });
\ No newline at end of file
@@ -0,0 +1,590 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+/**
+ * Typescript Math Toolkit: Dynamic axis-aligned bounding-box tree for broadphase collision detection among many moving boxes
+ * (after the dynamic tree in Erin Catto's Box2D).  Each box inserted into the tree is a proxy, identified by an integer id, and
+ * stored in a leaf whose bounds are 'fattened' by a margin.  A moving box only restructures the tree when it leaves its fat
+ * bounds, so most updates are O(1).  Internal nodes are chosen by a surface-area (perimeter) heuristic and the tree is kept
+ * balanced by rotations, so insertion, removal, and queries are O(log n).
+ *
+ * Boxes are Objects with left, top, right, and bottom properties.  As with TSMT$GeomUtils.boxesIntersect(), each box may be
+ * given in a y-up (top > bottom) or y-down (bottom > top) coordinate system, and boxes that touch at a single point or along an
+ * edge are considered to overlap.  Queries test the actual (not fattened) boxes.
+ *
+ * Note that this class is intended for performance-critical environments, so error checking is at a minimum.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+var TSMT$AABBTree = (function () {
+    /**
+     * Construct a new TSMT$AABBTree instance
+     *
+     * @param margin: number Distance by which the stored bounds of each box are extended on every side so that small motions do not
+     * require the tree to be restructured
+     * @default 0
+     *
+     * @return nothing
+     */
+    function TSMT$AABBTree(margin) {
+        if (margin === void 0) { margin = 0; }
+        this.DISPLACEMENT_MULTIPLIER = 2; // fat bounds of a moving box are extended by this multiple of its displacement
+        this._margin = margin > 0 ? margin : 0;
+        this.clear();
+    }
+    Object.defineProperty(TSMT$AABBTree.prototype, "size", {
+        /**
+         * Access the number of boxes in the tree
+         *
+         * @return number Number of proxies
+         */
+        get: function () {
+            return this._count;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(TSMT$AABBTree.prototype, "height", {
+        /**
+         * Access the height of the tree
+         *
+         * @return number Height of the root node (0 for a tree with a single box and -1 for an empty tree)
+         */
+        get: function () {
+            return this._root == -1 ? -1 : this._height[this._root];
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Remove all boxes from the tree
+     *
+     * @return nothing
+     */
+    TSMT$AABBTree.prototype.clear = function () {
+        this._minX = new Array();
+        this._minY = new Array();
+        this._maxX = new Array();
+        this._maxY = new Array();
+        this._parent = new Array();
+        this._child1 = new Array();
+        this._child2 = new Array();
+        this._height = new Array();
+        this._free = new Array();
+        this._left = new Array();
+        this._bottom = new Array();
+        this._right = new Array();
+        this._top = new Array();
+        this._data = new Array();
+        this._root = -1;
+        this._count = 0;
+        this._stack = new Array();
+    };
+    /**
+     * Insert a box into the tree
+     *
+     * @param box: Object Box with left, top, right, and bottom properties
+     *
+     * @param data: Object (optional) User data associated with the box
+     * @default null
+     *
+     * @return number Proxy id of the box, used to update or remove it and reported by queries.  Ids of removed boxes may be reused.
+     */
+    TSMT$AABBTree.prototype.insert = function (box, data) {
+        if (data === void 0) { data = null; }
+        var id = this.__allocate();
+        this._height[id] = 0;
+        this._child1[id] = -1;
+        this._child2[id] = -1;
+        this._data[id] = data;
+        this.__setBounds(id, box);
+        this.__fatten(id, 0, 0);
+        this.__insertLeaf(id);
+        this._count++;
+        return id;
+    };
+    /**
+     * Remove a box from the tree
+     *
+     * @param id: number Proxy id returned by insert()
+     *
+     * @return boolean True if the box was removed, false if the id does not refer to a box in the tree
+     */
+    TSMT$AABBTree.prototype.remove = function (id) {
+        if (!this.__isProxy(id)) {
+            return false;
+        }
+        this.__removeLeaf(id);
+        this.__release(id);
+        this._data[id] = null;
+        this._count--;
+        return true;
+    };
+    /**
+     * Move or resize a box in the tree
+     *
+     * @param id: number Proxy id returned by insert()
+     *
+     * @param box: Object New bounds of the box with left, top, right, and bottom properties
+     *
+     * @param dx: number x-component of the expected displacement of the box before its next update, used to extend its stored bounds
+     * in the direction of motion
+     * @default 0
+     *
+     * @param dy: number y-component of the expected displacement
+     * @default 0
+     *
+     * @return boolean True if the box left its fattened bounds and was reinserted into the tree, false if the tree structure is
+     * unchanged (or the id does not refer to a box in the tree)
+     */
+    TSMT$AABBTree.prototype.update = function (id, box, dx, dy) {
+        if (dx === void 0) { dx = 0; }
+        if (dy === void 0) { dy = 0; }
+        if (!this.__isProxy(id)) {
+            return false;
+        }
+        this.__setBounds(id, box);
+        if (this._left[id] >= this._minX[id] && this._right[id] <= this._maxX[id] && this._bottom[id] >= this._minY[id] && this._top[id] <= this._maxY[id]) {
+            return false;
+        }
+        this.__removeLeaf(id);
+        this.__fatten(id, dx, dy);
+        this.__insertLeaf(id);
+        return true;
+    };
+    /**
+     * Access the user data associated with a box
+     *
+     * @param id: number Proxy id returned by insert()
+     *
+     * @return Object User data provided to insert(), or null if the id does not refer to a box in the tree
+     */
+    TSMT$AABBTree.prototype.getData = function (id) {
+        return this.__isProxy(id) ? this._data[id] : null;
+    };
+    /**
+     * Find all boxes in the tree that overlap a query box
+     *
+     * @param box: Object Query box with left, top, right, and bottom properties
+     *
+     * @return Array<number> Proxy ids (in increasing order) of all boxes that intersect the query box, including boxes that only touch it
+     */
+    TSMT$AABBTree.prototype.query = function (box) {
+        var left = Math.min(box['left'], box['right']);
+        var right = Math.max(box['left'], box['right']);
+        var bottom = Math.min(box['top'], box['bottom']);
+        var top = Math.max(box['top'], box['bottom']);
+        var result = new Array();
+        this.__query(left, bottom, right, top, -1, result);
+        return result.sort(function (a, b) { return a - b; });
+    };
+    /**
+     * Find all pairs of overlapping boxes in the tree
+     *
+     * @return Array<Object> One Object for each pair of intersecting boxes with properties 'i' and 'j', the proxy ids of the two
+     * boxes with i < j, in increasing order of i, then j
+     */
+    TSMT$AABBTree.prototype.overlappingPairs = function () {
+        var pairs = new Array();
+        var found = new Array();
+        var n = this._height.length;
+        var i;
+        var j;
+        for (i = 0; i < n; ++i) {
+            if (this._height[i] != 0) {
+                continue;
+            }
+            found.length = 0;
+            this.__query(this._left[i], this._bottom[i], this._right[i], this._top[i], i, found);
+            found.sort(function (a, b) { return a - b; });
+            for (j = 0; j < found.length; ++j) {
+                pairs.push({ i: i, j: found[j] });
+            }
+        }
+        return pairs;
+    };
+    /**
+     * Find all boxes in the tree that intersect a line segment (ray)
+     *
+     * @param x1: number x-coordinate of the segment origin
+     *
+     * @param y1: number y-coordinate of the segment origin
+     *
+     * @param x2: number x-coordinate of the segment terminus
+     *
+     * @param y2: number y-coordinate of the segment terminus
+     *
+     * @return Array<Object> One Object for each box hit by the segment with properties 'id' (proxy id) and 't', the parameter in [0,1]
+     * at which the segment enters the box (zero if the origin is inside the box).  Hits are ordered by increasing t, then id, so the
+     * first element is the closest hit.
+     */
+    TSMT$AABBTree.prototype.raycast = function (x1, y1, x2, y2) {
+        var hits = new Array();
+        if (this._root == -1) {
+            return hits;
+        }
+        var dx = x2 - x1;
+        var dy = y2 - y1;
+        var stack = this._stack;
+        var node;
+        var t;
+        stack.length = 0;
+        stack.push(this._root);
+        while (stack.length > 0) {
+            node = stack.pop();
+            if (this.__segmentEntry(x1, y1, dx, dy, this._minX[node], this._minY[node], this._maxX[node], this._maxY[node]) < 0) {
+                continue;
+            }
+            if (this._height[node] == 0) {
+                t = this.__segmentEntry(x1, y1, dx, dy, this._left[node], this._bottom[node], this._right[node], this._top[node]);
+                if (t >= 0) {
+                    hits.push({ id: node, t: t });
+                }
+            }
+            else {
+                stack.push(this._child1[node], this._child2[node]);
+            }
+        }
+        return hits.sort(function (a, b) { return (a['t'] - b['t']) || (a['id'] - b['id']); });
+    };
+    /**
+     * Does an id refer to a box in the tree?
+     *
+     * @private
+     */
+    TSMT$AABBTree.prototype.__isProxy = function (id) {
+        return id >= 0 && id < this._height.length && this._height[id] == 0;
+    };
+    /**
+     * Allocate a node from the pool
+     *
+     * @private
+     */
+    TSMT$AABBTree.prototype.__allocate = function () {
+        if (this._free.length > 0) {
+            return this._free.pop();
+        }
+        this._minX.push(0);
+        this._minY.push(0);
+        this._maxX.push(0);
+        this._maxY.push(0);
+        this._parent.push(-1);
+        this._child1.push(-1);
+        this._child2.push(-1);
+        this._height.push(-1);
+        this._left.push(0);
+        this._bottom.push(0);
+        this._right.push(0);
+        this._top.push(0);
+        this._data.push(null);
+        return this._height.length - 1;
+    };
+    /**
+     * Return a node to the pool
+     *
+     * @private
+     */
+    TSMT$AABBTree.prototype.__release = function (node) {
+        this._height[node] = -1;
+        this._parent[node] = -1;
+        this._child1[node] = -1;
+        this._child2[node] = -1;
+        this._free.push(node);
+    };
+    /**
+     * Store the actual bounds of a leaf, normalized so that y increases from bottom to top
+     *
+     * @private
+     */
+    TSMT$AABBTree.prototype.__setBounds = function (id, box) {
+        this._left[id] = Math.min(box['left'], box['right']);
+        this._right[id] = Math.max(box['left'], box['right']);
+        this._bottom[id] = Math.min(box['top'], box['bottom']);
+        this._top[id] = Math.max(box['top'], box['bottom']);
+    };
+    /**
+     * Compute the fat bounds of a leaf from its actual bounds, margin, and displacement
+     *
+     * @private
+     */
+    TSMT$AABBTree.prototype.__fatten = function (id, dx, dy) {
+        var m = this._margin;
+        this._minX[id] = this._left[id] - m;
+        this._minY[id] = this._bottom[id] - m;
+        this._maxX[id] = this._right[id] + m;
+        this._maxY[id] = this._top[id] + m;
+        dx *= this.DISPLACEMENT_MULTIPLIER;
+        dy *= this.DISPLACEMENT_MULTIPLIER;
+        if (dx < 0) {
+            this._minX[id] += dx;
+        }
+        else {
+            this._maxX[id] += dx;
+        }
+        if (dy < 0) {
+            this._minY[id] += dy;
+        }
+        else {
+            this._maxY[id] += dy;
+        }
+    };
+    /**
+     * Perimeter of the union of the bounds of two nodes
+     *
+     * @private
+     */
+    TSMT$AABBTree.prototype.__unionPerimeter = function (a, b) {
+        var w = Math.max(this._maxX[a], this._maxX[b]) - Math.min(this._minX[a], this._minX[b]);
+        var h = Math.max(this._maxY[a], this._maxY[b]) - Math.min(this._minY[a], this._minY[b]);
+        return 2 * (w + h);
+    };
+    /**
+     * Perimeter of the bounds of a node
+     *
+     * @private
+     */
+    TSMT$AABBTree.prototype.__perimeter = function (a) {
+        return 2 * (this._maxX[a] - this._minX[a] + this._maxY[a] - this._minY[a]);
+    };
+    /**
+     * Recompute the height and bounds of an internal node from its children
+     *
+     * @private
+     */
+    TSMT$AABBTree.prototype.__refit = function (node) {
+        var c1 = this._child1[node];
+        var c2 = this._child2[node];
+        this._height[node] = 1 + Math.max(this._height[c1], this._height[c2]);
+        this._minX[node] = Math.min(this._minX[c1], this._minX[c2]);
+        this._minY[node] = Math.min(this._minY[c1], this._minY[c2]);
+        this._maxX[node] = Math.max(this._maxX[c1], this._maxX[c2]);
+        this._maxY[node] = Math.max(this._maxY[c1], this._maxY[c2]);
+    };
+    /**
+     * Insert a leaf into the tree, choosing its sibling by the perimeter heuristic
+     *
+     * @private
+     */
+    TSMT$AABBTree.prototype.__insertLeaf = function (leaf) {
+        if (this._root == -1) {
+            this._root = leaf;
+            this._parent[leaf] = -1;
+            return;
+        }
+        // descend to the sibling whose union with the leaf has least cost
+        var index = this._root;
+        var c1;
+        var c2;
+        var cost;
+        var inheritance;
+        var cost1;
+        var cost2;
+        while (this._height[index] > 0) {
+            c1 = this._child1[index];
+            c2 = this._child2[index];
+            cost = 2 * this.__unionPerimeter(index, leaf);
+            inheritance = cost - 2 * this.__perimeter(index);
+            cost1 = this.__unionPerimeter(leaf, c1) + inheritance - (this._height[c1] == 0 ? 0 : this.__perimeter(c1));
+            cost2 = this.__unionPerimeter(leaf, c2) + inheritance - (this._height[c2] == 0 ? 0 : this.__perimeter(c2));
+            if (cost < cost1 && cost < cost2) {
+                break;
+            }
+            index = cost1 < cost2 ? c1 : c2;
+        }
+        var sibling = index;
+        var oldParent = this._parent[sibling];
+        var newParent = this.__allocate();
+        this._parent[newParent] = oldParent;
+        this._child1[newParent] = sibling;
+        this._child2[newParent] = leaf;
+        this._data[newParent] = null;
+        this._parent[sibling] = newParent;
+        this._parent[leaf] = newParent;
+        this.__refit(newParent);
+        if (oldParent == -1) {
+            this._root = newParent;
+        }
+        else if (this._child1[oldParent] == sibling) {
+            this._child1[oldParent] = newParent;
+        }
+        else {
+            this._child2[oldParent] = newParent;
+        }
+        this.__refitAncestors(oldParent);
+    };
+    /**
+     * Remove a leaf from the tree (the node itself is not released)
+     *
+     * @private
+     */
+    TSMT$AABBTree.prototype.__removeLeaf = function (leaf) {
+        if (leaf == this._root) {
+            this._root = -1;
+            return;
+        }
+        var parent = this._parent[leaf];
+        var grand = this._parent[parent];
+        var sibling = this._child1[parent] == leaf ? this._child2[parent] : this._child1[parent];
+        this._parent[sibling] = grand;
+        this.__release(parent);
+        if (grand == -1) {
+            this._root = sibling;
+        }
+        else {
+            if (this._child1[grand] == parent) {
+                this._child1[grand] = sibling;
+            }
+            else {
+                this._child2[grand] = sibling;
+            }
+            this.__refitAncestors(grand);
+        }
+    };
+    /**
+     * Balance and refit each node from the input node to the root
+     *
+     * @private
+     */
+    TSMT$AABBTree.prototype.__refitAncestors = function (node) {
+        while (node != -1) {
+            node = this.__balance(node);
+            this.__refit(node);
+            node = this._parent[node];
+        }
+    };
+    /**
+     * Perform a left or right rotation if node A is imbalanced; returns the root of the (possibly rotated) subtree
+     *
+     * @private
+     */
+    TSMT$AABBTree.prototype.__balance = function (a) {
+        if (this._height[a] < 2) {
+            return a;
+        }
+        var b = this._child1[a];
+        var c = this._child2[a];
+        var balance = this._height[c] - this._height[b];
+        if (balance > 1) {
+            return this.__rotate(a, c, b, true);
+        }
+        if (balance < -1) {
+            return this.__rotate(a, b, c, false);
+        }
+        return a;
+    };
+    /**
+     * Promote the taller child, up, of node A, whose other child is 'other'; 'second' is true if up is the second child of A
+     *
+     * @private
+     */
+    TSMT$AABBTree.prototype.__rotate = function (a, up, other, second) {
+        var f = this._child1[up];
+        var g = this._child2[up];
+        // up replaces A in A's parent
+        this._child1[up] = a;
+        this._parent[up] = this._parent[a];
+        this._parent[a] = up;
+        var parent = this._parent[up];
+        if (parent == -1) {
+            this._root = up;
+        }
+        else if (this._child1[parent] == a) {
+            this._child1[parent] = up;
+        }
+        else {
+            this._child2[parent] = up;
+        }
+        // the taller grandchild stays with up and the shorter replaces up as a child of A
+        var keep = this._height[f] > this._height[g] ? f : g;
+        var move = keep == f ? g : f;
+        this._child2[up] = keep;
+        this._parent[move] = a;
+        if (second) {
+            this._child2[a] = move;
+        }
+        else {
+            this._child1[a] = move;
+        }
+        this.__refit(a);
+        this.__refit(up);
+        return up;
+    };
+    /**
+     * Collect leaves whose actual bounds intersect a normalized box, skipping the leaf 'exclude' and (if exclude is not -1) any leaf
+     * with a lower id
+     *
+     * @private
+     */
+    TSMT$AABBTree.prototype.__query = function (left, bottom, right, top, exclude, result) {
+        if (this._root == -1) {
+            return;
+        }
+        var stack = this._stack;
+        var node;
+        stack.length = 0;
+        stack.push(this._root);
+        while (stack.length > 0) {
+            node = stack.pop();
+            if (this._minX[node] > right || this._maxX[node] < left || this._minY[node] > top || this._maxY[node] < bottom) {
+                continue;
+            }
+            if (this._height[node] > 0) {
+                stack.push(this._child1[node], this._child2[node]);
+            }
+            else if (node > exclude && !(this._left[node] > right || this._right[node] < left || this._bottom[node] > top || this._top[node] < bottom)) {
+                result.push(node);
+            }
+        }
+    };
+    /**
+     * Parameter in [0,1] at which the segment P + t*(dx,dy) enters a box (slab method), or -1 if it misses the box
+     *
+     * @private
+     */
+    TSMT$AABBTree.prototype.__segmentEntry = function (px, py, dx, dy, minX, minY, maxX, maxY) {
+        var t0 = 0;
+        var t1 = 1;
+        var ta;
+        var tb;
+        if (dx == 0) {
+            if (px < minX || px > maxX) {
+                return -1;
+            }
+        }
+        else {
+            ta = (minX - px) / dx;
+            tb = (maxX - px) / dx;
+            t0 = Math.max(t0, Math.min(ta, tb));
+            t1 = Math.min(t1, Math.max(ta, tb));
+        }
+        if (dy == 0) {
+            if (py < minY || py > maxY) {
+                return -1;
+            }
+        }
+        else {
+            ta = (minY - py) / dy;
+            tb = (maxY - py) / dy;
+            t0 = Math.max(t0, Math.min(ta, tb));
+            t1 = Math.min(t1, Math.max(ta, tb));
+        }
+        return t0 <= t1 ? t0 : -1;
+    };
+    return TSMT$AABBTree;
+}());
+exports.TSMT$AABBTree = TSMT$AABBTree;
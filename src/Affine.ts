@@ -0,0 +1,385 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Typescript Math Toolkit: 2D affine transformation.  The transform maps (x,y) to
+ *
+ * x' = a*x + c*y + tx
+ * y' = b*x + d*y + ty
+ *
+ * which is the same convention as the Flash/Canvas transformation matrix.  Transforms are immutable; the static methods create
+ * elementary transforms and the instance methods of the same name append an elementary transform, returning a new transform.  So,
+ * TSMT$Affine.translation(5, 0).rotate(Math.PI/2) first translates, then rotates about the origin.
+ *
+ * Angles are in radians and positive angles rotate CCW in a y-up coordinate system (CW in a y-down or screen coordinate system).
+ * Transforms may be applied in bulk to arrays of Objects with 'x' and 'y' properties or to flat Float64Array coordinate buffers,
+ * [x0, y0, x1, y1, ... ].
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+export class TSMT$Affine
+{
+  public a: number;
+  public b: number;
+  public c: number;
+  public d: number;
+  public tx: number;
+  public ty: number;
+
+  /**
+   * Construct a new TSMT$Affine instance
+   *
+   * @param a: number x-scale component
+   * @default 1
+   *
+   * @param b: number y-shear component (coefficient of x in y')
+   * @default 0
+   *
+   * @param c: number x-shear component (coefficient of y in x')
+   * @default 0
+   *
+   * @param d: number y-scale component
+   * @default 1
+   *
+   * @param tx: number x-translation
+   * @default 0
+   *
+   * @param ty: number y-translation
+   * @default 0
+   *
+   * @return nothing (the default transform is the identity)
+   */
+  constructor(a: number=1, b: number=0, c: number=0, d: number=1, tx: number=0, ty: number=0)
+  {
+    this.a  = a;
+    this.b  = b;
+    this.c  = c;
+    this.d  = d;
+    this.tx = tx;
+    this.ty = ty;
+  }
+
+  /**
+   * Create a translation
+   *
+   * @param tx: number x-translation
+   *
+   * @param ty: number y-translation
+   *
+   * @return TSMT$Affine Transform that adds (tx,ty) to each point
+   */
+   public static translation(tx: number, ty: number): TSMT$Affine
+   {
+     return new TSMT$Affine(1, 0, 0, 1, tx, ty);
+   }
+
+  /**
+   * Create a rotation about a point
+   *
+   * @param angle: number Rotation angle in radians
+   *
+   * @param cx: number x-coordinate of center of rotation
+   * @default 0
+   *
+   * @param cy: number y-coordinate of center of rotation
+   * @default 0
+   *
+   * @return TSMT$Affine Transform that rotates each point by the angle about (cx,cy)
+   */
+   public static rotation(angle: number, cx: number=0, cy: number=0): TSMT$Affine
+   {
+     const cos: number = Math.cos(angle);
+     const sin: number = Math.sin(angle);
+
+     return new TSMT$Affine(cos, sin, -sin, cos, cx - cos*cx + sin*cy, cy - sin*cx - cos*cy);
+   }
+
+  /**
+   * Create a scale about a point
+   *
+   * @param sx: number x-scale factor
+   *
+   * @param sy: number y-scale factor
+   *
+   * @param cx: number x-coordinate of point that remains fixed
+   * @default 0
+   *
+   * @param cy: number y-coordinate of point that remains fixed
+   * @default 0
+   *
+   * @return TSMT$Affine Transform that scales the distance of each point from (cx,cy) along each axis
+   */
+   public static scaling(sx: number, sy: number, cx: number=0, cy: number=0): TSMT$Affine
+   {
+     return new TSMT$Affine(sx, 0, 0, sy, cx*(1 - sx), cy*(1 - sy));
+   }
+
+  /**
+   * Create a shear
+   *
+   * @param kx: number Shear factor along the x-axis, x' = x + kx*y
+   *
+   * @param ky: number Shear factor along the y-axis, y' = y + ky*x
+   *
+   * @return TSMT$Affine Shear transform (fixes the origin)
+   */
+   public static shearing(kx: number, ky: number): TSMT$Affine
+   {
+     return new TSMT$Affine(1, ky, kx, 1, 0, 0);
+   }
+
+  /**
+   * Create a reflection about a line passing through P0 and P1
+   *
+   * @param x0: number x-coordinate of P0
+   *
+   * @param y0: number y-coordinate of P0
+   *
+   * @param x1: number x-coordinate of P1
+   *
+   * @param y1: number y-coordinate of P1
+   *
+   * @return TSMT$Affine Transform that reflects each point about the line (the same result as TSMT$GeomUtils.reflect()), or the identity
+   * if P0 and P1 are the same point
+   */
+   public static reflection(x0: number, y0: number, x1: number, y1: number): TSMT$Affine
+   {
+     const dx: number = x1 - x0;
+     const dy: number = y1 - y0;
+     const d: number  = dx*dx + dy*dy;
+
+     if (d == 0) {
+       return new TSMT$Affine();
+     }
+
+     const a: number = (dx*dx - dy*dy) / d;
+     const b: number = 2*dx*dy / d;
+
+     return new TSMT$Affine(a, b, b, -a, x0 - a*x0 - b*y0, y0 - b*x0 + a*y0);
+   }
+
+  /**
+   * Access the determinant of the linear part of the transform
+   *
+   * @return number Determinant, ad - bc; the factor by which the transform scales areas, negative if it reverses orientation
+   */
+   public get determinant(): number
+   {
+     return this.a*this.d - this.b*this.c;
+   }
+
+  /**
+   * Copy this transform
+   *
+   * @return TSMT$Affine Copy of this transform
+   */
+   public clone(): TSMT$Affine
+   {
+     return new TSMT$Affine(this.a, this.b, this.c, this.d, this.tx, this.ty);
+   }
+
+  /**
+   * Compose this transform with another
+   *
+   * @param transform: TSMT$Affine Transform applied after this one
+   *
+   * @return TSMT$Affine Single transform equivalent to applying this transform, then the input transform
+   */
+   public compose(transform: TSMT$Affine): TSMT$Affine
+   {
+     const m: TSMT$Affine = transform;
+
+     return new TSMT$Affine( m.a*this.a  + m.c*this.b,
+                             m.b*this.a  + m.d*this.b,
+                             m.a*this.c  + m.c*this.d,
+                             m.b*this.c  + m.d*this.d,
+                             m.a*this.tx + m.c*this.ty + m.tx,
+                             m.b*this.tx + m.d*this.ty + m.ty );
+   }
+
+  /**
+   * Invert this transform
+   *
+   * @return TSMT$Affine Transform that undoes this transform, or null if this transform is singular (zero determinant)
+   */
+   public invert(): TSMT$Affine
+   {
+     const det: number = this.determinant;
+     if (det == 0) {
+       return null;
+     }
+
+     const a: number = this.d/det;
+     const b: number = -this.b/det;
+     const c: number = -this.c/det;
+     const d: number = this.a/det;
+
+     return new TSMT$Affine(a, b, c, d, -(a*this.tx + c*this.ty), -(b*this.tx + d*this.ty));
+   }
+
+  /**
+   * Append a translation to this transform
+   *
+   * @param tx: number x-translation
+   *
+   * @param ty: number y-translation
+   *
+   * @return TSMT$Affine This transform followed by the translation
+   */
+   public translate(tx: number, ty: number): TSMT$Affine
+   {
+     return this.compose( TSMT$Affine.translation(tx, ty) );
+   }
+
+  /**
+   * Append a rotation about a point to this transform
+   *
+   * @param angle: number Rotation angle in radians
+   *
+   * @param cx: number x-coordinate of center of rotation
+   * @default 0
+   *
+   * @param cy: number y-coordinate of center of rotation
+   * @default 0
+   *
+   * @return TSMT$Affine This transform followed by the rotation
+   */
+   public rotate(angle: number, cx: number=0, cy: number=0): TSMT$Affine
+   {
+     return this.compose( TSMT$Affine.rotation(angle, cx, cy) );
+   }
+
+  /**
+   * Append a scale about a point to this transform
+   *
+   * @param sx: number x-scale factor
+   *
+   * @param sy: number y-scale factor
+   *
+   * @param cx: number x-coordinate of point that remains fixed
+   * @default 0
+   *
+   * @param cy: number y-coordinate of point that remains fixed
+   * @default 0
+   *
+   * @return TSMT$Affine This transform followed by the scale
+   */
+   public scale(sx: number, sy: number, cx: number=0, cy: number=0): TSMT$Affine
+   {
+     return this.compose( TSMT$Affine.scaling(sx, sy, cx, cy) );
+   }
+
+  /**
+   * Append a shear to this transform
+   *
+   * @param kx: number Shear factor along the x-axis
+   *
+   * @param ky: number Shear factor along the y-axis
+   *
+   * @return TSMT$Affine This transform followed by the shear
+   */
+   public shear(kx: number, ky: number): TSMT$Affine
+   {
+     return this.compose( TSMT$Affine.shearing(kx, ky) );
+   }
+
+  /**
+   * Append a reflection about a line passing through P0 and P1 to this transform
+   *
+   * @param x0: number x-coordinate of P0
+   *
+   * @param y0: number y-coordinate of P0
+   *
+   * @param x1: number x-coordinate of P1
+   *
+   * @param y1: number y-coordinate of P1
+   *
+   * @return TSMT$Affine This transform followed by the reflection
+   */
+   public reflect(x0: number, y0: number, x1: number, y1: number): TSMT$Affine
+   {
+     return this.compose( TSMT$Affine.reflection(x0, y0, x1, y1) );
+   }
+
+  /**
+   * Transform a single point
+   *
+   * @param x: number x-coordinate of point
+   *
+   * @param y: number y-coordinate of point
+   *
+   * @return Object 'x' and 'y' properties contain the coordinates of the transformed point
+   */
+   public transformPoint(x: number, y: number): Object
+   {
+     return {x: this.a*x + this.c*y + this.tx, y: this.b*x + this.d*y + this.ty};
+   }
+
+  /**
+   * Transform a collection of points
+   *
+   * @param points: Array<Object> Array of Objects with 'x' and 'y' properties
+   *
+   * @return Array<Object> New array of Objects with 'x' and 'y' properties containing the transformed points, in the same order (the
+   * input points are not modified)
+   */
+   public transformPoints(points: Array<Object>): Array<Object>
+   {
+     const n: number                  = points.length;
+     const transformed: Array<Object> = new Array<Object>(n);
+     let i: number;
+
+     for (i = 0; i < n; ++i) {
+       transformed[i] = this.transformPoint(points[i]['x'], points[i]['y']);
+     }
+
+     return transformed;
+   }
+
+  /**
+   * Transform a flat coordinate buffer
+   *
+   * @param coords: Float64Array Flat array of coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @param out: Float64Array Optional buffer to receive the transformed coordinates; it must be at least as long as the input buffer and
+   * may be the input buffer itself to transform in place
+   * @default null
+   *
+   * @return Float64Array Transformed coordinates, in the output buffer if one was provided, otherwise in a new buffer of the same length
+   * as the input
+   */
+   public transformCoords(coords: Float64Array, out: Float64Array=null): Float64Array
+   {
+     const n: number            = coords.length - (coords.length % 2);
+     const result: Float64Array = out != null && out != undefined ? out : new Float64Array(coords.length);
+     let x: number;
+     let y: number;
+     let i: number;
+
+     for (i = 0; i < n; i += 2)
+     {
+       x = coords[i];
+       y = coords[i+1];
+
+       result[i]   = this.a*x + this.c*y + this.tx;
+       result[i+1] = this.b*x + this.d*y + this.ty;
+     }
+
+     return result;
+   }
+}
@@ -0,0 +1,636 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+/**
+ * Typescript Math Toolkit: Quadratic and cubic Bezier curves.  A curve is defined by its control points and parameterized on [0,1].
+ * Quadratic curves are stored internally as the equivalent (degree-elevated) cubic, which has the same parameterization, so every
+ * method works identically for both degrees.
+ *
+ * Methods that approximate the curve by a polyline (flatten(), intersectSegment()) take a flatness tolerance, the maximum distance
+ * between the curve and the polyline, whose default is suited to pixel coordinates.  Curves are immutable.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+var GeomUtils_1 = require('./GeomUtils');
+var GeomUtils_2 = require('./GeomUtils');
+var TSMT$Bezier = (function () {
+    /**
+     * Construct a new cubic TSMT$Bezier instance
+     *
+     * @param x0: number x-coordinate of initial point
+     * @default 0
+     *
+     * @param y0: number y-coordinate of initial point
+     * @default 0
+     *
+     * @param x1: number x-coordinate of first control point
+     * @default 0
+     *
+     * @param y1: number y-coordinate of first control point
+     * @default 0
+     *
+     * @param x2: number x-coordinate of second control point
+     * @default 0
+     *
+     * @param y2: number y-coordinate of second control point
+     * @default 0
+     *
+     * @param x3: number x-coordinate of terminal point
+     * @default 0
+     *
+     * @param y3: number y-coordinate of terminal point
+     * @default 0
+     *
+     * @param options: Object Optional tolerances for segment intersection, in the same form as the TSMT$GeomUtils constructor options
+     * @default null
+     *
+     * @return nothing
+     */
+    function TSMT$Bezier(x0, y0, x1, y1, x2, y2, x3, y3, options) {
+        if (x0 === void 0) { x0 = 0; }
+        if (y0 === void 0) { y0 = 0; }
+        if (x1 === void 0) { x1 = 0; }
+        if (y1 === void 0) { y1 = 0; }
+        if (x2 === void 0) { x2 = 0; }
+        if (y2 === void 0) { y2 = 0; }
+        if (x3 === void 0) { x3 = 0; }
+        if (y3 === void 0) { y3 = 0; }
+        if (options === void 0) { options = null; }
+        this.FLATNESS = 0.1; // default flatness tolerance
+        this.MAX_DEPTH = 16; // maximum subdivision depth in flatten() and arc length
+        this.SAMPLES = 16; // intervals sampled for the initial guess in nearestPoint()
+        this.LENGTH_TOL = 0.000000001; // arc-length accuracy in parameterAtLength(), relative to the total length
+        this.QUAD_TOL = 0.0000000001; // relative agreement of bisected arc-length quadrature
+        this.SAME_T = 0.000001; // parameter distance within which intersections are duplicates
+        this.T_TOL = 0.000000000001; // parameter convergence of Newton iterations
+        this._degree = 3;
+        this._x = [x0, x1, x2, x3];
+        this._y = [y0, y1, y2, y3];
+        this._geomUtils = new GeomUtils_1.TSMT$GeomUtils(options);
+        this.PARAM_TOL = this._geomUtils.tolerances['parameter'];
+    }
+    /**
+     * Create a quadratic Bezier curve
+     *
+     * @param x0: number x-coordinate of initial point
+     *
+     * @param y0: number y-coordinate of initial point
+     *
+     * @param x1: number x-coordinate of control point
+     *
+     * @param y1: number y-coordinate of control point
+     *
+     * @param x2: number x-coordinate of terminal point
+     *
+     * @param y2: number y-coordinate of terminal point
+     *
+     * @param options: Object Optional tolerances, as with the constructor
+     * @default null
+     *
+     * @return TSMT$Bezier Quadratic curve
+     */
+    TSMT$Bezier.quadratic = function (x0, y0, x1, y1, x2, y2, options) {
+        if (options === void 0) { options = null; }
+        var curve = new TSMT$Bezier(x0, y0, x0 + 2 * (x1 - x0) / 3, y0 + 2 * (y1 - y0) / 3, x2 + 2 * (x1 - x2) / 3, y2 + 2 * (y1 - y2) / 3, x2, y2, options);
+        curve._degree = 2;
+        return curve;
+    };
+    Object.defineProperty(TSMT$Bezier.prototype, "degree", {
+        /**
+         * Access the degree of the curve
+         *
+         * @return number 2 for a quadratic and 3 for a cubic curve
+         */
+        get: function () {
+            return this._degree;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(TSMT$Bezier.prototype, "controlPoints", {
+        /**
+         * Access the control points of the curve
+         *
+         * @return Array<Object> Three (quadratic) or four (cubic) Objects with 'x' and 'y' properties, beginning with the initial point
+         */
+        get: function () {
+            var x = this._x;
+            var y = this._y;
+            if (this._degree == 2) {
+                // invert the degree elevation
+                return [{ x: x[0], y: y[0] }, { x: 0.5 * (3 * x[1] - x[0]), y: 0.5 * (3 * y[1] - y[0]) }, { x: x[3], y: y[3] }];
+            }
+            return [{ x: x[0], y: y[0] }, { x: x[1], y: y[1] }, { x: x[2], y: y[2] }, { x: x[3], y: y[3] }];
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Evaluate the curve
+     *
+     * @param t: number Parameter value in [0,1]
+     *
+     * @return Object 'x' and 'y' properties contain the coordinates of the point on the curve
+     */
+    TSMT$Bezier.prototype.getPoint = function (t) {
+        return { x: this.__value(this._x, t), y: this.__value(this._y, t) };
+    };
+    /**
+     * Evaluate the first derivative (tangent vector) of the curve
+     *
+     * @param t: number Parameter value in [0,1]
+     *
+     * @return Object 'x' and 'y' properties contain the derivative with respect to the parameter
+     */
+    TSMT$Bezier.prototype.derivative = function (t) {
+        return { x: this.__derivative(this._x, t), y: this.__derivative(this._y, t) };
+    };
+    /**
+     * Evaluate the second derivative of the curve
+     *
+     * @param t: number Parameter value in [0,1]
+     *
+     * @return Object 'x' and 'y' properties contain the second derivative with respect to the parameter
+     */
+    TSMT$Bezier.prototype.secondDerivative = function (t) {
+        return { x: this.__secondDerivative(this._x, t), y: this.__secondDerivative(this._y, t) };
+    };
+    Object.defineProperty(TSMT$Bezier.prototype, "length", {
+        /**
+         * Access the arc length of the curve
+         *
+         * @return number Length of the curve
+         */
+        get: function () {
+            return this.lengthAt(1);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Arc length of the curve from the initial point to a parameter value
+     *
+     * @param t: number Parameter value in [0,1]
+     *
+     * @return number Arc length of the curve between parameter values 0 and t, computed by adaptive Gauss-Legendre quadrature
+     */
+    TSMT$Bezier.prototype.lengthAt = function (t) {
+        t = Math.min(Math.max(t, 0), 1);
+        return this.__length(0, t, this.__gauss(0, t), 0);
+    };
+    /**
+     * Parameter value at which the curve reaches a specified arc length (arc-length parameterization)
+     *
+     * @param s: number Arc length from the initial point
+     *
+     * @return number Parameter value, t, in [0,1] such that lengthAt(t) = s; 0 for s <= 0 and 1 for s at least the length of the curve
+     */
+    TSMT$Bezier.prototype.parameterAtLength = function (s) {
+        var len = this.length;
+        if (s <= 0 || len == 0) {
+            return 0;
+        }
+        if (s >= len) {
+            return 1;
+        }
+        // Newton iteration, safeguarded by bisection on the bracket [lo,hi]
+        var lo = 0;
+        var hi = 1;
+        var t = s / len;
+        var f;
+        var dx;
+        var dy;
+        var speed;
+        var i;
+        for (i = 0; i < 30; ++i) {
+            f = this.lengthAt(t) - s;
+            if (Math.abs(f) <= this.LENGTH_TOL * len) {
+                break;
+            }
+            if (f > 0) {
+                hi = t;
+            }
+            else {
+                lo = t;
+            }
+            dx = this.__derivative(this._x, t);
+            dy = this.__derivative(this._y, t);
+            speed = Math.sqrt(dx * dx + dy * dy);
+            t = speed > 0 ? t - f / speed : 0.5 * (lo + hi);
+            if (t <= lo || t >= hi) {
+                t = 0.5 * (lo + hi);
+            }
+        }
+        return t;
+    };
+    /**
+     * Point at a specified arc length along the curve
+     *
+     * @param s: number Arc length from the initial point
+     *
+     * @return Object 'x' and 'y' properties contain the coordinates of the point and 't' the parameter value (see parameterAtLength())
+     */
+    TSMT$Bezier.prototype.pointAtLength = function (s) {
+        var t = this.parameterAtLength(s);
+        return { x: this.__value(this._x, t), y: this.__value(this._y, t), t: t };
+    };
+    /**
+     * Compute the bounding box of the curve
+     *
+     * @param yDown: boolean True if the box is to be returned in y-down form (bottom > top)
+     * @default false
+     *
+     * @return Object Tight bounds of the curve (not its control points) with left, top, right, and bottom properties, as used by
+     * TSMT$GeomUtils.boxesIntersect()
+     */
+    TSMT$Bezier.prototype.bounds = function (yDown) {
+        if (yDown === void 0) { yDown = false; }
+        var x = this.__extrema(this._x);
+        var y = this.__extrema(this._y);
+        return yDown ? { left: x[0], top: y[0], right: x[1], bottom: y[1] } : { left: x[0], top: y[1], right: x[1], bottom: y[0] };
+    };
+    /**
+     * Approximate the curve by a polyline
+     *
+     * @param tolerance: number Maximum distance between the curve and the polyline
+     * @default 0.1
+     *
+     * @return Array<Object> Polyline vertices in order along the curve, each with 'x', 'y', and parameter, 't', properties, beginning with
+     * the initial point and ending with the terminal point.  Subdivision is adaptive, so flat parts of the curve produce few vertices.
+     */
+    TSMT$Bezier.prototype.flatten = function (tolerance) {
+        if (tolerance === void 0) { tolerance = this.FLATNESS; }
+        var points = [{ x: this._x[0], y: this._y[0], t: 0 }];
+        var stack = [{ x: this._x.slice(), y: this._y.slice(), t0: 0, t1: 1, depth: 0 }];
+        var piece;
+        var x;
+        var y;
+        var split;
+        var ysplit;
+        var tm;
+        // pieces are pushed second-half first, so they are popped in order along the curve
+        while (stack.length > 0) {
+            piece = stack.pop();
+            x = piece['x'];
+            y = piece['y'];
+            if (piece['depth'] >= this.MAX_DEPTH || this.__isFlat(x, y, tolerance)) {
+                points.push({ x: x[3], y: y[3], t: piece['t1'] });
+                continue;
+            }
+            split = this.__split(x);
+            ysplit = this.__split(y);
+            tm = 0.5 * (piece['t0'] + piece['t1']);
+            stack.push({ x: split[1], y: ysplit[1], t0: tm, t1: piece['t1'], depth: piece['depth'] + 1 });
+            stack.push({ x: split[0], y: ysplit[0], t0: piece['t0'], t1: tm, depth: piece['depth'] + 1 });
+        }
+        return points;
+    };
+    /**
+     * Intersect the curve with a line segment
+     *
+     * @param x1: number x-coordinate of initial point of segment
+     *
+     * @param y1: number y-coordinate of initial point of segment
+     *
+     * @param x2: number x-coordinate of terminal point of segment
+     *
+     * @param y2: number y-coordinate of terminal point of segment
+     *
+     * @param tolerance: number Flatness tolerance of the polyline approximation used to find the intersections
+     * @default 0.1
+     *
+     * @return Array<Object> Intersections in order along the curve, each with 'x' and 'y' coordinates, curve parameter, 't', and segment
+     * parameter, 'u', so that (x,y) = (x1,y1) + u*((x2,y2) - (x1,y1)).  Candidate intersections are pieces of the flattened curve that cross the line through
+     * the segment; each is refined on the curve itself and kept if the refined point lies on the segment.  A segment that overlaps a
+     * straight part of the curve reports the start of the overlap.
+     */
+    TSMT$Bezier.prototype.intersectSegment = function (x1, y1, x2, y2, tolerance) {
+        if (tolerance === void 0) { tolerance = this.FLATNESS; }
+        var hits = new Array();
+        var points = this.flatten(tolerance);
+        var n = points.length;
+        var ex = x2 - x1;
+        var ey = y2 - y1;
+        var f0;
+        var f1;
+        var a;
+        var b;
+        var hit;
+        var t;
+        var i;
+        // signed distance (times segment length) of each polyline vertex, which lies on the curve, from the line through the segment
+        f1 = (points[0]['x'] - x1) * ey - (points[0]['y'] - y1) * ex;
+        for (i = 1; i < n; ++i) {
+            a = points[i - 1];
+            b = points[i];
+            f0 = f1;
+            f1 = (b['x'] - x1) * ey - (b['y'] - y1) * ex;
+            if (f0 == 0 && f1 == 0) {
+                // piece lies along the line
+                hit = this._geomUtils.segmentIntersection(a['x'], a['y'], b['x'], b['y'], x1, y1, x2, y2);
+                if (hit['type'] == GeomUtils_2.IntersectEnum.NONE) {
+                    continue;
+                }
+                t = a['t'] + hit['t'] * (b['t'] - a['t']);
+            }
+            else if (f0 == 0) {
+                t = a['t'];
+            }
+            else if (f1 == 0 && i == n - 1) {
+                t = b['t'];
+            }
+            else if ((f0 < 0) != (f1 < 0) && f1 != 0) {
+                t = this.__refine(x1, y1, x2, y2, a['t'], b['t'], f0);
+            }
+            else {
+                continue;
+            }
+            // an intersection at a polyline vertex is found in both adjacent pieces
+            if (hits.length > 0 && Math.abs(t - hits[hits.length - 1]['t']) <= this.SAME_T) {
+                continue;
+            }
+            hit = this.__segmentHit(x1, y1, x2, y2, t);
+            if (hit != null) {
+                hits.push(hit);
+            }
+        }
+        return hits;
+    };
+    /**
+     * Find the point on the curve nearest a given point
+     *
+     * @param px: number x-coordinate of P
+     *
+     * @param py: number y-coordinate of P
+     *
+     * @return Object 'x' and 'y' properties provide the closest point to P on the curve (analogous to TSMT$GeomUtils.projectToSegment()),
+     * 't' its parameter value, and 'd' its distance from P
+     */
+    TSMT$Bezier.prototype.nearestPoint = function (px, py) {
+        var m = this.SAMPLES;
+        var d2 = new Array(m + 1);
+        var bestT = 0;
+        var bestD = Number.POSITIVE_INFINITY;
+        var d;
+        var t;
+        var i;
+        for (i = 0; i <= m; ++i) {
+            d2[i] = this.__distance2(px, py, i / m);
+        }
+        // refine every sample that is a local minimum of distance (including the endpoints)
+        for (i = 0; i <= m; ++i) {
+            if ((i > 0 && d2[i] > d2[i - 1]) || (i < m && d2[i] > d2[i + 1])) {
+                continue;
+            }
+            t = this.__newton(px, py, i / m);
+            d = this.__distance2(px, py, t);
+            if (d < bestD) {
+                bestD = d;
+                bestT = t;
+            }
+        }
+        return { x: this.__value(this._x, bestT), y: this.__value(this._y, bestT), t: bestT, d: Math.sqrt(bestD) };
+    };
+    /**
+     * Cubic Bernstein polynomial with coefficients p at t
+     *
+     * @private
+     */
+    TSMT$Bezier.prototype.__value = function (p, t) {
+        var s = 1 - t;
+        return s * s * s * p[0] + 3 * s * s * t * p[1] + 3 * s * t * t * p[2] + t * t * t * p[3];
+    };
+    /**
+     * First derivative of the cubic Bernstein polynomial with coefficients p at t
+     *
+     * @private
+     */
+    TSMT$Bezier.prototype.__derivative = function (p, t) {
+        var s = 1 - t;
+        return 3 * (s * s * (p[1] - p[0]) + 2 * s * t * (p[2] - p[1]) + t * t * (p[3] - p[2]));
+    };
+    /**
+     * Second derivative of the cubic Bernstein polynomial with coefficients p at t
+     *
+     * @private
+     */
+    TSMT$Bezier.prototype.__secondDerivative = function (p, t) {
+        return 6 * ((1 - t) * (p[2] - 2 * p[1] + p[0]) + t * (p[3] - 2 * p[2] + p[1]));
+    };
+    /**
+     * Minimum and maximum of one coordinate of the curve, from the endpoints and the zeros of the derivative
+     *
+     * @private
+     */
+    TSMT$Bezier.prototype.__extrema = function (p) {
+        var min = Math.min(p[0], p[3]);
+        var max = Math.max(p[0], p[3]);
+        // derivative/3 = a*t^2 + b*t + c
+        var a = -p[0] + 3 * p[1] - 3 * p[2] + p[3];
+        var b = 2 * (p[0] - 2 * p[1] + p[2]);
+        var c = p[1] - p[0];
+        var roots = new Array();
+        var i;
+        var v;
+        if (a == 0) {
+            if (b != 0) {
+                roots.push(-c / b);
+            }
+        }
+        else {
+            var disc = b * b - 4 * a * c;
+            if (disc >= 0) {
+                // numerically stable form that remains accurate for a near zero (e.g. an elevated quadratic)
+                var q = -0.5 * (b + (b < 0 ? -1 : 1) * Math.sqrt(disc));
+                roots.push(q / a);
+                if (q != 0) {
+                    roots.push(c / q);
+                }
+            }
+        }
+        for (i = 0; i < roots.length; ++i) {
+            if (roots[i] > 0 && roots[i] < 1) {
+                v = this.__value(p, roots[i]);
+                min = Math.min(min, v);
+                max = Math.max(max, v);
+            }
+        }
+        return [min, max];
+    };
+    /**
+     * Are the interior control points of a cubic within the tolerance of its chord?  (The curve lies in the convex hull of its control
+     * points, so it is then within the tolerance of the chord as well.)
+     *
+     * @private
+     */
+    TSMT$Bezier.prototype.__isFlat = function (x, y, tolerance) {
+        return this._geomUtils.pointToSegmentDistance(x[0], y[0], x[3], y[3], x[1], y[1]) <= tolerance &&
+            this._geomUtils.pointToSegmentDistance(x[0], y[0], x[3], y[3], x[2], y[2]) <= tolerance;
+    };
+    /**
+     * Split one coordinate of a cubic at t = 1/2 (de Casteljau), returning the coefficients of the two halves
+     *
+     * @private
+     */
+    TSMT$Bezier.prototype.__split = function (p) {
+        var p01 = 0.5 * (p[0] + p[1]);
+        var p12 = 0.5 * (p[1] + p[2]);
+        var p23 = 0.5 * (p[2] + p[3]);
+        var p012 = 0.5 * (p01 + p12);
+        var p123 = 0.5 * (p12 + p23);
+        var mid = 0.5 * (p012 + p123);
+        return [[p[0], p01, p012, mid], [mid, p123, p23, p[3]]];
+    };
+    /**
+     * Gauss-Legendre estimate of the arc length between parameter values t0 and t1
+     *
+     * @private
+     */
+    TSMT$Bezier.prototype.__gauss = function (t0, t1) {
+        var h = t1 - t0;
+        var s = 0;
+        var dx;
+        var dy;
+        var u;
+        var k;
+        for (k = 0; k < 5; ++k) {
+            u = t0 + TSMT$Bezier.GAUSS_T[k] * h;
+            dx = this.__derivative(this._x, u);
+            dy = this.__derivative(this._y, u);
+            s += TSMT$Bezier.GAUSS_W[k] * Math.sqrt(dx * dx + dy * dy);
+        }
+        return s * h;
+    };
+    /**
+     * Arc length between parameter values t0 and t1, given the estimate over the whole interval; the interval is bisected until the two
+     * halves agree with the whole (the speed is not smooth near a cusp, which defeats a fixed rule)
+     *
+     * @private
+     */
+    TSMT$Bezier.prototype.__length = function (t0, t1, whole, depth) {
+        var tm = 0.5 * (t0 + t1);
+        var left = this.__gauss(t0, tm);
+        var right = this.__gauss(tm, t1);
+        if (depth >= this.MAX_DEPTH || Math.abs(left + right - whole) <= this.QUAD_TOL * Math.max(1, whole)) {
+            return left + right;
+        }
+        return this.__length(t0, tm, left, depth + 1) + this.__length(tm, t1, right, depth + 1);
+    };
+    /**
+     * Refine the parameter of an intersection with the line through a segment, given a piece of the flattened curve whose endpoints (at
+     * parameter values t0 and t1) are on opposite sides of the line and the signed distance, f0, at t0.  Newton iteration on the signed
+     * distance is safeguarded by bisection so that the parameter never leaves the bracket.
+     *
+     * @private
+     */
+    TSMT$Bezier.prototype.__refine = function (x1, y1, x2, y2, t0, t1, f0) {
+        var ex = x2 - x1;
+        var ey = y2 - y1;
+        var lo = t0;
+        var hi = t1;
+        var s = 0.5 * (t0 + t1);
+        var f;
+        var df;
+        var i;
+        for (i = 0; i < 50; ++i) {
+            f = (this.__value(this._x, s) - x1) * ey - (this.__value(this._y, s) - y1) * ex;
+            if (f == 0) {
+                return s;
+            }
+            if ((f < 0) == (f0 < 0)) {
+                lo = s;
+            }
+            else {
+                hi = s;
+            }
+            if (hi - lo <= this.T_TOL) {
+                break;
+            }
+            df = this.__derivative(this._x, s) * ey - this.__derivative(this._y, s) * ex;
+            s = df != 0 ? s - f / df : 0.5 * (lo + hi);
+            if (!(s > lo && s < hi)) {
+                s = 0.5 * (lo + hi);
+            }
+        }
+        return s;
+    };
+    /**
+     * Intersection record for the curve point at t and a segment, or null if the point is beyond either end of the segment
+     *
+     * @private
+     */
+    TSMT$Bezier.prototype.__segmentHit = function (x1, y1, x2, y2, t) {
+        var x = this.__value(this._x, t);
+        var y = this.__value(this._y, t);
+        var ex = x2 - x1;
+        var ey = y2 - y1;
+        var e2 = ex * ex + ey * ey;
+        var u = e2 == 0 ? 0 : ((x - x1) * ex + (y - y1) * ey) / e2;
+        if (u < -this.PARAM_TOL || u > 1 + this.PARAM_TOL) {
+            return null;
+        }
+        return { x: x, y: y, t: t, u: Math.min(Math.max(u, 0), 1) };
+    };
+    /**
+     * Squared distance from P to the curve point at t
+     *
+     * @private
+     */
+    TSMT$Bezier.prototype.__distance2 = function (px, py, t) {
+        var dx = this.__value(this._x, t) - px;
+        var dy = this.__value(this._y, t) - py;
+        return dx * dx + dy * dy;
+    };
+    /**
+     * Newton iteration for a stationary point of the distance from P, (B(t) - P).B'(t) = 0, starting at t and clamped to [0,1]
+     *
+     * @private
+     */
+    TSMT$Bezier.prototype.__newton = function (px, py, t) {
+        var dx;
+        var dy;
+        var g;
+        var dg;
+        var vx;
+        var vy;
+        var s;
+        var i;
+        for (i = 0; i < 12; ++i) {
+            dx = this.__value(this._x, t) - px;
+            dy = this.__value(this._y, t) - py;
+            vx = this.__derivative(this._x, t);
+            vy = this.__derivative(this._y, t);
+            g = dx * vx + dy * vy;
+            dg = vx * vx + vy * vy + dx * this.__secondDerivative(this._x, t) + dy * this.__secondDerivative(this._y, t);
+            if (dg <= 0) {
+                break;
+            }
+            s = Math.min(Math.max(t - g / dg, 0), 1);
+            if (Math.abs(s - t) < this.T_TOL) {
+                return s;
+            }
+            t = s;
+        }
+        return t;
+    };
+    // five-point Gauss-Legendre abscissae (on [0,1]) and weights for arc length
+    TSMT$Bezier.GAUSS_T = [0.04691007703066800, 0.23076534494715845, 0.5, 0.76923465505284155, 0.95308992296933200];
+    TSMT$Bezier.GAUSS_W = [0.11846344252809454, 0.23931433524968324, 0.28444444444444444, 0.23931433524968324, 0.11846344252809454];
+    return TSMT$Bezier;
+}());
+exports.TSMT$Bezier = TSMT$Bezier;
@@ -0,0 +1,345 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+/**
+ * Typescript Math Toolkit: Axis-aligned box (bounds).  A box is described by the same left, top, right, and bottom values used by
+ * the box methods of TSMT$GeomUtils, so a TSMT$Box may be passed directly to boxesIntersect() or TSMT$AABBTree, and its properties
+ * to insideBox(), intersectBox(), lineRectIntersection(), or TSMT$PolygonClip.clipToBox().  The box is y-down if bottom > top and
+ * y-up otherwise; all operations work with either form and return boxes in the form of the box on which they are called.
+ *
+ * As with boxesIntersect(), boxes that touch along an edge or at a corner are considered to intersect.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+var TSMT$Box = (function () {
+    /**
+     * Construct a new TSMT$Box instance
+     *
+     * @param left: number x-coordinate of upper, left-hand corner
+     * @default 0
+     *
+     * @param top: number y-coordinate of upper, left-hand corner
+     * @default 0
+     *
+     * @param right: number x-coordinate of lower, right-hand corner
+     * @default 0
+     *
+     * @param bottom: number y-coordinate of lower, right-hand corner
+     * @default 0
+     *
+     * @return nothing
+     */
+    function TSMT$Box(left, top, right, bottom) {
+        if (left === void 0) { left = 0; }
+        if (top === void 0) { top = 0; }
+        if (right === void 0) { right = 0; }
+        if (bottom === void 0) { bottom = 0; }
+        this.left = left;
+        this.top = top;
+        this.right = right;
+        this.bottom = bottom;
+    }
+    /**
+     * Create a box from an untyped bounds Object
+     *
+     * @param bound: Object Object with left, top, right, and bottom properties (numbers or numeric strings, as in boxesIntersect())
+     *
+     * @return TSMT$Box Box with the same bounds
+     */
+    TSMT$Box.fromObject = function (bound) {
+        return new TSMT$Box(parseFloat(bound['left']), parseFloat(bound['top']), parseFloat(bound['right']), parseFloat(bound['bottom']));
+    };
+    /**
+     * Create the smallest box containing a collection of points
+     *
+     * @param _xcoord: Array<number> x-coordinates of the points
+     *
+     * @param _ycoord: Array<number> y-coordinates of the points
+     *
+     * @param yDown: boolean True if the box is to be returned in y-down form (bottom > top)
+     * @default false
+     *
+     * @return TSMT$Box Bounds of the points, or null if there are no points or the coordinate arrays differ in length
+     */
+    TSMT$Box.fromPoints = function (_xcoord, _ycoord, yDown) {
+        if (yDown === void 0) { yDown = false; }
+        if (!_xcoord || !_ycoord || _xcoord.length == 0 || _xcoord.length != _ycoord.length) {
+            return null;
+        }
+        var n = _xcoord.length;
+        var minX = _xcoord[0];
+        var maxX = _xcoord[0];
+        var minY = _ycoord[0];
+        var maxY = _ycoord[0];
+        var i;
+        for (i = 1; i < n; ++i) {
+            minX = Math.min(minX, _xcoord[i]);
+            maxX = Math.max(maxX, _xcoord[i]);
+            minY = Math.min(minY, _ycoord[i]);
+            maxY = Math.max(maxY, _ycoord[i]);
+        }
+        return yDown ? new TSMT$Box(minX, minY, maxX, maxY) : new TSMT$Box(minX, maxY, maxX, minY);
+    };
+    /**
+     * Create the smallest box containing a line segment
+     *
+     * @param x1: number x-coordinate of first endpoint
+     *
+     * @param y1: number y-coordinate of first endpoint
+     *
+     * @param x2: number x-coordinate of second endpoint
+     *
+     * @param y2: number y-coordinate of second endpoint
+     *
+     * @param yDown: boolean True if the box is to be returned in y-down form (bottom > top)
+     * @default false
+     *
+     * @return TSMT$Box Bounds of the segment
+     */
+    TSMT$Box.fromSegment = function (x1, y1, x2, y2, yDown) {
+        if (yDown === void 0) { yDown = false; }
+        return TSMT$Box.fromPoints([x1, x2], [y1, y2], yDown);
+    };
+    Object.defineProperty(TSMT$Box.prototype, "yDown", {
+        /**
+         * Access whether or not the box is in y-down form
+         *
+         * @return boolean True if bottom > top
+         */
+        get: function () {
+            return this.bottom > this.top;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(TSMT$Box.prototype, "minX", {
+        /**
+         * Access the smallest x-coordinate of the box
+         *
+         * @return number Minimum x-coordinate
+         */
+        get: function () {
+            return Math.min(this.left, this.right);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(TSMT$Box.prototype, "maxX", {
+        /**
+         * Access the largest x-coordinate of the box
+         *
+         * @return number Maximum x-coordinate
+         */
+        get: function () {
+            return Math.max(this.left, this.right);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(TSMT$Box.prototype, "minY", {
+        /**
+         * Access the smallest y-coordinate of the box
+         *
+         * @return number Minimum y-coordinate
+         */
+        get: function () {
+            return Math.min(this.top, this.bottom);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(TSMT$Box.prototype, "maxY", {
+        /**
+         * Access the largest y-coordinate of the box
+         *
+         * @return number Maximum y-coordinate
+         */
+        get: function () {
+            return Math.max(this.top, this.bottom);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(TSMT$Box.prototype, "width", {
+        /**
+         * Access the width of the box
+         *
+         * @return number Width (non-negative)
+         */
+        get: function () {
+            return Math.abs(this.right - this.left);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(TSMT$Box.prototype, "height", {
+        /**
+         * Access the height of the box
+         *
+         * @return number Height (non-negative)
+         */
+        get: function () {
+            return Math.abs(this.bottom - this.top);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(TSMT$Box.prototype, "area", {
+        /**
+         * Access the area of the box
+         *
+         * @return number Area (non-negative)
+         */
+        get: function () {
+            return this.width * this.height;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(TSMT$Box.prototype, "center", {
+        /**
+         * Access the center of the box
+         *
+         * @return Object 'x' and 'y' properties contain the coordinates of the box center
+         */
+        get: function () {
+            return { x: 0.5 * (this.left + this.right), y: 0.5 * (this.top + this.bottom) };
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Copy this box
+     *
+     * @return TSMT$Box Copy of this box
+     */
+    TSMT$Box.prototype.clone = function () {
+        return new TSMT$Box(this.left, this.top, this.right, this.bottom);
+    };
+    /**
+     * Convert this box to y-up form
+     *
+     * @return TSMT$Box Copy of this box with top >= bottom
+     */
+    TSMT$Box.prototype.toYUp = function () {
+        return new TSMT$Box(this.minX, this.maxY, this.maxX, this.minY);
+    };
+    /**
+     * Convert this box to y-down form
+     *
+     * @return TSMT$Box Copy of this box with bottom >= top
+     */
+    TSMT$Box.prototype.toYDown = function () {
+        return new TSMT$Box(this.minX, this.minY, this.maxX, this.maxY);
+    };
+    /**
+     * Does this box intersect another box?
+     *
+     * @param box: Object TSMT$Box (or any Object with numeric left, top, right, and bottom properties) in either y-up or y-down form
+     *
+     * @return boolean True if the boxes intersect, including a single point of contact (same result as boxesIntersect())
+     */
+    TSMT$Box.prototype.intersects = function (box) {
+        var other = this.__box(box);
+        return !(other.minX > this.maxX || other.maxX < this.minX || other.minY > this.maxY || other.maxY < this.minY);
+    };
+    /**
+     * Is a point inside this box?
+     *
+     * @param x: number x-coordinate of test point
+     *
+     * @param y: number y-coordinate of test point
+     *
+     * @return boolean True if the point is inside or on the boundary of this box (see insideBox() for a strict test)
+     */
+    TSMT$Box.prototype.containsPoint = function (x, y) {
+        return x >= this.minX && x <= this.maxX && y >= this.minY && y <= this.maxY;
+    };
+    /**
+     * Is another box contained in this box?
+     *
+     * @param box: Object TSMT$Box (or any Object with numeric left, top, right, and bottom properties) in either y-up or y-down form
+     *
+     * @return boolean True if every point of the input box is inside or on the boundary of this box
+     */
+    TSMT$Box.prototype.containsBox = function (box) {
+        var other = this.__box(box);
+        return other.minX >= this.minX && other.maxX <= this.maxX && other.minY >= this.minY && other.maxY <= this.maxY;
+    };
+    /**
+     * Union of this box with another box
+     *
+     * @param box: Object TSMT$Box (or any Object with numeric left, top, right, and bottom properties) in either y-up or y-down form
+     *
+     * @return TSMT$Box Smallest box containing both boxes, in the form of this box
+     */
+    TSMT$Box.prototype.union = function (box) {
+        var other = this.__box(box);
+        return this.__create(Math.min(this.minX, other.minX), Math.min(this.minY, other.minY), Math.max(this.maxX, other.maxX), Math.max(this.maxY, other.maxY));
+    };
+    /**
+     * Intersection of this box with another box
+     *
+     * @param box: Object TSMT$Box (or any Object with numeric left, top, right, and bottom properties) in either y-up or y-down form
+     *
+     * @return TSMT$Box Common region of the two boxes, in the form of this box, or null if the boxes do not intersect.  Boxes that only
+     * touch produce a box of zero width and/or height.
+     */
+    TSMT$Box.prototype.intersection = function (box) {
+        if (!this.intersects(box)) {
+            return null;
+        }
+        var other = this.__box(box);
+        return this.__create(Math.max(this.minX, other.minX), Math.max(this.minY, other.minY), Math.min(this.maxX, other.maxX), Math.min(this.maxY, other.maxY));
+    };
+    /**
+     * Expand (or shrink) this box by a margin on every side
+     *
+     * @param margin: number Distance by which each side is moved outward; a negative margin shrinks the box
+     *
+     * @return TSMT$Box Expanded box, in the form of this box, or null if a negative margin exceeds half the width or height
+     */
+    TSMT$Box.prototype.expand = function (margin) {
+        var minX = this.minX - margin;
+        var minY = this.minY - margin;
+        var maxX = this.maxX + margin;
+        var maxY = this.maxY + margin;
+        if (minX > maxX || minY > maxY) {
+            return null;
+        }
+        return this.__create(minX, minY, maxX, maxY);
+    };
+    /**
+     * Create a box from extents in the form of this box
+     *
+     * @private
+     */
+    TSMT$Box.prototype.__create = function (minX, minY, maxX, maxY) {
+        return this.yDown ? new TSMT$Box(minX, minY, maxX, maxY) : new TSMT$Box(minX, maxY, maxX, minY);
+    };
+    /**
+     * Input box as a TSMT$Box, converting an untyped Object if necessary
+     *
+     * @private
+     */
+    TSMT$Box.prototype.__box = function (box) {
+        return box instanceof TSMT$Box ? box : new TSMT$Box(box['left'], box['top'], box['right'], box['bottom']);
+    };
+    return TSMT$Box;
+}());
+exports.TSMT$Box = TSMT$Box;
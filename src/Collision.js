@@ -0,0 +1,714 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+/**
+ * Typescript Math Toolkit: Overlap tests between convex shapes that report how to resolve a penetration.  Contact queries return null
+ * if the shapes are separated, otherwise an Object with properties
+ *
+ * depth  - penetration depth, the length of the shortest translation that separates the shapes (zero if they only touch)
+ * nx, ny - unit contact normal, pointing from the first shape toward the second
+ * dx, dy - minimum translation vector, depth*(nx,ny); translating the second shape by (dx,dy), or the first by (-dx,-dy), leaves the
+ *          shapes touching
+ *
+ * Convex polygons and oriented boxes are tested with the Separating Axis Theorem (SAT), which is exact.  Convex shapes that include
+ * circles are tested with the Gilbert-Johnson-Keerthi (GJK) algorithm, and the penetration of overlapping shapes is computed with the
+ * Expanding Polytope Algorithm (EPA), which converges to within a small tolerance of the exact depth.
+ *
+ * Convex polygons are flat arrays of vertex coordinates, [x0, y0, x1, y1, ... ], in either CW or CCW order, as in TSMT$PolygonUtils.
+ * Circles are Objects with center, 'x' and 'y', and radius, 'r', properties, as in TSMT$Raycast.  Oriented boxes are Objects with
+ * center, 'x' and 'y', 'width', 'height', and rotation 'angle' (in radians, CCW in a y-up coordinate system) properties.  Results are not
+ * meaningful for non-convex polygons.
+ *
+ * Time-of-impact queries sweep a moving shape (or two moving shapes) over a unit time interval, where each shape moves by its velocity
+ * vector, and return null if the shapes do not come into contact, otherwise an Object with properties
+ *
+ * t      - earliest contact time in [0,1]
+ * x, y   - contact point at time t
+ * nx, ny - unit contact normal at time t, pointing from the second (or stationary) shape toward the first (or moving) shape
+ *
+ * Shapes that overlap or touch at the start of the motion are in contact at t = 0 with a normal opposite the relative motion, as with
+ * TSMT$Raycast.  Axis-aligned boxes are Objects (or TSMT$Box instances) with left, top, right, and bottom properties in either y-up or
+ * y-down form.  Tolerances for the time-of-impact queries are taken from an instance of TSMT$Raycast constructed with the options passed
+ * to the constructor.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+var GeomUtils_1 = require('./GeomUtils');
+var Raycast_1 = require('./Raycast');
+var TSMT$Collision = (function () {
+    /**
+     * Construct a new TSMT$Collision instance
+     *
+     * @param options: Object Optional tolerances for the time-of-impact queries, in the same form as the TSMT$GeomUtils constructor options
+     * @default null
+     *
+     * @return nothing
+     */
+    function TSMT$Collision(options) {
+        if (options === void 0) { options = null; }
+        this.MAX_ITER = 64; // iteration limit for GJK
+        this.EPA_ITER = 256; // iteration limit for EPA
+        this.EPA_TOL = 0.0000001; // relative convergence tolerance for EPA depth
+        this._geomUtils = new GeomUtils_1.TSMT$GeomUtils(options);
+        this._raycast = new Raycast_1.TSMT$Raycast(options);
+    }
+    /**
+     * Vertices of an oriented box
+     *
+     * @param x: number x-coordinate of box center
+     *
+     * @param y: number y-coordinate of box center
+     *
+     * @param width: number Box width (extent along its rotated x-axis)
+     *
+     * @param height: number Box height (extent along its rotated y-axis)
+     *
+     * @param angle: number Rotation of the box about its center in radians
+     * @default 0
+     *
+     * @return Array<number> Flat array of the four box vertices in CCW order (y-up), beginning with the corner at (-width/2, -height/2)
+     * in box coordinates
+     */
+    TSMT$Collision.prototype.orientedBox = function (x, y, width, height, angle) {
+        if (angle === void 0) { angle = 0; }
+        var c = Math.cos(angle);
+        var s = Math.sin(angle);
+        var ux = 0.5 * width * c;
+        var uy = 0.5 * width * s;
+        var vx = -0.5 * height * s;
+        var vy = 0.5 * height * c;
+        return [x - ux - vx, y - uy - vy, x + ux - vx, y + uy - vy, x + ux + vx, y + uy + vy, x - ux + vx, y - uy + vy];
+    };
+    /**
+     * Contact between two convex polygons by the Separating Axis Theorem
+     *
+     * @param a: Array<number> Flat array of vertex coordinates of the first polygon, [x0, y0, x1, y1, ... ]
+     *
+     * @param b: Array<number> Flat array of vertex coordinates of the second polygon
+     *
+     * @return Object Contact (see class description), or null if the polygons are separated.  Every edge normal of both polygons is
+     * tested, so the result is exact.  Null is returned if either polygon has fewer than three vertices.
+     */
+    TSMT$Collision.prototype.polygonContact = function (a, b) {
+        if (a.length < 6 || b.length < 6) {
+            return null;
+        }
+        return this.__sat(a, b, this.__edgeNormals(a).concat(this.__edgeNormals(b)));
+    };
+    /**
+     * Contact between two oriented boxes by the Separating Axis Theorem
+     *
+     * @param a: Object First box, with 'x', 'y', 'width', 'height', and 'angle' properties
+     *
+     * @param b: Object Second box, with 'x', 'y', 'width', 'height', and 'angle' properties
+     *
+     * @return Object Contact (see class description), or null if the boxes are separated.  Only the two axes of each box are tested.
+     */
+    TSMT$Collision.prototype.orientedBoxContact = function (a, b) {
+        var angleA = a['angle'] || 0;
+        var angleB = b['angle'] || 0;
+        var axes = [Math.cos(angleA), Math.sin(angleA), -Math.sin(angleA), Math.cos(angleA),
+            Math.cos(angleB), Math.sin(angleB), -Math.sin(angleB), Math.cos(angleB)];
+        return this.__sat(this.orientedBox(a['x'], a['y'], a['width'], a['height'], angleA), this.orientedBox(b['x'], b['y'], b['width'], b['height'], angleB), axes);
+    };
+    /**
+     * Do two convex shapes intersect (GJK)?
+     *
+     * @param a: Object First shape, either a convex polygon (flat coordinate array) or a circle ('x', 'y', and 'r' properties)
+     *
+     * @param b: Object Second shape, either a convex polygon or a circle
+     *
+     * @return boolean True if the shapes overlap or touch.  Shapes that are within roundoff of touching may be reported either way.
+     */
+    TSMT$Collision.prototype.convexIntersect = function (a, b) {
+        return this.__gjk(a, b) != null;
+    };
+    /**
+     * Contact between two convex shapes (GJK, followed by EPA for overlapping shapes)
+     *
+     * @param a: Object First shape, either a convex polygon (flat coordinate array) or a circle ('x', 'y', and 'r' properties)
+     *
+     * @param b: Object Second shape, either a convex polygon or a circle
+     *
+     * @return Object Contact (see class description), or null if the shapes are separated.  The depth is exact for two polygons and
+     * converges to within a small relative tolerance for shapes with circles, in which case the normal is accurate to about 1.0e-3.
+     */
+    TSMT$Collision.prototype.convexContact = function (a, b) {
+        var simplex = this.__gjk(a, b);
+        if (simplex == null) {
+            return null;
+        }
+        return this.__epa(a, b, simplex);
+    };
+    /**
+     * Time of impact of a moving point with a line segment
+     *
+     * @param px: number Initial x-coordinate of the point
+     *
+     * @param py: number Initial y-coordinate of the point
+     *
+     * @param vx: number x-component of point velocity (displacement over the unit time interval)
+     *
+     * @param vy: number y-component of point velocity
+     *
+     * @param x1: number x-coordinate of initial point of segment
+     *
+     * @param y1: number y-coordinate of initial point of segment
+     *
+     * @param x2: number x-coordinate of terminal point of segment
+     *
+     * @param y2: number y-coordinate of terminal point of segment
+     *
+     * @return Object Impact (see class description), or null if the point does not reach the segment or its velocity is zero.  The
+     * normal faces back toward the initial point.
+     */
+    TSMT$Collision.prototype.pointSegmentImpact = function (px, py, vx, vy, x1, y1, x2, y2) {
+        var len = Math.sqrt(vx * vx + vy * vy);
+        var hit = this._raycast.castSegments(px, py, vx, vy, [x1, y1, x2, y2], len);
+        return hit == null ? null : this.__impact(hit['distance'] / len, hit['x'], hit['y'], hit['nx'], hit['ny']);
+    };
+    /**
+     * Time of impact of a moving circle with a line segment
+     *
+     * @param circle: Object Circle at the start of the motion, with center, 'x' and 'y', and radius, 'r', properties
+     *
+     * @param vx: number x-component of circle velocity (displacement over the unit time interval)
+     *
+     * @param vy: number y-component of circle velocity
+     *
+     * @param x1: number x-coordinate of initial point of segment
+     *
+     * @param y1: number y-coordinate of initial point of segment
+     *
+     * @param x2: number x-coordinate of terminal point of segment
+     *
+     * @param y2: number y-coordinate of terminal point of segment
+     *
+     * @return Object Impact (see class description), or null if the circle does not reach the segment or its velocity is zero.  The
+     * contact point is the point on the segment nearest the circle center at the time of impact.
+     */
+    TSMT$Collision.prototype.circleSegmentImpact = function (circle, vx, vy, x1, y1, x2, y2) {
+        var cx = circle['x'];
+        var cy = circle['y'];
+        var r = circle['r'];
+        var len = Math.sqrt(vx * vx + vy * vy);
+        if (len == 0) {
+            return null;
+        }
+        var t = 0;
+        var nx = -vx / len;
+        var ny = -vy / len;
+        if (this._geomUtils.pointToSegmentDistance(x1, y1, x2, y2, cx, cy) > r) {
+            // the center path against the capsule of points within r of the segment; two sides and two end caps
+            var ex = x2 - x1;
+            var ey = y2 - y1;
+            var el = Math.sqrt(ex * ex + ey * ey);
+            var caps = [{ x: x1, y: y1, r: r }, { x: x2, y: y2, r: r }];
+            var hit = this._raycast.castCircles(cx, cy, vx, vy, caps, len);
+            var side = void 0;
+            if (el > 0) {
+                var ox = -r * ey / el;
+                var oy = r * ex / el;
+                side = this._raycast.castSegments(cx, cy, vx, vy, [x1 + ox, y1 + oy, x2 + ox, y2 + oy, x1 - ox, y1 - oy, x2 - ox, y2 - oy], len);
+                if (side != null && (hit == null || side['distance'] < hit['distance'])) {
+                    hit = side;
+                }
+            }
+            if (hit == null) {
+                return null;
+            }
+            t = hit['distance'] / len;
+            nx = hit['nx'];
+            ny = hit['ny'];
+        }
+        // contact point nearest the center at the time of impact
+        var q = this.__closestOnSegment(x1, y1, x2, y2, cx + t * vx, cy + t * vy);
+        return this.__impact(t, q[0], q[1], nx, ny);
+    };
+    /**
+     * Time of impact of two moving circles
+     *
+     * @param a: Object First circle at the start of the motion, with center, 'x' and 'y', and radius, 'r', properties
+     *
+     * @param vax: number x-component of the first circle's velocity (displacement over the unit time interval)
+     *
+     * @param vay: number y-component of the first circle's velocity
+     *
+     * @param b: Object Second circle at the start of the motion
+     *
+     * @param vbx: number x-component of the second circle's velocity
+     * @default 0
+     *
+     * @param vby: number y-component of the second circle's velocity
+     * @default 0
+     *
+     * @return Object Impact (see class description), or null if the circles do not come into contact or their relative velocity is zero.
+     * The contact point is on the boundary of the second circle in the direction of the normal.
+     */
+    TSMT$Collision.prototype.circleCircleImpact = function (a, vax, vay, b, vbx, vby) {
+        if (vbx === void 0) { vbx = 0; }
+        if (vby === void 0) { vby = 0; }
+        var vx = vax - vbx;
+        var vy = vay - vby;
+        var len = Math.sqrt(vx * vx + vy * vy);
+        // the center of the first circle, relative to the second, against a circle whose radius is the sum of the radii
+        var hit = this._raycast.castCircles(a['x'], a['y'], vx, vy, [{ x: b['x'], y: b['y'], r: a['r'] + b['r'] }], len);
+        if (hit == null) {
+            return null;
+        }
+        var t = hit['distance'] / len;
+        return this.__impact(t, b['x'] + t * vbx + b['r'] * hit['nx'], b['y'] + t * vby + b['r'] * hit['ny'], hit['nx'], hit['ny']);
+    };
+    /**
+     * Time of impact of two moving axis-aligned boxes (swept AABB)
+     *
+     * @param a: Object First box at the start of the motion, with left, top, right, and bottom properties
+     *
+     * @param vax: number x-component of the first box's velocity (displacement over the unit time interval)
+     *
+     * @param vay: number y-component of the first box's velocity
+     *
+     * @param b: Object Second box at the start of the motion
+     *
+     * @param vbx: number x-component of the second box's velocity
+     * @default 0
+     *
+     * @param vby: number y-component of the second box's velocity
+     * @default 0
+     *
+     * @return Object Impact (see class description), or null if the boxes do not come into contact or their relative velocity is zero.
+     * The normal is the outward normal of the side of the second box that is hit (a corner-to-corner hit reports the normal of the vertical
+     * side), and the contact point is the center of the overlap of the two boxes at the time of impact, i.e. the middle of the touching
+     * sides.
+     */
+    TSMT$Collision.prototype.boxImpact = function (a, vax, vay, b, vbx, vby) {
+        if (vbx === void 0) { vbx = 0; }
+        if (vby === void 0) { vby = 0; }
+        var vx = vax - vbx;
+        var vy = vay - vby;
+        var len = Math.sqrt(vx * vx + vy * vy);
+        var ax = [Math.min(+a['left'], +a['right']), Math.max(+a['left'], +a['right'])];
+        var ay = [Math.min(+a['top'], +a['bottom']), Math.max(+a['top'], +a['bottom'])];
+        var bx = [Math.min(+b['left'], +b['right']), Math.max(+b['left'], +b['right'])];
+        var by = [Math.min(+b['top'], +b['bottom']), Math.max(+b['top'], +b['bottom'])];
+        var hw = 0.5 * (ax[1] - ax[0]);
+        var hh = 0.5 * (ay[1] - ay[0]);
+        // the center of the first box, relative to the second, against the second box expanded by the half-extents of the first
+        var expanded = { left: bx[0] - hw, top: by[1] + hh, right: bx[1] + hw, bottom: by[0] - hh };
+        var hit = this._raycast.castBoxes(ax[0] + hw, ay[0] + hh, vx, vy, [expanded], len);
+        if (hit == null) {
+            return null;
+        }
+        var t = hit['distance'] / len;
+        // overlap of the two boxes at the time of impact
+        var left = Math.max(ax[0] + t * vax, bx[0] + t * vbx);
+        var right = Math.min(ax[1] + t * vax, bx[1] + t * vbx);
+        var bottom = Math.max(ay[0] + t * vay, by[0] + t * vby);
+        var top = Math.min(ay[1] + t * vay, by[1] + t * vby);
+        return this.__impact(t, 0.5 * (left + right), 0.5 * (bottom + top), hit['nx'], hit['ny']);
+    };
+    /**
+     * Unit normals of the edges of a polygon as a flat array, [nx0, ny0, nx1, ny1, ... ], skipping edges of zero length
+     *
+     * @private
+     */
+    TSMT$Collision.prototype.__edgeNormals = function (coords) {
+        var n = coords.length;
+        var normals = new Array();
+        var ex;
+        var ey;
+        var len;
+        var i;
+        for (i = 0; i < n; i += 2) {
+            ex = coords[(i + 2) % n] - coords[i];
+            ey = coords[(i + 3) % n] - coords[i + 1];
+            len = Math.sqrt(ex * ex + ey * ey);
+            if (len > 0) {
+                normals.push(ey / len, -ex / len);
+            }
+        }
+        return normals;
+    };
+    /**
+     * Separating Axis Theorem test of two convex polygons on a collection of unit axes, [nx0, ny0, nx1, ny1, ... ].  On each axis, the
+     * second polygon may be pushed in either direction, so the contact normal is the axis direction with the smallest overlap.
+     *
+     * @private
+     */
+    TSMT$Collision.prototype.__sat = function (a, b, axes) {
+        var depth = Number.POSITIVE_INFINITY;
+        var nx = 0;
+        var ny = 0;
+        var pa;
+        var pb;
+        var forward;
+        var backward;
+        var i;
+        for (i = 0; i < axes.length; i += 2) {
+            pa = this.__project(a, axes[i], axes[i + 1]);
+            pb = this.__project(b, axes[i], axes[i + 1]);
+            // overlap if b is pushed along +axis and along -axis
+            forward = pa[1] - pb[0];
+            backward = pb[1] - pa[0];
+            if (forward < 0 || backward < 0) {
+                return null;
+            }
+            if (forward < depth) {
+                depth = forward;
+                nx = axes[i];
+                ny = axes[i + 1];
+            }
+            if (backward < depth) {
+                depth = backward;
+                nx = -axes[i];
+                ny = -axes[i + 1];
+            }
+        }
+        return this.__contact(depth, nx, ny);
+    };
+    /**
+     * Interval, [min, max], of the projection of a polygon onto a unit axis
+     *
+     * @private
+     */
+    TSMT$Collision.prototype.__project = function (coords, nx, ny) {
+        var min = Number.POSITIVE_INFINITY;
+        var max = Number.NEGATIVE_INFINITY;
+        var p;
+        var i;
+        for (i = 0; i < coords.length; i += 2) {
+            p = coords[i] * nx + coords[i + 1] * ny;
+            min = Math.min(min, p);
+            max = Math.max(max, p);
+        }
+        return [min, max];
+    };
+    /**
+     * Contact record for a depth and unit normal
+     *
+     * @private
+     */
+    TSMT$Collision.prototype.__contact = function (depth, nx, ny) {
+        // adding zero removes negative zero from the normal
+        return { depth: depth, nx: nx + 0, ny: ny + 0, dx: depth * nx + 0, dy: depth * ny + 0 };
+    };
+    /**
+     * Impact record; the time is clamped to [0,1] against roundoff
+     *
+     * @private
+     */
+    TSMT$Collision.prototype.__impact = function (t, x, y, nx, ny) {
+        return { t: Math.max(0, Math.min(1, t)), x: x, y: y, nx: nx + 0, ny: ny + 0 };
+    };
+    /**
+     * Point on a segment nearest (px,py)
+     *
+     * @private
+     */
+    TSMT$Collision.prototype.__closestOnSegment = function (x1, y1, x2, y2, px, py) {
+        var ex = x2 - x1;
+        var ey = y2 - y1;
+        var e2 = ex * ex + ey * ey;
+        var t = e2 == 0 ? 0 : Math.max(0, Math.min(1, ((px - x1) * ex + (py - y1) * ey) / e2));
+        return [x1 + t * ex, y1 + t * ey];
+    };
+    /**
+     * Point of a shape farthest in the direction (dx,dy)
+     *
+     * @private
+     */
+    TSMT$Collision.prototype.__support = function (shape, dx, dy) {
+        if (shape instanceof Array) {
+            var coords = shape;
+            var best = 0;
+            var max = Number.NEGATIVE_INFINITY;
+            var p = void 0;
+            var i = void 0;
+            for (i = 0; i < coords.length; i += 2) {
+                p = coords[i] * dx + coords[i + 1] * dy;
+                if (p > max) {
+                    max = p;
+                    best = i;
+                }
+            }
+            return [coords[best], coords[best + 1]];
+        }
+        var len = Math.sqrt(dx * dx + dy * dy);
+        var r = len > 0 ? shape['r'] / len : 0;
+        return [shape['x'] + r * dx, shape['y'] + r * dy];
+    };
+    /**
+     * Point of the Minkowski difference, A - B, farthest in the direction (dx,dy)
+     *
+     * @private
+     */
+    TSMT$Collision.prototype.__minkowski = function (a, b, dx, dy) {
+        var pa = this.__support(a, dx, dy);
+        var pb = this.__support(b, -dx, -dy);
+        return [pa[0] - pb[0], pa[1] - pb[1]];
+    };
+    /**
+     * A point interior to a shape (vertex average or circle center)
+     *
+     * @private
+     */
+    TSMT$Collision.prototype.__center = function (shape) {
+        if (shape instanceof Array) {
+            var coords = shape;
+            var n = Math.floor(coords.length / 2);
+            var x = 0;
+            var y = 0;
+            var i = void 0;
+            for (i = 0; i < n; ++i) {
+                x += coords[2 * i];
+                y += coords[2 * i + 1];
+            }
+            return n > 0 ? [x / n, y / n] : [0, 0];
+        }
+        return [shape['x'], shape['y']];
+    };
+    /**
+     * GJK intersection test; returns the final simplex of the Minkowski difference, [x0, y0, x1, y1, ... ], which contains the origin
+     * if the shapes intersect, or null if they are separated
+     *
+     * @private
+     */
+    TSMT$Collision.prototype.__gjk = function (a, b) {
+        var ca = this.__center(a);
+        var cb = this.__center(b);
+        var dx = ca[0] - cb[0];
+        var dy = ca[1] - cb[1];
+        if (dx == 0 && dy == 0) {
+            dx = 1;
+        }
+        var p = this.__minkowski(a, b, dx, dy);
+        var simplex = [p[0], p[1]];
+        var ax;
+        var ay;
+        var abx;
+        var aby;
+        var acx;
+        var acy;
+        var px;
+        var py;
+        var i;
+        dx = -p[0];
+        dy = -p[1];
+        for (i = 0; i < this.MAX_ITER; ++i) {
+            // origin at the newest simplex point
+            if (dx == 0 && dy == 0) {
+                return simplex;
+            }
+            p = this.__minkowski(a, b, dx, dy);
+            if (p[0] * dx + p[1] * dy < 0) {
+                return null;
+            }
+            simplex.push(p[0], p[1]);
+            // A is the newest point
+            ax = p[0];
+            ay = p[1];
+            if (simplex.length == 4) {
+                abx = simplex[0] - ax;
+                aby = simplex[1] - ay;
+                // perpendicular to AB, toward the origin
+                px = -aby;
+                py = abx;
+                if (px * (-ax) + py * (-ay) < 0) {
+                    px = -px;
+                    py = -py;
+                }
+                // origin on segment AB
+                if (px * (-ax) + py * (-ay) == 0 && abx * (-ax) + aby * (-ay) >= 0) {
+                    return simplex;
+                }
+                dx = px;
+                dy = py;
+            }
+            else {
+                abx = simplex[2] - ax;
+                aby = simplex[3] - ay;
+                acx = simplex[0] - ax;
+                acy = simplex[1] - ay;
+                // perpendicular to AB, away from C
+                px = -aby;
+                py = abx;
+                if (px * acx + py * acy > 0) {
+                    px = -px;
+                    py = -py;
+                }
+                if (px * (-ax) + py * (-ay) > 0) {
+                    // origin beyond AB; drop C
+                    simplex.splice(0, 2);
+                    dx = px;
+                    dy = py;
+                    continue;
+                }
+                // perpendicular to AC, away from B
+                px = -acy;
+                py = acx;
+                if (px * abx + py * aby > 0) {
+                    px = -px;
+                    py = -py;
+                }
+                if (px * (-ax) + py * (-ay) > 0) {
+                    // origin beyond AC; drop B
+                    simplex.splice(2, 2);
+                    dx = px;
+                    dy = py;
+                    continue;
+                }
+                return simplex;
+            }
+        }
+        return null;
+    };
+    /**
+     * Expanding Polytope Algorithm, starting from a GJK simplex that contains the origin
+     *
+     * @private
+     */
+    TSMT$Collision.prototype.__epa = function (a, b, simplex) {
+        var polytope = this.__triangle(a, b, simplex);
+        var p;
+        var n;
+        var i;
+        var j;
+        var k;
+        var ex;
+        var ey;
+        var len;
+        var d;
+        var best;
+        var nx;
+        var ny;
+        var iter;
+        if (polytope == null) {
+            return this.__touching(a, b, simplex);
+        }
+        // CCW order, so that (ey,-ex) is the outward normal of each edge
+        if ((polytope[2] - polytope[0]) * (polytope[5] - polytope[1]) - (polytope[3] - polytope[1]) * (polytope[4] - polytope[0]) < 0) {
+            polytope.splice(0, 4, polytope[2], polytope[3], polytope[0], polytope[1]);
+        }
+        for (iter = 0; iter < this.EPA_ITER; ++iter) {
+            // edge closest to the origin
+            n = polytope.length / 2;
+            best = Number.POSITIVE_INFINITY;
+            k = 0;
+            nx = 0;
+            ny = 0;
+            for (i = 0; i < n; ++i) {
+                j = (i + 1) % n;
+                ex = polytope[2 * j] - polytope[2 * i];
+                ey = polytope[2 * j + 1] - polytope[2 * i + 1];
+                len = Math.sqrt(ex * ex + ey * ey);
+                if (len == 0) {
+                    continue;
+                }
+                d = (ey * polytope[2 * i] - ex * polytope[2 * i + 1]) / len;
+                if (d < best) {
+                    best = d;
+                    k = i;
+                    nx = ey / len;
+                    ny = -ex / len;
+                }
+            }
+            p = this.__minkowski(a, b, nx, ny);
+            d = p[0] * nx + p[1] * ny;
+            // the support point does not extend the polytope, so the closest edge is on the boundary of A - B
+            if (d - best <= this.EPA_TOL * Math.max(1, Math.abs(d))) {
+                break;
+            }
+            polytope.splice(2 * k + 2, 0, p[0], p[1]);
+        }
+        return this.__contact(Math.max(best, 0), nx, ny);
+    };
+    /**
+     * Triangle of points of A - B that contains the origin, built from a GJK simplex; a degenerate simplex (the origin lies on a segment
+     * of A - B) is extended by the support point on either side of the segment.  Returns null if A - B has no extent on either side, i.e.
+     * the shapes only touch.
+     *
+     * @private
+     */
+    TSMT$Collision.prototype.__triangle = function (a, b, simplex) {
+        if (simplex.length < 4) {
+            return null;
+        }
+        var ax = simplex[0];
+        var ay = simplex[1];
+        var bx = simplex[2];
+        var by = simplex[3];
+        if (simplex.length == 6) {
+            if ((bx - ax) * (simplex[5] - ay) - (by - ay) * (simplex[4] - ax) != 0) {
+                return simplex.slice();
+            }
+            // collinear; keep the two points farthest apart
+            var ab = (bx - ax) * (bx - ax) + (by - ay) * (by - ay);
+            var ac = (simplex[4] - ax) * (simplex[4] - ax) + (simplex[5] - ay) * (simplex[5] - ay);
+            var bc = (simplex[4] - bx) * (simplex[4] - bx) + (simplex[5] - by) * (simplex[5] - by);
+            if (bc > ab && bc >= ac) {
+                ax = simplex[4];
+                ay = simplex[5];
+            }
+            else if (ac > ab) {
+                bx = simplex[4];
+                by = simplex[5];
+            }
+        }
+        var ex = bx - ax;
+        var ey = by - ay;
+        var len = Math.sqrt(ex * ex + ey * ey);
+        if (len == 0) {
+            return null;
+        }
+        var nx = -ey / len;
+        var ny = ex / len;
+        var tol = this.EPA_TOL * Math.max(1, Math.abs(ax), Math.abs(ay), Math.abs(bx), Math.abs(by));
+        var p = this.__minkowski(a, b, nx, ny);
+        if ((p[0] - ax) * nx + (p[1] - ay) * ny > tol) {
+            return [ax, ay, bx, by, p[0], p[1]];
+        }
+        p = this.__minkowski(a, b, -nx, -ny);
+        if ((ax - p[0]) * nx + (ay - p[1]) * ny > tol) {
+            return [ax, ay, bx, by, p[0], p[1]];
+        }
+        return null;
+    };
+    /**
+     * Contact record for shapes that touch; the normal is perpendicular to the final GJK simplex (if it is a segment), otherwise the
+     * direction between the shape centers
+     *
+     * @private
+     */
+    TSMT$Collision.prototype.__touching = function (a, b, simplex) {
+        var ca = this.__center(a);
+        var cb = this.__center(b);
+        var nx = cb[0] - ca[0];
+        var ny = cb[1] - ca[1];
+        if (simplex.length >= 4 && (simplex[0] != simplex[2] || simplex[1] != simplex[3])) {
+            // perpendicular to the segment, pointing from A toward B
+            var px = simplex[3] - simplex[1];
+            var py = simplex[0] - simplex[2];
+            nx = px * nx + py * ny < 0 ? -px : px;
+            ny = px * (cb[0] - ca[0]) + py * (cb[1] - ca[1]) < 0 ? -py : py;
+        }
+        var len = Math.sqrt(nx * nx + ny * ny);
+        return len == 0 ? this.__contact(0, 1, 0) : this.__contact(0, nx / len, ny / len);
+    };
+    return TSMT$Collision;
+}());
+exports.TSMT$Collision = TSMT$Collision;
@@ -0,0 +1,870 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Typescript Math Toolkit: Overlap tests between convex shapes that report how to resolve a penetration.  Contact queries return null
+ * if the shapes are separated, otherwise an Object with properties
+ *
+ * depth  - penetration depth, the length of the shortest translation that separates the shapes (zero if they only touch)
+ * nx, ny - unit contact normal, pointing from the first shape toward the second
+ * dx, dy - minimum translation vector, depth*(nx,ny); translating the second shape by (dx,dy), or the first by (-dx,-dy), leaves the
+ *          shapes touching
+ *
+ * Convex polygons and oriented boxes are tested with the Separating Axis Theorem (SAT), which is exact.  Convex shapes that include
+ * circles are tested with the Gilbert-Johnson-Keerthi (GJK) algorithm, and the penetration of overlapping shapes is computed with the
+ * Expanding Polytope Algorithm (EPA), which converges to within a small tolerance of the exact depth.
+ *
+ * Convex polygons are flat arrays of vertex coordinates, [x0, y0, x1, y1, ... ], in either CW or CCW order, as in TSMT$PolygonUtils.
+ * Circles are Objects with center, 'x' and 'y', and radius, 'r', properties, as in TSMT$Raycast.  Oriented boxes are Objects with
+ * center, 'x' and 'y', 'width', 'height', and rotation 'angle' (in radians, CCW in a y-up coordinate system) properties.  Results are not
+ * meaningful for non-convex polygons.
+ *
+ * Time-of-impact queries sweep a moving shape (or two moving shapes) over a unit time interval, where each shape moves by its velocity
+ * vector, and return null if the shapes do not come into contact, otherwise an Object with properties
+ *
+ * t      - earliest contact time in [0,1]
+ * x, y   - contact point at time t
+ * nx, ny - unit contact normal at time t, pointing from the second (or stationary) shape toward the first (or moving) shape
+ *
+ * Shapes that overlap or touch at the start of the motion are in contact at t = 0 with a normal opposite the relative motion, as with
+ * TSMT$Raycast.  Axis-aligned boxes are Objects (or TSMT$Box instances) with left, top, right, and bottom properties in either y-up or
+ * y-down form.  Tolerances for the time-of-impact queries are taken from an instance of TSMT$Raycast constructed with the options passed
+ * to the constructor.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+import {TSMT$GeomUtils} from './GeomUtils';
+import {TSMT$Raycast  } from './Raycast';
+
+export class TSMT$Collision
+{
+  protected _geomUtils: TSMT$GeomUtils;
+  protected _raycast: TSMT$Raycast;
+
+  protected MAX_ITER: number = 64;               // iteration limit for GJK
+  protected EPA_ITER: number = 256;              // iteration limit for EPA
+  protected EPA_TOL: number  = 0.0000001;        // relative convergence tolerance for EPA depth
+
+  /**
+   * Construct a new TSMT$Collision instance
+   *
+   * @param options: Object Optional tolerances for the time-of-impact queries, in the same form as the TSMT$GeomUtils constructor options
+   * @default null
+   *
+   * @return nothing
+   */
+  constructor(options: Object=null)
+  {
+    this._geomUtils = new TSMT$GeomUtils(options);
+    this._raycast   = new TSMT$Raycast(options);
+  }
+
+  /**
+   * Vertices of an oriented box
+   *
+   * @param x: number x-coordinate of box center
+   *
+   * @param y: number y-coordinate of box center
+   *
+   * @param width: number Box width (extent along its rotated x-axis)
+   *
+   * @param height: number Box height (extent along its rotated y-axis)
+   *
+   * @param angle: number Rotation of the box about its center in radians
+   * @default 0
+   *
+   * @return Array<number> Flat array of the four box vertices in CCW order (y-up), beginning with the corner at (-width/2, -height/2)
+   * in box coordinates
+   */
+   public orientedBox(x: number, y: number, width: number, height: number, angle: number=0): Array<number>
+   {
+     const c: number  = Math.cos(angle);
+     const s: number  = Math.sin(angle);
+     const ux: number = 0.5*width*c;
+     const uy: number = 0.5*width*s;
+     const vx: number = -0.5*height*s;
+     const vy: number = 0.5*height*c;
+
+     return [x - ux - vx, y - uy - vy, x + ux - vx, y + uy - vy, x + ux + vx, y + uy + vy, x - ux + vx, y - uy + vy];
+   }
+
+  /**
+   * Contact between two convex polygons by the Separating Axis Theorem
+   *
+   * @param a: Array<number> Flat array of vertex coordinates of the first polygon, [x0, y0, x1, y1, ... ]
+   *
+   * @param b: Array<number> Flat array of vertex coordinates of the second polygon
+   *
+   * @return Object Contact (see class description), or null if the polygons are separated.  Every edge normal of both polygons is
+   * tested, so the result is exact.  Null is returned if either polygon has fewer than three vertices.
+   */
+   public polygonContact(a: Array<number>, b: Array<number>): Object
+   {
+     if (a.length < 6 || b.length < 6) {
+       return null;
+     }
+
+     return this.__sat(a, b, this.__edgeNormals(a).concat( this.__edgeNormals(b) ));
+   }
+
+  /**
+   * Contact between two oriented boxes by the Separating Axis Theorem
+   *
+   * @param a: Object First box, with 'x', 'y', 'width', 'height', and 'angle' properties
+   *
+   * @param b: Object Second box, with 'x', 'y', 'width', 'height', and 'angle' properties
+   *
+   * @return Object Contact (see class description), or null if the boxes are separated.  Only the two axes of each box are tested.
+   */
+   public orientedBoxContact(a: Object, b: Object): Object
+   {
+     const angleA: number = a['angle'] || 0;
+     const angleB: number = b['angle'] || 0;
+
+     const axes: Array<number> = [ Math.cos(angleA), Math.sin(angleA), -Math.sin(angleA), Math.cos(angleA),
+                                   Math.cos(angleB), Math.sin(angleB), -Math.sin(angleB), Math.cos(angleB) ];
+
+     return this.__sat( this.orientedBox(a['x'], a['y'], a['width'], a['height'], angleA),
+                        this.orientedBox(b['x'], b['y'], b['width'], b['height'], angleB),
+                        axes );
+   }
+
+  /**
+   * Do two convex shapes intersect (GJK)?
+   *
+   * @param a: Object First shape, either a convex polygon (flat coordinate array) or a circle ('x', 'y', and 'r' properties)
+   *
+   * @param b: Object Second shape, either a convex polygon or a circle
+   *
+   * @return boolean True if the shapes overlap or touch.  Shapes that are within roundoff of touching may be reported either way.
+   */
+   public convexIntersect(a: Object, b: Object): boolean
+   {
+     return this.__gjk(a, b) != null;
+   }
+
+  /**
+   * Contact between two convex shapes (GJK, followed by EPA for overlapping shapes)
+   *
+   * @param a: Object First shape, either a convex polygon (flat coordinate array) or a circle ('x', 'y', and 'r' properties)
+   *
+   * @param b: Object Second shape, either a convex polygon or a circle
+   *
+   * @return Object Contact (see class description), or null if the shapes are separated.  The depth is exact for two polygons and
+   * converges to within a small relative tolerance for shapes with circles, in which case the normal is accurate to about 1.0e-3.
+   */
+   public convexContact(a: Object, b: Object): Object
+   {
+     const simplex: Array<number> = this.__gjk(a, b);
+     if (simplex == null) {
+       return null;
+     }
+
+     return this.__epa(a, b, simplex);
+   }
+
+  /**
+   * Time of impact of a moving point with a line segment
+   *
+   * @param px: number Initial x-coordinate of the point
+   *
+   * @param py: number Initial y-coordinate of the point
+   *
+   * @param vx: number x-component of point velocity (displacement over the unit time interval)
+   *
+   * @param vy: number y-component of point velocity
+   *
+   * @param x1: number x-coordinate of initial point of segment
+   *
+   * @param y1: number y-coordinate of initial point of segment
+   *
+   * @param x2: number x-coordinate of terminal point of segment
+   *
+   * @param y2: number y-coordinate of terminal point of segment
+   *
+   * @return Object Impact (see class description), or null if the point does not reach the segment or its velocity is zero.  The
+   * normal faces back toward the initial point.
+   */
+   public pointSegmentImpact(px: number, py: number, vx: number, vy: number, x1: number, y1: number, x2: number, y2: number): Object
+   {
+     const len: number = Math.sqrt(vx*vx + vy*vy);
+     const hit: Object = this._raycast.castSegments(px, py, vx, vy, [x1, y1, x2, y2], len);
+
+     return hit == null ? null : this.__impact(hit['distance']/len, hit['x'], hit['y'], hit['nx'], hit['ny']);
+   }
+
+  /**
+   * Time of impact of a moving circle with a line segment
+   *
+   * @param circle: Object Circle at the start of the motion, with center, 'x' and 'y', and radius, 'r', properties
+   *
+   * @param vx: number x-component of circle velocity (displacement over the unit time interval)
+   *
+   * @param vy: number y-component of circle velocity
+   *
+   * @param x1: number x-coordinate of initial point of segment
+   *
+   * @param y1: number y-coordinate of initial point of segment
+   *
+   * @param x2: number x-coordinate of terminal point of segment
+   *
+   * @param y2: number y-coordinate of terminal point of segment
+   *
+   * @return Object Impact (see class description), or null if the circle does not reach the segment or its velocity is zero.  The
+   * contact point is the point on the segment nearest the circle center at the time of impact.
+   */
+   public circleSegmentImpact(circle: Object, vx: number, vy: number, x1: number, y1: number, x2: number, y2: number): Object
+   {
+     const cx: number  = circle['x'];
+     const cy: number  = circle['y'];
+     const r: number   = circle['r'];
+     const len: number = Math.sqrt(vx*vx + vy*vy);
+
+     if (len == 0) {
+       return null;
+     }
+
+     let t: number  = 0;
+     let nx: number = -vx/len;
+     let ny: number = -vy/len;
+
+     if (this._geomUtils.pointToSegmentDistance(x1, y1, x2, y2, cx, cy) > r)
+     {
+       // the center path against the capsule of points within r of the segment; two sides and two end caps
+       const ex: number          = x2 - x1;
+       const ey: number          = y2 - y1;
+       const el: number          = Math.sqrt(ex*ex + ey*ey);
+       const caps: Array<Object> = [ {x: x1, y: y1, r: r}, {x: x2, y: y2, r: r} ];
+
+       let hit: Object = this._raycast.castCircles(cx, cy, vx, vy, caps, len);
+       let side: Object;
+
+       if (el > 0)
+       {
+         const ox: number = -r*ey/el;
+         const oy: number = r*ex/el;
+
+         side = this._raycast.castSegments(cx, cy, vx, vy, [x1+ox, y1+oy, x2+ox, y2+oy, x1-ox, y1-oy, x2-ox, y2-oy], len);
+         if (side != null && (hit == null || side['distance'] < hit['distance'])) {
+           hit = side;
+         }
+       }
+
+       if (hit == null) {
+         return null;
+       }
+
+       t  = hit['distance']/len;
+       nx = hit['nx'];
+       ny = hit['ny'];
+     }
+
+     // contact point nearest the center at the time of impact
+     const q: Array<number> = this.__closestOnSegment(x1, y1, x2, y2, cx + t*vx, cy + t*vy);
+
+     return this.__impact(t, q[0], q[1], nx, ny);
+   }
+
+  /**
+   * Time of impact of two moving circles
+   *
+   * @param a: Object First circle at the start of the motion, with center, 'x' and 'y', and radius, 'r', properties
+   *
+   * @param vax: number x-component of the first circle's velocity (displacement over the unit time interval)
+   *
+   * @param vay: number y-component of the first circle's velocity
+   *
+   * @param b: Object Second circle at the start of the motion
+   *
+   * @param vbx: number x-component of the second circle's velocity
+   * @default 0
+   *
+   * @param vby: number y-component of the second circle's velocity
+   * @default 0
+   *
+   * @return Object Impact (see class description), or null if the circles do not come into contact or their relative velocity is zero.
+   * The contact point is on the boundary of the second circle in the direction of the normal.
+   */
+   public circleCircleImpact(a: Object, vax: number, vay: number, b: Object, vbx: number=0, vby: number=0): Object
+   {
+     const vx: number  = vax - vbx;
+     const vy: number  = vay - vby;
+     const len: number = Math.sqrt(vx*vx + vy*vy);
+
+     // the center of the first circle, relative to the second, against a circle whose radius is the sum of the radii
+     const hit: Object = this._raycast.castCircles(a['x'], a['y'], vx, vy, [ {x: b['x'], y: b['y'], r: a['r'] + b['r']} ], len);
+     if (hit == null) {
+       return null;
+     }
+
+     const t: number = hit['distance']/len;
+
+     return this.__impact( t, b['x'] + t*vbx + b['r']*hit['nx'], b['y'] + t*vby + b['r']*hit['ny'], hit['nx'], hit['ny'] );
+   }
+
+  /**
+   * Time of impact of two moving axis-aligned boxes (swept AABB)
+   *
+   * @param a: Object First box at the start of the motion, with left, top, right, and bottom properties
+   *
+   * @param vax: number x-component of the first box's velocity (displacement over the unit time interval)
+   *
+   * @param vay: number y-component of the first box's velocity
+   *
+   * @param b: Object Second box at the start of the motion
+   *
+   * @param vbx: number x-component of the second box's velocity
+   * @default 0
+   *
+   * @param vby: number y-component of the second box's velocity
+   * @default 0
+   *
+   * @return Object Impact (see class description), or null if the boxes do not come into contact or their relative velocity is zero.
+   * The normal is the outward normal of the side of the second box that is hit (a corner-to-corner hit reports the normal of the vertical
+   * side), and the contact point is the center of the overlap of the two boxes at the time of impact, i.e. the middle of the touching
+   * sides.
+   */
+   public boxImpact(a: Object, vax: number, vay: number, b: Object, vbx: number=0, vby: number=0): Object
+   {
+     const vx: number        = vax - vbx;
+     const vy: number        = vay - vby;
+     const len: number       = Math.sqrt(vx*vx + vy*vy);
+     const ax: Array<number> = [ Math.min(+a['left'], +a['right']), Math.max(+a['left'], +a['right']) ];
+     const ay: Array<number> = [ Math.min(+a['top'], +a['bottom']), Math.max(+a['top'], +a['bottom']) ];
+     const bx: Array<number> = [ Math.min(+b['left'], +b['right']), Math.max(+b['left'], +b['right']) ];
+     const by: Array<number> = [ Math.min(+b['top'], +b['bottom']), Math.max(+b['top'], +b['bottom']) ];
+     const hw: number        = 0.5*(ax[1] - ax[0]);
+     const hh: number        = 0.5*(ay[1] - ay[0]);
+
+     // the center of the first box, relative to the second, against the second box expanded by the half-extents of the first
+     const expanded: Object = {left: bx[0] - hw, top: by[1] + hh, right: bx[1] + hw, bottom: by[0] - hh};
+     const hit: Object      = this._raycast.castBoxes(ax[0] + hw, ay[0] + hh, vx, vy, [expanded], len);
+
+     if (hit == null) {
+       return null;
+     }
+
+     const t: number = hit['distance']/len;
+
+     // overlap of the two boxes at the time of impact
+     const left: number   = Math.max(ax[0] + t*vax, bx[0] + t*vbx);
+     const right: number  = Math.min(ax[1] + t*vax, bx[1] + t*vbx);
+     const bottom: number = Math.max(ay[0] + t*vay, by[0] + t*vby);
+     const top: number    = Math.min(ay[1] + t*vay, by[1] + t*vby);
+
+     return this.__impact(t, 0.5*(left + right), 0.5*(bottom + top), hit['nx'], hit['ny']);
+   }
+
+  /**
+   * Unit normals of the edges of a polygon as a flat array, [nx0, ny0, nx1, ny1, ... ], skipping edges of zero length
+   *
+   * @private
+   */
+   protected __edgeNormals(coords: Array<number>): Array<number>
+   {
+     const n: number              = coords.length;
+     const normals: Array<number> = new Array<number>();
+     let ex: number;
+     let ey: number;
+     let len: number;
+     let i: number;
+
+     for (i = 0; i < n; i += 2)
+     {
+       ex  = coords[(i+2) % n] - coords[i];
+       ey  = coords[(i+3) % n] - coords[i+1];
+       len = Math.sqrt(ex*ex + ey*ey);
+
+       if (len > 0) {
+         normals.push(ey/len, -ex/len);
+       }
+     }
+
+     return normals;
+   }
+
+  /**
+   * Separating Axis Theorem test of two convex polygons on a collection of unit axes, [nx0, ny0, nx1, ny1, ... ].  On each axis, the
+   * second polygon may be pushed in either direction, so the contact normal is the axis direction with the smallest overlap.
+   *
+   * @private
+   */
+   protected __sat(a: Array<number>, b: Array<number>, axes: Array<number>): Object
+   {
+     let depth: number = Number.POSITIVE_INFINITY;
+     let nx: number    = 0;
+     let ny: number    = 0;
+     let pa: Array<number>;
+     let pb: Array<number>;
+     let forward: number;
+     let backward: number;
+     let i: number;
+
+     for (i = 0; i < axes.length; i += 2)
+     {
+       pa = this.__project(a, axes[i], axes[i+1]);
+       pb = this.__project(b, axes[i], axes[i+1]);
+
+       // overlap if b is pushed along +axis and along -axis
+       forward  = pa[1] - pb[0];
+       backward = pb[1] - pa[0];
+
+       if (forward < 0 || backward < 0) {
+         return null;
+       }
+
+       if (forward < depth)
+       {
+         depth = forward;
+         nx    = axes[i];
+         ny    = axes[i+1];
+       }
+
+       if (backward < depth)
+       {
+         depth = backward;
+         nx    = -axes[i];
+         ny    = -axes[i+1];
+       }
+     }
+
+     return this.__contact(depth, nx, ny);
+   }
+
+  /**
+   * Interval, [min, max], of the projection of a polygon onto a unit axis
+   *
+   * @private
+   */
+   protected __project(coords: Array<number>, nx: number, ny: number): Array<number>
+   {
+     let min: number = Number.POSITIVE_INFINITY;
+     let max: number = Number.NEGATIVE_INFINITY;
+     let p: number;
+     let i: number;
+
+     for (i = 0; i < coords.length; i += 2)
+     {
+       p   = coords[i]*nx + coords[i+1]*ny;
+       min = Math.min(min, p);
+       max = Math.max(max, p);
+     }
+
+     return [min, max];
+   }
+
+  /**
+   * Contact record for a depth and unit normal
+   *
+   * @private
+   */
+   protected __contact(depth: number, nx: number, ny: number): Object
+   {
+     // adding zero removes negative zero from the normal
+     return {depth: depth, nx: nx + 0, ny: ny + 0, dx: depth*nx + 0, dy: depth*ny + 0};
+   }
+
+  /**
+   * Impact record; the time is clamped to [0,1] against roundoff
+   *
+   * @private
+   */
+   protected __impact(t: number, x: number, y: number, nx: number, ny: number): Object
+   {
+     return {t: Math.max(0, Math.min(1, t)), x: x, y: y, nx: nx + 0, ny: ny + 0};
+   }
+
+  /**
+   * Point on a segment nearest (px,py)
+   *
+   * @private
+   */
+   protected __closestOnSegment(x1: number, y1: number, x2: number, y2: number, px: number, py: number): Array<number>
+   {
+     const ex: number = x2 - x1;
+     const ey: number = y2 - y1;
+     const e2: number = ex*ex + ey*ey;
+     const t: number  = e2 == 0 ? 0 : Math.max(0, Math.min(1, ((px - x1)*ex + (py - y1)*ey)/e2));
+
+     return [x1 + t*ex, y1 + t*ey];
+   }
+
+  /**
+   * Point of a shape farthest in the direction (dx,dy)
+   *
+   * @private
+   */
+   protected __support(shape: Object, dx: number, dy: number): Array<number>
+   {
+     if (shape instanceof Array)
+     {
+       const coords: Array<number> = <Array<number>> shape;
+       let best: number            = 0;
+       let max: number             = Number.NEGATIVE_INFINITY;
+       let p: number;
+       let i: number;
+
+       for (i = 0; i < coords.length; i += 2)
+       {
+         p = coords[i]*dx + coords[i+1]*dy;
+         if (p > max)
+         {
+           max  = p;
+           best = i;
+         }
+       }
+
+       return [coords[best], coords[best+1]];
+     }
+
+     const len: number = Math.sqrt(dx*dx + dy*dy);
+     const r: number   = len > 0 ? shape['r']/len : 0;
+
+     return [shape['x'] + r*dx, shape['y'] + r*dy];
+   }
+
+  /**
+   * Point of the Minkowski difference, A - B, farthest in the direction (dx,dy)
+   *
+   * @private
+   */
+   protected __minkowski(a: Object, b: Object, dx: number, dy: number): Array<number>
+   {
+     const pa: Array<number> = this.__support(a, dx, dy);
+     const pb: Array<number> = this.__support(b, -dx, -dy);
+
+     return [pa[0] - pb[0], pa[1] - pb[1]];
+   }
+
+  /**
+   * A point interior to a shape (vertex average or circle center)
+   *
+   * @private
+   */
+   protected __center(shape: Object): Array<number>
+   {
+     if (shape instanceof Array)
+     {
+       const coords: Array<number> = <Array<number>> shape;
+       const n: number             = Math.floor(coords.length/2);
+       let x: number               = 0;
+       let y: number               = 0;
+       let i: number;
+
+       for (i = 0; i < n; ++i)
+       {
+         x += coords[2*i];
+         y += coords[2*i+1];
+       }
+
+       return n > 0 ? [x/n, y/n] : [0, 0];
+     }
+
+     return [shape['x'], shape['y']];
+   }
+
+  /**
+   * GJK intersection test; returns the final simplex of the Minkowski difference, [x0, y0, x1, y1, ... ], which contains the origin
+   * if the shapes intersect, or null if they are separated
+   *
+   * @private
+   */
+   protected __gjk(a: Object, b: Object): Array<number>
+   {
+     const ca: Array<number> = this.__center(a);
+     const cb: Array<number> = this.__center(b);
+     let dx: number          = ca[0] - cb[0];
+     let dy: number          = ca[1] - cb[1];
+
+     if (dx == 0 && dy == 0) {
+       dx = 1;
+     }
+
+     let p: Array<number>         = this.__minkowski(a, b, dx, dy);
+     const simplex: Array<number> = [p[0], p[1]];
+     let ax: number;
+     let ay: number;
+     let abx: number;
+     let aby: number;
+     let acx: number;
+     let acy: number;
+     let px: number;
+     let py: number;
+     let i: number;
+
+     dx = -p[0];
+     dy = -p[1];
+
+     for (i = 0; i < this.MAX_ITER; ++i)
+     {
+       // origin at the newest simplex point
+       if (dx == 0 && dy == 0) {
+         return simplex;
+       }
+
+       p = this.__minkowski(a, b, dx, dy);
+       if (p[0]*dx + p[1]*dy < 0) {
+         return null;
+       }
+
+       simplex.push(p[0], p[1]);
+
+       // A is the newest point
+       ax = p[0];
+       ay = p[1];
+
+       if (simplex.length == 4)
+       {
+         abx = simplex[0] - ax;
+         aby = simplex[1] - ay;
+
+         // perpendicular to AB, toward the origin
+         px = -aby;
+         py = abx;
+         if (px*(-ax) + py*(-ay) < 0)
+         {
+           px = -px;
+           py = -py;
+         }
+
+         // origin on segment AB
+         if (px*(-ax) + py*(-ay) == 0 && abx*(-ax) + aby*(-ay) >= 0) {
+           return simplex;
+         }
+
+         dx = px;
+         dy = py;
+       }
+       else
+       {
+         abx = simplex[2] - ax;
+         aby = simplex[3] - ay;
+         acx = simplex[0] - ax;
+         acy = simplex[1] - ay;
+
+         // perpendicular to AB, away from C
+         px = -aby;
+         py = abx;
+         if (px*acx + py*acy > 0)
+         {
+           px = -px;
+           py = -py;
+         }
+
+         if (px*(-ax) + py*(-ay) > 0)
+         {
+           // origin beyond AB; drop C
+           simplex.splice(0, 2);
+           dx = px;
+           dy = py;
+           continue;
+         }
+
+         // perpendicular to AC, away from B
+         px = -acy;
+         py = acx;
+         if (px*abx + py*aby > 0)
+         {
+           px = -px;
+           py = -py;
+         }
+
+         if (px*(-ax) + py*(-ay) > 0)
+         {
+           // origin beyond AC; drop B
+           simplex.splice(2, 2);
+           dx = px;
+           dy = py;
+           continue;
+         }
+
+         return simplex;
+       }
+     }
+
+     return null;
+   }
+
+  /**
+   * Expanding Polytope Algorithm, starting from a GJK simplex that contains the origin
+   *
+   * @private
+   */
+   protected __epa(a: Object, b: Object, simplex: Array<number>): Object
+   {
+     const polytope: Array<number> = this.__triangle(a, b, simplex);
+     let p: Array<number>;
+     let n: number;
+     let i: number;
+     let j: number;
+     let k: number;
+     let ex: number;
+     let ey: number;
+     let len: number;
+     let d: number;
+     let best: number;
+     let nx: number;
+     let ny: number;
+     let iter: number;
+
+     if (polytope == null) {
+       return this.__touching(a, b, simplex);
+     }
+
+     // CCW order, so that (ey,-ex) is the outward normal of each edge
+     if ((polytope[2] - polytope[0])*(polytope[5] - polytope[1]) - (polytope[3] - polytope[1])*(polytope[4] - polytope[0]) < 0) {
+       polytope.splice(0, 4, polytope[2], polytope[3], polytope[0], polytope[1]);
+     }
+
+     for (iter = 0; iter < this.EPA_ITER; ++iter)
+     {
+       // edge closest to the origin
+       n    = polytope.length/2;
+       best = Number.POSITIVE_INFINITY;
+       k    = 0;
+       nx   = 0;
+       ny   = 0;
+
+       for (i = 0; i < n; ++i)
+       {
+         j   = (i+1) % n;
+         ex  = polytope[2*j] - polytope[2*i];
+         ey  = polytope[2*j+1] - polytope[2*i+1];
+         len = Math.sqrt(ex*ex + ey*ey);
+
+         if (len == 0) {
+           continue;
+         }
+
+         d = (ey*polytope[2*i] - ex*polytope[2*i+1])/len;
+         if (d < best)
+         {
+           best = d;
+           k    = i;
+           nx   = ey/len;
+           ny   = -ex/len;
+         }
+       }
+
+       p = this.__minkowski(a, b, nx, ny);
+       d = p[0]*nx + p[1]*ny;
+
+       // the support point does not extend the polytope, so the closest edge is on the boundary of A - B
+       if (d - best <= this.EPA_TOL*Math.max(1, Math.abs(d))) {
+         break;
+       }
+
+       polytope.splice(2*k+2, 0, p[0], p[1]);
+     }
+
+     return this.__contact(Math.max(best, 0), nx, ny);
+   }
+
+  /**
+   * Triangle of points of A - B that contains the origin, built from a GJK simplex; a degenerate simplex (the origin lies on a segment
+   * of A - B) is extended by the support point on either side of the segment.  Returns null if A - B has no extent on either side, i.e.
+   * the shapes only touch.
+   *
+   * @private
+   */
+   protected __triangle(a: Object, b: Object, simplex: Array<number>): Array<number>
+   {
+     if (simplex.length < 4) {
+       return null;
+     }
+
+     let ax: number = simplex[0];
+     let ay: number = simplex[1];
+     let bx: number = simplex[2];
+     let by: number = simplex[3];
+
+     if (simplex.length == 6)
+     {
+       if ((bx - ax)*(simplex[5] - ay) - (by - ay)*(simplex[4] - ax) != 0) {
+         return simplex.slice();
+       }
+
+       // collinear; keep the two points farthest apart
+       const ab: number = (bx - ax)*(bx - ax) + (by - ay)*(by - ay);
+       const ac: number = (simplex[4] - ax)*(simplex[4] - ax) + (simplex[5] - ay)*(simplex[5] - ay);
+       const bc: number = (simplex[4] - bx)*(simplex[4] - bx) + (simplex[5] - by)*(simplex[5] - by);
+
+       if (bc > ab && bc >= ac)
+       {
+         ax = simplex[4];
+         ay = simplex[5];
+       }
+       else if (ac > ab)
+       {
+         bx = simplex[4];
+         by = simplex[5];
+       }
+     }
+
+     const ex: number  = bx - ax;
+     const ey: number  = by - ay;
+     const len: number = Math.sqrt(ex*ex + ey*ey);
+     if (len == 0) {
+       return null;
+     }
+
+     const nx: number  = -ey/len;
+     const ny: number  = ex/len;
+     const tol: number = this.EPA_TOL*Math.max(1, Math.abs(ax), Math.abs(ay), Math.abs(bx), Math.abs(by));
+
+     let p: Array<number> = this.__minkowski(a, b, nx, ny);
+     if ((p[0] - ax)*nx + (p[1] - ay)*ny > tol) {
+       return [ax, ay, bx, by, p[0], p[1]];
+     }
+
+     p = this.__minkowski(a, b, -nx, -ny);
+     if ((ax - p[0])*nx + (ay - p[1])*ny > tol) {
+       return [ax, ay, bx, by, p[0], p[1]];
+     }
+
+     return null;
+   }
+
+  /**
+   * Contact record for shapes that touch; the normal is perpendicular to the final GJK simplex (if it is a segment), otherwise the
+   * direction between the shape centers
+   *
+   * @private
+   */
+   protected __touching(a: Object, b: Object, simplex: Array<number>): Object
+   {
+     const ca: Array<number> = this.__center(a);
+     const cb: Array<number> = this.__center(b);
+     let nx: number          = cb[0] - ca[0];
+     let ny: number          = cb[1] - ca[1];
+
+     if (simplex.length >= 4 && (simplex[0] != simplex[2] || simplex[1] != simplex[3]))
+     {
+       // perpendicular to the segment, pointing from A toward B
+       const px: number = simplex[3] - simplex[1];
+       const py: number = simplex[0] - simplex[2];
+
+       nx = px*nx + py*ny < 0 ? -px : px;
+       ny = px*(cb[0] - ca[0]) + py*(cb[1] - ca[1]) < 0 ? -py : py;
+     }
+
+     const len: number = Math.sqrt(nx*nx + ny*ny);
+
+     return len == 0 ? this.__contact(0, 1, 0) : this.__contact(0, nx/len, ny/len);
+   }
+}
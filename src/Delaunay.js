@@ -0,0 +1,508 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+/**
+ * Typescript Math Toolkit: Delaunay triangulation of a point cloud and its dual, the Voronoi diagram.  Points are supplied in
+ * parallel x- and y-coordinate arrays, as in TSMT$GeomUtils.closestPoints() and convexHull(), and results are reported as indices
+ * into those arrays.
+ *
+ * The triangulation is computed by Bowyer-Watson incremental insertion.  The region outside the convex hull is covered by 'ghost'
+ * triangles that share a single vertex at infinity, so no enclosing super-triangle is required and hull edges are never lost to
+ * roundoff.  Points are inserted in a pseudo-random (but repeatable) order and each insertion point is located by walking from the
+ * most recently created triangle.  Orientation and incircle tests use the exact predicates in TSMT$Predicates, so degenerate inputs
+ * (collinear and cocircular points) are handled consistently at any coordinate scale.
+ *
+ * Voronoi cells are computed by clipping a bounding box against the perpendicular bisectors between each point and its Delaunay
+ * neighbors, so every cell is a closed, convex polygon.  The box uses the same left/top/right/bottom convention as
+ * TSMT$GeomUtils.insideBox() and may be in y-up or y-down coordinates.
+ *
+ * Note that this class is intended for performance-critical environments, so error checking is at a minimum.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+var Predicates_1 = require('./Predicates');
+var TSMT$Delaunay = (function () {
+    /**
+     * Construct a new TSMT$Delaunay instance
+     *
+     * @return nothing
+     */
+    function TSMT$Delaunay() {
+        this._predicates = new Predicates_1.TSMT$Predicates();
+        this._x = new Array();
+        this._y = new Array();
+        this._ghost = 0;
+        this._v = new Array();
+        this._nb = new Array();
+        this._dead = new Array();
+        this._tested = new Array();
+        this._cavity = new Array();
+        this._last = 0;
+    }
+    /**
+     * Compute the Delaunay triangulation of a point cloud
+     *
+     * @param xcoord : Array - Array of x-coordinates (point count is taken from the length of this array)
+     *
+     * @param ycoord : Array - Array of y-coordinates
+     *
+     * @return Array - Flat array of index triples into the input coordinate arrays, one triple per triangle, with each triangle in CCW
+     * order (y-up).  Duplicate points are triangulated only once (the first occurrence in the input).  The return array is empty if
+     * there are fewer than three distinct points or if all points are collinear.  When four or more points are cocircular, any of the
+     * valid Delaunay triangulations may be returned.
+     */
+    TSMT$Delaunay.prototype.triangulate = function (_xcoord, _ycoord) {
+        var triangles = new Array();
+        if (this.__build(_xcoord, _ycoord)) {
+            var n = this._dead.length;
+            var t = void 0;
+            for (t = 0; t < n; ++t) {
+                if (!this._dead[t] && !this.__isGhost(t)) {
+                    triangles.push(this._v[3 * t], this._v[3 * t + 1], this._v[3 * t + 2]);
+                }
+            }
+        }
+        this.__clear();
+        return triangles;
+    };
+    /**
+     * Compute the Delaunay neighbors of each point in a point cloud, i.e. the natural-neighbor graph that is often used for proximity
+     * queries and pathfinding
+     *
+     * @param xcoord : Array - Array of x-coordinates (point count is taken from the length of this array)
+     *
+     * @param ycoord : Array - Array of y-coordinates
+     *
+     * @return Array - Array of neighbor-index arrays (in ascending order), one for each input point.  If all points are collinear, each
+     * point is connected to its immediate neighbors along the line.  A duplicate point has no neighbors (the first occurrence is used).
+     */
+    TSMT$Delaunay.prototype.neighbors = function (_xcoord, _ycoord) {
+        var n = _xcoord.length;
+        var first = this.__unique(_xcoord, _ycoord);
+        var triangles = this.triangulate(_xcoord, _ycoord);
+        var adjacent = new Array();
+        var result = new Array();
+        var i;
+        var a;
+        var b;
+        for (i = 0; i < n; ++i) {
+            adjacent.push({});
+        }
+        if (triangles.length > 0) {
+            for (i = 0; i < triangles.length; ++i) {
+                a = triangles[i];
+                b = triangles[i % 3 == 2 ? i - 2 : i + 1];
+                adjacent[a][b] = true;
+                adjacent[b][a] = true;
+            }
+        }
+        else {
+            // collinear (or fewer than three distinct) points; lexicographic order is order along the line
+            var order = new Array();
+            for (i = 0; i < n; ++i) {
+                if (first[i] == i) {
+                    order.push(i);
+                }
+            }
+            order.sort(function (p, q) { return _xcoord[p] != _xcoord[q] ? _xcoord[p] - _xcoord[q] : _ycoord[p] - _ycoord[q]; });
+            for (i = 1; i < order.length; ++i) {
+                adjacent[order[i - 1]][order[i]] = true;
+                adjacent[order[i]][order[i - 1]] = true;
+            }
+        }
+        var key;
+        var list;
+        for (i = 0; i < n; ++i) {
+            list = new Array();
+            for (key in adjacent[i]) {
+                list.push(+key);
+            }
+            list.sort(function (p, q) { return p - q; });
+            result.push(list);
+        }
+        return result;
+    };
+    /**
+     * Compute the Voronoi diagram of a point cloud, clipped to a rectangle
+     *
+     * @param xcoord : Array - Array of x-coordinates (point count is taken from the length of this array)
+     *
+     * @param ycoord : Array - Array of y-coordinates
+     *
+     * @param left: number x-coordinate of upper, left-hand corner of bounding box
+     *
+     * @param top: number y-coordinate of upper, left-hand corner of bounding box
+     *
+     * @param right: number x-coordinate of lower, right-hand corner of bounding box
+     *
+     * @param bottom: number y-coordinate of lower, right-hand corner of bounding box
+     *
+     * @return Array - Array of Voronoi cells, one for each input point.  Each cell is a flat array of vertex coordinates, [x0, y0, x1, y1, ... ],
+     * of a convex polygon in CCW order (y-up).  A cell that lies entirely outside the box is empty.  Duplicate points share the cell
+     * of the first occurrence.
+     */
+    TSMT$Delaunay.prototype.voronoi = function (_xcoord, _ycoord, left, top, right, bottom) {
+        var n = _xcoord.length;
+        var ymin = Math.min(top, bottom);
+        var ymax = Math.max(top, bottom);
+        var first = this.__unique(_xcoord, _ycoord);
+        var adjacent = this.neighbors(_xcoord, _ycoord);
+        var cells = new Array();
+        var i;
+        var j;
+        var cell;
+        for (i = 0; i < n; ++i) {
+            if (first[i] != i) {
+                cells.push(cells[first[i]].slice());
+                continue;
+            }
+            cell = [left, ymin, right, ymin, right, ymax, left, ymax];
+            for (j = 0; j < adjacent[i].length && cell.length > 0; ++j) {
+                cell = this.__clipBisector(cell, _xcoord[i], _ycoord[i], _xcoord[adjacent[i][j]], _ycoord[adjacent[i][j]]);
+            }
+            cells.push(cell);
+        }
+        return cells;
+    };
+    /**
+     * Index of the first occurrence of each point in the input
+     *
+     * @private
+     */
+    TSMT$Delaunay.prototype.__unique = function (_xcoord, _ycoord) {
+        var n = _xcoord.length;
+        var first = new Array(n);
+        var found = {};
+        var i;
+        var key;
+        for (i = 0; i < n; ++i) {
+            key = _xcoord[i] + ',' + _ycoord[i];
+            if (found[key] === undefined) {
+                found[key] = i;
+            }
+            first[i] = found[key];
+        }
+        return first;
+    };
+    /**
+     * Build the triangulation (including ghost triangles); returns false if there are fewer than three non-collinear points
+     *
+     * @private
+     */
+    TSMT$Delaunay.prototype.__build = function (_xcoord, _ycoord) {
+        this.__clear();
+        var n = _xcoord.length;
+        if (n < 3 || _ycoord.length != n) {
+            return false;
+        }
+        var first = this.__unique(_xcoord, _ycoord);
+        var order = new Array();
+        var i;
+        var j;
+        var tmp;
+        for (i = 0; i < n; ++i) {
+            this._x.push(_xcoord[i]);
+            this._y.push(_ycoord[i]);
+            if (first[i] == i) {
+                order.push(i);
+            }
+        }
+        this._ghost = n;
+        // repeatable pseudo-random insertion order
+        var seed = 1;
+        for (i = order.length - 1; i > 0; --i) {
+            seed = (seed * 16807) % 2147483647;
+            j = seed % (i + 1);
+            tmp = order[i];
+            order[i] = order[j];
+            order[j] = tmp;
+        }
+        // initial triangle from the first point and the first non-collinear pair that follows
+        var c = -1;
+        for (i = 2; i < order.length; ++i) {
+            if (this.__orient(order[0], order[1], order[i]) != 0) {
+                c = i;
+                break;
+            }
+        }
+        if (c == -1) {
+            return false;
+        }
+        tmp = order[2];
+        order[2] = order[c];
+        order[c] = tmp;
+        this.__initialize(order[0], order[1], order[2]);
+        for (i = 3; i < order.length; ++i) {
+            this.__insert(order[i], i);
+        }
+        return true;
+    };
+    /**
+     * Create the first triangle and the three ghost triangles that surround it
+     *
+     * @private
+     */
+    TSMT$Delaunay.prototype.__initialize = function (a, b, c) {
+        if (this.__orient(a, b, c) < 0) {
+            var tmp = b;
+            b = c;
+            c = tmp;
+        }
+        var g = this._ghost;
+        // triangle 0 is (a,b,c); ghost triangles 1-3 lie across edges ab, bc, ca
+        this.__addTriangle(a, b, c);
+        this.__addTriangle(b, a, g);
+        this.__addTriangle(c, b, g);
+        this.__addTriangle(a, c, g);
+        this._nb.splice(0, 12, 1, 2, 3, 0, 3, 2, 0, 1, 3, 0, 2, 1);
+        this._last = 0;
+    };
+    /**
+     * Insert a point with the Bowyer-Watson algorithm
+     *
+     * @private
+     */
+    TSMT$Delaunay.prototype.__insert = function (p, stamp) {
+        var start = this.__locate(p);
+        // collect the cavity of triangles whose circumcircles contain the point
+        var cavity = [start];
+        var stack = [start];
+        var t;
+        var k;
+        var nb;
+        this._tested[start] = stamp;
+        this._cavity[start] = stamp;
+        while (stack.length > 0) {
+            t = stack.pop();
+            for (k = 0; k < 3; ++k) {
+                nb = this._nb[3 * t + k];
+                if (this._tested[nb] == stamp) {
+                    continue;
+                }
+                this._tested[nb] = stamp;
+                if (this.__conflict(nb, p)) {
+                    this._cavity[nb] = stamp;
+                    cavity.push(nb);
+                    stack.push(nb);
+                }
+            }
+        }
+        // triangulate the cavity boundary to the new point
+        var byFirst = {};
+        var bySecond = {};
+        var created = new Array();
+        var a;
+        var b;
+        var i;
+        var tri;
+        for (i = 0; i < cavity.length; ++i) {
+            t = cavity[i];
+            for (k = 0; k < 3; ++k) {
+                nb = this._nb[3 * t + k];
+                if (this._cavity[nb] == stamp) {
+                    continue;
+                }
+                a = this._v[3 * t + k];
+                b = this._v[3 * t + (k + 1) % 3];
+                tri = this.__addTriangle(a, b, p);
+                this._nb[3 * tri] = nb;
+                this._nb[3 * nb + this.__edgeTo(nb, t)] = tri;
+                byFirst[a] = tri;
+                bySecond[b] = tri;
+                created.push(tri);
+            }
+            this._dead[t] = true;
+        }
+        for (i = 0; i < created.length; ++i) {
+            tri = created[i];
+            this._nb[3 * tri + 1] = byFirst[this._v[3 * tri + 1]];
+            this._nb[3 * tri + 2] = bySecond[this._v[3 * tri]];
+        }
+        this._last = created[created.length - 1];
+    };
+    /**
+     * Locate a triangle whose circumcircle contains the point by walking from the most recently created triangle
+     *
+     * @private
+     */
+    TSMT$Delaunay.prototype.__locate = function (p) {
+        var t = this._last;
+        var k;
+        var steps = 0;
+        var moved;
+        // start from a real triangle
+        if (this.__isGhost(t)) {
+            t = this._nb[3 * t + this.__finiteEdge(t)];
+        }
+        var limit = this._dead.length;
+        while (steps++ < limit) {
+            // crossing a hull edge into a ghost triangle means the point is outside the hull, beyond that edge
+            if (this.__isGhost(t)) {
+                return t;
+            }
+            moved = false;
+            for (k = 0; k < 3; ++k) {
+                if (this.__orient(this._v[3 * t + k], this._v[3 * t + (k + 1) % 3], p) < 0) {
+                    t = this._nb[3 * t + k];
+                    moved = true;
+                    break;
+                }
+            }
+            if (!moved) {
+                return t;
+            }
+        }
+        // walk failed to terminate (roundoff); fall back to a search
+        for (t = 0; t < limit; ++t) {
+            if (!this._dead[t] && this.__conflict(t, p)) {
+                return t;
+            }
+        }
+        return this._last;
+    };
+    /**
+     * Is the point inside the circumcircle of a triangle?  For a ghost triangle, the 'circumcircle' is the open half-plane outside the
+     * hull edge along with the open hull edge itself.
+     *
+     * @private
+     */
+    TSMT$Delaunay.prototype.__conflict = function (t, p) {
+        if (this.__isGhost(t)) {
+            var k = this.__finiteEdge(t);
+            var a = this._v[3 * t + k];
+            var b = this._v[3 * t + (k + 1) % 3];
+            var o = this.__orient(a, b, p);
+            if (o != 0) {
+                return o > 0;
+            }
+            // collinear with the hull edge; conflict only if strictly between its endpoints
+            return (this._x[p] - this._x[a]) * (this._x[b] - this._x[p]) + (this._y[p] - this._y[a]) * (this._y[b] - this._y[p]) > 0;
+        }
+        return this.__inCircle(this._v[3 * t], this._v[3 * t + 1], this._v[3 * t + 2], p) > 0;
+    };
+    /**
+     * Append a triangle and return its index
+     *
+     * @private
+     */
+    TSMT$Delaunay.prototype.__addTriangle = function (a, b, c) {
+        var t = this._dead.length;
+        this._v.push(a, b, c);
+        this._nb.push(-1, -1, -1);
+        this._dead.push(false);
+        this._tested.push(-1);
+        this._cavity.push(-1);
+        return t;
+    };
+    /**
+     * Index of the edge of triangle t that is shared with triangle s
+     *
+     * @private
+     */
+    TSMT$Delaunay.prototype.__edgeTo = function (t, s) {
+        return this._nb[3 * t] == s ? 0 : (this._nb[3 * t + 1] == s ? 1 : 2);
+    };
+    /**
+     * Is a triangle a ghost (i.e. does it include the vertex at infinity)?
+     *
+     * @private
+     */
+    TSMT$Delaunay.prototype.__isGhost = function (t) {
+        var g = this._ghost;
+        return this._v[3 * t] == g || this._v[3 * t + 1] == g || this._v[3 * t + 2] == g;
+    };
+    /**
+     * Index of the finite (hull) edge of a ghost triangle
+     *
+     * @private
+     */
+    TSMT$Delaunay.prototype.__finiteEdge = function (t) {
+        var g = this._ghost;
+        return this._v[3 * t] == g ? 1 : (this._v[3 * t + 1] == g ? 2 : 0);
+    };
+    /**
+     * Twice the signed area of the triangle (a,b,c); positive if CCW
+     *
+     * @private
+     */
+    TSMT$Delaunay.prototype.__orient = function (a, b, c) {
+        return this._predicates.orient2d(this._x[a], this._y[a], this._x[b], this._y[b], this._x[c], this._y[c]);
+    };
+    /**
+     * Positive if point p is inside the circumcircle of the CCW triangle (a,b,c), negative if outside, and zero if cocircular
+     *
+     * @private
+     */
+    TSMT$Delaunay.prototype.__inCircle = function (a, b, c, p) {
+        return this._predicates.incircle(this._x[a], this._y[a], this._x[b], this._y[b], this._x[c], this._y[c], this._x[p], this._y[p]);
+    };
+    /**
+     * Clip a convex polygon to the half-plane of points closer to (px,py) than to (qx,qy)
+     *
+     * @private
+     */
+    TSMT$Delaunay.prototype.__clipBisector = function (coords, px, py, qx, qy) {
+        var n = coords.length;
+        var clipped = new Array();
+        // signed distance (scaled) from the bisector is (x - m).d, negative on the side of p
+        var dx = qx - px;
+        var dy = qy - py;
+        var c = 0.5 * ((qx * qx + qy * qy) - (px * px + py * py));
+        var x0 = coords[n - 2];
+        var y0 = coords[n - 1];
+        var s0 = x0 * dx + y0 * dy - c;
+        var x1;
+        var y1;
+        var s1;
+        var t;
+        var i;
+        for (i = 0; i < n; i += 2) {
+            x1 = coords[i];
+            y1 = coords[i + 1];
+            s1 = x1 * dx + y1 * dy - c;
+            if ((s0 < 0 && s1 > 0) || (s0 > 0 && s1 < 0)) {
+                t = s0 / (s0 - s1);
+                clipped.push(x0 + t * (x1 - x0), y0 + t * (y1 - y0));
+            }
+            if (s1 <= 0) {
+                clipped.push(x1, y1);
+            }
+            x0 = x1;
+            y0 = y1;
+            s0 = s1;
+        }
+        return clipped.length < 6 ? [] : clipped;
+    };
+    /**
+     * Release triangulation storage
+     *
+     * @private
+     */
+    TSMT$Delaunay.prototype.__clear = function () {
+        this._x.length = 0;
+        this._y.length = 0;
+        this._v.length = 0;
+        this._nb.length = 0;
+        this._dead.length = 0;
+        this._tested.length = 0;
+        this._cavity.length = 0;
+        this._last = 0;
+    };
+    return TSMT$Delaunay;
+}());
+exports.TSMT$Delaunay = TSMT$Delaunay;
@@ -0,0 +1,676 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Typescript Math Toolkit: Delaunay triangulation of a point cloud and its dual, the Voronoi diagram.  Points are supplied in
+ * parallel x- and y-coordinate arrays, as in TSMT$GeomUtils.closestPoints() and convexHull(), and results are reported as indices
+ * into those arrays.
+ *
+ * The triangulation is computed by Bowyer-Watson incremental insertion.  The region outside the convex hull is covered by 'ghost'
+ * triangles that share a single vertex at infinity, so no enclosing super-triangle is required and hull edges are never lost to
+ * roundoff.  Points are inserted in a pseudo-random (but repeatable) order and each insertion point is located by walking from the
+ * most recently created triangle.  Orientation and incircle tests use the exact predicates in TSMT$Predicates, so degenerate inputs
+ * (collinear and cocircular points) are handled consistently at any coordinate scale.
+ *
+ * Voronoi cells are computed by clipping a bounding box against the perpendicular bisectors between each point and its Delaunay
+ * neighbors, so every cell is a closed, convex polygon.  The box uses the same left/top/right/bottom convention as
+ * TSMT$GeomUtils.insideBox() and may be in y-up or y-down coordinates.
+ *
+ * Note that this class is intended for performance-critical environments, so error checking is at a minimum.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+import {TSMT$Predicates} from './Predicates';
+
+export class TSMT$Delaunay
+{
+  protected _predicates: TSMT$Predicates;
+
+  // point coordinates for the current triangulation
+  protected _x: Array<number>;
+  protected _y: Array<number>;
+
+  // index of the vertex at infinity shared by all ghost triangles
+  protected _ghost: number;
+
+  // triangle vertices (CCW) and neighbors; neighbor k is across the edge from vertex k to vertex k+1
+  protected _v: Array<number>;
+  protected _nb: Array<number>;
+  protected _dead: Array<boolean>;
+
+  // insertion stamps to mark triangles tested or in the cavity of the current insertion
+  protected _tested: Array<number>;
+  protected _cavity: Array<number>;
+
+  // most recently created triangle; point location starts here
+  protected _last: number;
+
+  /**
+   * Construct a new TSMT$Delaunay instance
+   *
+   * @return nothing
+   */
+  constructor()
+  {
+    this._predicates = new TSMT$Predicates();
+
+    this._x      = new Array<number>();
+    this._y      = new Array<number>();
+    this._ghost  = 0;
+    this._v      = new Array<number>();
+    this._nb     = new Array<number>();
+    this._dead   = new Array<boolean>();
+    this._tested = new Array<number>();
+    this._cavity = new Array<number>();
+    this._last   = 0;
+  }
+
+  /**
+   * Compute the Delaunay triangulation of a point cloud
+   *
+   * @param xcoord : Array - Array of x-coordinates (point count is taken from the length of this array)
+   *
+   * @param ycoord : Array - Array of y-coordinates
+   *
+   * @return Array - Flat array of index triples into the input coordinate arrays, one triple per triangle, with each triangle in CCW
+   * order (y-up).  Duplicate points are triangulated only once (the first occurrence in the input).  The return array is empty if
+   * there are fewer than three distinct points or if all points are collinear.  When four or more points are cocircular, any of the
+   * valid Delaunay triangulations may be returned.
+   */
+   public triangulate( _xcoord: Array<number>, _ycoord: Array<number> ): Array<number>
+   {
+     const triangles: Array<number> = new Array<number>();
+
+     if (this.__build(_xcoord, _ycoord))
+     {
+       const n: number = this._dead.length;
+       let t: number;
+
+       for (t = 0; t < n; ++t)
+       {
+         if (!this._dead[t] && !this.__isGhost(t)) {
+           triangles.push(this._v[3*t], this._v[3*t+1], this._v[3*t+2]);
+         }
+       }
+     }
+
+     this.__clear();
+
+     return triangles;
+   }
+
+  /**
+   * Compute the Delaunay neighbors of each point in a point cloud, i.e. the natural-neighbor graph that is often used for proximity
+   * queries and pathfinding
+   *
+   * @param xcoord : Array - Array of x-coordinates (point count is taken from the length of this array)
+   *
+   * @param ycoord : Array - Array of y-coordinates
+   *
+   * @return Array - Array of neighbor-index arrays (in ascending order), one for each input point.  If all points are collinear, each
+   * point is connected to its immediate neighbors along the line.  A duplicate point has no neighbors (the first occurrence is used).
+   */
+   public neighbors( _xcoord: Array<number>, _ycoord: Array<number> ): Array<Array<number>>
+   {
+     const n: number                     = _xcoord.length;
+     const first: Array<number>          = this.__unique(_xcoord, _ycoord);
+     const triangles: Array<number>      = this.triangulate(_xcoord, _ycoord);
+     const adjacent: Array<Object>       = new Array<Object>();
+     const result: Array<Array<number>>  = new Array<Array<number>>();
+
+     let i: number;
+     let a: number;
+     let b: number;
+
+     for (i = 0; i < n; ++i) {
+       adjacent.push( {} );
+     }
+
+     if (triangles.length > 0)
+     {
+       for (i = 0; i < triangles.length; ++i)
+       {
+         a = triangles[i];
+         b = triangles[i % 3 == 2 ? i-2 : i+1];
+
+         adjacent[a][b] = true;
+         adjacent[b][a] = true;
+       }
+     }
+     else
+     {
+       // collinear (or fewer than three distinct) points; lexicographic order is order along the line
+       const order: Array<number> = new Array<number>();
+       for (i = 0; i < n; ++i)
+       {
+         if (first[i] == i) {
+           order.push(i);
+         }
+       }
+
+       order.sort( function(p: number, q: number): number { return _xcoord[p] != _xcoord[q] ? _xcoord[p] - _xcoord[q] : _ycoord[p] - _ycoord[q]; } );
+
+       for (i = 1; i < order.length; ++i)
+       {
+         adjacent[order[i-1]][order[i]] = true;
+         adjacent[order[i]][order[i-1]] = true;
+       }
+     }
+
+     let key: string;
+     let list: Array<number>;
+
+     for (i = 0; i < n; ++i)
+     {
+       list = new Array<number>();
+       for (key in adjacent[i]) {
+         list.push( +key );
+       }
+
+       list.sort( function(p: number, q: number): number { return p - q; } );
+       result.push(list);
+     }
+
+     return result;
+   }
+
+  /**
+   * Compute the Voronoi diagram of a point cloud, clipped to a rectangle
+   *
+   * @param xcoord : Array - Array of x-coordinates (point count is taken from the length of this array)
+   *
+   * @param ycoord : Array - Array of y-coordinates
+   *
+   * @param left: number x-coordinate of upper, left-hand corner of bounding box
+   *
+   * @param top: number y-coordinate of upper, left-hand corner of bounding box
+   *
+   * @param right: number x-coordinate of lower, right-hand corner of bounding box
+   *
+   * @param bottom: number y-coordinate of lower, right-hand corner of bounding box
+   *
+   * @return Array - Array of Voronoi cells, one for each input point.  Each cell is a flat array of vertex coordinates, [x0, y0, x1, y1, ... ],
+   * of a convex polygon in CCW order (y-up).  A cell that lies entirely outside the box is empty.  Duplicate points share the cell
+   * of the first occurrence.
+   */
+   public voronoi( _xcoord: Array<number>, _ycoord: Array<number>, left: number, top: number, right: number, bottom: number ): Array<Array<number>>
+   {
+     const n: number                      = _xcoord.length;
+     const ymin: number                   = Math.min(top, bottom);
+     const ymax: number                   = Math.max(top, bottom);
+     const first: Array<number>           = this.__unique(_xcoord, _ycoord);
+     const adjacent: Array<Array<number>> = this.neighbors(_xcoord, _ycoord);
+     const cells: Array<Array<number>>    = new Array<Array<number>>();
+
+     let i: number;
+     let j: number;
+     let cell: Array<number>;
+
+     for (i = 0; i < n; ++i)
+     {
+       if (first[i] != i)
+       {
+         cells.push( cells[first[i]].slice() );
+         continue;
+       }
+
+       cell = [left, ymin, right, ymin, right, ymax, left, ymax];
+
+       for (j = 0; j < adjacent[i].length && cell.length > 0; ++j) {
+         cell = this.__clipBisector(cell, _xcoord[i], _ycoord[i], _xcoord[adjacent[i][j]], _ycoord[adjacent[i][j]]);
+       }
+
+       cells.push(cell);
+     }
+
+     return cells;
+   }
+
+  /**
+   * Index of the first occurrence of each point in the input
+   *
+   * @private
+   */
+   protected __unique( _xcoord: Array<number>, _ycoord: Array<number> ): Array<number>
+   {
+     const n: number            = _xcoord.length;
+     const first: Array<number> = new Array<number>(n);
+     const found: Object        = {};
+
+     let i: number;
+     let key: string;
+
+     for (i = 0; i < n; ++i)
+     {
+       key = _xcoord[i] + ',' + _ycoord[i];
+
+       if (found[key] === undefined) {
+         found[key] = i;
+       }
+
+       first[i] = found[key];
+     }
+
+     return first;
+   }
+
+  /**
+   * Build the triangulation (including ghost triangles); returns false if there are fewer than three non-collinear points
+   *
+   * @private
+   */
+   protected __build( _xcoord: Array<number>, _ycoord: Array<number> ): boolean
+   {
+     this.__clear();
+
+     const n: number = _xcoord.length;
+     if (n < 3 || _ycoord.length != n) {
+       return false;
+     }
+
+     const first: Array<number> = this.__unique(_xcoord, _ycoord);
+     const order: Array<number> = new Array<number>();
+     let i: number;
+     let j: number;
+     let tmp: number;
+
+     for (i = 0; i < n; ++i)
+     {
+       this._x.push(_xcoord[i]);
+       this._y.push(_ycoord[i]);
+
+       if (first[i] == i) {
+         order.push(i);
+       }
+     }
+
+     this._ghost = n;
+
+     // repeatable pseudo-random insertion order
+     let seed: number = 1;
+     for (i = order.length-1; i > 0; --i)
+     {
+       seed = (seed*16807) % 2147483647;
+       j    = seed % (i+1);
+
+       tmp      = order[i];
+       order[i] = order[j];
+       order[j] = tmp;
+     }
+
+     // initial triangle from the first point and the first non-collinear pair that follows
+     let c: number = -1;
+     for (i = 2; i < order.length; ++i)
+     {
+       if (this.__orient(order[0], order[1], order[i]) != 0)
+       {
+         c = i;
+         break;
+       }
+     }
+
+     if (c == -1) {
+       return false;
+     }
+
+     tmp      = order[2];
+     order[2] = order[c];
+     order[c] = tmp;
+
+     this.__initialize(order[0], order[1], order[2]);
+
+     for (i = 3; i < order.length; ++i) {
+       this.__insert(order[i], i);
+     }
+
+     return true;
+   }
+
+  /**
+   * Create the first triangle and the three ghost triangles that surround it
+   *
+   * @private
+   */
+   protected __initialize(a: number, b: number, c: number): void
+   {
+     if (this.__orient(a, b, c) < 0)
+     {
+       const tmp: number = b;
+       b = c;
+       c = tmp;
+     }
+
+     const g: number = this._ghost;
+
+     // triangle 0 is (a,b,c); ghost triangles 1-3 lie across edges ab, bc, ca
+     this.__addTriangle(a, b, c);
+     this.__addTriangle(b, a, g);
+     this.__addTriangle(c, b, g);
+     this.__addTriangle(a, c, g);
+
+     this._nb.splice(0, 12,
+       1, 2, 3,
+       0, 3, 2,
+       0, 1, 3,
+       0, 2, 1);
+
+     this._last = 0;
+   }
+
+  /**
+   * Insert a point with the Bowyer-Watson algorithm
+   *
+   * @private
+   */
+   protected __insert(p: number, stamp: number): void
+   {
+     const start: number = this.__locate(p);
+
+     // collect the cavity of triangles whose circumcircles contain the point
+     const cavity: Array<number> = [start];
+     const stack: Array<number>  = [start];
+     let t: number;
+     let k: number;
+     let nb: number;
+
+     this._tested[start] = stamp;
+     this._cavity[start] = stamp;
+
+     while (stack.length > 0)
+     {
+       t = stack.pop();
+
+       for (k = 0; k < 3; ++k)
+       {
+         nb = this._nb[3*t+k];
+         if (this._tested[nb] == stamp) {
+           continue;
+         }
+
+         this._tested[nb] = stamp;
+         if (this.__conflict(nb, p))
+         {
+           this._cavity[nb] = stamp;
+           cavity.push(nb);
+           stack.push(nb);
+         }
+       }
+     }
+
+     // triangulate the cavity boundary to the new point
+     const byFirst: Object  = {};
+     const bySecond: Object = {};
+     const created: Array<number> = new Array<number>();
+     let a: number;
+     let b: number;
+     let i: number;
+     let tri: number;
+
+     for (i = 0; i < cavity.length; ++i)
+     {
+       t = cavity[i];
+
+       for (k = 0; k < 3; ++k)
+       {
+         nb = this._nb[3*t+k];
+         if (this._cavity[nb] == stamp) {
+           continue;
+         }
+
+         a   = this._v[3*t+k];
+         b   = this._v[3*t + (k+1)%3];
+         tri = this.__addTriangle(a, b, p);
+
+         this._nb[3*tri]                       = nb;
+         this._nb[3*nb + this.__edgeTo(nb, t)] = tri;
+
+         byFirst[a]  = tri;
+         bySecond[b] = tri;
+         created.push(tri);
+       }
+
+       this._dead[t] = true;
+     }
+
+     for (i = 0; i < created.length; ++i)
+     {
+       tri = created[i];
+
+       this._nb[3*tri+1] = byFirst[this._v[3*tri+1]];
+       this._nb[3*tri+2] = bySecond[this._v[3*tri]];
+     }
+
+     this._last = created[created.length-1];
+   }
+
+  /**
+   * Locate a triangle whose circumcircle contains the point by walking from the most recently created triangle
+   *
+   * @private
+   */
+   protected __locate(p: number): number
+   {
+     let t: number = this._last;
+     let k: number;
+     let steps: number = 0;
+     let moved: boolean;
+
+     // start from a real triangle
+     if (this.__isGhost(t)) {
+       t = this._nb[3*t + this.__finiteEdge(t)];
+     }
+
+     const limit: number = this._dead.length;
+
+     while (steps++ < limit)
+     {
+       // crossing a hull edge into a ghost triangle means the point is outside the hull, beyond that edge
+       if (this.__isGhost(t)) {
+         return t;
+       }
+
+       moved = false;
+       for (k = 0; k < 3; ++k)
+       {
+         if (this.__orient(this._v[3*t+k], this._v[3*t + (k+1)%3], p) < 0)
+         {
+           t     = this._nb[3*t+k];
+           moved = true;
+           break;
+         }
+       }
+
+       if (!moved) {
+         return t;
+       }
+     }
+
+     // walk failed to terminate (roundoff); fall back to a search
+     for (t = 0; t < limit; ++t)
+     {
+       if (!this._dead[t] && this.__conflict(t, p)) {
+         return t;
+       }
+     }
+
+     return this._last;
+   }
+
+  /**
+   * Is the point inside the circumcircle of a triangle?  For a ghost triangle, the 'circumcircle' is the open half-plane outside the
+   * hull edge along with the open hull edge itself.
+   *
+   * @private
+   */
+   protected __conflict(t: number, p: number): boolean
+   {
+     if (this.__isGhost(t))
+     {
+       const k: number = this.__finiteEdge(t);
+       const a: number = this._v[3*t+k];
+       const b: number = this._v[3*t + (k+1)%3];
+       const o: number = this.__orient(a, b, p);
+
+       if (o != 0) {
+         return o > 0;
+       }
+
+       // collinear with the hull edge; conflict only if strictly between its endpoints
+       return (this._x[p] - this._x[a])*(this._x[b] - this._x[p]) + (this._y[p] - this._y[a])*(this._y[b] - this._y[p]) > 0;
+     }
+
+     return this.__inCircle(this._v[3*t], this._v[3*t+1], this._v[3*t+2], p) > 0;
+   }
+
+  /**
+   * Append a triangle and return its index
+   *
+   * @private
+   */
+   protected __addTriangle(a: number, b: number, c: number): number
+   {
+     const t: number = this._dead.length;
+
+     this._v.push(a, b, c);
+     this._nb.push(-1, -1, -1);
+     this._dead.push(false);
+     this._tested.push(-1);
+     this._cavity.push(-1);
+
+     return t;
+   }
+
+  /**
+   * Index of the edge of triangle t that is shared with triangle s
+   *
+   * @private
+   */
+   protected __edgeTo(t: number, s: number): number
+   {
+     return this._nb[3*t] == s ? 0 : (this._nb[3*t+1] == s ? 1 : 2);
+   }
+
+  /**
+   * Is a triangle a ghost (i.e. does it include the vertex at infinity)?
+   *
+   * @private
+   */
+   protected __isGhost(t: number): boolean
+   {
+     const g: number = this._ghost;
+
+     return this._v[3*t] == g || this._v[3*t+1] == g || this._v[3*t+2] == g;
+   }
+
+  /**
+   * Index of the finite (hull) edge of a ghost triangle
+   *
+   * @private
+   */
+   protected __finiteEdge(t: number): number
+   {
+     const g: number = this._ghost;
+
+     return this._v[3*t] == g ? 1 : (this._v[3*t+1] == g ? 2 : 0);
+   }
+
+  /**
+   * Twice the signed area of the triangle (a,b,c); positive if CCW
+   *
+   * @private
+   */
+   protected __orient(a: number, b: number, c: number): number
+   {
+     return this._predicates.orient2d(this._x[a], this._y[a], this._x[b], this._y[b], this._x[c], this._y[c]);
+   }
+
+  /**
+   * Positive if point p is inside the circumcircle of the CCW triangle (a,b,c), negative if outside, and zero if cocircular
+   *
+   * @private
+   */
+   protected __inCircle(a: number, b: number, c: number, p: number): number
+   {
+     return this._predicates.incircle(this._x[a], this._y[a], this._x[b], this._y[b], this._x[c], this._y[c], this._x[p], this._y[p]);
+   }
+
+  /**
+   * Clip a convex polygon to the half-plane of points closer to (px,py) than to (qx,qy)
+   *
+   * @private
+   */
+   protected __clipBisector(coords: Array<number>, px: number, py: number, qx: number, qy: number): Array<number>
+   {
+     const n: number              = coords.length;
+     const clipped: Array<number> = new Array<number>();
+
+     // signed distance (scaled) from the bisector is (x - m).d, negative on the side of p
+     const dx: number = qx - px;
+     const dy: number = qy - py;
+     const c: number  = 0.5*( (qx*qx + qy*qy) - (px*px + py*py) );
+
+     let x0: number = coords[n-2];
+     let y0: number = coords[n-1];
+     let s0: number = x0*dx + y0*dy - c;
+     let x1: number;
+     let y1: number;
+     let s1: number;
+     let t: number;
+     let i: number;
+
+     for (i = 0; i < n; i += 2)
+     {
+       x1 = coords[i];
+       y1 = coords[i+1];
+       s1 = x1*dx + y1*dy - c;
+
+       if ((s0 < 0 && s1 > 0) || (s0 > 0 && s1 < 0))
+       {
+         t = s0/(s0 - s1);
+         clipped.push(x0 + t*(x1 - x0), y0 + t*(y1 - y0));
+       }
+
+       if (s1 <= 0) {
+         clipped.push(x1, y1);
+       }
+
+       x0 = x1;
+       y0 = y1;
+       s0 = s1;
+     }
+
+     return clipped.length < 6 ? [] : clipped;
+   }
+
+  /**
+   * Release triangulation storage
+   *
+   * @private
+   */
+   protected __clear(): void
+   {
+     this._x.length      = 0;
+     this._y.length      = 0;
+     this._v.length      = 0;
+     this._nb.length     = 0;
+     this._dead.length   = 0;
+     this._tested.length = 0;
+     this._cavity.length = 0;
+     this._last          = 0;
+   }
+}
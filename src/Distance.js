@@ -0,0 +1,436 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+/**
+ * Typescript Math Toolkit: Distance and closest-point queries between pairs of primitives, and distances between polylines.  Pairwise
+ * queries return an Object with properties
+ *
+ * distance - (Euclidean) distance between the primitives, zero if they intersect
+ * x1, y1   - witness point on the first primitive
+ * x2, y2   - witness point on the second primitive, so that distance is the distance between the two witness points
+ *
+ * along with query-specific properties that locate the witness points on the primitives.  Queries of a point against a polyline or
+ * polygon return the closest point, 'x' and 'y', instead of a pair of witness points.
+ *
+ * Segments are given by the coordinates of their endpoints.  Polylines and polygons are flat arrays of vertex coordinates, [x0, y0,
+ * x1, y1, ... ], as in TSMT$PolygonUtils.  Boxes are Objects (or TSMT$Box instances) with left, top, right, and bottom properties in
+ * either y-up or y-down form, as with TSMT$GeomUtils.boxesIntersect().  Boxes and circles are solid, so a segment inside a circle is
+ * at zero distance from it.
+ *
+ * Tolerances are taken from an instance of TSMT$GeomUtils constructed with the options passed to the constructor.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+var GeomUtils_1 = require('./GeomUtils');
+var GeomUtils_2 = require('./GeomUtils');
+var PolygonUtils_1 = require('./PolygonUtils');
+var PolygonUtils_2 = require('./PolygonUtils');
+var TSMT$Distance = (function () {
+    /**
+     * Construct a new TSMT$Distance instance
+     *
+     * @param options: Object Optional tolerances, in the same form as the TSMT$GeomUtils constructor options.  They decide when two
+     * segments intersect and when a point is on the boundary of a polygon.
+     * @default null
+     *
+     * @return nothing
+     */
+    function TSMT$Distance(options) {
+        if (options === void 0) { options = null; }
+        this._geomUtils = new GeomUtils_1.TSMT$GeomUtils(options);
+        this._polygonUtils = new PolygonUtils_1.TSMT$PolygonUtils(options);
+    }
+    /**
+     * Closest points between two line segments, P and Q
+     *
+     * @param px: number x-coordinate of initial point of P
+     *
+     * @param py: number y-coordinate of initial point of P
+     *
+     * @param p2x: number x-coordinate of terminal point of P
+     *
+     * @param p2y: number y-coordinate of terminal point of P
+     *
+     * @param qx: number x-coordinate of initial point of Q
+     *
+     * @param qy: number y-coordinate of initial point of Q
+     *
+     * @param q2x: number x-coordinate of terminal point of Q
+     *
+     * @param q2y: number y-coordinate of terminal point of Q
+     *
+     * @return Object Distance and witness points (see class description) with 't' and 'u', the parameters of the witness points along
+     * P and Q.  Intersecting segments are at zero distance with both witness points at the intersection returned by
+     * TSMT$GeomUtils.segmentIntersection() (the overlap endpoint closest to P's initial point for collinear segments).
+     */
+    TSMT$Distance.prototype.segmentToSegment = function (px, py, p2x, p2y, qx, qy, q2x, q2y) {
+        var hit = this._geomUtils.segmentIntersection(px, py, p2x, p2y, qx, qy, q2x, q2y);
+        if (hit['type'] != GeomUtils_2.IntersectEnum.NONE) {
+            return { distance: 0, x1: hit['x'], y1: hit['y'], x2: hit['x'], y2: hit['y'], t: hit['t'], u: hit['u'] };
+        }
+        // otherwise, the closest points include an endpoint of one of the segments
+        var best = this.__segmentWitness(qx, qy, q2x, q2y, px, py, 0, false);
+        var w;
+        w = this.__segmentWitness(qx, qy, q2x, q2y, p2x, p2y, 1, false);
+        best = w['distance'] < best['distance'] ? w : best;
+        w = this.__segmentWitness(px, py, p2x, p2y, qx, qy, 0, true);
+        best = w['distance'] < best['distance'] ? w : best;
+        w = this.__segmentWitness(px, py, p2x, p2y, q2x, q2y, 1, true);
+        best = w['distance'] < best['distance'] ? w : best;
+        return best;
+    };
+    /**
+     * Closest point on a polyline to a point, P
+     *
+     * @param px: number x-coordinate of P
+     *
+     * @param py: number y-coordinate of P
+     *
+     * @param coords: Array<number> Flat array of polyline vertex coordinates, [x0, y0, x1, y1, ... ]
+     *
+     * @return Object 'distance' from P to the polyline, closest point, 'x' and 'y', index of the polyline segment containing the closest
+     * point, 'index' (segment i runs from vertex i to vertex i+1), and parameter of the closest point along that segment, 't'.  The
+     * lowest index is returned if more than one segment is closest.  A single vertex is treated as a segment of zero length and null
+     * is returned for an empty polyline.
+     */
+    TSMT$Distance.prototype.pointToPolyline = function (px, py, coords) {
+        return this.__closestEdge(px, py, coords, false);
+    };
+    /**
+     * Signed distance from a point, P, to a polygon
+     *
+     * @param px: number x-coordinate of P
+     *
+     * @param py: number y-coordinate of P
+     *
+     * @param coords: Array<number> Flat array of polygon vertex coordinates, [x0, y0, x1, y1, ... ], in either CW or CCW order
+     *
+     * @return Object 'distance' from P to the polygon boundary, negative if P is inside the polygon and zero if P is on the boundary
+     * (as classified by TSMT$PolygonUtils.pointInPolygon()), closest point on the boundary, 'x' and 'y', index of the edge containing
+     * the closest point, 'edge' (edge i runs from vertex i to vertex i+1, wrapping around to vertex 0), and parameter of the closest point
+     * along that edge, 't'.  Null is returned for an empty polygon.
+     */
+    TSMT$Distance.prototype.pointToPolygon = function (px, py, coords) {
+        var closest = this.__closestEdge(px, py, coords, true);
+        if (closest == null) {
+            return null;
+        }
+        var loc = coords.length >= 6 ? this._polygonUtils.pointInPolygon(px, py, coords) : PolygonUtils_2.PolygonLocEnum.OUTSIDE;
+        var d = closest['distance'];
+        return {
+            distance: loc == PolygonUtils_2.PolygonLocEnum.BOUNDARY ? 0 : (loc == PolygonUtils_2.PolygonLocEnum.INSIDE ? -d : d),
+            x: closest['x'],
+            y: closest['y'],
+            edge: closest['index'],
+            t: closest['t']
+        };
+    };
+    /**
+     * Closest points between two axis-aligned boxes
+     *
+     * @param box1: Object Box with left, top, right, and bottom properties in either y-up or y-down form
+     *
+     * @param box2: Object Box with left, top, right, and bottom properties in either y-up or y-down form
+     *
+     * @return Object Distance and witness points (see class description).  Overlapping boxes are at zero distance with both witness
+     * points at the center of the overlap; for separated boxes that overlap along one axis, the witness points are centered on the
+     * overlapping interval of that axis.
+     */
+    TSMT$Distance.prototype.boxToBox = function (box1, box2) {
+        var x = this.__intervalWitness(+box1['left'], +box1['right'], +box2['left'], +box2['right']);
+        var y = this.__intervalWitness(Math.min(+box1['top'], +box1['bottom']), Math.max(+box1['top'], +box1['bottom']), Math.min(+box2['top'], +box2['bottom']), Math.max(+box2['top'], +box2['bottom']));
+        var dx = x[1] - x[0];
+        var dy = y[1] - y[0];
+        return { distance: Math.sqrt(dx * dx + dy * dy), x1: x[0], y1: y[0], x2: x[1], y2: y[1] };
+    };
+    /**
+     * Closest points between a line segment and a (solid) circle
+     *
+     * @param x1: number x-coordinate of initial point of segment
+     *
+     * @param y1: number y-coordinate of initial point of segment
+     *
+     * @param x2: number x-coordinate of terminal point of segment
+     *
+     * @param y2: number y-coordinate of terminal point of segment
+     *
+     * @param cx: number x-coordinate of circle center
+     *
+     * @param cy: number y-coordinate of circle center
+     *
+     * @param r: number Circle radius
+     *
+     * @return Object Distance and witness points (see class description), the first on the segment and the second on the circle, with 't',
+     * the parameter of the witness point along the segment.  If the segment passes within the radius of the center, the distance is
+     * zero and both witness points are the point on the segment closest to the center.
+     */
+    TSMT$Distance.prototype.segmentToCircle = function (x1, y1, x2, y2, cx, cy, r) {
+        var t = this.__parameter(x1, y1, x2, y2, cx, cy);
+        var x = x1 + t * (x2 - x1);
+        var y = y1 + t * (y2 - y1);
+        var dx = x - cx;
+        var dy = y - cy;
+        var d = Math.sqrt(dx * dx + dy * dy);
+        if (d <= r) {
+            return { distance: 0, x1: x, y1: y, x2: x, y2: y, t: t };
+        }
+        return { distance: d - r, x1: x, y1: y, x2: cx + r * dx / d, y2: cy + r * dy / d, t: t };
+    };
+    /**
+     * Hausdorff distance between two polylines, A and B, i.e. the largest distance from a point on either polyline to the other polyline
+     *
+     * @param a: Array<number> Flat array of vertex coordinates of A, [x0, y0, x1, y1, ... ]
+     *
+     * @param b: Array<number> Flat array of vertex coordinates of B
+     *
+     * @param spacing: number Maximum spacing of the sample points along each segment (zero to sample the vertices only)
+     * @default 0
+     *
+     * @return Object Distance and witness points (see class description), where one witness point is the sample point farthest from the
+     * other polyline and the other its closest point on that polyline.  Sample points are the vertices of each polyline, plus equally
+     * spaced points along each segment if a spacing is provided, so the result never exceeds the exact Hausdorff distance and approaches
+     * it as the spacing is reduced.  Null is returned if either polyline is empty.
+     */
+    TSMT$Distance.prototype.hausdorff = function (a, b, spacing) {
+        if (spacing === void 0) { spacing = 0; }
+        if (a.length < 2 || b.length < 2) {
+            return null;
+        }
+        var ab = this.__directedHausdorff(this.__densify(a, spacing), b);
+        var ba = this.__directedHausdorff(this.__densify(b, spacing), a);
+        if (ab['distance'] >= ba['distance']) {
+            return { distance: ab['distance'], x1: ab['x1'], y1: ab['y1'], x2: ab['x2'], y2: ab['y2'] };
+        }
+        return { distance: ba['distance'], x1: ba['x2'], y1: ba['y2'], x2: ba['x1'], y2: ba['y1'] };
+    };
+    /**
+     * Discrete Frechet distance between two polylines, A and B.  Informally, this is the shortest leash that connects two walkers that
+     * traverse A and B from beginning to end without backtracking, where each walker steps from vertex to vertex.
+     *
+     * @param a: Array<number> Flat array of vertex coordinates of A, [x0, y0, x1, y1, ... ]
+     *
+     * @param b: Array<number> Flat array of vertex coordinates of B
+     *
+     * @param spacing: number Maximum spacing of the vertices along each segment after inserting equally spaced points (zero to use the
+     * input vertices only)
+     * @default 0
+     *
+     * @return Object Distance and witness points (see class description), which are the pair of vertices (after inserting points) at
+     * which the leash is longest, with 'i' and 'j', the vertex indices in the input arrays of the first vertex of each polyline at or
+     * before the witness points.  The discrete distance never underestimates the continuous Frechet distance and approaches it as the
+     * spacing is reduced.  Null is returned if either polyline is empty.
+     */
+    TSMT$Distance.prototype.frechet = function (a, b, spacing) {
+        if (spacing === void 0) { spacing = 0; }
+        if (a.length < 2 || b.length < 2) {
+            return null;
+        }
+        var sa = this.__densify(a, spacing);
+        var sb = this.__densify(b, spacing);
+        var n = sa.length / 3;
+        var m = sb.length / 3;
+        // two rows of the coupling table, each cell holding the length of the longest leash and the flat index, i*m + j, of its pair
+        var prev = new Array(2 * m);
+        var row = new Array(2 * m);
+        var swap;
+        var best;
+        var pair;
+        var d;
+        var i;
+        var j;
+        for (i = 0; i < n; ++i) {
+            for (j = 0; j < m; ++j) {
+                d = Math.sqrt(this.__distance2(sa[3 * i], sa[3 * i + 1], sb[3 * j], sb[3 * j + 1]));
+                // best predecessor; the lowest leash is taken from (i-1,j-1), then (i-1,j), then (i,j-1)
+                if (i == 0 && j == 0) {
+                    best = -1;
+                    pair = -1;
+                }
+                else if (i == 0) {
+                    best = row[2 * j - 2];
+                    pair = row[2 * j - 1];
+                }
+                else if (j == 0) {
+                    best = prev[0];
+                    pair = prev[1];
+                }
+                else {
+                    best = prev[2 * j - 2];
+                    pair = prev[2 * j - 1];
+                    if (prev[2 * j] < best) {
+                        best = prev[2 * j];
+                        pair = prev[2 * j + 1];
+                    }
+                    if (row[2 * j - 2] < best) {
+                        best = row[2 * j - 2];
+                        pair = row[2 * j - 1];
+                    }
+                }
+                if (d >= best) {
+                    best = d;
+                    pair = i * m + j;
+                }
+                row[2 * j] = best;
+                row[2 * j + 1] = pair;
+            }
+            swap = prev;
+            prev = row;
+            row = swap;
+        }
+        i = Math.floor(prev[2 * m - 1] / m);
+        j = prev[2 * m - 1] % m;
+        return { distance: prev[2 * m - 2], x1: sa[3 * i], y1: sa[3 * i + 1], x2: sb[3 * j], y2: sb[3 * j + 1], i: sa[3 * i + 2], j: sb[3 * j + 2] };
+    };
+    /**
+     * Closest point to P on the segment from (x1,y1) to (x2,y2) as a pair of witness points; P is the first witness point unless
+     * pointIsSecond is true, and s is the parameter of P along its own segment
+     *
+     * @private
+     */
+    TSMT$Distance.prototype.__segmentWitness = function (x1, y1, x2, y2, px, py, s, pointIsSecond) {
+        var t = this.__parameter(x1, y1, x2, y2, px, py);
+        var x = x1 + t * (x2 - x1);
+        var y = y1 + t * (y2 - y1);
+        var d = Math.sqrt(this.__distance2(px, py, x, y));
+        return pointIsSecond ? { distance: d, x1: x, y1: y, x2: px, y2: py, t: t, u: s }
+            : { distance: d, x1: px, y1: py, x2: x, y2: y, t: s, u: t };
+    };
+    /**
+     * Parameter in [0,1] of the closest point to P on the segment from (x1,y1) to (x2,y2); zero for a segment of zero length
+     *
+     * @private
+     */
+    TSMT$Distance.prototype.__parameter = function (x1, y1, x2, y2, px, py) {
+        var vx = x2 - x1;
+        var vy = y2 - y1;
+        var v2 = vx * vx + vy * vy;
+        if (v2 == 0) {
+            return 0;
+        }
+        return Math.min(Math.max(((px - x1) * vx + (py - y1) * vy) / v2, 0), 1);
+    };
+    /**
+     * Closest point to P on a polyline (closed is false) or the boundary of a polygon (closed is true), or null if there are no vertices
+     *
+     * @private
+     */
+    TSMT$Distance.prototype.__closestEdge = function (px, py, coords, closed) {
+        var n = Math.floor(coords.length / 2);
+        if (n == 0) {
+            return null;
+        }
+        var edges = n == 1 ? 1 : (closed ? n : n - 1);
+        var index = 0;
+        var tBest = 0;
+        var dBest = Number.POSITIVE_INFINITY;
+        var i1;
+        var d;
+        var t;
+        var i;
+        for (i = 0; i < edges; ++i) {
+            i1 = (i + 1) % n;
+            t = this.__parameter(coords[2 * i], coords[2 * i + 1], coords[2 * i1], coords[2 * i1 + 1], px, py);
+            d = this.__distance2(px, py, coords[2 * i] + t * (coords[2 * i1] - coords[2 * i]), coords[2 * i + 1] + t * (coords[2 * i1 + 1] - coords[2 * i + 1]));
+            if (d < dBest) {
+                dBest = d;
+                index = i;
+                tBest = t;
+            }
+        }
+        i1 = (index + 1) % n;
+        return {
+            distance: Math.sqrt(dBest),
+            x: coords[2 * index] + tBest * (coords[2 * i1] - coords[2 * index]),
+            y: coords[2 * index + 1] + tBest * (coords[2 * i1 + 1] - coords[2 * index + 1]),
+            index: index,
+            t: tBest
+        };
+    };
+    /**
+     * Witness coordinates along one axis for two intervals, [min1, max1] and [min2, max2]; the gap between them if they are separated,
+     * otherwise the center of the overlap for both
+     *
+     * @private
+     */
+    TSMT$Distance.prototype.__intervalWitness = function (min1, max1, min2, max2) {
+        if (max1 < min2) {
+            return [max1, min2];
+        }
+        if (max2 < min1) {
+            return [min1, max2];
+        }
+        var c = 0.5 * (Math.max(min1, min2) + Math.min(max1, max2));
+        return [c, c];
+    };
+    /**
+     * Largest distance from a sample point of one polyline, [x, y, vertex index, ... ], to another polyline, with the sample point as the
+     * first witness point
+     *
+     * @private
+     */
+    TSMT$Distance.prototype.__directedHausdorff = function (samples, coords) {
+        var n = samples.length / 3;
+        var farthest = null;
+        var closest;
+        var i;
+        for (i = 0; i < n; ++i) {
+            closest = this.__closestEdge(samples[3 * i], samples[3 * i + 1], coords, false);
+            if (farthest == null || closest['distance'] > farthest['distance']) {
+                farthest = { distance: closest['distance'], x1: samples[3 * i], y1: samples[3 * i + 1], x2: closest['x'], y2: closest['y'] };
+            }
+        }
+        return farthest;
+    };
+    /**
+     * Sample a polyline as [x, y, vertex index, ... ], inserting equally spaced points so that consecutive samples are no more than the
+     * spacing apart (if positive); each inserted point carries the index of the vertex that begins its segment
+     *
+     * @private
+     */
+    TSMT$Distance.prototype.__densify = function (coords, spacing) {
+        var n = Math.floor(coords.length / 2);
+        var samples = new Array();
+        var len;
+        var m;
+        var i;
+        var k;
+        for (i = 0; i < n; ++i) {
+            samples.push(coords[2 * i], coords[2 * i + 1], i);
+            if (spacing > 0 && i < n - 1) {
+                len = Math.sqrt(this.__distance2(coords[2 * i], coords[2 * i + 1], coords[2 * i + 2], coords[2 * i + 3]));
+                m = Math.ceil(len / spacing);
+                for (k = 1; k < m; ++k) {
+                    samples.push(coords[2 * i] + k * (coords[2 * i + 2] - coords[2 * i]) / m, coords[2 * i + 1] + k * (coords[2 * i + 3] - coords[2 * i + 1]) / m, i);
+                }
+            }
+        }
+        return samples;
+    };
+    /**
+     * Squared distance between two points
+     *
+     * @private
+     */
+    TSMT$Distance.prototype.__distance2 = function (x1, y1, x2, y2) {
+        var dx = x2 - x1;
+        var dy = y2 - y1;
+        return dx * dx + dy * dy;
+    };
+    return TSMT$Distance;
+}());
+exports.TSMT$Distance = TSMT$Distance;
@@ -0,0 +1,522 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Typescript Math Toolkit: Distance and closest-point queries between pairs of primitives, and distances between polylines.  Pairwise
+ * queries return an Object with properties
+ *
+ * distance - (Euclidean) distance between the primitives, zero if they intersect
+ * x1, y1   - witness point on the first primitive
+ * x2, y2   - witness point on the second primitive, so that distance is the distance between the two witness points
+ *
+ * along with query-specific properties that locate the witness points on the primitives.  Queries of a point against a polyline or
+ * polygon return the closest point, 'x' and 'y', instead of a pair of witness points.
+ *
+ * Segments are given by the coordinates of their endpoints.  Polylines and polygons are flat arrays of vertex coordinates, [x0, y0,
+ * x1, y1, ... ], as in TSMT$PolygonUtils.  Boxes are Objects (or TSMT$Box instances) with left, top, right, and bottom properties in
+ * either y-up or y-down form, as with TSMT$GeomUtils.boxesIntersect().  Boxes and circles are solid, so a segment inside a circle is
+ * at zero distance from it.
+ *
+ * Tolerances are taken from an instance of TSMT$GeomUtils constructed with the options passed to the constructor.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+import {TSMT$GeomUtils   } from './GeomUtils';
+import {IntersectEnum    } from './GeomUtils';
+import {TSMT$PolygonUtils} from './PolygonUtils';
+import {PolygonLocEnum   } from './PolygonUtils';
+
+export class TSMT$Distance
+{
+  protected _geomUtils: TSMT$GeomUtils;
+  protected _polygonUtils: TSMT$PolygonUtils;
+
+  /**
+   * Construct a new TSMT$Distance instance
+   *
+   * @param options: Object Optional tolerances, in the same form as the TSMT$GeomUtils constructor options.  They decide when two
+   * segments intersect and when a point is on the boundary of a polygon.
+   * @default null
+   *
+   * @return nothing
+   */
+  constructor(options: Object=null)
+  {
+    this._geomUtils    = new TSMT$GeomUtils(options);
+    this._polygonUtils = new TSMT$PolygonUtils(options);
+  }
+
+  /**
+   * Closest points between two line segments, P and Q
+   *
+   * @param px: number x-coordinate of initial point of P
+   *
+   * @param py: number y-coordinate of initial point of P
+   *
+   * @param p2x: number x-coordinate of terminal point of P
+   *
+   * @param p2y: number y-coordinate of terminal point of P
+   *
+   * @param qx: number x-coordinate of initial point of Q
+   *
+   * @param qy: number y-coordinate of initial point of Q
+   *
+   * @param q2x: number x-coordinate of terminal point of Q
+   *
+   * @param q2y: number y-coordinate of terminal point of Q
+   *
+   * @return Object Distance and witness points (see class description) with 't' and 'u', the parameters of the witness points along
+   * P and Q.  Intersecting segments are at zero distance with both witness points at the intersection returned by
+   * TSMT$GeomUtils.segmentIntersection() (the overlap endpoint closest to P's initial point for collinear segments).
+   */
+   public segmentToSegment(px: number, py: number, p2x: number, p2y: number, qx: number, qy: number, q2x: number, q2y: number): Object
+   {
+     const hit: Object = this._geomUtils.segmentIntersection(px, py, p2x, p2y, qx, qy, q2x, q2y);
+
+     if (hit['type'] != IntersectEnum.NONE) {
+       return {distance: 0, x1: hit['x'], y1: hit['y'], x2: hit['x'], y2: hit['y'], t: hit['t'], u: hit['u']};
+     }
+
+     // otherwise, the closest points include an endpoint of one of the segments
+     let best: Object = this.__segmentWitness(qx, qy, q2x, q2y, px, py, 0, false);
+     let w: Object;
+
+     w    = this.__segmentWitness(qx, qy, q2x, q2y, p2x, p2y, 1, false);
+     best = w['distance'] < best['distance'] ? w : best;
+     w    = this.__segmentWitness(px, py, p2x, p2y, qx, qy, 0, true);
+     best = w['distance'] < best['distance'] ? w : best;
+     w    = this.__segmentWitness(px, py, p2x, p2y, q2x, q2y, 1, true);
+     best = w['distance'] < best['distance'] ? w : best;
+
+     return best;
+   }
+
+  /**
+   * Closest point on a polyline to a point, P
+   *
+   * @param px: number x-coordinate of P
+   *
+   * @param py: number y-coordinate of P
+   *
+   * @param coords: Array<number> Flat array of polyline vertex coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @return Object 'distance' from P to the polyline, closest point, 'x' and 'y', index of the polyline segment containing the closest
+   * point, 'index' (segment i runs from vertex i to vertex i+1), and parameter of the closest point along that segment, 't'.  The
+   * lowest index is returned if more than one segment is closest.  A single vertex is treated as a segment of zero length and null
+   * is returned for an empty polyline.
+   */
+   public pointToPolyline(px: number, py: number, coords: Array<number>): Object
+   {
+     return this.__closestEdge(px, py, coords, false);
+   }
+
+  /**
+   * Signed distance from a point, P, to a polygon
+   *
+   * @param px: number x-coordinate of P
+   *
+   * @param py: number y-coordinate of P
+   *
+   * @param coords: Array<number> Flat array of polygon vertex coordinates, [x0, y0, x1, y1, ... ], in either CW or CCW order
+   *
+   * @return Object 'distance' from P to the polygon boundary, negative if P is inside the polygon and zero if P is on the boundary
+   * (as classified by TSMT$PolygonUtils.pointInPolygon()), closest point on the boundary, 'x' and 'y', index of the edge containing
+   * the closest point, 'edge' (edge i runs from vertex i to vertex i+1, wrapping around to vertex 0), and parameter of the closest point
+   * along that edge, 't'.  Null is returned for an empty polygon.
+   */
+   public pointToPolygon(px: number, py: number, coords: Array<number>): Object
+   {
+     const closest: Object = this.__closestEdge(px, py, coords, true);
+     if (closest == null) {
+       return null;
+     }
+
+     const loc: number = coords.length >= 6 ? this._polygonUtils.pointInPolygon(px, py, coords) : PolygonLocEnum.OUTSIDE;
+     const d: number   = closest['distance'];
+
+     return {
+       distance: loc == PolygonLocEnum.BOUNDARY ? 0 : (loc == PolygonLocEnum.INSIDE ? -d : d),
+       x: closest['x'],
+       y: closest['y'],
+       edge: closest['index'],
+       t: closest['t']
+     };
+   }
+
+  /**
+   * Closest points between two axis-aligned boxes
+   *
+   * @param box1: Object Box with left, top, right, and bottom properties in either y-up or y-down form
+   *
+   * @param box2: Object Box with left, top, right, and bottom properties in either y-up or y-down form
+   *
+   * @return Object Distance and witness points (see class description).  Overlapping boxes are at zero distance with both witness
+   * points at the center of the overlap; for separated boxes that overlap along one axis, the witness points are centered on the
+   * overlapping interval of that axis.
+   */
+   public boxToBox(box1: Object, box2: Object): Object
+   {
+     const x: Array<number> = this.__intervalWitness(+box1['left'], +box1['right'], +box2['left'], +box2['right']);
+     const y: Array<number> = this.__intervalWitness( Math.min(+box1['top'], +box1['bottom']), Math.max(+box1['top'], +box1['bottom']),
+                                                      Math.min(+box2['top'], +box2['bottom']), Math.max(+box2['top'], +box2['bottom']) );
+     const dx: number       = x[1] - x[0];
+     const dy: number       = y[1] - y[0];
+
+     return {distance: Math.sqrt(dx*dx + dy*dy), x1: x[0], y1: y[0], x2: x[1], y2: y[1]};
+   }
+
+  /**
+   * Closest points between a line segment and a (solid) circle
+   *
+   * @param x1: number x-coordinate of initial point of segment
+   *
+   * @param y1: number y-coordinate of initial point of segment
+   *
+   * @param x2: number x-coordinate of terminal point of segment
+   *
+   * @param y2: number y-coordinate of terminal point of segment
+   *
+   * @param cx: number x-coordinate of circle center
+   *
+   * @param cy: number y-coordinate of circle center
+   *
+   * @param r: number Circle radius
+   *
+   * @return Object Distance and witness points (see class description), the first on the segment and the second on the circle, with 't',
+   * the parameter of the witness point along the segment.  If the segment passes within the radius of the center, the distance is
+   * zero and both witness points are the point on the segment closest to the center.
+   */
+   public segmentToCircle(x1: number, y1: number, x2: number, y2: number, cx: number, cy: number, r: number): Object
+   {
+     const t: number  = this.__parameter(x1, y1, x2, y2, cx, cy);
+     const x: number  = x1 + t*(x2 - x1);
+     const y: number  = y1 + t*(y2 - y1);
+     const dx: number = x - cx;
+     const dy: number = y - cy;
+     const d: number  = Math.sqrt(dx*dx + dy*dy);
+
+     if (d <= r) {
+       return {distance: 0, x1: x, y1: y, x2: x, y2: y, t: t};
+     }
+
+     return {distance: d - r, x1: x, y1: y, x2: cx + r*dx/d, y2: cy + r*dy/d, t: t};
+   }
+
+  /**
+   * Hausdorff distance between two polylines, A and B, i.e. the largest distance from a point on either polyline to the other polyline
+   *
+   * @param a: Array<number> Flat array of vertex coordinates of A, [x0, y0, x1, y1, ... ]
+   *
+   * @param b: Array<number> Flat array of vertex coordinates of B
+   *
+   * @param spacing: number Maximum spacing of the sample points along each segment (zero to sample the vertices only)
+   * @default 0
+   *
+   * @return Object Distance and witness points (see class description), where one witness point is the sample point farthest from the
+   * other polyline and the other its closest point on that polyline.  Sample points are the vertices of each polyline, plus equally
+   * spaced points along each segment if a spacing is provided, so the result never exceeds the exact Hausdorff distance and approaches
+   * it as the spacing is reduced.  Null is returned if either polyline is empty.
+   */
+   public hausdorff(a: Array<number>, b: Array<number>, spacing: number=0): Object
+   {
+     if (a.length < 2 || b.length < 2) {
+       return null;
+     }
+
+     const ab: Object = this.__directedHausdorff( this.__densify(a, spacing), b );
+     const ba: Object = this.__directedHausdorff( this.__densify(b, spacing), a );
+
+     if (ab['distance'] >= ba['distance']) {
+       return {distance: ab['distance'], x1: ab['x1'], y1: ab['y1'], x2: ab['x2'], y2: ab['y2']};
+     }
+
+     return {distance: ba['distance'], x1: ba['x2'], y1: ba['y2'], x2: ba['x1'], y2: ba['y1']};
+   }
+
+  /**
+   * Discrete Frechet distance between two polylines, A and B.  Informally, this is the shortest leash that connects two walkers that
+   * traverse A and B from beginning to end without backtracking, where each walker steps from vertex to vertex.
+   *
+   * @param a: Array<number> Flat array of vertex coordinates of A, [x0, y0, x1, y1, ... ]
+   *
+   * @param b: Array<number> Flat array of vertex coordinates of B
+   *
+   * @param spacing: number Maximum spacing of the vertices along each segment after inserting equally spaced points (zero to use the
+   * input vertices only)
+   * @default 0
+   *
+   * @return Object Distance and witness points (see class description), which are the pair of vertices (after inserting points) at
+   * which the leash is longest, with 'i' and 'j', the vertex indices in the input arrays of the first vertex of each polyline at or
+   * before the witness points.  The discrete distance never underestimates the continuous Frechet distance and approaches it as the
+   * spacing is reduced.  Null is returned if either polyline is empty.
+   */
+   public frechet(a: Array<number>, b: Array<number>, spacing: number=0): Object
+   {
+     if (a.length < 2 || b.length < 2) {
+       return null;
+     }
+
+     const sa: Array<number> = this.__densify(a, spacing);
+     const sb: Array<number> = this.__densify(b, spacing);
+     const n: number         = sa.length/3;
+     const m: number         = sb.length/3;
+
+     // two rows of the coupling table, each cell holding the length of the longest leash and the flat index, i*m + j, of its pair
+     let prev: Array<number> = new Array<number>(2*m);
+     let row: Array<number>  = new Array<number>(2*m);
+     let swap: Array<number>;
+     let best: number;
+     let pair: number;
+     let d: number;
+     let i: number;
+     let j: number;
+
+     for (i = 0; i < n; ++i)
+     {
+       for (j = 0; j < m; ++j)
+       {
+         d = Math.sqrt( this.__distance2(sa[3*i], sa[3*i+1], sb[3*j], sb[3*j+1]) );
+
+         // best predecessor; the lowest leash is taken from (i-1,j-1), then (i-1,j), then (i,j-1)
+         if (i == 0 && j == 0)
+         {
+           best = -1;
+           pair = -1;
+         }
+         else if (i == 0)
+         {
+           best = row[2*j-2];
+           pair = row[2*j-1];
+         }
+         else if (j == 0)
+         {
+           best = prev[0];
+           pair = prev[1];
+         }
+         else
+         {
+           best = prev[2*j-2];
+           pair = prev[2*j-1];
+
+           if (prev[2*j] < best)
+           {
+             best = prev[2*j];
+             pair = prev[2*j+1];
+           }
+
+           if (row[2*j-2] < best)
+           {
+             best = row[2*j-2];
+             pair = row[2*j-1];
+           }
+         }
+
+         if (d >= best)
+         {
+           best = d;
+           pair = i*m + j;
+         }
+
+         row[2*j]   = best;
+         row[2*j+1] = pair;
+       }
+
+       swap = prev;
+       prev = row;
+       row  = swap;
+     }
+
+     i = Math.floor(prev[2*m-1]/m);
+     j = prev[2*m-1] % m;
+
+     return {distance: prev[2*m-2], x1: sa[3*i], y1: sa[3*i+1], x2: sb[3*j], y2: sb[3*j+1], i: sa[3*i+2], j: sb[3*j+2]};
+   }
+
+  /**
+   * Closest point to P on the segment from (x1,y1) to (x2,y2) as a pair of witness points; P is the first witness point unless
+   * pointIsSecond is true, and s is the parameter of P along its own segment
+   *
+   * @private
+   */
+   protected __segmentWitness(x1: number, y1: number, x2: number, y2: number, px: number, py: number, s: number, pointIsSecond: boolean): Object
+   {
+     const t: number = this.__parameter(x1, y1, x2, y2, px, py);
+     const x: number = x1 + t*(x2 - x1);
+     const y: number = y1 + t*(y2 - y1);
+     const d: number = Math.sqrt( this.__distance2(px, py, x, y) );
+
+     return pointIsSecond ? {distance: d, x1: x, y1: y, x2: px, y2: py, t: t, u: s}
+                          : {distance: d, x1: px, y1: py, x2: x, y2: y, t: s, u: t};
+   }
+
+  /**
+   * Parameter in [0,1] of the closest point to P on the segment from (x1,y1) to (x2,y2); zero for a segment of zero length
+   *
+   * @private
+   */
+   protected __parameter(x1: number, y1: number, x2: number, y2: number, px: number, py: number): number
+   {
+     const vx: number = x2 - x1;
+     const vy: number = y2 - y1;
+     const v2: number = vx*vx + vy*vy;
+
+     if (v2 == 0) {
+       return 0;
+     }
+
+     return Math.min( Math.max( ((px - x1)*vx + (py - y1)*vy) / v2, 0 ), 1 );
+   }
+
+  /**
+   * Closest point to P on a polyline (closed is false) or the boundary of a polygon (closed is true), or null if there are no vertices
+   *
+   * @private
+   */
+   protected __closestEdge(px: number, py: number, coords: Array<number>, closed: boolean): Object
+   {
+     const n: number = Math.floor(coords.length/2);
+     if (n == 0) {
+       return null;
+     }
+
+     const edges: number = n == 1 ? 1 : (closed ? n : n-1);
+     let index: number   = 0;
+     let tBest: number   = 0;
+     let dBest: number   = Number.POSITIVE_INFINITY;
+     let i1: number;
+     let d: number;
+     let t: number;
+     let i: number;
+
+     for (i = 0; i < edges; ++i)
+     {
+       i1 = (i+1) % n;
+       t  = this.__parameter(coords[2*i], coords[2*i+1], coords[2*i1], coords[2*i1+1], px, py);
+       d  = this.__distance2(px, py, coords[2*i] + t*(coords[2*i1] - coords[2*i]), coords[2*i+1] + t*(coords[2*i1+1] - coords[2*i+1]));
+
+       if (d < dBest)
+       {
+         dBest = d;
+         index = i;
+         tBest = t;
+       }
+     }
+
+     i1 = (index+1) % n;
+
+     return {
+       distance: Math.sqrt(dBest),
+       x: coords[2*index] + tBest*(coords[2*i1] - coords[2*index]),
+       y: coords[2*index+1] + tBest*(coords[2*i1+1] - coords[2*index+1]),
+       index: index,
+       t: tBest
+     };
+   }
+
+  /**
+   * Witness coordinates along one axis for two intervals, [min1, max1] and [min2, max2]; the gap between them if they are separated,
+   * otherwise the center of the overlap for both
+   *
+   * @private
+   */
+   protected __intervalWitness(min1: number, max1: number, min2: number, max2: number): Array<number>
+   {
+     if (max1 < min2) {
+       return [max1, min2];
+     }
+
+     if (max2 < min1) {
+       return [min1, max2];
+     }
+
+     const c: number = 0.5*(Math.max(min1, min2) + Math.min(max1, max2));
+
+     return [c, c];
+   }
+
+  /**
+   * Largest distance from a sample point of one polyline, [x, y, vertex index, ... ], to another polyline, with the sample point as the
+   * first witness point
+   *
+   * @private
+   */
+   protected __directedHausdorff(samples: Array<number>, coords: Array<number>): Object
+   {
+     const n: number      = samples.length/3;
+     let farthest: Object = null;
+     let closest: Object;
+     let i: number;
+
+     for (i = 0; i < n; ++i)
+     {
+       closest = this.__closestEdge(samples[3*i], samples[3*i+1], coords, false);
+
+       if (farthest == null || closest['distance'] > farthest['distance']) {
+         farthest = {distance: closest['distance'], x1: samples[3*i], y1: samples[3*i+1], x2: closest['x'], y2: closest['y']};
+       }
+     }
+
+     return farthest;
+   }
+
+  /**
+   * Sample a polyline as [x, y, vertex index, ... ], inserting equally spaced points so that consecutive samples are no more than the
+   * spacing apart (if positive); each inserted point carries the index of the vertex that begins its segment
+   *
+   * @private
+   */
+   protected __densify(coords: Array<number>, spacing: number): Array<number>
+   {
+     const n: number              = Math.floor(coords.length/2);
+     const samples: Array<number> = new Array<number>();
+     let len: number;
+     let m: number;
+     let i: number;
+     let k: number;
+
+     for (i = 0; i < n; ++i)
+     {
+       samples.push(coords[2*i], coords[2*i+1], i);
+
+       if (spacing > 0 && i < n-1)
+       {
+         len = Math.sqrt( this.__distance2(coords[2*i], coords[2*i+1], coords[2*i+2], coords[2*i+3]) );
+         m   = Math.ceil(len/spacing);
+
+         for (k = 1; k < m; ++k) {
+           samples.push(coords[2*i] + k*(coords[2*i+2] - coords[2*i])/m, coords[2*i+1] + k*(coords[2*i+3] - coords[2*i+1])/m, i);
+         }
+       }
+     }
+
+     return samples;
+   }
+
+  /**
+   * Squared distance between two points
+   *
+   * @private
+   */
+   protected __distance2(x1: number, y1: number, x2: number, y2: number): number
+   {
+     const dx: number = x2 - x1;
+     const dy: number = y2 - y1;
+
+     return dx*dx + dy*dy;
+   }
+}
@@ -22,16 +22,53 @@
  *
  * Note that this class is intended for performance-critical environments, so error checking is at a minimum.
  *
+ * Several methods compare computed quantities against tolerances whose defaults are suited to pixel coordinates, so their results
+ * depend on the scale of the data.  The tolerances may be set for each instance with an options object passed to the constructor,
+ * any subset of
+ *
+ * zero        - magnitude below which a length or squared length is considered zero (default 0.0000001)
+ * parallel    - magnitude below which a cross product or coordinate delta is considered zero in intersection tests (default 0.00000001)
+ * parameter   - distance of a segment parameter from [0,1] that is still considered to lie on the segment (default 0.00000001)
+ * orientation - magnitude of the orientation determinant below which a point is on a line in pointOrientation() (default 0.0001)
+ * onLine      - magnitude of the orientation determinant below which a point is on a line in pointOnLine() (default 0.001)
+ * relative    - relative tolerance for comparing coordinates and slopes (default 0.001)
+ * circle      - tolerance for coincident and tangent circles in circleToCircleIntersection() and circleRelation() (default 0.001)
+ * containment - relative tolerance on the squared radius within which a point is inside a circle in enclosingCircle() (default 0.0000000001)
+ * robust      - initial value of the 'robust' property (default false)
+ *
+ * Set the 'robust' property to classify points with the exact, adaptive-precision predicates in TSMT$Predicates instead (see the
+ * individual method descriptions).
+ *
  * @author Jim Armstrong (www.algorithmist.net)
  *
  * @version 1.0
  */
+var Predicates_1 = require('./Predicates');
+var Affine_1 = require('./Affine');
 (function (DirEnum) {
     DirEnum[DirEnum["LEFT"] = 0] = "LEFT";
     DirEnum[DirEnum["RIGHT"] = 1] = "RIGHT";
     DirEnum[DirEnum["ON"] = 2] = "ON";
 })(exports.DirEnum || (exports.DirEnum = {}));
 var DirEnum = exports.DirEnum;
+// classification of the intersection between two line segments
+(function (IntersectEnum) {
+    IntersectEnum[IntersectEnum["NONE"] = 0] = "NONE";
+    IntersectEnum[IntersectEnum["POINT"] = 1] = "POINT";
+    IntersectEnum[IntersectEnum["ENDPOINT"] = 2] = "ENDPOINT";
+    IntersectEnum[IntersectEnum["OVERLAP"] = 3] = "OVERLAP";
+})(exports.IntersectEnum || (exports.IntersectEnum = {}));
+var IntersectEnum = exports.IntersectEnum;
+// relationship between two circles
+(function (CircleRelationEnum) {
+    CircleRelationEnum[CircleRelationEnum["DISJOINT"] = 0] = "DISJOINT";
+    CircleRelationEnum[CircleRelationEnum["EXTERNAL_TANGENT"] = 1] = "EXTERNAL_TANGENT";
+    CircleRelationEnum[CircleRelationEnum["INTERNAL_TANGENT"] = 2] = "INTERNAL_TANGENT";
+    CircleRelationEnum[CircleRelationEnum["INTERSECTING"] = 3] = "INTERSECTING";
+    CircleRelationEnum[CircleRelationEnum["CONTAINED"] = 4] = "CONTAINED";
+    CircleRelationEnum[CircleRelationEnum["COINCIDENT"] = 5] = "COINCIDENT";
+})(exports.CircleRelationEnum || (exports.CircleRelationEnum = {}));
+var CircleRelationEnum = exports.CircleRelationEnum;
 // a more numerically robust floating-point compare
 function compare(a, b, tol) {
     if (a == b) {
@@ -55,17 +92,95 @@ var TSMT$GeomUtils = (function () {
     /**
      * Construct a new TSMT$GeomUtils instance
      *
+     * @param options: Object (optional) Tolerances for this instance in the properties 'zero', 'parallel', 'parameter', 'orientation',
+     * 'onLine', 'relative', 'circle', and 'containment' along with a boolean 'robust' property.  Omitted, negative, or non-numeric tolerances are
+     * assigned their default values.
+     *
      * @return nothing
      */
-    function TSMT$GeomUtils() {
+    function TSMT$GeomUtils(options) {
+        if (options === void 0) { options = null; }
         this.ZERO_TOL = 0.0000001; // arbitrary zero-tolerance to use as default when tolerance not provided
         this.RAD_TO_DEG = 180 / 3.14159265359; // convert radians to degrees
-        this._best1 = {};
-        this._best2 = {};
-        this._bestDist = Number.MAX_VALUE;
-        this.__t = 0;
-        this.__u = 0;
+        // instance tolerances (see class description)
+        this.PARALLEL_TOL = 0.00000001;
+        this.PARAM_TOL = 0.00000001;
+        this.ORIENT_TOL = 0.0001;
+        this.ON_LINE_TOL = 0.001;
+        this.REL_TOL = 0.001;
+        this.CIRCLE_TOL = 0.001;
+        this.CONTAIN_TOL = 0.0000000001;
+        this._predicates = new Predicates_1.TSMT$Predicates();
+        this._robust = false;
+        if (options != null && options != undefined) {
+            this.ZERO_TOL = this.__tolerance(options['zero'], this.ZERO_TOL);
+            this.PARALLEL_TOL = this.__tolerance(options['parallel'], this.PARALLEL_TOL);
+            this.PARAM_TOL = this.__tolerance(options['parameter'], this.PARAM_TOL);
+            this.ORIENT_TOL = this.__tolerance(options['orientation'], this.ORIENT_TOL);
+            this.ON_LINE_TOL = this.__tolerance(options['onLine'], this.ON_LINE_TOL);
+            this.REL_TOL = this.__tolerance(options['relative'], this.REL_TOL);
+            this.CIRCLE_TOL = this.__tolerance(options['circle'], this.CIRCLE_TOL);
+            this.CONTAIN_TOL = this.__tolerance(options['containment'], this.CONTAIN_TOL);
+            this._robust = options['robust'] === true;
+        }
     }
+    Object.defineProperty(TSMT$GeomUtils.prototype, "tolerances", {
+        /**
+         * Access the tolerances used by this instance
+         *
+         * @return Object Current values of the 'zero', 'parallel', 'parameter', 'orientation', 'onLine', 'relative', 'circle', and
+         * 'containment' tolerances along with the 'robust' flag, in the same form as the constructor options.  Modifying the returned object
+         * has no effect.
+         */
+        get: function () {
+            return {
+                zero: this.ZERO_TOL,
+                parallel: this.PARALLEL_TOL,
+                parameter: this.PARAM_TOL,
+                orientation: this.ORIENT_TOL,
+                onLine: this.ON_LINE_TOL,
+                relative: this.REL_TOL,
+                circle: this.CIRCLE_TOL,
+                containment: this.CONTAIN_TOL,
+                robust: this._robust
+            };
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(TSMT$GeomUtils.prototype, "robust", {
+        /**
+         * Access whether or not exact predicates are used
+         *
+         * @return boolean True if orientation and intersection tests use exact, adaptive-precision predicates
+         */
+        get: function () {
+            return this._robust;
+        },
+        /**
+         * Assign whether or not exact predicates are used
+         *
+         * @param value: boolean True if pointOrientation(), isClockwise(), pointOnLine(), segmentIntersection(), segmentsIntersect(), and
+         * convexHull() are to classify points with exact, adaptive-precision predicates instead of fixed tolerances.  Results are then
+         * consistent at any coordinate scale, but points must be exactly (not approximately) collinear to be considered collinear.
+         * @default false
+         *
+         * @return nothing
+         */
+        set: function (value) {
+            this._robust = value === true;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Validate a tolerance supplied in constructor options
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__tolerance = function (value, defaultValue) {
+        return (typeof value === 'number' && isFinite(value) && value >= 0) ? value : defaultValue;
+    };
     /**
      * Is the point, (x1,y1) inside bounding box specified by the rectangle (left,top) to (right,bottom)?
      *
@@ -79,7 +194,7 @@ var TSMT$GeomUtils = (function () {
      *
      * @param right: number x-coordinate or lower, right-hand corner of bounding box
      *
-     * @param botton: number y-coordinate of lower, right-hand corner of bounding box
+     * @param bottom: number y-coordinate of lower, right-hand corner of bounding box
      *
      * @return boolean True if the specified point is strictly inside (not on the boundary) of the bounding box,
      * false otherwise.  The method takes y-up and y-down axis orientations into account.
@@ -93,6 +208,41 @@ var TSMT$GeomUtils = (function () {
             return __x1 > __left && __x1 < __right && __y1 < __top && __y1 > __bottom;
         }
     };
+    /**
+     * Batch version of insideBox() for a collection of points
+     *
+     * @param coords: Float64Array Flat array of test-point coordinates, [x0, y0, x1, y1, ... ]
+     *
+     * @param left: number x-coordinate of upper, left-hand corner of bounding box
+     *
+     * @param top: number y-coordinate of upper, left-hand corner of bounding box
+     *
+     * @param right: number x-coordinate or lower, right-hand corner of bounding box
+     *
+     * @param bottom: number y-coordinate of lower, right-hand corner of bounding box
+     *
+     * @param out: Uint8Array Optional buffer with at least one element per point to receive the results
+     * @default null
+     *
+     * @return Uint8Array 1 at index i if point i is strictly inside the bounding box (same result as insideBox()), 0 otherwise; the output
+     * buffer if one was provided, otherwise a new buffer with one element per point
+     */
+    TSMT$GeomUtils.prototype.insideBoxBatch = function (coords, left, top, right, bottom, out) {
+        if (out === void 0) { out = null; }
+        var n = Math.floor(coords.length / 2);
+        var result = out != null && out != undefined ? out : new Uint8Array(n);
+        var minY = Math.min(top, bottom);
+        var maxY = Math.max(top, bottom);
+        var x;
+        var y;
+        var i;
+        for (i = 0; i < n; ++i) {
+            x = coords[2 * i];
+            y = coords[2 * i + 1];
+            result[i] = x > left && x < right && y > minY && y < maxY ? 1 : 0;
+        }
+        return result;
+    };
     /**
      * Do two axis-aligned bounding boxes intersect?
      *
@@ -143,31 +293,75 @@ var TSMT$GeomUtils = (function () {
      *
      * @param x1: number x-coordinate of first point on line
      *
-     * @paramy1: number y-coordinate of first point on line
+     * @param y1: number y-coordinate of first point on line
      *
-     * @paramx2: number x-coordinate of second point on line
+     * @param x2: number x-coordinate of second point on line
      *
-     * @paramy2: number y-coordinate of second point on line
+     * @param y2: number y-coordinate of second point on line
      *
-     * @paramx: number x-coordinate of test point
+     * @param x: number x-coordinate of test point
      *
-     * @paramy: number y-coordinate of test point
+     * @param y: number y-coordinate of test point
      *
      * @return number One of the codes DirEnum.LEFT, DirEnum.RIGHT, DirEnum.ON if the point is to the left, right, or
      * on the line, respectively.  Test for point exactly on the line is made first and within a tight tolerance to
-     * accommodate for roundoff error.
+     * accommodate for roundoff error.  If the robust property is set, the test is exact.
      *
      */
     TSMT$GeomUtils.prototype.pointOrientation = function (__x1, __y1, __x2, __y2, __x, __y) {
+        if (this._robust) {
+            var orient = this._predicates.orient2d(__x1, __y1, __x2, __y2, __x, __y);
+            return orient == 0 ? DirEnum.ON : (orient > 0 ? DirEnum.LEFT : DirEnum.RIGHT);
+        }
         var test = ((__x2 - __x1) * (__y - __y1) - (__x - __x1) * (__y2 - __y1));
-        if (Math.abs(test) < 0.0001) {
-            // on the line withing tolerance suitable for typical online drawing environment
+        if (Math.abs(test) < this.ORIENT_TOL) {
+            // on the line withing tolerance (default is suitable for typical online drawing environment)
             return DirEnum.ON;
         }
         else {
             return test > 0 ? DirEnum.LEFT : DirEnum.RIGHT;
         }
     };
+    /**
+     * Batch version of pointOrientation() for a collection of points
+     *
+     * @param x1: number x-coordinate of first point on line
+     *
+     * @param y1: number y-coordinate of first point on line
+     *
+     * @param x2: number x-coordinate of second point on line
+     *
+     * @param y2: number y-coordinate of second point on line
+     *
+     * @param coords: Float64Array Flat array of test-point coordinates, [x0, y0, x1, y1, ... ]
+     *
+     * @param out: Uint8Array Optional buffer with at least one element per point to receive the results
+     * @default null
+     *
+     * @return Uint8Array DirEnum.LEFT, DirEnum.RIGHT, or DirEnum.ON at index i for point i, exactly as returned by pointOrientation();
+     * the output buffer if one was provided, otherwise a new buffer with one element per point
+     */
+    TSMT$GeomUtils.prototype.pointOrientationBatch = function (x1, y1, x2, y2, coords, out) {
+        if (out === void 0) { out = null; }
+        var n = Math.floor(coords.length / 2);
+        var result = out != null && out != undefined ? out : new Uint8Array(n);
+        var dx = x2 - x1;
+        var dy = y2 - y1;
+        var test;
+        var i;
+        if (this._robust) {
+            for (i = 0; i < n; ++i) {
+                test = this._predicates.orient2d(x1, y1, x2, y2, coords[2 * i], coords[2 * i + 1]);
+                result[i] = test == 0 ? DirEnum.ON : (test > 0 ? DirEnum.LEFT : DirEnum.RIGHT);
+            }
+            return result;
+        }
+        for (i = 0; i < n; ++i) {
+            test = dx * (coords[2 * i + 1] - y1) - (coords[2 * i] - x1) * dy;
+            result[i] = Math.abs(test) < this.ORIENT_TOL ? DirEnum.ON : (test > 0 ? DirEnum.LEFT : DirEnum.RIGHT);
+        }
+        return result;
+    };
     /**
      * Does the line segment from (x1,y1) to (x2,y2) intersect the bounding-box specified by the rectangle (left,top)
      * to (right,bottom)?
@@ -241,50 +435,25 @@ var TSMT$GeomUtils = (function () {
      * then one of the coordinate sets will be null
      */
     TSMT$GeomUtils.prototype.lineRectIntersection = function (__x1, __y1, __x2, __y2, __left, __top, __right, __bottom) {
+        // box edges in order top, right, bottom, left
+        var edges = [__left, __top, __right, __top, __right, __top, __right, __bottom, __right, __bottom, __left, __bottom, __left, __bottom, __left, __top];
         var x1;
         var y1;
         var x2;
         var y2;
-        // count number of intersections
-        var count = 0;
-        if (this.segmentsIntersect(__x1, __y1, __x2, __y2, __left, __top, __right, __top)) {
-            x1 = (1 - this.__t) * __x1 + this.__t * __x2;
-            y1 = (1 - this.__t) * __y1 + this.__t * __y2;
-            count++;
-        }
-        if (this.segmentsIntersect(__x1, __y1, __x2, __y2, __right, __top, __right, __bottom)) {
-            if (count == 0) {
-                x1 = (1 - this.__t) * __x1 + this.__t * __x2;
-                y1 = (1 - this.__t) * __y1 + this.__t * __y2;
-            }
-            else {
-                x2 = (1 - this.__t) * __x1 + this.__t * __x2;
-                y2 = (1 - this.__t) * __y1 + this.__t * __y2;
-            }
-            count++;
-        }
-        if (count < 2) {
-            if (this.segmentsIntersect(__x1, __y1, __x2, __y2, __right, __bottom, __left, __bottom)) {
-                if (count == 0) {
-                    x1 = (1 - this.__t) * __x1 + this.__t * __x2;
-                    y1 = (1 - this.__t) * __y1 + this.__t * __y2;
+        var i;
+        var result;
+        for (i = 0; i < 16 && x2 == undefined; i += 4) {
+            result = this.segmentIntersection(__x1, __y1, __x2, __y2, edges[i], edges[i + 1], edges[i + 2], edges[i + 3]);
+            if (result['type'] != IntersectEnum.NONE) {
+                if (x1 == undefined) {
+                    x1 = result['x'];
+                    y1 = result['y'];
                 }
-                else {
-                    x2 = (1 - this.__t) * __x1 + this.__t * __x2;
-                    y2 = (1 - this.__t) * __y1 + this.__t * __y2;
-                }
-                count++;
-            }
-        }
-        if (count < 3) {
-            if (this.segmentsIntersect(__x1, __y1, __x2, __y2, __left, __bottom, __left, __top)) {
-                if (count == 0) {
-                    x1 = (1 - this.__t) * __x1 + this.__t * __x2;
-                    y1 = (1 - this.__t) * __y1 + this.__t * __y2;
-                }
-                else {
-                    x2 = (1 - this.__t) * __x1 + this.__t * __x2;
-                    y2 = (1 - this.__t) * __y1 + this.__t * __y2;
+                else if (!this.pointsEqual(x1, y1, result['x'], result['y'])) {
+                    // a segment through a corner of the box intersects two edges at the same point
+                    x2 = result['x'];
+                    y2 = result['y'];
                 }
             }
         }
@@ -309,10 +478,10 @@ var TSMT$GeomUtils = (function () {
      *
      * @param y2: number y-coordinate of second point
      *
-     * @return boolean True if the two points are equivalent to within a tolerance (currently 0.001 for each coordinate)
+     * @return boolean True if the two points are equivalent to within the relative tolerance (default 0.001) for each coordinate
      */
     TSMT$GeomUtils.prototype.pointsEqual = function (__x1, __y1, __x2, __y2) {
-        return (compare(__x1, __x2, 0.001) && compare(__y1, __y2, 0.001));
+        return (compare(__x1, __x2, this.REL_TOL) && compare(__y1, __y2, this.REL_TOL));
     };
     /**
      * Do two lines defined by the points (x1,y1) - (x2,y2) and (x3,y3) - (x4,y4) intersect?
@@ -352,8 +521,8 @@ var TSMT$GeomUtils = (function () {
         // have to do it the hard way
         var m1 = __x2 - __x1;
         var m2 = __x4 - __x3;
-        var inf1 = Math.abs(m1) < 0.00000001;
-        var inf2 = Math.abs(m2) < 0.00000001;
+        var inf1 = Math.abs(m1) < this.PARALLEL_TOL;
+        var inf2 = Math.abs(m2) < this.PARALLEL_TOL;
         m1 = inf1 ? m1 : (__y2 - __y1) / m1;
         m2 = inf2 ? m2 : (__y4 - __y3) / m2;
         if (inf1) {
@@ -364,7 +533,7 @@ var TSMT$GeomUtils = (function () {
         }
         else {
             // must do a compare (equivalent slopes ==> parallel lines)
-            return !compare(m1, m2, 0.001);
+            return !compare(m1, m2, this.REL_TOL);
         }
     };
     /**
@@ -388,9 +557,45 @@ var TSMT$GeomUtils = (function () {
      *
      * @return boolean True if the two lines intersect. A full intersection test is performed - check bounding boxes of
      * the segments in advance if you expect a large number of tests with no possible intersection based on segments
-     * completely to the left/right or top/bottom relative to one another.
+     * completely to the left/right or top/bottom relative to one another.  Segments that touch at an endpoint or overlap
+     * are considered to intersect.  Use segmentIntersection() for the intersection point and a classification of the case.
      */
     TSMT$GeomUtils.prototype.segmentsIntersect = function (px, py, p2x, p2y, qx, qy, q2x, q2y) {
+        return this.segmentIntersection(px, py, p2x, p2y, qx, qy, q2x, q2y)['type'] != IntersectEnum.NONE;
+    };
+    /**
+     * Compute the intersection of two line segments from points P = (px,py) - (p2x,p2y) and Q = (qx,qy) - (q2x,q2y), including
+     * degenerate cases
+     *
+     * @param px: number x-coordinate of initial point of first segment
+     *
+     * @param py: number y-coordinate of initial point of first segment
+     *
+     * @param p2x: number x-coordinate of terminal point of first segment
+     *
+     * @param p2y: number y-coordinate of terminal point of first segment
+     *
+     * @param qx: number x-coordinate of initial point of second segment
+     *
+     * @param qy: number y-coordinate of initial point of second segment
+     *
+     * @param q2x: number x-coordinate of terminal point of second segment
+     *
+     * @param q2y: number y-coordinate of terminal point of second segment
+     *
+     * @return Object The 'type' property is IntersectEnum.NONE if the segments do not intersect, IntersectEnum.POINT if they cross at
+     * a single point interior to both segments, IntersectEnum.ENDPOINT if they touch at a single point that is an endpoint of either
+     * segment, and IntersectEnum.OVERLAP if they are collinear and share a sub-segment.  'x' and 'y' are the intersection point (or
+     * the overlap endpoint closest to P's initial point) and 't' and 'u' are the parameters of that point along P and Q, i.e.
+     * (x,y) = P0 + t*(P1-P0) = Q0 + u*(Q1-Q0).  'x2', 'y2', 't2', and 'u2' describe the other overlap endpoint in the same manner;
+     * they are equal to 'x', 'y', 't', and 'u' for a single point of intersection.  All coordinates and parameters are NaN if the
+     * segments do not intersect.  The method is re-entrant; no state is stored in the class instance.  If the robust property is set,
+     * the classification is exact (coordinates and parameters of a crossing point are still subject to roundoff).
+     */
+    TSMT$GeomUtils.prototype.segmentIntersection = function (px, py, p2x, p2y, qx, qy, q2x, q2y) {
+        if (this._robust) {
+            return this.__robustIntersection(px, py, p2x, p2y, qx, qy, q2x, q2y);
+        }
         // Astute readers will recognize this as a 2D implementation of the Graphic Gems algorithm by Goldman.
         // There is really nothing new under the sun :)
         var rx = p2x - px;
@@ -401,22 +606,216 @@ var TSMT$GeomUtils = (function () {
         var ty = qy - py;
         var num = this.__cross(tx, ty, rx, ry);
         var den = this.__cross(rx, ry, sx, sy);
-        // co-linear test
-        if (Math.abs(num) < 0.00000001 && Math.abs(den) < 0.00000001) {
-            // intersecting points
-            if (this.pointsEqual(px, py, qx, qy) || this.pointsEqual(px, py, q2x, q2y) || this.pointsEqual(p2x, p2y, qx, qy) || this.pointsEqual(p2x, p2y, q2x, q2y)) {
-                return true;
-            }
-            // overlap?
-            return ((qx - px < 0) != (qx - p2x < 0)) || ((qy - py < 0) != (qy - p2y < 0));
+        var t;
+        var u;
+        // co-linear test (this includes degenerate, zero-length segments)
+        if (Math.abs(num) < this.PARALLEL_TOL && Math.abs(den) < this.PARALLEL_TOL) {
+            return this.__collinearIntersection(px, py, p2x, p2y, qx, qy, q2x, q2y);
         }
         // parallel segments?
-        if (Math.abs(den) < 0.00000001) {
-            return false;
+        if (Math.abs(den) < this.PARALLEL_TOL) {
+            return this.__intersection(IntersectEnum.NONE, px, py, rx, ry, Number.NaN, Number.NaN, Number.NaN, Number.NaN);
+        }
+        u = num / den;
+        t = this.__cross(tx, ty, sx, sy) / den;
+        var eps = this.PARAM_TOL;
+        if (t < -eps || t > 1 + eps || u < -eps || u > 1 + eps) {
+            return this.__intersection(IntersectEnum.NONE, px, py, rx, ry, Number.NaN, Number.NaN, Number.NaN, Number.NaN);
+        }
+        // snap parameters at (or numerically close to) an endpoint of either segment
+        t = t <= eps ? 0 : (t >= 1 - eps ? 1 : t);
+        u = u <= eps ? 0 : (u >= 1 - eps ? 1 : u);
+        var type = (t == 0 || t == 1 || u == 0 || u == 1) ? IntersectEnum.ENDPOINT : IntersectEnum.POINT;
+        if (u == 0 || u == 1) {
+            // the intersection is exactly the endpoint of the second segment
+            var x = u == 0 ? qx : q2x;
+            var y = u == 0 ? qy : q2y;
+            return { type: type, x: x, y: y, t: t, u: u, x2: x, y2: y, t2: t, u2: u };
+        }
+        if (t == 1) {
+            return { type: type, x: p2x, y: p2y, t: t, u: u, x2: p2x, y2: p2y, t2: t, u2: u };
+        }
+        return this.__intersection(type, px, py, rx, ry, t, u, t, u);
+    };
+    /**
+     * Segment intersection with exact classification by orientation predicates
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__robustIntersection = function (px, py, p2x, p2y, qx, qy, q2x, q2y) {
+        var o1 = this._predicates.orient2d(px, py, p2x, p2y, qx, qy);
+        var o2 = this._predicates.orient2d(px, py, p2x, p2y, q2x, q2y);
+        var o3 = this._predicates.orient2d(qx, qy, q2x, q2y, px, py);
+        var o4 = this._predicates.orient2d(qx, qy, q2x, q2y, p2x, p2y);
+        // collinear, including zero-length segments (all four tests must vanish since a zero-length segment defines no line)
+        if (o1 == 0 && o2 == 0 && o3 == 0 && o4 == 0) {
+            return this.__robustCollinear(px, py, p2x, p2y, qx, qy, q2x, q2y);
+        }
+        // both endpoints of one segment strictly on the same side of the other
+        if ((o1 > 0 && o2 > 0) || (o1 < 0 && o2 < 0) || (o3 > 0 && o4 > 0) || (o3 < 0 && o4 < 0)) {
+            return this.__intersection(IntersectEnum.NONE, px, py, 0, 0, Number.NaN, Number.NaN, Number.NaN, Number.NaN);
+        }
+        var t;
+        var u;
+        // an endpoint lies exactly on the other segment
+        if (o1 == 0 || o2 == 0) {
+            var x = o1 == 0 ? qx : q2x;
+            var y = o1 == 0 ? qy : q2y;
+            t = this.__parameter(x, y, px, py, p2x, p2y);
+            u = o1 == 0 ? 0 : 1;
+            return { type: IntersectEnum.ENDPOINT, x: x, y: y, t: t, u: u, x2: x, y2: y, t2: t, u2: u };
+        }
+        if (o3 == 0 || o4 == 0) {
+            var x = o3 == 0 ? px : p2x;
+            var y = o3 == 0 ? py : p2y;
+            t = o3 == 0 ? 0 : 1;
+            u = this.__parameter(x, y, qx, qy, q2x, q2y);
+            return { type: IntersectEnum.ENDPOINT, x: x, y: y, t: t, u: u, x2: x, y2: y, t2: t, u2: u };
         }
-        this.__u = num / den;
-        this.__t = this.__cross(tx, ty, sx, sy) / den;
-        return (this.__t >= 0) && (this.__t <= 1) && (this.__u >= 0) && (this.__u <= 1);
+        // proper crossing
+        var rx = p2x - px;
+        var ry = p2y - py;
+        var sx = q2x - qx;
+        var sy = q2y - qy;
+        var den = this.__cross(rx, ry, sx, sy);
+        t = Math.min(1, Math.max(0, this.__cross(qx - px, qy - py, sx, sy) / den));
+        u = Math.min(1, Math.max(0, this.__cross(qx - px, qy - py, rx, ry) / den));
+        return this.__intersection(IntersectEnum.POINT, px, py, rx, ry, t, u, t, u);
+    };
+    /**
+     * Exact classification of two segments known to lie on a common line.  Points on a line are ordered exactly by comparing
+     * coordinates along the dominant axis of the line.
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__robustCollinear = function (px, py, p2x, p2y, qx, qy, q2x, q2y) {
+        var pPoint = px == p2x && py == p2y;
+        var qPoint = qx == q2x && qy == q2y;
+        if (pPoint && qPoint) {
+            return px == qx && py == qy ? { type: IntersectEnum.ENDPOINT, x: px, y: py, t: 0, u: 0, x2: px, y2: py, t2: 0, u2: 0 }
+                : this.__intersection(IntersectEnum.NONE, px, py, 0, 0, Number.NaN, Number.NaN, Number.NaN, Number.NaN);
+        }
+        // key for each point along the common line, increasing from P's initial point to its terminal point where possible
+        var useX = Math.abs(p2x - px) + Math.abs(q2x - qx) >= Math.abs(p2y - py) + Math.abs(q2y - qy);
+        var kp = useX ? px : py;
+        var kp2 = useX ? p2x : p2y;
+        var kq = useX ? qx : qy;
+        var kq2 = useX ? q2x : q2y;
+        var sign = pPoint ? (kq2 >= kq ? 1 : -1) : (kp2 >= kp ? 1 : -1);
+        // start and end of the overlap, taken from P unless an endpoint of Q is inside P
+        var x0 = px;
+        var y0 = py;
+        var k0 = sign * kp;
+        var x1 = p2x;
+        var y1 = p2y;
+        var k1 = sign * kp2;
+        var qLo = sign * kq <= sign * kq2;
+        var qmin = qLo ? sign * kq : sign * kq2;
+        var qmax = qLo ? sign * kq2 : sign * kq;
+        if (qmin > k0) {
+            k0 = qmin;
+            x0 = qLo ? qx : q2x;
+            y0 = qLo ? qy : q2y;
+        }
+        if (qmax < k1) {
+            k1 = qmax;
+            x1 = qLo ? q2x : qx;
+            y1 = qLo ? q2y : qy;
+        }
+        if (k0 > k1) {
+            return this.__intersection(IntersectEnum.NONE, px, py, 0, 0, Number.NaN, Number.NaN, Number.NaN, Number.NaN);
+        }
+        var t0 = this.__parameter(x0, y0, px, py, p2x, p2y);
+        var u0 = this.__parameter(x0, y0, qx, qy, q2x, q2y);
+        if (k0 == k1) {
+            return { type: IntersectEnum.ENDPOINT, x: x0, y: y0, t: t0, u: u0, x2: x0, y2: y0, t2: t0, u2: u0 };
+        }
+        var t1 = this.__parameter(x1, y1, px, py, p2x, p2y);
+        var u1 = this.__parameter(x1, y1, qx, qy, q2x, q2y);
+        return { type: IntersectEnum.OVERLAP, x: x0, y: y0, t: t0, u: u0, x2: x1, y2: y1, t2: t1, u2: u1 };
+    };
+    /**
+     * Parameter of a point on (or projected onto) the segment (ax,ay) - (bx,by), clamped to [0,1] and exact at the endpoints
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__parameter = function (x, y, ax, ay, bx, by) {
+        if (x == ax && y == ay) {
+            return 0;
+        }
+        if (x == bx && y == by) {
+            return 1;
+        }
+        var dx = bx - ax;
+        var dy = by - ay;
+        var dd = dx * dx + dy * dy;
+        return dd == 0 ? 0 : Math.min(1, Math.max(0, ((x - ax) * dx + (y - ay) * dy) / dd));
+    };
+    /**
+     * Intersection of two segments, P and Q, known to lie on a common line
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__collinearIntersection = function (px, py, p2x, p2y, qx, qy, q2x, q2y) {
+        var rx = p2x - px;
+        var ry = p2y - py;
+        var sx = q2x - qx;
+        var sy = q2y - qy;
+        var rr = rx * rx + ry * ry;
+        var ss = sx * sx + sy * sy;
+        var eps = this.PARAM_TOL;
+        var u;
+        if (rr < this.ZERO_TOL) {
+            // first segment is a single point, which may lie on the second segment
+            if (ss < this.ZERO_TOL) {
+                return this.pointsEqual(px, py, qx, qy) ? { type: IntersectEnum.ENDPOINT, x: px, y: py, t: 0, u: 0, x2: px, y2: py, t2: 0, u2: 0 }
+                    : this.__intersection(IntersectEnum.NONE, px, py, rx, ry, Number.NaN, Number.NaN, Number.NaN, Number.NaN);
+            }
+            u = ((px - qx) * sx + (py - qy) * sy) / ss;
+            if (u < -eps || u > 1 + eps || !this.pointOnLine(px, py, qx, qy, q2x, q2y)) {
+                return this.__intersection(IntersectEnum.NONE, px, py, rx, ry, Number.NaN, Number.NaN, Number.NaN, Number.NaN);
+            }
+            u = Math.min(1, Math.max(0, u));
+            return { type: IntersectEnum.ENDPOINT, x: px, y: py, t: 0, u: u, x2: px, y2: py, t2: 0, u2: u };
+        }
+        // extent of the second segment, parameterized along the first
+        var t1 = ((qx - px) * rx + (qy - py) * ry) / rr;
+        var t2 = ((q2x - px) * rx + (q2y - py) * ry) / rr;
+        // the overlap is bounded by segment endpoints, so its coordinates are taken directly from those endpoints
+        var lo = 0;
+        var hi = 1;
+        var x0 = px;
+        var y0 = py;
+        var x1 = p2x;
+        var y1 = p2y;
+        if (Math.min(t1, t2) > 0) {
+            lo = Math.min(t1, t2);
+            x0 = t1 < t2 ? qx : q2x;
+            y0 = t1 < t2 ? qy : q2y;
+        }
+        if (Math.max(t1, t2) < 1) {
+            hi = Math.max(t1, t2);
+            x1 = t1 > t2 ? qx : q2x;
+            y1 = t1 > t2 ? qy : q2y;
+        }
+        if (lo > hi + eps) {
+            return this.__intersection(IntersectEnum.NONE, px, py, rx, ry, Number.NaN, Number.NaN, Number.NaN, Number.NaN);
+        }
+        // parameter of each overlap endpoint relative to the second segment
+        var u0 = ss < this.ZERO_TOL ? 0 : Math.min(1, Math.max(0, ((x0 - qx) * sx + (y0 - qy) * sy) / ss));
+        var u1 = ss < this.ZERO_TOL ? 0 : Math.min(1, Math.max(0, ((x1 - qx) * sx + (y1 - qy) * sy) / ss));
+        if (hi - lo <= eps) {
+            return { type: IntersectEnum.ENDPOINT, x: x0, y: y0, t: lo, u: u0, x2: x0, y2: y0, t2: lo, u2: u0 };
+        }
+        return { type: IntersectEnum.OVERLAP, x: x0, y: y0, t: lo, u: u0, x2: x1, y2: y1, t2: hi, u2: u1 };
+    };
+    /**
+     * Assemble a segment-intersection result from parameters along the first segment, P + t*r
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__intersection = function (type, px, py, rx, ry, t, u, t2, u2) {
+        return { type: type, x: px + t * rx, y: py + t * ry, t: t, u: u, x2: px + t2 * rx, y2: py + t2 * ry, t2: t2, u2: u2 };
     };
     /**
      * Intersection point of infinite lines between two segments
@@ -439,7 +838,8 @@ var TSMT$GeomUtils = (function () {
      *
      * @return Object 'x' and 'y' properties contain the x- and y-coordinates of intersection point (for well-posed inputs).  This is NOT a general-purpose line-
      * intersection method.  It is intended to be a fast algorithm for well-posed data, i.e. lines are not colinear or overlapping, and point data is well-defined.
-     * There are no tests for bad data or outlier conditions.  Use at your own risk.
+     * Parallel (or colinear) lines return NaN for both coordinates; there are no other tests for bad data or outlier conditions.  Use segmentIntersection() for a
+     * full classification of the intersection between two segments.
      *
      */
     TSMT$GeomUtils.prototype.lineIntersection = function (px, py, p2x, p2y, qx, qy, q2x, q2y) {
@@ -450,6 +850,9 @@ var TSMT$GeomUtils = (function () {
         var tx = qx - px;
         var ty = qy - py;
         var den = this.__cross(rx, ry, sx, sy);
+        if (Math.abs(den) < this.PARALLEL_TOL) {
+            return { x: Number.NaN, y: Number.NaN };
+        }
         var t = this.__cross(tx, ty, sx, sy) / den;
         var t1 = 1 - t;
         return { x: t1 * px + t * p2x, y: t1 * py + t * p2y };
@@ -514,9 +917,13 @@ var TSMT$GeomUtils = (function () {
      * @param _x2: number - x-coordinate of P2
      * @param _y2: number - y-coordinate of P2
      *
-     * @return boolean True if the point sequence is in CW order, false if CCW
+     * @return boolean True if the point sequence is in CW order, false if CCW.  Collinear points are considered CW.  If the robust
+     * property is set, the test is exact.
      */
     TSMT$GeomUtils.prototype.isClockwise = function (_x0, _y0, _x1, _y1, _x2, _y2) {
+        if (this._robust) {
+            return this._predicates.orient2d(_x0, _y0, _x1, _y1, _x2, _y2) <= 0;
+        }
         return !((_y2 - _y0) * (_x1 - _x0) > (_y1 - _y0) * (_x2 - _x0));
     };
     /**
@@ -536,12 +943,16 @@ var TSMT$GeomUtils = (function () {
      *
      * @return boolean - true if the input point is numerically 'close enough' to be considered on the line passing through the two other points.
      * The test is designed for computer-based games and is performed very fast and without error checking.  It also has a possible loss of
-     * significance if dealing with very close points of very small magnitude.
+     * significance if dealing with very close points of very small magnitude.  If the robust property is set, the test is exact and
+     * independent of scale.
      */
     TSMT$GeomUtils.prototype.pointOnLine = function (rx, ry, px, py, qx, qy) {
-        // test for small determinant where 'small' is based on pixel values typical in browser and mobile applications
+        if (this._robust) {
+            return this._predicates.orient2d(px, py, qx, qy, rx, ry) == 0;
+        }
+        // test for small determinant where 'small' defaults to a value based on pixel values typical in browser and mobile applications
         var det = (qx - px) * (ry - py) - (qy - py) * (rx - px);
-        return Math.abs(det) < 0.001;
+        return Math.abs(det) < this.ON_LINE_TOL;
     };
     /**
      * Return the area of a triangle, given the three vertices.  This is a suitably popluar geometric shape whose area is often needed to be computed very
@@ -583,7 +994,8 @@ var TSMT$GeomUtils = (function () {
      *
      * @return Array - Array of objects with 'x' and 'y' properties containing coordinates of intersection point(s).
      * The array is empty if the two circles do not intersect, they are coincident, or one circle is contained inside
-     * another.  No error checking is performed in order to maximize performance.
+     * another.  No error checking is performed in order to maximize performance.  Use circleRelation() to distinguish these
+     * cases and to detect tangency to within a tolerance.
      */
     TSMT$GeomUtils.prototype.circleToCircleIntersection = function (x0, y0, r0, x1, y1, r1) {
         var dx = x1 - x0; // delta-x
@@ -592,7 +1004,7 @@ var TSMT$GeomUtils = (function () {
         if (d > r0 + r1 || d < Math.abs(r0 - r1)) {
             return new Array();
         }
-        if (Math.abs(d) < 0.001 && Math.abs(r1 - r0) < 0.001) {
+        if (Math.abs(d) < this.CIRCLE_TOL && Math.abs(r1 - r0) < this.CIRCLE_TOL) {
             return new Array();
         }
         var r0sq = r0 * r0;
@@ -614,6 +1026,390 @@ var TSMT$GeomUtils = (function () {
         }
         return intersect;
     };
+    /**
+     * Classify the relationship between two circles and compute their intersection or tangent point(s)
+     *
+     * @param x0: number x-coordinate of first circle center
+     *
+     * @param y0: number y-coordinate of first circle center
+     *
+     * @param r0: number first circle radius
+     *
+     * @param x1: number x-coordinate of second circle center
+     *
+     * @param y1: number y-coordinate of second circle center
+     *
+     * @param r1: number second circle radius
+     *
+     * @return Object - 'type' property is one of CircleRelationEnum.DISJOINT (each circle outside the other), EXTERNAL_TANGENT,
+     * INTERNAL_TANGENT, INTERSECTING, CONTAINED (one circle inside the other; the circle with the smaller radius is inside), or
+     * COINCIDENT.  'points' is an array of objects with 'x' and 'y' properties containing the two intersection points of intersecting
+     * circles or the single point of contact of tangent circles (empty otherwise).  Circles are tangent if the distance between
+     * centers is within the 'circle' tolerance (default 0.001) of the sum or difference of the radii, and coincident if both the
+     * distance between centers and the difference in radii are within that tolerance.
+     */
+    TSMT$GeomUtils.prototype.circleRelation = function (x0, y0, r0, x1, y1, r1) {
+        var tol = this.CIRCLE_TOL;
+        var ux = x1 - x0;
+        var uy = y1 - y0;
+        var d = Math.sqrt(ux * ux + uy * uy);
+        var sum = r0 + r1;
+        var diff = Math.abs(r0 - r1);
+        if (d < tol && diff < tol) {
+            return { type: CircleRelationEnum.COINCIDENT, points: [] };
+        }
+        if (d > sum + tol) {
+            return { type: CircleRelationEnum.DISJOINT, points: [] };
+        }
+        if (d < diff - tol || d == 0) {
+            return { type: CircleRelationEnum.CONTAINED, points: [] };
+        }
+        ux /= d;
+        uy /= d;
+        if (d >= sum - tol) {
+            // point of contact is midway between the nearest points of the two circles
+            var ex = 0.5 * (x0 + r0 * ux + x1 - r1 * ux);
+            var ey = 0.5 * (y0 + r0 * uy + y1 - r1 * uy);
+            return { type: CircleRelationEnum.EXTERNAL_TANGENT, points: [{ x: ex, y: ey }] };
+        }
+        if (d <= diff + tol) {
+            // both circles touch on the side of the smaller circle away from the center of the larger
+            var s = r0 >= r1 ? 1 : -1;
+            var ix = 0.5 * (x0 + s * r0 * ux + x1 + s * r1 * ux);
+            var iy = 0.5 * (y0 + s * r0 * uy + y1 + s * r1 * uy);
+            return { type: CircleRelationEnum.INTERNAL_TANGENT, points: [{ x: ix, y: iy }] };
+        }
+        var a = (r0 * r0 - r1 * r1 + d * d) / (2 * d);
+        var h = Math.sqrt(Math.max(0, r0 * r0 - a * a));
+        var mx = x0 + a * ux;
+        var my = y0 + a * uy;
+        return { type: CircleRelationEnum.INTERSECTING, points: [{ x: mx + h * uy, y: my - h * ux }, { x: mx - h * uy, y: my + h * ux }] };
+    };
+    /**
+     * Intersection of a line segment with a circle
+     *
+     * @param x1: number x-coordinate of segment initial point
+     *
+     * @param y1: number y-coordinate of segment initial point
+     *
+     * @param x2: number x-coordinate of segment terminal point
+     *
+     * @param y2: number y-coordinate of segment terminal point
+     *
+     * @param cx: number x-coordinate of circle center
+     *
+     * @param cy: number y-coordinate of circle center
+     *
+     * @param r: number circle radius
+     *
+     * @return Array - Array of objects with 'x' and 'y' properties containing coordinates of the (zero, one, or two) points at which the
+     * segment crosses or touches the circle, in order from the initial to the terminal point.  A segment tangent to the circle (to within
+     * a relative tolerance) produces a single point.
+     */
+    TSMT$GeomUtils.prototype.segmentCircleIntersection = function (x1, y1, x2, y2, cx, cy, r) {
+        return this.__lineCircle(x1, y1, x2 - x1, y2 - y1, cx, cy, r, 0, 1);
+    };
+    /**
+     * Intersection of a ray with a circle
+     *
+     * @param x0: number x-coordinate of ray origin
+     *
+     * @param y0: number y-coordinate of ray origin
+     *
+     * @param dx: number x-component of ray direction (need not be normalized)
+     *
+     * @param dy: number y-component of ray direction
+     *
+     * @param cx: number x-coordinate of circle center
+     *
+     * @param cy: number y-coordinate of circle center
+     *
+     * @param r: number circle radius
+     *
+     * @return Array - Array of objects with 'x' and 'y' properties containing coordinates of the (zero, one, or two) points at which the
+     * ray crosses or touches the circle, in order of distance from the origin.  A ray whose origin is inside the circle produces a
+     * single point.
+     */
+    TSMT$GeomUtils.prototype.rayCircleIntersection = function (x0, y0, dx, dy, cx, cy, r) {
+        return this.__lineCircle(x0, y0, dx, dy, cx, cy, r, 0, Number.POSITIVE_INFINITY);
+    };
+    /**
+     * Intersection of an (infinite) line with a circle
+     *
+     * @param x1: number x-coordinate of first point on line
+     *
+     * @param y1: number y-coordinate of first point on line
+     *
+     * @param x2: number x-coordinate of second point on line
+     *
+     * @param y2: number y-coordinate of second point on line
+     *
+     * @param cx: number x-coordinate of circle center
+     *
+     * @param cy: number y-coordinate of circle center
+     *
+     * @param r: number circle radius
+     *
+     * @return Array - Array of objects with 'x' and 'y' properties containing coordinates of the (zero, one, or two) points at which the
+     * line crosses or touches the circle, in the direction from the first to the second point
+     */
+    TSMT$GeomUtils.prototype.lineCircleIntersection = function (x1, y1, x2, y2, cx, cy, r) {
+        return this.__lineCircle(x1, y1, x2 - x1, y2 - y1, cx, cy, r, Number.NEGATIVE_INFINITY, Number.POSITIVE_INFINITY);
+    };
+    /**
+     * Points of tangency on a circle of the tangent lines through a point
+     *
+     * @param px: number x-coordinate of point
+     *
+     * @param py: number y-coordinate of point
+     *
+     * @param cx: number x-coordinate of circle center
+     *
+     * @param cy: number y-coordinate of circle center
+     *
+     * @param r: number circle radius
+     *
+     * @return Array - Array of objects with 'x' and 'y' properties containing coordinates of the points of tangency.  The array is empty if
+     * the point is inside the circle and contains only the point itself if it is on the circle (to within a relative tolerance).
+     * Otherwise, the first point is to the right of the directed line from the point to the circle center in a y-up coordinate system.
+     */
+    TSMT$GeomUtils.prototype.pointCircleTangents = function (px, py, cx, cy, r) {
+        var vx = px - cx;
+        var vy = py - cy;
+        var d2 = vx * vx + vy * vy;
+        var r2 = r * r;
+        var h2 = d2 - r2;
+        if (h2 < -this.ZERO_TOL * r2) {
+            return new Array();
+        }
+        if (h2 <= this.ZERO_TOL * r2) {
+            return [{ x: px, y: py }];
+        }
+        // foot of the chord of contact and offset along the perpendicular
+        var a = r2 / d2;
+        var h = r * Math.sqrt(h2) / d2;
+        return [{ x: cx + a * vx - h * vy, y: cy + a * vy + h * vx }, { x: cx + a * vx + h * vy, y: cy + a * vy - h * vx }];
+    };
+    /**
+     * Common tangent lines of two circles
+     *
+     * @param x0: number x-coordinate of first circle center
+     *
+     * @param y0: number y-coordinate of first circle center
+     *
+     * @param r0: number first circle radius
+     *
+     * @param x1: number x-coordinate of second circle center
+     *
+     * @param y1: number y-coordinate of second circle center
+     *
+     * @param r1: number second circle radius
+     *
+     * @return Array - Array of objects with 'x1', 'y1' (point of tangency on the first circle) and 'x2', 'y2' (point of tangency on the
+     * second circle) properties.  External tangents (circles on the same side of the line) are listed before internal tangents (circles on
+     * opposite sides).  Separate circles have four common tangents, circles touching externally have three (the internal tangent at the
+     * point of contact has identical points of tangency), overlapping circles have two, circles touching internally have one, and the
+     * array is empty if one circle is inside the other or the circles are coincident.
+     */
+    TSMT$GeomUtils.prototype.circleTangents = function (x0, y0, r0, x1, y1, r1) {
+        var tangents = new Array();
+        var ux = x1 - x0;
+        var uy = y1 - y0;
+        var d = Math.sqrt(ux * ux + uy * uy);
+        if (d < this.CIRCLE_TOL && Math.abs(r1 - r0) < this.CIRCLE_TOL) {
+            return tangents;
+        }
+        if (d == 0) {
+            return tangents;
+        }
+        ux /= d;
+        uy /= d;
+        this.__circleTangents(x0, y0, r0, x1, y1, r1, ux, uy, (r0 - r1) / d, 1, tangents);
+        this.__circleTangents(x0, y0, r0, x1, y1, r1, ux, uy, (r0 + r1) / d, -1, tangents);
+        return tangents;
+    };
+    /**
+     * Circle through three points
+     *
+     * @param x1: number x-coordinate of first point
+     *
+     * @param y1: number y-coordinate of first point
+     *
+     * @param x2: number x-coordinate of second point
+     *
+     * @param y2: number y-coordinate of second point
+     *
+     * @param x3: number x-coordinate of third point
+     *
+     * @param y3: number y-coordinate of third point
+     *
+     * @return Object - 'x' and 'y' properties contain the coordinates of the circle center and 'r' contains the radius.  All three
+     * properties are NaN if the points are collinear (twice the area of the triangle they form is below the zero tolerance).
+     */
+    TSMT$GeomUtils.prototype.circleThroughPoints = function (x1, y1, x2, y2, x3, y3) {
+        // coordinates relative to the first point to reduce roundoff
+        var bx = x2 - x1;
+        var by = y2 - y1;
+        var cx = x3 - x1;
+        var cy = y3 - y1;
+        var d = 2 * this.__cross(bx, by, cx, cy);
+        if (Math.abs(d) < this.ZERO_TOL) {
+            return { x: Number.NaN, y: Number.NaN, r: Number.NaN };
+        }
+        var b2 = bx * bx + by * by;
+        var c2 = cx * cx + cy * cy;
+        var ux = (cy * b2 - by * c2) / d;
+        var uy = (bx * c2 - cx * b2) / d;
+        return { x: x1 + ux, y: y1 + uy, r: Math.sqrt(ux * ux + uy * uy) };
+    };
+    /**
+     * Minimum enclosing circle of a point cloud (Welzl's algorithm, in expected linear time)
+     *
+     * @param xcoord : Array - Array of x-coordinates (point count is taken from the length of this array)
+     *
+     * @param ycoord : Array - Array of y-coordinates
+     *
+     * @return Object - 'x' and 'y' properties contain the coordinates of the circle center and 'r' contains the radius of the smallest
+     * circle that contains every point.  A single point produces a circle of zero radius.  All three properties are NaN if the cloud is
+     * empty or the coordinate arrays differ in length.
+     */
+    TSMT$GeomUtils.prototype.enclosingCircle = function (_xcoord, _ycoord) {
+        if (!this.__validCloud(_xcoord, _ycoord)) {
+            return { x: Number.NaN, y: Number.NaN, r: Number.NaN };
+        }
+        var n = _xcoord.length;
+        var order = new Array();
+        var i;
+        var j;
+        var k;
+        var tmp;
+        for (i = 0; i < n; ++i) {
+            order.push(i);
+        }
+        // repeatable pseudo-random order provides the expected running time
+        var seed = 1;
+        for (i = n - 1; i > 0; --i) {
+            seed = (seed * 16807) % 2147483647;
+            j = seed % (i + 1);
+            tmp = order[i];
+            order[i] = order[j];
+            order[j] = tmp;
+        }
+        var x = order.map(function (p) { return _xcoord[p]; });
+        var y = order.map(function (p) { return _ycoord[p]; });
+        var circle = { x: x[0], y: y[0], r: 0 };
+        for (i = 1; i < n; ++i) {
+            if (this.__inCircle(circle, x[i], y[i])) {
+                continue;
+            }
+            // p[i] is on the boundary of the enclosing circle of p[0..i]
+            circle = { x: x[i], y: y[i], r: 0 };
+            for (j = 0; j < i; ++j) {
+                if (this.__inCircle(circle, x[j], y[j])) {
+                    continue;
+                }
+                // p[i] and p[j] are on the boundary of the enclosing circle of p[0..j] and p[i]
+                circle = this.__diametralCircle(x[i], y[i], x[j], y[j]);
+                for (k = 0; k < j; ++k) {
+                    if (!this.__inCircle(circle, x[k], y[k])) {
+                        circle = this.__boundaryCircle(x[i], y[i], x[j], y[j], x[k], y[k]);
+                    }
+                }
+            }
+        }
+        return circle;
+    };
+    /**
+     * Points where the line P + t*D intersects a circle, for parameters in [tmin, tmax] (to within the parameter tolerance)
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__lineCircle = function (px, py, dx, dy, cx, cy, r, tmin, tmax) {
+        var points = new Array();
+        var a = dx * dx + dy * dy;
+        if (a == 0) {
+            return points;
+        }
+        // parameter of the point on the line closest to the center and squared half-chord
+        var t0 = ((cx - px) * dx + (cy - py) * dy) / a;
+        var ex = px + t0 * dx - cx;
+        var ey = py + t0 * dy - cy;
+        var r2 = r * r;
+        var h2 = r2 - (ex * ex + ey * ey);
+        if (h2 < -this.ZERO_TOL * r2) {
+            return points;
+        }
+        var dt = h2 <= this.ZERO_TOL * r2 ? 0 : Math.sqrt(h2 / a);
+        var t = dt == 0 ? [t0] : [t0 - dt, t0 + dt];
+        var i;
+        var s;
+        for (i = 0; i < t.length; ++i) {
+            if (t[i] >= tmin - this.PARAM_TOL && t[i] <= tmax + this.PARAM_TOL) {
+                s = Math.min(Math.max(t[i], tmin), tmax);
+                points.push({ x: px + s * dx, y: py + s * dy });
+            }
+        }
+        return points;
+    };
+    /**
+     * Common tangents of two circles for one value of c, the cosine of the angle between the center line and the tangent normal;
+     * 'side' is 1 for external and -1 for internal tangents
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__circleTangents = function (x0, y0, r0, x1, y1, r1, ux, uy, c, side, tangents) {
+        var h2 = 1 - c * c;
+        if (h2 < -this.ZERO_TOL) {
+            return;
+        }
+        var h = h2 <= this.ZERO_TOL ? 0 : Math.sqrt(h2);
+        var signs = h == 0 ? [1] : [1, -1];
+        var nx;
+        var ny;
+        var i;
+        for (i = 0; i < signs.length; ++i) {
+            // unit normal of the tangent line, pointing from the first center to its point of tangency
+            nx = c * ux - signs[i] * h * uy;
+            ny = c * uy + signs[i] * h * ux;
+            tangents.push({ x1: x0 + r0 * nx, y1: y0 + r0 * ny, x2: x1 + side * r1 * nx, y2: y1 + side * r1 * ny });
+        }
+    };
+    /**
+     * Is a point inside (or on the boundary of) a circle, to within the containment tolerance (relative to the squared radius)?
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__inCircle = function (circle, x, y) {
+        var dx = x - circle['x'];
+        var dy = y - circle['y'];
+        var r = circle['r'];
+        return dx * dx + dy * dy <= r * r * (1 + this.CONTAIN_TOL) || (dx == 0 && dy == 0);
+    };
+    /**
+     * Circle with the segment between two points as its diameter
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__diametralCircle = function (x1, y1, x2, y2) {
+        var dx = x2 - x1;
+        var dy = y2 - y1;
+        return { x: 0.5 * (x1 + x2), y: 0.5 * (y1 + y2), r: 0.5 * Math.sqrt(dx * dx + dy * dy) };
+    };
+    /**
+     * Smallest circle with three points on its boundary, or the diametral circle of the farthest pair if they are (nearly) collinear
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__boundaryCircle = function (x1, y1, x2, y2, x3, y3) {
+        var circle = this.circleThroughPoints(x1, y1, x2, y2, x3, y3);
+        if (!isNaN(circle['r'])) {
+            return circle;
+        }
+        var d12 = this.__diametralCircle(x1, y1, x2, y2);
+        var d13 = this.__diametralCircle(x1, y1, x3, y3);
+        var d23 = this.__diametralCircle(x2, y2, x3, y3);
+        return d12['r'] >= d13['r'] && d12['r'] >= d23['r'] ? d12 : (d13['r'] >= d23['r'] ? d13 : d23);
+    };
     /**
      * Return the distance from a single point, P, to a line segment passing through P0 and P1
      *
@@ -651,6 +1447,54 @@ var TSMT$GeomUtils = (function () {
         var dy = py - ty;
         return Math.sqrt(dx * dx + dy * dy);
     };
+    /**
+     * Batch version of pointToSegmentDistance() for a collection of points
+     *
+     * @param p0x: number - x-coordinate of P0
+     * @param p0y: number - y-coordinate of P0
+     *
+     * @param p1x: number - x-coordinate of P1
+     * @param p1y: number - y-coordinate of P1
+     *
+     * @param coords: Float64Array - Flat array of point coordinates, [x0, y0, x1, y1, ... ]
+     *
+     * @param out: Float64Array - Optional buffer with at least one element per point to receive the distances
+     * @default null
+     *
+     * @return Float64Array - Distance from point i to the line segment between P0 and P1 at index i (same result as pointToSegmentDistance());
+     * the output buffer if one was provided, otherwise a new buffer with one element per point
+     */
+    TSMT$GeomUtils.prototype.pointToSegmentDistanceBatch = function (p0x, p0y, p1x, p1y, coords, out) {
+        if (out === void 0) { out = null; }
+        var n = Math.floor(coords.length / 2);
+        var result = out != null && out != undefined ? out : new Float64Array(n);
+        var vx = p1x - p0x;
+        var vy = p1y - p0y;
+        var c2 = vx * vx + vy * vy;
+        var wx;
+        var wy;
+        var c1;
+        var b;
+        var i;
+        for (i = 0; i < n; ++i) {
+            wx = coords[2 * i] - p0x;
+            wy = coords[2 * i + 1] - p0y;
+            c1 = wx * vx + wy * vy;
+            if (c1 > 0) {
+                if (c2 <= c1) {
+                    wx = p1x - coords[2 * i];
+                    wy = p1y - coords[2 * i + 1];
+                }
+                else {
+                    b = c1 / c2;
+                    wx = coords[2 * i] - (p0x + b * vx);
+                    wy = coords[2 * i + 1] - (p0y + b * vy);
+                }
+            }
+            result[i] = Math.sqrt(wx * wx + wy * wy);
+        }
+        return result;
+    };
     /**
      * Return the point from projecting a single point, P, to a line segment passing through P0 and P1
      *
@@ -694,6 +1538,51 @@ var TSMT$GeomUtils = (function () {
         // var d = Math.sqrt(dx*dx + dy*dy);
         return { x: vx, y: vy };
     };
+    /**
+     * Batch version of projectToSegment() for a collection of points
+     *
+     * @param p0x: number - x-coordinate of P0
+     * @param p0y: number - y-coordinate of P0
+     *
+     * @param p1x: number - x-coordinate of P1
+     * @param p1y: number - y-coordinate of P1
+     *
+     * @param coords: Float64Array - Flat array of point coordinates, [x0, y0, x1, y1, ... ]
+     *
+     * @param out: Float64Array - Optional buffer at least as long as the input buffer to receive the projected points; it may be the input
+     * buffer itself to project in place
+     * @default null
+     *
+     * @return Float64Array - Flat array of the closest points on P0-P1 (same results as projectToSegment()); the output buffer if one was
+     * provided, otherwise a new buffer of the same length as the input
+     */
+    TSMT$GeomUtils.prototype.projectToSegmentBatch = function (p0x, p0y, p1x, p1y, coords, out) {
+        if (out === void 0) { out = null; }
+        var n = Math.floor(coords.length / 2);
+        var result = out != null && out != undefined ? out : new Float64Array(coords.length);
+        var dx = p1x - p0x;
+        var dy = p1y - p0y;
+        var norm = dx * dx + dy * dy;
+        var degenerate = norm < this.ZERO_TOL;
+        var t;
+        var i;
+        for (i = 0; i < n; ++i) {
+            t = degenerate ? 0 : ((coords[2 * i] - p0x) * dx + (coords[2 * i + 1] - p0y) * dy) / norm;
+            if (t <= 0) {
+                result[2 * i] = p0x;
+                result[2 * i + 1] = p0y;
+            }
+            else if (t >= 1) {
+                result[2 * i] = p1x;
+                result[2 * i + 1] = p1y;
+            }
+            else {
+                result[2 * i] = p0x + t * dx;
+                result[2 * i + 1] = p0y + t * dy;
+            }
+        }
+        return result;
+    };
     /**
      * Reflect a point cloud about a line passing through P0 and P1
      *
@@ -708,10 +1597,9 @@ var TSMT$GeomUtils = (function () {
      * @param y1: number - y-coordinate of P1
      *
      * @return Array - Reflected point cloud, provided that the line segment is (numerically) distinct; otherwise, the original array is returned.
+     * This is the same as applying TSMT$Affine.reflection(x0, y0, x1, y1) to the points.
      */
     TSMT$GeomUtils.prototype.reflect = function (points, x0, y0, x1, y1) {
-        var p1x;
-        var p1y;
         var dx = x1 - x0;
         var dy = y1 - y0;
         var d = dx * dx + dy * dy;
@@ -719,25 +1607,11 @@ var TSMT$GeomUtils = (function () {
             // there is no line to reflect about, so the transformation defaults to an indentity
             return points;
         }
-        var len = points.length;
-        if (len == 0) {
+        if (points.length == 0) {
             // no points to process
             return points;
         }
-        var a = (dx * dx - dy * dy) / d;
-        var b = 2 * dx * dy / d;
-        var i;
-        var p;
-        var reflect = new Array();
-        for (i = 0; i < len; ++i) {
-            p = points[i];
-            dx = p['x'] - x0;
-            dy = p['y'] - y0;
-            p1x = (a * dx + b * dy + x0);
-            p1y = (b * dx - a * dy + y0);
-            reflect.push({ x: p1x, y: p1y });
-        }
-        return reflect;
+        return Affine_1.TSMT$Affine.reflection(x0, y0, x1, y1).transformPoints(points);
     };
     /**
      * Find the two points in a point cloud that are closest in terms of Euclidean distance
@@ -747,134 +1621,366 @@ var TSMT$GeomUtils = (function () {
      * @param ycoord : Array - Array of y-coordinates
      *
      * @return Array - Two-element array of Objects whose 'x' and 'y' properties contain the coordinates of the two closest
-     * points - there is no error-checking for performance reasons.  The return array is empty if the point collection is
-     * less than two.  Note that duplicate points may cause an issue and that is not scanned for at this time.  It may also
-     * be the case that multiple points exist for which the minimum distance is the same.  Only the first point set identified
-     * by the algorithm will be returned.
+     * points.  The return array is empty if the point collection is empty or the coordinate arrays differ in length; a single
+     * point is returned twice.  Duplicate points are closest at zero distance.  It may be the case that multiple points exist
+     * for which the minimum distance is the same.  Only one pair is returned; use minimumPairs() to obtain all of them.
      */
     TSMT$GeomUtils.prototype.closestPoints = function (_xcoord, _ycoord) {
-        // Attribution:  This is a mashup of code I wrote in C back in the early 90's and a Java code sent to me by a
-        // colleague, but I do not have a reference for the Java author.
-        if (!_xcoord || !_ycoord || !_xcoord.length || !_ycoord.length) {
+        if (!this.__validCloud(_xcoord, _ycoord)) {
             return [];
         }
-        if (_xcoord.length != _ycoord.length) {
+        if (_xcoord.length == 1) {
+            return [{ x: _xcoord[0], y: _ycoord[0] }, { x: _xcoord[0], y: _ycoord[0] }];
+        }
+        var pair = this.closestPairs(_xcoord, _ycoord, 1)[0];
+        var i = pair['i'];
+        var j = pair['j'];
+        return [{ x: _xcoord[i], y: _ycoord[i] }, { x: _xcoord[j], y: _ycoord[j] }];
+    };
+    /**
+     * Find the k pairs of points in a point cloud that are closest in terms of Euclidean distance
+     *
+     * @param xcoord : Array - Array of x-coordinates (point count is taken from the length of this array)
+     *
+     * @param ycoord : Array - Array of y-coordinates
+     *
+     * @param k : number - Number of pairs to return
+     * @default 1
+     *
+     * @return Array - Objects whose 'i' and 'j' properties are indices into the coordinate arrays of two distinct points (i < j) and
+     * whose 'd' property is the distance between them, in increasing order of distance (then i, then j).  Fewer than k pairs are
+     * returned if the cloud contains fewer than k pairs.  When several pairs are tied at the k-th distance, the pairs included in
+     * the result are arbitrary.  The array is empty for invalid input.
+     */
+    TSMT$GeomUtils.prototype.closestPairs = function (_xcoord, _ycoord, k) {
+        if (k === void 0) { k = 1; }
+        if (!this.__validCloud(_xcoord, _ycoord) || !(k >= 1)) {
             return [];
         }
-        var n = _xcoord.length;
-        if (n == 0) {
+        k = Math.floor(k);
+        var axis = this.__sweepAxis(_xcoord, _ycoord);
+        var other = axis == _xcoord ? _ycoord : _xcoord;
+        var order = this.__sweepOrder(axis, other);
+        var n = order.length;
+        // max-heap on squared distance of the k closest pairs found so far
+        var heap = new Array();
+        var bound = Number.POSITIVE_INFINITY;
+        var a;
+        var b;
+        var i;
+        var j;
+        var da;
+        var db;
+        var d2;
+        for (a = 0; a < n; ++a) {
+            i = order[a];
+            for (b = a + 1; b < n; ++b) {
+                j = order[b];
+                da = axis[j] - axis[i];
+                // points are sorted along the sweep axis, so no later point can be closer
+                if (da * da >= bound) {
+                    break;
+                }
+                db = other[j] - other[i];
+                d2 = da * da + db * db;
+                if (d2 < bound) {
+                    if (heap.length == k) {
+                        this.__heapRemove(heap);
+                    }
+                    this.__heapInsert(heap, { i: Math.min(i, j), j: Math.max(i, j), d: d2 });
+                    if (heap.length == k) {
+                        bound = heap[0]['d'];
+                    }
+                }
+            }
+        }
+        return this.__sortPairs(heap);
+    };
+    /**
+     * Find all pairs of points in a point cloud that are within a specified distance of one another
+     *
+     * @param xcoord : Array - Array of x-coordinates (point count is taken from the length of this array)
+     *
+     * @param ycoord : Array - Array of y-coordinates
+     *
+     * @param distance : number - Maximum distance (inclusive) between points in a pair
+     *
+     * @return Array - Objects whose 'i' and 'j' properties are indices into the coordinate arrays of two distinct points (i < j) and
+     * whose 'd' property is the distance between them, in increasing order of distance (then i, then j).  The array is empty for
+     * invalid input or a negative distance.
+     */
+    TSMT$GeomUtils.prototype.pairsWithin = function (_xcoord, _ycoord, distance) {
+        if (!this.__validCloud(_xcoord, _ycoord) || !(distance >= 0)) {
             return [];
         }
-        if (n == 1) {
-            return [{ x: _xcoord[0], y: _ycoord[0] }, { x: _xcoord[0], y: _ycoord[0] }];
+        return this.__pairsWithin(_xcoord, _ycoord, distance * distance);
+    };
+    /**
+     * Find all pairs of points in a point cloud whose distance is the minimum distance between any two points
+     *
+     * @param xcoord : Array - Array of x-coordinates (point count is taken from the length of this array)
+     *
+     * @param ycoord : Array - Array of y-coordinates
+     *
+     * @param tol : number - Pairs whose distance exceeds the minimum by no more than this amount are considered tied
+     * @default 0
+     *
+     * @return Array - Objects whose 'i' and 'j' properties are indices into the coordinate arrays of two distinct points (i < j) and
+     * whose 'd' property is the distance between them, in increasing order of distance (then i, then j).  With zero tolerance, pairs
+     * are tied only if their squared distances are exactly equal.  The array is empty if there are fewer than two points or for
+     * invalid input.
+     */
+    TSMT$GeomUtils.prototype.minimumPairs = function (_xcoord, _ycoord, tol) {
+        if (tol === void 0) { tol = 0; }
+        var closest = this.closestPairs(_xcoord, _ycoord, 1);
+        if (closest.length == 0) {
+            return closest;
         }
-        var points = new Array();
-        if (n == 2) {
-            points.push({ x: _xcoord[0], y: _ycoord[0] });
-            points.push({ x: _xcoord[1], y: _ycoord[1] });
+        var d = closest[0]['d'];
+        var dx = _xcoord[closest[0]['i']] - _xcoord[closest[0]['j']];
+        var dy = _ycoord[closest[0]['i']] - _ycoord[closest[0]['j']];
+        var limit = tol > 0 ? (d + tol) * (d + tol) : dx * dx + dy * dy;
+        return this.__pairsWithin(_xcoord, _ycoord, limit);
+    };
+    /**
+     * Compute the convex hull of a point cloud
+     *
+     * @param xcoord : Array - Array of x-coordinates (point count is taken from the length of this array)
+     *
+     * @param ycoord : Array - Array of y-coordinates
+     *
+     * @param clockwise : boolean - true if the hull is to be returned in CW order (y-up), false for CCW order
+     * @default false
+     *
+     * @param keepCollinear : boolean - true if points that lie on the interior of a hull edge are to be retained
+     * @default false
+     *
+     * @return Array - Indices into the input coordinate arrays of the hull vertices, beginning with the left-most (then lowest)
+     * point.  Duplicate points are reported only once (the first occurrence in the input), so a cloud of coincident points
+     * returns a single index.  If all points are collinear, the two extreme points are returned (or all points in sorted order
+     * if collinear points are retained).  The return array is empty for empty or mismatched inputs.  The algorithm is Andrew's
+     * monotone chain, O(n log n).
+     */
+    TSMT$GeomUtils.prototype.convexHull = function (_xcoord, _ycoord, clockwise, keepCollinear) {
+        if (clockwise === void 0) { clockwise = false; }
+        if (keepCollinear === void 0) { keepCollinear = false; }
+        if (!_xcoord || !_ycoord || !_xcoord.length || _xcoord.length != _ycoord.length) {
+            return [];
         }
-        // create a point collection that is sorted on x-coordinate
-        var p = new Array();
+        var n = _xcoord.length;
         var i;
+        // sort indices on x, then y - ties are ordered by index so the first of a set of duplicates is retained
+        var sorted = new Array();
         for (i = 0; i < n; ++i) {
-            p.push({ x: _xcoord[i], y: _ycoord[i] });
-        }
-        // in-line a 'sort-on' for performance - leave room open for adding additional criteria
-        var sortProps = ['x'];
-        p.sort(function (a, b) {
-            var props = sortProps.slice();
-            var prop = props.shift();
-            while (a[prop] == b[prop] && props.length) {
-                prop = props.shift();
+            sorted.push(i);
+        }
+        sorted.sort(function (a, b) {
+            if (_xcoord[a] != _xcoord[b]) {
+                return _xcoord[a] < _xcoord[b] ? -1 : 1;
+            }
+            if (_ycoord[a] != _ycoord[b]) {
+                return _ycoord[a] < _ycoord[b] ? -1 : 1;
             }
-            return a[prop] == b[prop] ? 0 : a[prop] > b[prop] ? 1 : -1;
+            return a - b;
         });
-        this._best1 = null;
-        this._best2 = null;
-        this._bestDist = Number.MAX_VALUE;
-        var d;
-        var dx;
-        var dy;
-        if (n == 3) {
-            // this is more efficient and takes advantage of x-sorting
-            dx = p[1]['x'] - p[0]['x'];
-            dy = p[1]['y'] - p[0]['y'];
-            d = Math.sqrt(dx * dx + dy * dy);
-            this._bestDist = d;
-            dx = p[2]['x'] - p[1]['x'];
-            dy = p[2]['y'] - p[1]['y'];
-            d = Math.sqrt(dx * dx + dy * dy);
-            if (d < this._bestDist) {
-                return [p[1], p[2]];
+        // remove duplicates
+        var p = [sorted[0]];
+        for (i = 1; i < n; ++i) {
+            if (_xcoord[sorted[i]] != _xcoord[p[p.length - 1]] || _ycoord[sorted[i]] != _ycoord[p[p.length - 1]]) {
+                p.push(sorted[i]);
             }
-            else {
-                return [p[0], p[1]];
+        }
+        var m = p.length;
+        if (m < 3) {
+            return p;
+        }
+        // all points collinear?
+        var collinear = true;
+        for (i = 2; i < m; ++i) {
+            if (this.__turn(_xcoord, _ycoord, p[0], p[m - 1], p[i - 1]) != 0) {
+                collinear = false;
+                break;
+            }
+        }
+        if (collinear) {
+            return keepCollinear ? p : [p[0], p[m - 1]];
+        }
+        // lower and upper hulls in CCW order
+        var hull = new Array();
+        var k = 0;
+        var t;
+        for (i = 0; i < m; ++i) {
+            while (k >= 2 && this.__isRemoved(this.__turn(_xcoord, _ycoord, hull[k - 2], hull[k - 1], p[i]), keepCollinear)) {
+                k--;
+            }
+            hull[k++] = p[i];
+        }
+        t = k + 1;
+        for (i = m - 2; i >= 0; --i) {
+            while (k >= t && this.__isRemoved(this.__turn(_xcoord, _ycoord, hull[k - 2], hull[k - 1], p[i]), keepCollinear)) {
+                k--;
             }
+            hull[k++] = p[i];
         }
-        // now, for the fun part ...
-        var pY = p.slice(); // point set to be ordered/merged by y
-        var n1 = n - 1;
-        this.__closestPoint(p, pY, 0, n1);
-        return [this._best1, this._best2];
+        // last point is a repeat of the first
+        hull.length = k - 1;
+        if (clockwise) {
+            var first = hull.shift();
+            hull.reverse();
+            hull.unshift(first);
+        }
+        return hull;
     };
     /**
-     * Return closest point in range (pointsByX sorted by x-coord, pointsByY sorted by y-coord)
+     * Cross-product of the turn from point a to point b to point c in a point cloud - positive for a CCW turn
      *
      * @private
      */
-    TSMT$GeomUtils.prototype.__closestPoint = function (pointsByX, pointsByY, from, to) {
-        var dx;
-        var dy;
-        // outlier
-        if (to <= from) {
-            return Number.MAX_VALUE;
-        }
-        // median point
-        var mid = Math.floor(from + (to - from) / 2);
-        var median = pointsByX[mid];
-        // left-right sections (from-mid) and (mid-to)
-        var left = this.__closestPoint(pointsByX, pointsByY, from, mid);
-        var right = this.__closestPoint(pointsByX, pointsByY, mid + 1, to);
-        var d = Math.min(left, right);
-        // this is clearly not very DRY, but performance is paramount
-        var sortProps = ['y'];
-        pointsByY.sort(function (a, b) {
-            var props = sortProps.slice();
-            var prop = props.shift();
-            while (a[prop] == b[prop] && props.length) {
-                prop = props.shift();
-            }
-            return a[prop] == b[prop] ? 0 : a[prop] > b[prop] ? 1 : -1;
-        });
-        var tmp = new Array();
-        var m = 0;
+    TSMT$GeomUtils.prototype.__turn = function (_xcoord, _ycoord, a, b, c) {
+        if (this._robust) {
+            return this._predicates.orient2d(_xcoord[a], _ycoord[a], _xcoord[b], _ycoord[b], _xcoord[c], _ycoord[c]);
+        }
+        return this.__cross(_xcoord[b] - _xcoord[a], _ycoord[b] - _ycoord[a], _xcoord[c] - _xcoord[a], _ycoord[c] - _ycoord[a]);
+    };
+    /**
+     * Is the middle point of a turn removed from a monotone chain?
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__isRemoved = function (turn, keepCollinear) {
+        return keepCollinear ? turn < 0 : turn <= 0;
+    };
+    /**
+     * Are the coordinate arrays of a point cloud non-empty and of equal length?
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__validCloud = function (_xcoord, _ycoord) {
+        return !!_xcoord && !!_ycoord && _xcoord.length > 0 && _xcoord.length == _ycoord.length;
+    };
+    /**
+     * Coordinate array of the axis along which a point cloud has the greater extent
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__sweepAxis = function (_xcoord, _ycoord) {
+        var n = _xcoord.length;
+        var minX = _xcoord[0];
+        var maxX = _xcoord[0];
+        var minY = _ycoord[0];
+        var maxY = _ycoord[0];
         var i;
-        for (i = from; i <= to; ++i) {
-            if (Math.abs(pointsByY[i]['x'] - median['x']) < d) {
-                tmp[m++] = pointsByY[i];
-            }
+        for (i = 1; i < n; ++i) {
+            minX = Math.min(minX, _xcoord[i]);
+            maxX = Math.max(maxX, _xcoord[i]);
+            minY = Math.min(minY, _ycoord[i]);
+            maxY = Math.max(maxY, _ycoord[i]);
+        }
+        return maxY - minY > maxX - minX ? _ycoord : _xcoord;
+    };
+    /**
+     * Indices of a point cloud sorted along the sweep axis, then the other axis
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__sweepOrder = function (axis, other) {
+        var order = new Array();
+        var i;
+        for (i = 0; i < axis.length; ++i) {
+            order.push(i);
         }
+        order.sort(function (a, b) { return (axis[a] - axis[b]) || (other[a] - other[b]) || (a - b); });
+        return order;
+    };
+    /**
+     * All pairs of points whose squared distance does not exceed the input limit
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__pairsWithin = function (_xcoord, _ycoord, limit) {
+        var axis = this.__sweepAxis(_xcoord, _ycoord);
+        var other = axis == _xcoord ? _ycoord : _xcoord;
+        var order = this.__sweepOrder(axis, other);
+        var n = order.length;
+        var pairs = new Array();
+        var a;
+        var b;
+        var i;
         var j;
-        var distance;
-        for (i = 0; i < m; ++i) {
-            j = i + 1;
-            // this iteration count is limited by the presort
-            while ((j < m) && (tmp[j]['y'] - tmp[i]['y'] < d)) {
-                dx = tmp[j]['x'] - tmp[i]['x'];
-                dy = tmp[j]['y'] - tmp[i]['y'];
-                distance = Math.sqrt(dx * dx + dy * dy);
-                if (distance < d) {
-                    d = distance;
-                    if (d < this._bestDist) {
-                        this._bestDist = d;
-                        this._best1 = tmp[i];
-                        this._best2 = tmp[j];
-                    }
+        var da;
+        var db;
+        var d2;
+        for (a = 0; a < n; ++a) {
+            i = order[a];
+            for (b = a + 1; b < n; ++b) {
+                j = order[b];
+                da = axis[j] - axis[i];
+                if (da * da > limit) {
+                    break;
+                }
+                db = other[j] - other[i];
+                d2 = da * da + db * db;
+                if (d2 <= limit) {
+                    pairs.push({ i: Math.min(i, j), j: Math.max(i, j), d: d2 });
                 }
-                j++;
             }
         }
-        return d;
+        return this.__sortPairs(pairs);
+    };
+    /**
+     * Sort pairs by squared distance, then index, and convert squared distance to distance
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__sortPairs = function (pairs) {
+        pairs.sort(function (a, b) { return (a['d'] - b['d']) || (a['i'] - b['i']) || (a['j'] - b['j']); });
+        pairs.forEach(function (pair) { pair['d'] = Math.sqrt(pair['d']); });
+        return pairs;
+    };
+    /**
+     * Insert a pair into a max-heap on the 'd' property
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__heapInsert = function (heap, pair) {
+        var child = heap.length;
+        var parent;
+        heap.push(pair);
+        while (child > 0) {
+            parent = (child - 1) >> 1;
+            if (heap[parent]['d'] >= pair['d']) {
+                break;
+            }
+            heap[child] = heap[parent];
+            child = parent;
+        }
+        heap[child] = pair;
+    };
+    /**
+     * Remove the root (largest 'd' property) of a max-heap
+     *
+     * @private
+     */
+    TSMT$GeomUtils.prototype.__heapRemove = function (heap) {
+        var last = heap.pop();
+        var n = heap.length;
+        if (n == 0) {
+            return;
+        }
+        var parent = 0;
+        var child = 1;
+        while (child < n) {
+            if (child + 1 < n && heap[child + 1]['d'] > heap[child]['d']) {
+                child++;
+            }
+            if (last['d'] >= heap[child]['d']) {
+                break;
+            }
+            heap[parent] = heap[child];
+            parent = child;
+            child = 2 * parent + 1;
+        }
+        heap[parent] = last;
     };
     return TSMT$GeomUtils;
 }());
@@ -22,10 +22,30 @@
  *
  * Note that this class is intended for performance-critical environments, so error checking is at a minimum.
  *
+ * Several methods compare computed quantities against tolerances whose defaults are suited to pixel coordinates, so their results
+ * depend on the scale of the data.  The tolerances may be set for each instance with an options object passed to the constructor,
+ * any subset of
+ *
+ * zero        - magnitude below which a length or squared length is considered zero (default 0.0000001)
+ * parallel    - magnitude below which a cross product or coordinate delta is considered zero in intersection tests (default 0.00000001)
+ * parameter   - distance of a segment parameter from [0,1] that is still considered to lie on the segment (default 0.00000001)
+ * orientation - magnitude of the orientation determinant below which a point is on a line in pointOrientation() (default 0.0001)
+ * onLine      - magnitude of the orientation determinant below which a point is on a line in pointOnLine() (default 0.001)
+ * relative    - relative tolerance for comparing coordinates and slopes (default 0.001)
+ * circle      - tolerance for coincident and tangent circles in circleToCircleIntersection() and circleRelation() (default 0.001)
+ * containment - relative tolerance on the squared radius within which a point is inside a circle in enclosingCircle() (default 0.0000000001)
+ * robust      - initial value of the 'robust' property (default false)
+ *
+ * Set the 'robust' property to classify points with the exact, adaptive-precision predicates in TSMT$Predicates instead (see the
+ * individual method descriptions).
+ *
  * @author Jim Armstrong (www.algorithmist.net)
  * 
  * @version 1.0
  */
+import {TSMT$Predicates} from './Predicates';
+import {TSMT$Affine    } from './Affine';
+
  export enum DirEnum
  {
    LEFT,
@@ -33,6 +53,26 @@
    ON
  }
 
+ // classification of the intersection between two line segments
+ export enum IntersectEnum
+ {
+   NONE,
+   POINT,
+   ENDPOINT,
+   OVERLAP
+ }
+
+ // relationship between two circles
+ export enum CircleRelationEnum
+ {
+   DISJOINT,
+   EXTERNAL_TANGENT,
+   INTERNAL_TANGENT,
+   INTERSECTING,
+   CONTAINED,
+   COINCIDENT
+ }
+
  // a more numerically robust floating-point compare
 export function compare(a: number, b: number, tol: number): boolean
 {
@@ -62,28 +102,104 @@ export class TSMT$GeomUtils
 {
   protected ZERO_TOL: number   = 0.0000001;             // arbitrary zero-tolerance to use as default when tolerance not provided
   protected RAD_TO_DEG: number = 180/3.14159265359;     // convert radians to degrees
-      
-  // used in closest-points algorithm
-  protected _best1: Object;
-  protected _best2: Object;
-  protected _bestDist: number;
-      
-  protected __t: number;
-  protected __u: number;
+
+  // instance tolerances (see class description)
+  protected PARALLEL_TOL: number = 0.00000001;
+  protected PARAM_TOL: number    = 0.00000001;
+  protected ORIENT_TOL: number   = 0.0001;
+  protected ON_LINE_TOL: number  = 0.001;
+  protected REL_TOL: number      = 0.001;
+  protected CIRCLE_TOL: number   = 0.001;
+  protected CONTAIN_TOL: number  = 0.0000000001;
+
+  // exact predicates, used in place of tolerance-based tests if robust is true
+  protected _predicates: TSMT$Predicates;
+  protected _robust: boolean;
 
   /**
    * Construct a new TSMT$GeomUtils instance
    *
+   * @param options: Object (optional) Tolerances for this instance in the properties 'zero', 'parallel', 'parameter', 'orientation',
+   * 'onLine', 'relative', 'circle', and 'containment' along with a boolean 'robust' property.  Omitted, negative, or non-numeric tolerances are
+   * assigned their default values.
+   *
    * @return nothing
    */
-  constructor()
+  constructor(options: Object=null)
   {
-    this._best1    = {};
-    this._best2    = {};
-    this._bestDist = Number.MAX_VALUE;
-      
-    this.__t = 0;
-    this.__u = 0;
+    this._predicates = new TSMT$Predicates();
+    this._robust     = false;
+
+    if (options != null && options != undefined)
+    {
+      this.ZERO_TOL     = this.__tolerance(options['zero'], this.ZERO_TOL);
+      this.PARALLEL_TOL = this.__tolerance(options['parallel'], this.PARALLEL_TOL);
+      this.PARAM_TOL    = this.__tolerance(options['parameter'], this.PARAM_TOL);
+      this.ORIENT_TOL   = this.__tolerance(options['orientation'], this.ORIENT_TOL);
+      this.ON_LINE_TOL  = this.__tolerance(options['onLine'], this.ON_LINE_TOL);
+      this.REL_TOL      = this.__tolerance(options['relative'], this.REL_TOL);
+      this.CIRCLE_TOL   = this.__tolerance(options['circle'], this.CIRCLE_TOL);
+      this.CONTAIN_TOL  = this.__tolerance(options['containment'], this.CONTAIN_TOL);
+
+      this._robust = options['robust'] === true;
+    }
+   }
+
+  /**
+   * Access the tolerances used by this instance
+   *
+   * @return Object Current values of the 'zero', 'parallel', 'parameter', 'orientation', 'onLine', 'relative', 'circle', and
+   * 'containment' tolerances along with the 'robust' flag, in the same form as the constructor options.  Modifying the returned object
+   * has no effect.
+   */
+   public get tolerances(): Object
+   {
+     return {
+       zero: this.ZERO_TOL,
+       parallel: this.PARALLEL_TOL,
+       parameter: this.PARAM_TOL,
+       orientation: this.ORIENT_TOL,
+       onLine: this.ON_LINE_TOL,
+       relative: this.REL_TOL,
+       circle: this.CIRCLE_TOL,
+       containment: this.CONTAIN_TOL,
+       robust: this._robust
+     };
+   }
+
+  /**
+   * Access whether or not exact predicates are used
+   *
+   * @return boolean True if orientation and intersection tests use exact, adaptive-precision predicates
+   */
+   public get robust(): boolean
+   {
+     return this._robust;
+   }
+
+  /**
+   * Assign whether or not exact predicates are used
+   *
+   * @param value: boolean True if pointOrientation(), isClockwise(), pointOnLine(), segmentIntersection(), segmentsIntersect(), and
+   * convexHull() are to classify points with exact, adaptive-precision predicates instead of fixed tolerances.  Results are then
+   * consistent at any coordinate scale, but points must be exactly (not approximately) collinear to be considered collinear.
+   * @default false
+   *
+   * @return nothing
+   */
+   public set robust(value: boolean)
+   {
+     this._robust = value === true;
+   }
+
+  /**
+   * Validate a tolerance supplied in constructor options
+   *
+   * @private
+   */
+   protected __tolerance(value: number, defaultValue: number): number
+   {
+     return (typeof value === 'number' && isFinite(value) && value >= 0) ? value : defaultValue;
    }
    
   /**
@@ -117,6 +233,46 @@ export class TSMT$GeomUtils
        return __x1 > __left && __x1 < __right && __y1 < __top && __y1 > __bottom;
      }
    }
+
+  /**
+   * Batch version of insideBox() for a collection of points
+   *
+   * @param coords: Float64Array Flat array of test-point coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @param left: number x-coordinate of upper, left-hand corner of bounding box
+   *
+   * @param top: number y-coordinate of upper, left-hand corner of bounding box
+   *
+   * @param right: number x-coordinate or lower, right-hand corner of bounding box
+   *
+   * @param bottom: number y-coordinate of lower, right-hand corner of bounding box
+   *
+   * @param out: Uint8Array Optional buffer with at least one element per point to receive the results
+   * @default null
+   *
+   * @return Uint8Array 1 at index i if point i is strictly inside the bounding box (same result as insideBox()), 0 otherwise; the output
+   * buffer if one was provided, otherwise a new buffer with one element per point
+   */
+   public insideBoxBatch(coords: Float64Array, left: number, top: number, right: number, bottom: number, out: Uint8Array=null): Uint8Array
+   {
+     const n: number          = Math.floor(coords.length/2);
+     const result: Uint8Array = out != null && out != undefined ? out : new Uint8Array(n);
+     const minY: number       = Math.min(top, bottom);
+     const maxY: number       = Math.max(top, bottom);
+     let x: number;
+     let y: number;
+     let i: number;
+
+     for (i = 0; i < n; ++i)
+     {
+       x = coords[2*i];
+       y = coords[2*i+1];
+
+       result[i] = x > left && x < right && y > minY && y < maxY ? 1 : 0;
+     }
+
+     return result;
+   }
     
   /**
    * Do two axis-aligned bounding boxes intersect?
@@ -191,16 +347,23 @@ export class TSMT$GeomUtils
    * 
    * @return number One of the codes DirEnum.LEFT, DirEnum.RIGHT, DirEnum.ON if the point is to the left, right, or
    * on the line, respectively.  Test for point exactly on the line is made first and within a tight tolerance to
-   * accommodate for roundoff error.
+   * accommodate for roundoff error.  If the robust property is set, the test is exact.
    * 
    */
    public pointOrientation(__x1: number, __y1: number, __x2: number, __y2: number, __x: number, __y: number): number
    {
+     if (this._robust)
+     {
+       const orient: number = this._predicates.orient2d(__x1, __y1, __x2, __y2, __x, __y);
+
+       return orient == 0 ? DirEnum.ON : (orient > 0 ? DirEnum.LEFT : DirEnum.RIGHT);
+     }
+
      const test: number = ( (__x2 - __x1)*(__y - __y1) - (__x -  __x1)*(__y2 - __y1) );
 
-     if (Math.abs(test) < 0.0001)
+     if (Math.abs(test) < this.ORIENT_TOL)
      {
-       // on the line withing tolerance suitable for typical online drawing environment
+       // on the line withing tolerance (default is suitable for typical online drawing environment)
        return DirEnum.ON;
      }
      else
@@ -208,6 +371,54 @@ export class TSMT$GeomUtils
        return test > 0 ? DirEnum.LEFT : DirEnum.RIGHT;
      }
    }
+
+  /**
+   * Batch version of pointOrientation() for a collection of points
+   *
+   * @param x1: number x-coordinate of first point on line
+   *
+   * @param y1: number y-coordinate of first point on line
+   *
+   * @param x2: number x-coordinate of second point on line
+   *
+   * @param y2: number y-coordinate of second point on line
+   *
+   * @param coords: Float64Array Flat array of test-point coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @param out: Uint8Array Optional buffer with at least one element per point to receive the results
+   * @default null
+   *
+   * @return Uint8Array DirEnum.LEFT, DirEnum.RIGHT, or DirEnum.ON at index i for point i, exactly as returned by pointOrientation();
+   * the output buffer if one was provided, otherwise a new buffer with one element per point
+   */
+   public pointOrientationBatch(x1: number, y1: number, x2: number, y2: number, coords: Float64Array, out: Uint8Array=null): Uint8Array
+   {
+     const n: number          = Math.floor(coords.length/2);
+     const result: Uint8Array = out != null && out != undefined ? out : new Uint8Array(n);
+     const dx: number         = x2 - x1;
+     const dy: number         = y2 - y1;
+     let test: number;
+     let i: number;
+
+     if (this._robust)
+     {
+       for (i = 0; i < n; ++i)
+       {
+         test      = this._predicates.orient2d(x1, y1, x2, y2, coords[2*i], coords[2*i+1]);
+         result[i] = test == 0 ? DirEnum.ON : (test > 0 ? DirEnum.LEFT : DirEnum.RIGHT);
+       }
+
+       return result;
+     }
+
+     for (i = 0; i < n; ++i)
+     {
+       test      = dx*(coords[2*i+1] - y1) - (coords[2*i] - x1)*dy;
+       result[i] = Math.abs(test) < this.ORIENT_TOL ? DirEnum.ON : (test > 0 ? DirEnum.LEFT : DirEnum.RIGHT);
+     }
+
+     return result;
+   }
       
   /**
    * Does the line segment from (x1,y1) to (x2,y2) intersect the bounding-box specified by the rectangle (left,top)
@@ -294,67 +505,32 @@ export class TSMT$GeomUtils
    */
    public lineRectIntersection(__x1: number, __y1: number, __x2: number, __y2: number, __left: number, __top: number, __right: number, __bottom: number): Object
    {
+     // box edges in order top, right, bottom, left
+     const edges: Array<number> = [__left, __top, __right, __top, __right, __top, __right, __bottom, __right, __bottom, __left, __bottom, __left, __bottom, __left, __top];
+
      let x1: number;
      let y1: number;
      let x2: number;
      let y2: number;
+     let i: number;
+     let result: Object;
 
-     // count number of intersections
-     let count: number = 0;
-        
-     if (this.segmentsIntersect(__x1, __y1, __x2, __y2, __left, __top, __right, __top))
-     {
-       x1 = (1-this.__t)*__x1 + this.__t*__x2;
-       y1 = (1-this.__t)*__y1 + this.__t*__y2;
-       count++;
-     }
-    
-     if (this.segmentsIntersect(__x1, __y1, __x2, __y2, __right, __top, __right, __bottom))
-     {
-       if (count == 0)
-       {
-         x1 = (1-this.__t)*__x1 + this.__t*__x2;
-         y1 = (1-this.__t)*__y1 + this.__t*__y2;
-       }
-       else
-       {
-         x2 = (1-this.__t)*__x1 + this.__t*__x2;
-         y2 = (1-this.__t)*__y1 + this.__t*__y2;
-       }
-       count++;
-     }
-    
-     if (count < 2)
-     {
-       if (this.segmentsIntersect(__x1, __y1, __x2, __y2, __right, __bottom, __left, __bottom))
-       {
-         if (count == 0)
-         {
-           x1 = (1-this.__t)*__x1 + this.__t*__x2;
-           y1 = (1-this.__t)*__y1 + this.__t*__y2;
-         }
-         else
-         {
-           x2 = (1-this.__t)*__x1 + this.__t*__x2;
-           y2 = (1-this.__t)*__y1 + this.__t*__y2;
-         }
-         count++;
-       }
-     }
-    
-     if (count < 3)
+     for (i = 0; i < 16 && x2 == undefined; i += 4)
      {
-       if (this.segmentsIntersect(__x1, __y1, __x2, __y2, __left, __bottom, __left, __top))
+       result = this.segmentIntersection(__x1, __y1, __x2, __y2, edges[i], edges[i+1], edges[i+2], edges[i+3]);
+
+       if (result['type'] != IntersectEnum.NONE)
        {
-         if (count == 0)
+         if (x1 == undefined)
          {
-           x1 = (1-this.__t)*__x1 + this.__t*__x2;
-           y1 = (1-this.__t)*__y1 + this.__t*__y2;
+           x1 = result['x'];
+           y1 = result['y'];
          }
-         else
+         else if (!this.pointsEqual(x1, y1, result['x'], result['y']))
          {
-           x2 = (1-this.__t)*__x1 + this.__t*__x2;
-           y2 = (1-this.__t)*__y1 + this.__t*__y2;
+           // a segment through a corner of the box intersects two edges at the same point
+           x2 = result['x'];
+           y2 = result['y'];
          }
        }
      }
@@ -384,11 +560,11 @@ export class TSMT$GeomUtils
    * 
    * @param y2: number y-coordinate of second point
    * 
-   * @return boolean True if the two points are equivalent to within a tolerance (currently 0.001 for each coordinate)
+   * @return boolean True if the two points are equivalent to within the relative tolerance (default 0.001) for each coordinate
    */
    public pointsEqual(__x1: number, __y1: number, __x2: number, __y2: number): boolean
    {
-	   return ( compare(__x1, __x2, 0.001) && compare(__y1, __y2, 0.001) );
+	   return ( compare(__x1, __x2, this.REL_TOL) && compare(__y1, __y2, this.REL_TOL) );
    }
   
   /**
@@ -434,8 +610,8 @@ export class TSMT$GeomUtils
 	   // have to do it the hard way
 	   let m1: number      = __x2 - __x1;
 	   let m2: number      = __x4 - __x3;
-	   const inf1: boolean = Math.abs(m1) < 0.00000001;
-	   const inf2: boolean = Math.abs(m2) < 0.00000001;
+	   const inf1: boolean = Math.abs(m1) < this.PARALLEL_TOL;
+	   const inf2: boolean = Math.abs(m2) < this.PARALLEL_TOL;
 	
 	   m1 = inf1 ? m1 : (__y2-__y1) / m1;
 	   m2 = inf2 ? m2 : (__y4-__y3) / m2;
@@ -451,7 +627,7 @@ export class TSMT$GeomUtils
 	   else
      {
        // must do a compare (equivalent slopes ==> parallel lines)
-       return !compare(m1, m2, 0.001);
+       return !compare(m1, m2, this.REL_TOL);
      }
    }
   
@@ -476,10 +652,49 @@ export class TSMT$GeomUtils
    * 
    * @return boolean True if the two lines intersect. A full intersection test is performed - check bounding boxes of
    * the segments in advance if you expect a large number of tests with no possible intersection based on segments
-   * completely to the left/right or top/bottom relative to one another.
+   * completely to the left/right or top/bottom relative to one another.  Segments that touch at an endpoint or overlap
+   * are considered to intersect.  Use segmentIntersection() for the intersection point and a classification of the case.
    */
    public segmentsIntersect(px: number, py: number, p2x: number, p2y: number, qx: number, qy: number, q2x: number, q2y: number): boolean
    {
+     return this.segmentIntersection(px, py, p2x, p2y, qx, qy, q2x, q2y)['type'] != IntersectEnum.NONE;
+   }
+
+  /**
+   * Compute the intersection of two line segments from points P = (px,py) - (p2x,p2y) and Q = (qx,qy) - (q2x,q2y), including
+   * degenerate cases
+   *
+   * @param px: number x-coordinate of initial point of first segment
+   *
+   * @param py: number y-coordinate of initial point of first segment
+   *
+   * @param p2x: number x-coordinate of terminal point of first segment
+   *
+   * @param p2y: number y-coordinate of terminal point of first segment
+   *
+   * @param qx: number x-coordinate of initial point of second segment
+   *
+   * @param qy: number y-coordinate of initial point of second segment
+   *
+   * @param q2x: number x-coordinate of terminal point of second segment
+   *
+   * @param q2y: number y-coordinate of terminal point of second segment
+   *
+   * @return Object The 'type' property is IntersectEnum.NONE if the segments do not intersect, IntersectEnum.POINT if they cross at
+   * a single point interior to both segments, IntersectEnum.ENDPOINT if they touch at a single point that is an endpoint of either
+   * segment, and IntersectEnum.OVERLAP if they are collinear and share a sub-segment.  'x' and 'y' are the intersection point (or
+   * the overlap endpoint closest to P's initial point) and 't' and 'u' are the parameters of that point along P and Q, i.e.
+   * (x,y) = P0 + t*(P1-P0) = Q0 + u*(Q1-Q0).  'x2', 'y2', 't2', and 'u2' describe the other overlap endpoint in the same manner;
+   * they are equal to 'x', 'y', 't', and 'u' for a single point of intersection.  All coordinates and parameters are NaN if the
+   * segments do not intersect.  The method is re-entrant; no state is stored in the class instance.  If the robust property is set,
+   * the classification is exact (coordinates and parameters of a crossing point are still subject to roundoff).
+   */
+   public segmentIntersection(px: number, py: number, p2x: number, p2y: number, qx: number, qy: number, q2x: number, q2y: number): Object
+   {
+     if (this._robust) {
+       return this.__robustIntersection(px, py, p2x, p2y, qx, qy, q2x, q2y);
+     }
+
      // Astute readers will recognize this as a 2D implementation of the Graphic Gems algorithm by Goldman.
      // There is really nothing new under the sun :)
 
@@ -493,100 +708,363 @@ export class TSMT$GeomUtils
         
      const num: number = this.__cross(tx, ty, rx, ry);
      const den: number = this.__cross(rx, ry, sx, sy);
-        
-     // co-linear test
-     if (Math.abs(num) < 0.00000001 && Math.abs(den) < 0.00000001)
-     {
-       // intersecting points
-       if (this.pointsEqual(px, py, qx, qy) || this.pointsEqual(px, py, q2x, q2y) || this.pointsEqual(p2x, p2y, qx, qy) || this.pointsEqual(p2x, p2y, q2x, q2y)) {
-         return true;
-       }
-          
-       // overlap?
-       return ( (qx - px < 0) != (qx - p2x < 0) ) || ( (qy - py < 0) != (qy - p2y < 0) );
+
+     let t: number;
+     let u: number;
+
+     // co-linear test (this includes degenerate, zero-length segments)
+     if (Math.abs(num) < this.PARALLEL_TOL && Math.abs(den) < this.PARALLEL_TOL) {
+       return this.__collinearIntersection(px, py, p2x, p2y, qx, qy, q2x, q2y);
      }
 
      // parallel segments?
-     if (Math.abs(den) < 0.00000001) {
-       return false;
+     if (Math.abs(den) < this.PARALLEL_TOL) {
+       return this.__intersection(IntersectEnum.NONE, px, py, rx, ry, Number.NaN, Number.NaN, Number.NaN, Number.NaN);
+     }
+
+     u = num/den;
+     t = this.__cross(tx, ty, sx, sy) / den;
+
+     const eps: number = this.PARAM_TOL;
+     if (t < -eps || t > 1+eps || u < -eps || u > 1+eps) {
+       return this.__intersection(IntersectEnum.NONE, px, py, rx, ry, Number.NaN, Number.NaN, Number.NaN, Number.NaN);
+     }
+
+     // snap parameters at (or numerically close to) an endpoint of either segment
+     t = t <= eps ? 0 : (t >= 1-eps ? 1 : t);
+     u = u <= eps ? 0 : (u >= 1-eps ? 1 : u);
+
+     const type: number = (t == 0 || t == 1 || u == 0 || u == 1) ? IntersectEnum.ENDPOINT : IntersectEnum.POINT;
+
+     if (u == 0 || u == 1)
+     {
+       // the intersection is exactly the endpoint of the second segment
+       const x: number = u == 0 ? qx : q2x;
+       const y: number = u == 0 ? qy : q2y;
+
+       return {type: type, x: x, y: y, t: t, u: u, x2: x, y2: y, t2: t, u2: u};
      }
 
-     this.__u = num/den;
-     this.__t = this.__cross(tx, ty, sx, sy) / den;
+     if (t == 1) {
+       return {type: type, x: p2x, y: p2y, t: t, u: u, x2: p2x, y2: p2y, t2: t, u2: u};
+     }
 
-     return (this.__t >= 0) && (this.__t <= 1) && (this.__u >= 0) && (this.__u <= 1);
+     return this.__intersection(type, px, py, rx, ry, t, u, t, u);
    }
-      
+
   /**
-   * Intersection point of infinite lines between two segments
-   * 
-   * @param x1: number x-coordinate of initial point of first segment
-   * 
-   * @param y1: Number  y-coordinate of initial point of first segment
-   * 
-   * @param x2: number x-coordinate of terminal point of first segment
-   * 
-   * @param y2: number y-coordinate of terminal point of first segment
-   *  
-   * @param x1: number x-coordinate of initial point of second segment
-   * 
-   * @param y1: number y-coordinate of initial point of second segment
-   * 
-   * @param x2: number x-coordinate of terminal point of second segment
-   * 
-   * @param y2: number y-coordinate of terminal point of second segment
-   * 
-   * @return Object 'x' and 'y' properties contain the x- and y-coordinates of intersection point (for well-posed inputs).  This is NOT a general-purpose line-
-   * intersection method.  It is intended to be a fast algorithm for well-posed data, i.e. lines are not colinear or overlapping, and point data is well-defined.  
-   * There are no tests for bad data or outlier conditions.  Use at your own risk.
-   * 
+   * Segment intersection with exact classification by orientation predicates
+   *
+   * @private
    */
-   public lineIntersection(px: number, py: number, p2x: number, p2y: number, qx: number, qy: number, q2x: number, q2y: number): Object
+   protected __robustIntersection(px: number, py: number, p2x: number, p2y: number, qx: number, qy: number, q2x: number, q2y: number): Object
    {
-     const rx: number = p2x - px;
-     const ry: number = p2y - py;
-     const sx: number = q2x - qx;
-     const sy: number = q2y - qy;
-         
-     const tx: number = qx - px;
-     const ty: number = qy - py;
-         
+     const o1: number = this._predicates.orient2d(px, py, p2x, p2y, qx, qy);
+     const o2: number = this._predicates.orient2d(px, py, p2x, p2y, q2x, q2y);
+     const o3: number = this._predicates.orient2d(qx, qy, q2x, q2y, px, py);
+     const o4: number = this._predicates.orient2d(qx, qy, q2x, q2y, p2x, p2y);
+
+     // collinear, including zero-length segments (all four tests must vanish since a zero-length segment defines no line)
+     if (o1 == 0 && o2 == 0 && o3 == 0 && o4 == 0) {
+       return this.__robustCollinear(px, py, p2x, p2y, qx, qy, q2x, q2y);
+     }
+
+     // both endpoints of one segment strictly on the same side of the other
+     if ((o1 > 0 && o2 > 0) || (o1 < 0 && o2 < 0) || (o3 > 0 && o4 > 0) || (o3 < 0 && o4 < 0)) {
+       return this.__intersection(IntersectEnum.NONE, px, py, 0, 0, Number.NaN, Number.NaN, Number.NaN, Number.NaN);
+     }
+
+     let t: number;
+     let u: number;
+
+     // an endpoint lies exactly on the other segment
+     if (o1 == 0 || o2 == 0)
+     {
+       const x: number = o1 == 0 ? qx : q2x;
+       const y: number = o1 == 0 ? qy : q2y;
+
+       t = this.__parameter(x, y, px, py, p2x, p2y);
+       u = o1 == 0 ? 0 : 1;
+
+       return {type: IntersectEnum.ENDPOINT, x: x, y: y, t: t, u: u, x2: x, y2: y, t2: t, u2: u};
+     }
+
+     if (o3 == 0 || o4 == 0)
+     {
+       const x: number = o3 == 0 ? px : p2x;
+       const y: number = o3 == 0 ? py : p2y;
+
+       t = o3 == 0 ? 0 : 1;
+       u = this.__parameter(x, y, qx, qy, q2x, q2y);
+
+       return {type: IntersectEnum.ENDPOINT, x: x, y: y, t: t, u: u, x2: x, y2: y, t2: t, u2: u};
+     }
+
+     // proper crossing
+     const rx: number  = p2x - px;
+     const ry: number  = p2y - py;
+     const sx: number  = q2x - qx;
+     const sy: number  = q2y - qy;
      const den: number = this.__cross(rx, ry, sx, sy);
-     const t: number   = this.__cross(tx, ty, sx, sy) / den;
-     const t1: number  = 1 - t;
-        
-     return {x:t1*px + t*p2x, y:t1*py + t*p2y};
+
+     t = Math.min(1, Math.max(0, this.__cross(qx - px, qy - py, sx, sy) / den));
+     u = Math.min(1, Math.max(0, this.__cross(qx - px, qy - py, rx, ry) / den));
+
+     return this.__intersection(IntersectEnum.POINT, px, py, rx, ry, t, u, t, u);
    }
 
   /**
-   * Compute cross-product between two vectors, both based at the origin and with terminal points P1 and P2
+   * Exact classification of two segments known to lie on a common line.  Points on a line are ordered exactly by comparing
+   * coordinates along the dominant axis of the line.
    *
    * @private
    */
-   protected __cross(p1x: number, p1y: number, p2x: number, p2y: number): number
+   protected __robustCollinear(px: number, py: number, p2x: number, p2y: number, qx: number, qy: number, q2x: number, q2y: number): Object
    {
-     return p1x*p2y - p1y*p2x;
+     const pPoint: boolean = px == p2x && py == p2y;
+     const qPoint: boolean = qx == q2x && qy == q2y;
+
+     if (pPoint && qPoint)
+     {
+       return px == qx && py == qy ? {type: IntersectEnum.ENDPOINT, x: px, y: py, t: 0, u: 0, x2: px, y2: py, t2: 0, u2: 0}
+                                   : this.__intersection(IntersectEnum.NONE, px, py, 0, 0, Number.NaN, Number.NaN, Number.NaN, Number.NaN);
+     }
+
+     // key for each point along the common line, increasing from P's initial point to its terminal point where possible
+     const useX: boolean = Math.abs(p2x - px) + Math.abs(q2x - qx) >= Math.abs(p2y - py) + Math.abs(q2y - qy);
+     const kp: number    = useX ? px : py;
+     const kp2: number   = useX ? p2x : p2y;
+     const kq: number    = useX ? qx : qy;
+     const kq2: number   = useX ? q2x : q2y;
+     const sign: number  = pPoint ? (kq2 >= kq ? 1 : -1) : (kp2 >= kp ? 1 : -1);
+
+     // start and end of the overlap, taken from P unless an endpoint of Q is inside P
+     let x0: number = px;
+     let y0: number = py;
+     let k0: number = sign*kp;
+     let x1: number = p2x;
+     let y1: number = p2y;
+     let k1: number = sign*kp2;
+
+     const qLo: boolean = sign*kq <= sign*kq2;
+     const qmin: number = qLo ? sign*kq : sign*kq2;
+     const qmax: number = qLo ? sign*kq2 : sign*kq;
+
+     if (qmin > k0)
+     {
+       k0 = qmin;
+       x0 = qLo ? qx : q2x;
+       y0 = qLo ? qy : q2y;
+     }
+
+     if (qmax < k1)
+     {
+       k1 = qmax;
+       x1 = qLo ? q2x : qx;
+       y1 = qLo ? q2y : qy;
+     }
+
+     if (k0 > k1) {
+       return this.__intersection(IntersectEnum.NONE, px, py, 0, 0, Number.NaN, Number.NaN, Number.NaN, Number.NaN);
+     }
+
+     const t0: number = this.__parameter(x0, y0, px, py, p2x, p2y);
+     const u0: number = this.__parameter(x0, y0, qx, qy, q2x, q2y);
+
+     if (k0 == k1) {
+       return {type: IntersectEnum.ENDPOINT, x: x0, y: y0, t: t0, u: u0, x2: x0, y2: y0, t2: t0, u2: u0};
+     }
+
+     const t1: number = this.__parameter(x1, y1, px, py, p2x, p2y);
+     const u1: number = this.__parameter(x1, y1, qx, qy, q2x, q2y);
+
+     return {type: IntersectEnum.OVERLAP, x: x0, y: y0, t: t0, u: u0, x2: x1, y2: y1, t2: t1, u2: u1};
    }
-  
+
   /**
-   * Compute the interior angle given three points, (x1,y1), (x2,y2), and (x3,y3) - (x2,y2) is the interior point
-   *
-   * @param x1: number x-coordinate of first point (x1,y1)
-   * 
-   * @param y1: number y-coordinate of first point (x1,y1)
-   * 
-   * @param x2: number x-coordinate of second point (x2,y2)
-   * 
-   * @param y2: number y-coordinate of second point (x2,y2)
-   * 
-   * @param x3: number x-coordinate of third point (x3,y3)
-   * 
-   * @param y3: number y-coordinate of third point (x3,y3)
-   * 
-   * @param toDegrees: boolean - true if result is returned in degrees
-   * @default false
-   *
-   * @return number interior angle in degrees or radians, depending on toDegrees parameter
+   * Parameter of a point on (or projected onto) the segment (ax,ay) - (bx,by), clamped to [0,1] and exact at the endpoints
+   *
+   * @private
+   */
+   protected __parameter(x: number, y: number, ax: number, ay: number, bx: number, by: number): number
+   {
+     if (x == ax && y == ay) {
+       return 0;
+     }
+
+     if (x == bx && y == by) {
+       return 1;
+     }
+
+     const dx: number = bx - ax;
+     const dy: number = by - ay;
+     const dd: number = dx*dx + dy*dy;
+
+     return dd == 0 ? 0 : Math.min(1, Math.max(0, ((x - ax)*dx + (y - ay)*dy) / dd));
+   }
+
+  /**
+   * Intersection of two segments, P and Q, known to lie on a common line
+   *
+   * @private
+   */
+   protected __collinearIntersection(px: number, py: number, p2x: number, p2y: number, qx: number, qy: number, q2x: number, q2y: number): Object
+   {
+     const rx: number  = p2x - px;
+     const ry: number  = p2y - py;
+     const sx: number  = q2x - qx;
+     const sy: number  = q2y - qy;
+     const rr: number  = rx*rx + ry*ry;
+     const ss: number  = sx*sx + sy*sy;
+     const eps: number = this.PARAM_TOL;
+
+     let u: number;
+
+     if (rr < this.ZERO_TOL)
+     {
+       // first segment is a single point, which may lie on the second segment
+       if (ss < this.ZERO_TOL)
+       {
+         return this.pointsEqual(px, py, qx, qy) ? {type: IntersectEnum.ENDPOINT, x: px, y: py, t: 0, u: 0, x2: px, y2: py, t2: 0, u2: 0}
+                                                 : this.__intersection(IntersectEnum.NONE, px, py, rx, ry, Number.NaN, Number.NaN, Number.NaN, Number.NaN);
+       }
+
+       u = ((px - qx)*sx + (py - qy)*sy) / ss;
+       if (u < -eps || u > 1+eps || !this.pointOnLine(px, py, qx, qy, q2x, q2y)) {
+         return this.__intersection(IntersectEnum.NONE, px, py, rx, ry, Number.NaN, Number.NaN, Number.NaN, Number.NaN);
+       }
+
+       u = Math.min(1, Math.max(0, u));
+
+       return {type: IntersectEnum.ENDPOINT, x: px, y: py, t: 0, u: u, x2: px, y2: py, t2: 0, u2: u};
+     }
+
+     // extent of the second segment, parameterized along the first
+     const t1: number = ((qx - px)*rx + (qy - py)*ry) / rr;
+     const t2: number = ((q2x - px)*rx + (q2y - py)*ry) / rr;
+
+     // the overlap is bounded by segment endpoints, so its coordinates are taken directly from those endpoints
+     let lo: number = 0;
+     let hi: number = 1;
+     let x0: number = px;
+     let y0: number = py;
+     let x1: number = p2x;
+     let y1: number = p2y;
+
+     if (Math.min(t1, t2) > 0)
+     {
+       lo = Math.min(t1, t2);
+       x0 = t1 < t2 ? qx : q2x;
+       y0 = t1 < t2 ? qy : q2y;
+     }
+
+     if (Math.max(t1, t2) < 1)
+     {
+       hi = Math.max(t1, t2);
+       x1 = t1 > t2 ? qx : q2x;
+       y1 = t1 > t2 ? qy : q2y;
+     }
+
+     if (lo > hi + eps) {
+       return this.__intersection(IntersectEnum.NONE, px, py, rx, ry, Number.NaN, Number.NaN, Number.NaN, Number.NaN);
+     }
+
+     // parameter of each overlap endpoint relative to the second segment
+     const u0: number = ss < this.ZERO_TOL ? 0 : Math.min(1, Math.max(0, ((x0 - qx)*sx + (y0 - qy)*sy) / ss));
+     const u1: number = ss < this.ZERO_TOL ? 0 : Math.min(1, Math.max(0, ((x1 - qx)*sx + (y1 - qy)*sy) / ss));
+
+     if (hi - lo <= eps) {
+       return {type: IntersectEnum.ENDPOINT, x: x0, y: y0, t: lo, u: u0, x2: x0, y2: y0, t2: lo, u2: u0};
+     }
+
+     return {type: IntersectEnum.OVERLAP, x: x0, y: y0, t: lo, u: u0, x2: x1, y2: y1, t2: hi, u2: u1};
+   }
+
+  /**
+   * Assemble a segment-intersection result from parameters along the first segment, P + t*r
+   *
+   * @private
+   */
+   protected __intersection(type: number, px: number, py: number, rx: number, ry: number, t: number, u: number, t2: number, u2: number): Object
+   {
+     return {type: type, x: px + t*rx, y: py + t*ry, t: t, u: u, x2: px + t2*rx, y2: py + t2*ry, t2: t2, u2: u2};
+   }
+      
+  /**
+   * Intersection point of infinite lines between two segments
+   * 
+   * @param x1: number x-coordinate of initial point of first segment
+   * 
+   * @param y1: Number  y-coordinate of initial point of first segment
+   * 
+   * @param x2: number x-coordinate of terminal point of first segment
+   * 
+   * @param y2: number y-coordinate of terminal point of first segment
+   *  
+   * @param x1: number x-coordinate of initial point of second segment
+   * 
+   * @param y1: number y-coordinate of initial point of second segment
+   * 
+   * @param x2: number x-coordinate of terminal point of second segment
+   * 
+   * @param y2: number y-coordinate of terminal point of second segment
+   * 
+   * @return Object 'x' and 'y' properties contain the x- and y-coordinates of intersection point (for well-posed inputs).  This is NOT a general-purpose line-
+   * intersection method.  It is intended to be a fast algorithm for well-posed data, i.e. lines are not colinear or overlapping, and point data is well-defined.
+   * Parallel (or colinear) lines return NaN for both coordinates; there are no other tests for bad data or outlier conditions.  Use segmentIntersection() for a
+   * full classification of the intersection between two segments.
+   * 
+   */
+   public lineIntersection(px: number, py: number, p2x: number, p2y: number, qx: number, qy: number, q2x: number, q2y: number): Object
+   {
+     const rx: number = p2x - px;
+     const ry: number = p2y - py;
+     const sx: number = q2x - qx;
+     const sy: number = q2y - qy;
+         
+     const tx: number = qx - px;
+     const ty: number = qy - py;
+         
+     const den: number = this.__cross(rx, ry, sx, sy);
+     if (Math.abs(den) < this.PARALLEL_TOL) {
+       return {x: Number.NaN, y: Number.NaN};
+     }
+
+     const t: number   = this.__cross(tx, ty, sx, sy) / den;
+     const t1: number  = 1 - t;
+        
+     return {x:t1*px + t*p2x, y:t1*py + t*p2y};
+   }
+
+  /**
+   * Compute cross-product between two vectors, both based at the origin and with terminal points P1 and P2
+   *
+   * @private
+   */
+   protected __cross(p1x: number, p1y: number, p2x: number, p2y: number): number
+   {
+     return p1x*p2y - p1y*p2x;
+   }
+  
+  /**
+   * Compute the interior angle given three points, (x1,y1), (x2,y2), and (x3,y3) - (x2,y2) is the interior point
+   *
+   * @param x1: number x-coordinate of first point (x1,y1)
+   * 
+   * @param y1: number y-coordinate of first point (x1,y1)
+   * 
+   * @param x2: number x-coordinate of second point (x2,y2)
+   * 
+   * @param y2: number y-coordinate of second point (x2,y2)
+   * 
+   * @param x3: number x-coordinate of third point (x3,y3)
+   * 
+   * @param y3: number y-coordinate of third point (x3,y3)
+   * 
+   * @param toDegrees: boolean - true if result is returned in degrees
+   * @default false
+   *
+   * @return number interior angle in degrees or radians, depending on toDegrees parameter
    *
    */
    public interiorAngle(__x1: number, __y1: number, __x2: number, __y2: number, __x3: number, __y3: number, __toDegrees: boolean=false): number
@@ -627,10 +1105,15 @@ export class TSMT$GeomUtils
    * @param _x2: number - x-coordinate of P2
    * @param _y2: number - y-coordinate of P2
    *
-   * @return boolean True if the point sequence is in CW order, false if CCW
+   * @return boolean True if the point sequence is in CW order, false if CCW.  Collinear points are considered CW.  If the robust
+   * property is set, the test is exact.
    */
    public isClockwise(_x0: number, _y0: number, _x1: number, _y1: number, _x2: number, _y2: number): boolean
    {
+     if (this._robust) {
+       return this._predicates.orient2d(_x0, _y0, _x1, _y1, _x2, _y2) <= 0;
+     }
+
      return !( (_y2-_y0)*(_x1-_x0) > (_y1-_y0)*(_x2-_x0) );
    }
       
@@ -651,14 +1134,19 @@ export class TSMT$GeomUtils
    * 
    * @return boolean - true if the input point is numerically 'close enough' to be considered on the line passing through the two other points.
    * The test is designed for computer-based games and is performed very fast and without error checking.  It also has a possible loss of
-   * significance if dealing with very close points of very small magnitude.
+   * significance if dealing with very close points of very small magnitude.  If the robust property is set, the test is exact and
+   * independent of scale.
    */
    public pointOnLine(rx: number, ry: number, px: number, py: number, qx: number, qy: number): boolean
    {
-     // test for small determinant where 'small' is based on pixel values typical in browser and mobile applications
+     if (this._robust) {
+       return this._predicates.orient2d(px, py, qx, qy, rx, ry) == 0;
+     }
+
+     // test for small determinant where 'small' defaults to a value based on pixel values typical in browser and mobile applications
      const det = (qx - px)*(ry - py) - (qy - py)*(rx - px);
         
-     return Math.abs(det) < 0.001;
+     return Math.abs(det) < this.ON_LINE_TOL;
    }
       
   /**
@@ -704,7 +1192,8 @@ export class TSMT$GeomUtils
    * 
    * @return Array - Array of objects with 'x' and 'y' properties containing coordinates of intersection point(s).
    * The array is empty if the two circles do not intersect, they are coincident, or one circle is contained inside
-   * another.  No error checking is performed in order to maximize performance.
+   * another.  No error checking is performed in order to maximize performance.  Use circleRelation() to distinguish these
+   * cases and to detect tangency to within a tolerance.
    */
    public circleToCircleIntersection(x0: number, y0: number, r0: number, x1: number, y1: number, r1: number): Array<Object>
    { 
@@ -716,7 +1205,7 @@ export class TSMT$GeomUtils
        return new Array<Object>();
      }
         
-     if ( Math.abs(d) < 0.001 && Math.abs(r1-r0) < 0.001) {
+     if ( Math.abs(d) < this.CIRCLE_TOL && Math.abs(r1-r0) < this.CIRCLE_TOL) {
        return new Array<Object>();
      }
         
@@ -744,353 +1233,1191 @@ export class TSMT$GeomUtils
         
      return intersect;
    }
-      
-  /**
-   * Return the distance from a single point, P, to a line segment passing through P0 and P1
-   * 
-   * @param p0x: number - x-coordinate of P0
-   * @param p0y: number - y-coordinate of P0
-   * 
-   * @param p1x: number - x-coordinate of P1
-   * @param p1y: number - y-coordinate of P1
-   * 
-   * @param px: number - x-coordinate of P
-   * @param py: number - y-coordinate of P
-   * 
-   * @return number - Distance from P to line segment between P0 and P1, which could be greater than the distance
-   * between P and the infinite line between P0 and P1
-   */
-   public pointToSegmentDistance(p0x: number, p0y: number, p1x: number, p1y: number, px: number, py: number): number
-   {
-     const vx: number = p1x - p0x;
-     const vy: number = p1y - p0y;
-        
-     let wx: number = px - p0x;
-     let wy: number = py - p0y;
 
-     const c1: number = wx*vx + wy*vy;
-     if (c1 <= 0) {
-       return Math.sqrt(wx * wx + wy * wy);
-     }
-        
-     const c2: number = vx*vx + vy*vy;
-     if (c2 <= c1)
-     {
-       wx = p1x - px;
-       wy = p1y - py;
-          
-       return Math.sqrt(wx*wx + wy*wy);
-     }
-        
-     const b: number  = c1 / c2;
-     const tx: number = p0x + b*vx;
-     const ty: number = p0y + b*vy;
-     const dx: number = px - tx;
-     const dy: number = py - ty;
-        
-     return Math.sqrt( dx*dx + dy*dy);
-   }
-      
   /**
-   * Return the point from projecting a single point, P, to a line segment passing through P0 and P1
-   * 
-   * @param p0x: number - x-coordinate of P0
-   * @param p0y: number - y-coordinate of P0
-   * 
-   * @param p1x: number - x-coordinate of P1
-   * @param p1y: number - y-coordinate of P1
-   * 
-   * @param px: number - x-coordinate of P
-   * @param py: number - y-coordinate of P
-   * 
-   * @return Object - 'x' and 'y' properties provide the closest point to P on P0-P1.
+   * Classify the relationship between two circles and compute their intersection or tangent point(s)
+   *
+   * @param x0: number x-coordinate of first circle center
+   *
+   * @param y0: number y-coordinate of first circle center
+   *
+   * @param r0: number first circle radius
+   *
+   * @param x1: number x-coordinate of second circle center
+   *
+   * @param y1: number y-coordinate of second circle center
+   *
+   * @param r1: number second circle radius
+   *
+   * @return Object - 'type' property is one of CircleRelationEnum.DISJOINT (each circle outside the other), EXTERNAL_TANGENT,
+   * INTERNAL_TANGENT, INTERSECTING, CONTAINED (one circle inside the other; the circle with the smaller radius is inside), or
+   * COINCIDENT.  'points' is an array of objects with 'x' and 'y' properties containing the two intersection points of intersecting
+   * circles or the single point of contact of tangent circles (empty otherwise).  Circles are tangent if the distance between
+   * centers is within the 'circle' tolerance (default 0.001) of the sum or difference of the radii, and coincident if both the
+   * distance between centers and the difference in radii are within that tolerance.
    */
-   public projectToSegment(p0x: number, p0y: number, p1x: number, p1y: number, px: number, py: number): Object
+   public circleRelation(x0: number, y0: number, r0: number, x1: number, y1: number, r1: number): Object
    {
-     const dx: number = p1x-p0x;
-     const dy: number = p1y-p0y;
-     const norm: number = dx*dx + dy*dy;
+     const tol: number  = this.CIRCLE_TOL;
+     let ux: number     = x1 - x0;
+     let uy: number     = y1 - y0;
+     const d: number    = Math.sqrt(ux*ux + uy*uy);
+     const sum: number  = r0 + r1;
+     const diff: number = Math.abs(r0 - r1);
 
-     if (norm < this.ZERO_TOL) {
-       return {x: p0x, y: p0y, d: 0, d2: 0};
+     if (d < tol && diff < tol) {
+       return {type: CircleRelationEnum.COINCIDENT, points: []};
      }
 
-     let vx: number;
-     let vy: number;
-
-     const t: number = ( (px-p0x)*(p1x-p0x) + (py-p0y)*(p1y-p0y) ) / norm;
-        
-     if (t <= 0)
-     {
-       vx = p0x;
-       vy = p0y;
-     }
-     else if (t >= 1)
-     {
-       vx = p1x;
-       vy = p1y;;
+     if (d > sum + tol) {
+       return {type: CircleRelationEnum.DISJOINT, points: []};
      }
-     else
-     {
-       vx = p0x+t*dx
-       vy = p0y+t*dy;
+
+     if (d < diff - tol || d == 0) {
+       return {type: CircleRelationEnum.CONTAINED, points: []};
      }
-        
-     // if you want to return the distance as well
-     // dx = vx-px;
-     // dy = vy-py;
-     // var d = Math.sqrt(dx*dx + dy*dy);
-        
-     return { x:vx, y:vy };
-   }
-      
-  /**
-   * Reflect a point cloud about a line passing through P0 and P1
-   * 
-   * @param points : Array - Array of Objects with 'x' and 'y' properties that represent the (x,y) coordinates of each point to be reflected
-   * 
-   * @param x0: number - x-coordinate of P0
-   * 
-   * @param y0: number - y-coordinate of P0
-   * 
-   * @param x1: number - x-coordinate of P1
-   * 
-   * @param y1: number - y-coordinate of P1
-   * 
-   * @return Array - Reflected point cloud, provided that the line segment is (numerically) distinct; otherwise, the original array is returned.
-   */
-   public reflect( points: Array<Object>, x0: number, y0: number, x1: number, y1: number ): Array<Object>
-   {
-     let p1x: number;
-     let p1y: number;
 
-     let dx: number = x1 - x0;
-     let dy: number = y1 - y0;
-     let d: number  = dx*dx + dy*dy;
+     ux /= d;
+     uy /= d;
 
-     if (Math.abs(d) < this.ZERO_TOL)
+     if (d >= sum - tol)
      {
-       // there is no line to reflect about, so the transformation defaults to an indentity
-       return points;
-     }
+       // point of contact is midway between the nearest points of the two circles
+       const ex: number = 0.5*(x0 + r0*ux + x1 - r1*ux);
+       const ey: number = 0.5*(y0 + r0*uy + y1 - r1*uy);
 
-     const len: number = points.length;
-     if (len == 0)
-     {
-       // no points to process
-       return points;
+       return {type: CircleRelationEnum.EXTERNAL_TANGENT, points: [{x: ex, y: ey}]};
      }
-         
-     const a: number = (dx*dx - dy*dy) / d;
-     const b: number = 2*dx*dy / d;
-
-     let i: number;
-     let p: Object;
 
-     const reflect     = new Array<Object>();
-        
-     for (i = 0; i < len; ++i)
+     if (d <= diff + tol)
      {
-       p   = points[i];
-       dx  = p['x'] - x0;
-       dy  = p['y'] - y0;
-       p1x = (a*dx + b*dy + x0); 
-       p1y = (b*dx - a*dy + y0);
+       // both circles touch on the side of the smaller circle away from the center of the larger
+       const s: number  = r0 >= r1 ? 1 : -1;
+       const ix: number = 0.5*(x0 + s*r0*ux + x1 + s*r1*ux);
+       const iy: number = 0.5*(y0 + s*r0*uy + y1 + s*r1*uy);
 
-       reflect.push( {x:p1x, y:p1y} );
+       return {type: CircleRelationEnum.INTERNAL_TANGENT, points: [{x: ix, y: iy}]};
      }
-      
-     return reflect;
+
+     const a: number  = (r0*r0 - r1*r1 + d*d) / (2*d);
+     const h: number  = Math.sqrt( Math.max(0, r0*r0 - a*a) );
+     const mx: number = x0 + a*ux;
+     const my: number = y0 + a*uy;
+
+     return {type: CircleRelationEnum.INTERSECTING, points: [{x: mx + h*uy, y: my - h*ux}, {x: mx - h*uy, y: my + h*ux}]};
    }
-     
+
   /**
-   * Find the two points in a point cloud that are closest in terms of Euclidean distance
+   * Intersection of a line segment with a circle
+   *
+   * @param x1: number x-coordinate of segment initial point
+   *
+   * @param y1: number y-coordinate of segment initial point
+   *
+   * @param x2: number x-coordinate of segment terminal point
+   *
+   * @param y2: number y-coordinate of segment terminal point
+   *
+   * @param cx: number x-coordinate of circle center
+   *
+   * @param cy: number y-coordinate of circle center
+   *
+   * @param r: number circle radius
+   *
+   * @return Array - Array of objects with 'x' and 'y' properties containing coordinates of the (zero, one, or two) points at which the
+   * segment crosses or touches the circle, in order from the initial to the terminal point.  A segment tangent to the circle (to within
+   * a relative tolerance) produces a single point.
+   */
+   public segmentCircleIntersection(x1: number, y1: number, x2: number, y2: number, cx: number, cy: number, r: number): Array<Object>
+   {
+     return this.__lineCircle(x1, y1, x2 - x1, y2 - y1, cx, cy, r, 0, 1);
+   }
+
+  /**
+   * Intersection of a ray with a circle
+   *
+   * @param x0: number x-coordinate of ray origin
+   *
+   * @param y0: number y-coordinate of ray origin
+   *
+   * @param dx: number x-component of ray direction (need not be normalized)
+   *
+   * @param dy: number y-component of ray direction
+   *
+   * @param cx: number x-coordinate of circle center
+   *
+   * @param cy: number y-coordinate of circle center
+   *
+   * @param r: number circle radius
+   *
+   * @return Array - Array of objects with 'x' and 'y' properties containing coordinates of the (zero, one, or two) points at which the
+   * ray crosses or touches the circle, in order of distance from the origin.  A ray whose origin is inside the circle produces a
+   * single point.
+   */
+   public rayCircleIntersection(x0: number, y0: number, dx: number, dy: number, cx: number, cy: number, r: number): Array<Object>
+   {
+     return this.__lineCircle(x0, y0, dx, dy, cx, cy, r, 0, Number.POSITIVE_INFINITY);
+   }
+
+  /**
+   * Intersection of an (infinite) line with a circle
+   *
+   * @param x1: number x-coordinate of first point on line
+   *
+   * @param y1: number y-coordinate of first point on line
+   *
+   * @param x2: number x-coordinate of second point on line
+   *
+   * @param y2: number y-coordinate of second point on line
+   *
+   * @param cx: number x-coordinate of circle center
+   *
+   * @param cy: number y-coordinate of circle center
+   *
+   * @param r: number circle radius
+   *
+   * @return Array - Array of objects with 'x' and 'y' properties containing coordinates of the (zero, one, or two) points at which the
+   * line crosses or touches the circle, in the direction from the first to the second point
+   */
+   public lineCircleIntersection(x1: number, y1: number, x2: number, y2: number, cx: number, cy: number, r: number): Array<Object>
+   {
+     return this.__lineCircle(x1, y1, x2 - x1, y2 - y1, cx, cy, r, Number.NEGATIVE_INFINITY, Number.POSITIVE_INFINITY);
+   }
+
+  /**
+   * Points of tangency on a circle of the tangent lines through a point
+   *
+   * @param px: number x-coordinate of point
+   *
+   * @param py: number y-coordinate of point
+   *
+   * @param cx: number x-coordinate of circle center
+   *
+   * @param cy: number y-coordinate of circle center
+   *
+   * @param r: number circle radius
+   *
+   * @return Array - Array of objects with 'x' and 'y' properties containing coordinates of the points of tangency.  The array is empty if
+   * the point is inside the circle and contains only the point itself if it is on the circle (to within a relative tolerance).
+   * Otherwise, the first point is to the right of the directed line from the point to the circle center in a y-up coordinate system.
+   */
+   public pointCircleTangents(px: number, py: number, cx: number, cy: number, r: number): Array<Object>
+   {
+     const vx: number = px - cx;
+     const vy: number = py - cy;
+     const d2: number = vx*vx + vy*vy;
+     const r2: number = r*r;
+     const h2: number = d2 - r2;
+
+     if (h2 < -this.ZERO_TOL*r2) {
+       return new Array<Object>();
+     }
+
+     if (h2 <= this.ZERO_TOL*r2) {
+       return [{x: px, y: py}];
+     }
+
+     // foot of the chord of contact and offset along the perpendicular
+     const a: number = r2/d2;
+     const h: number = r*Math.sqrt(h2)/d2;
+
+     return [ {x: cx + a*vx - h*vy, y: cy + a*vy + h*vx}, {x: cx + a*vx + h*vy, y: cy + a*vy - h*vx} ];
+   }
+
+  /**
+   * Common tangent lines of two circles
+   *
+   * @param x0: number x-coordinate of first circle center
+   *
+   * @param y0: number y-coordinate of first circle center
+   *
+   * @param r0: number first circle radius
+   *
+   * @param x1: number x-coordinate of second circle center
+   *
+   * @param y1: number y-coordinate of second circle center
+   *
+   * @param r1: number second circle radius
+   *
+   * @return Array - Array of objects with 'x1', 'y1' (point of tangency on the first circle) and 'x2', 'y2' (point of tangency on the
+   * second circle) properties.  External tangents (circles on the same side of the line) are listed before internal tangents (circles on
+   * opposite sides).  Separate circles have four common tangents, circles touching externally have three (the internal tangent at the
+   * point of contact has identical points of tangency), overlapping circles have two, circles touching internally have one, and the
+   * array is empty if one circle is inside the other or the circles are coincident.
+   */
+   public circleTangents(x0: number, y0: number, r0: number, x1: number, y1: number, r1: number): Array<Object>
+   {
+     const tangents: Array<Object> = new Array<Object>();
+
+     let ux: number  = x1 - x0;
+     let uy: number  = y1 - y0;
+     const d: number = Math.sqrt(ux*ux + uy*uy);
+
+     if (d < this.CIRCLE_TOL && Math.abs(r1 - r0) < this.CIRCLE_TOL) {
+       return tangents;
+     }
+
+     if (d == 0) {
+       return tangents;
+     }
+
+     ux /= d;
+     uy /= d;
+
+     this.__circleTangents(x0, y0, r0, x1, y1, r1, ux, uy, (r0 - r1)/d, 1, tangents);
+     this.__circleTangents(x0, y0, r0, x1, y1, r1, ux, uy, (r0 + r1)/d, -1, tangents);
+
+     return tangents;
+   }
+
+  /**
+   * Circle through three points
+   *
+   * @param x1: number x-coordinate of first point
+   *
+   * @param y1: number y-coordinate of first point
+   *
+   * @param x2: number x-coordinate of second point
+   *
+   * @param y2: number y-coordinate of second point
+   *
+   * @param x3: number x-coordinate of third point
+   *
+   * @param y3: number y-coordinate of third point
+   *
+   * @return Object - 'x' and 'y' properties contain the coordinates of the circle center and 'r' contains the radius.  All three
+   * properties are NaN if the points are collinear (twice the area of the triangle they form is below the zero tolerance).
+   */
+   public circleThroughPoints(x1: number, y1: number, x2: number, y2: number, x3: number, y3: number): Object
+   {
+     // coordinates relative to the first point to reduce roundoff
+     const bx: number = x2 - x1;
+     const by: number = y2 - y1;
+     const cx: number = x3 - x1;
+     const cy: number = y3 - y1;
+     const d: number  = 2*this.__cross(bx, by, cx, cy);
+
+     if (Math.abs(d) < this.ZERO_TOL) {
+       return {x: Number.NaN, y: Number.NaN, r: Number.NaN};
+     }
+
+     const b2: number = bx*bx + by*by;
+     const c2: number = cx*cx + cy*cy;
+     const ux: number = (cy*b2 - by*c2) / d;
+     const uy: number = (bx*c2 - cx*b2) / d;
+
+     return {x: x1 + ux, y: y1 + uy, r: Math.sqrt(ux*ux + uy*uy)};
+   }
+
+  /**
+   * Minimum enclosing circle of a point cloud (Welzl's algorithm, in expected linear time)
+   *
+   * @param xcoord : Array - Array of x-coordinates (point count is taken from the length of this array)
+   *
+   * @param ycoord : Array - Array of y-coordinates
+   *
+   * @return Object - 'x' and 'y' properties contain the coordinates of the circle center and 'r' contains the radius of the smallest
+   * circle that contains every point.  A single point produces a circle of zero radius.  All three properties are NaN if the cloud is
+   * empty or the coordinate arrays differ in length.
+   */
+   public enclosingCircle(_xcoord: Array<number>, _ycoord: Array<number>): Object
+   {
+     if (!this.__validCloud(_xcoord, _ycoord)) {
+       return {x: Number.NaN, y: Number.NaN, r: Number.NaN};
+     }
+
+     const n: number            = _xcoord.length;
+     const order: Array<number> = new Array<number>();
+     let i: number;
+     let j: number;
+     let k: number;
+     let tmp: number;
+
+     for (i = 0; i < n; ++i) {
+       order.push(i);
+     }
+
+     // repeatable pseudo-random order provides the expected running time
+     let seed: number = 1;
+     for (i = n-1; i > 0; --i)
+     {
+       seed = (seed*16807) % 2147483647;
+       j    = seed % (i+1);
+
+       tmp      = order[i];
+       order[i] = order[j];
+       order[j] = tmp;
+     }
+
+     const x: Array<number> = order.map( (p: number): number => _xcoord[p] );
+     const y: Array<number> = order.map( (p: number): number => _ycoord[p] );
+     let circle: Object     = {x: x[0], y: y[0], r: 0};
+
+     for (i = 1; i < n; ++i)
+     {
+       if (this.__inCircle(circle, x[i], y[i])) {
+         continue;
+       }
+
+       // p[i] is on the boundary of the enclosing circle of p[0..i]
+       circle = {x: x[i], y: y[i], r: 0};
+
+       for (j = 0; j < i; ++j)
+       {
+         if (this.__inCircle(circle, x[j], y[j])) {
+           continue;
+         }
+
+         // p[i] and p[j] are on the boundary of the enclosing circle of p[0..j] and p[i]
+         circle = this.__diametralCircle(x[i], y[i], x[j], y[j]);
+
+         for (k = 0; k < j; ++k)
+         {
+           if (!this.__inCircle(circle, x[k], y[k])) {
+             circle = this.__boundaryCircle(x[i], y[i], x[j], y[j], x[k], y[k]);
+           }
+         }
+       }
+     }
+
+     return circle;
+   }
+
+  /**
+   * Points where the line P + t*D intersects a circle, for parameters in [tmin, tmax] (to within the parameter tolerance)
+   *
+   * @private
+   */
+   protected __lineCircle(px: number, py: number, dx: number, dy: number, cx: number, cy: number, r: number, tmin: number, tmax: number): Array<Object>
+   {
+     const points: Array<Object> = new Array<Object>();
+     const a: number             = dx*dx + dy*dy;
+
+     if (a == 0) {
+       return points;
+     }
+
+     // parameter of the point on the line closest to the center and squared half-chord
+     const t0: number = ((cx - px)*dx + (cy - py)*dy) / a;
+     const ex: number = px + t0*dx - cx;
+     const ey: number = py + t0*dy - cy;
+     const r2: number = r*r;
+     const h2: number = r2 - (ex*ex + ey*ey);
+
+     if (h2 < -this.ZERO_TOL*r2) {
+       return points;
+     }
+
+     const dt: number       = h2 <= this.ZERO_TOL*r2 ? 0 : Math.sqrt(h2/a);
+     const t: Array<number> = dt == 0 ? [t0] : [t0 - dt, t0 + dt];
+     let i: number;
+     let s: number;
+
+     for (i = 0; i < t.length; ++i)
+     {
+       if (t[i] >= tmin - this.PARAM_TOL && t[i] <= tmax + this.PARAM_TOL)
+       {
+         s = Math.min(Math.max(t[i], tmin), tmax);
+
+         points.push( {x: px + s*dx, y: py + s*dy} );
+       }
+     }
+
+     return points;
+   }
+
+  /**
+   * Common tangents of two circles for one value of c, the cosine of the angle between the center line and the tangent normal;
+   * 'side' is 1 for external and -1 for internal tangents
+   *
+   * @private
+   */
+   protected __circleTangents(x0: number, y0: number, r0: number, x1: number, y1: number, r1: number, ux: number, uy: number, c: number,
+                              side: number, tangents: Array<Object>): void
+   {
+     const h2: number = 1 - c*c;
+
+     if (h2 < -this.ZERO_TOL) {
+       return;
+     }
+
+     const h: number            = h2 <= this.ZERO_TOL ? 0 : Math.sqrt(h2);
+     const signs: Array<number> = h == 0 ? [1] : [1, -1];
+     let nx: number;
+     let ny: number;
+     let i: number;
+
+     for (i = 0; i < signs.length; ++i)
+     {
+       // unit normal of the tangent line, pointing from the first center to its point of tangency
+       nx = c*ux - signs[i]*h*uy;
+       ny = c*uy + signs[i]*h*ux;
+
+       tangents.push( {x1: x0 + r0*nx, y1: y0 + r0*ny, x2: x1 + side*r1*nx, y2: y1 + side*r1*ny} );
+     }
+   }
+
+  /**
+   * Is a point inside (or on the boundary of) a circle, to within the containment tolerance (relative to the squared radius)?
+   *
+   * @private
+   */
+   protected __inCircle(circle: Object, x: number, y: number): boolean
+   {
+     const dx: number = x - circle['x'];
+     const dy: number = y - circle['y'];
+     const r: number  = circle['r'];
+
+     return dx*dx + dy*dy <= r*r*(1 + this.CONTAIN_TOL) || (dx == 0 && dy == 0);
+   }
+
+  /**
+   * Circle with the segment between two points as its diameter
+   *
+   * @private
+   */
+   protected __diametralCircle(x1: number, y1: number, x2: number, y2: number): Object
+   {
+     const dx: number = x2 - x1;
+     const dy: number = y2 - y1;
+
+     return {x: 0.5*(x1 + x2), y: 0.5*(y1 + y2), r: 0.5*Math.sqrt(dx*dx + dy*dy)};
+   }
+
+  /**
+   * Smallest circle with three points on its boundary, or the diametral circle of the farthest pair if they are (nearly) collinear
+   *
+   * @private
+   */
+   protected __boundaryCircle(x1: number, y1: number, x2: number, y2: number, x3: number, y3: number): Object
+   {
+     const circle: Object = this.circleThroughPoints(x1, y1, x2, y2, x3, y3);
+
+     if (!isNaN(circle['r'])) {
+       return circle;
+     }
+
+     const d12: Object = this.__diametralCircle(x1, y1, x2, y2);
+     const d13: Object = this.__diametralCircle(x1, y1, x3, y3);
+     const d23: Object = this.__diametralCircle(x2, y2, x3, y3);
+
+     return d12['r'] >= d13['r'] && d12['r'] >= d23['r'] ? d12 : (d13['r'] >= d23['r'] ? d13 : d23);
+   }
+      
+  /**
+   * Return the distance from a single point, P, to a line segment passing through P0 and P1
+   * 
+   * @param p0x: number - x-coordinate of P0
+   * @param p0y: number - y-coordinate of P0
+   * 
+   * @param p1x: number - x-coordinate of P1
+   * @param p1y: number - y-coordinate of P1
+   * 
+   * @param px: number - x-coordinate of P
+   * @param py: number - y-coordinate of P
+   * 
+   * @return number - Distance from P to line segment between P0 and P1, which could be greater than the distance
+   * between P and the infinite line between P0 and P1
+   */
+   public pointToSegmentDistance(p0x: number, p0y: number, p1x: number, p1y: number, px: number, py: number): number
+   {
+     const vx: number = p1x - p0x;
+     const vy: number = p1y - p0y;
+        
+     let wx: number = px - p0x;
+     let wy: number = py - p0y;
+
+     const c1: number = wx*vx + wy*vy;
+     if (c1 <= 0) {
+       return Math.sqrt(wx * wx + wy * wy);
+     }
+        
+     const c2: number = vx*vx + vy*vy;
+     if (c2 <= c1)
+     {
+       wx = p1x - px;
+       wy = p1y - py;
+          
+       return Math.sqrt(wx*wx + wy*wy);
+     }
+        
+     const b: number  = c1 / c2;
+     const tx: number = p0x + b*vx;
+     const ty: number = p0y + b*vy;
+     const dx: number = px - tx;
+     const dy: number = py - ty;
+        
+     return Math.sqrt( dx*dx + dy*dy);
+   }
+
+  /**
+   * Batch version of pointToSegmentDistance() for a collection of points
+   *
+   * @param p0x: number - x-coordinate of P0
+   * @param p0y: number - y-coordinate of P0
+   *
+   * @param p1x: number - x-coordinate of P1
+   * @param p1y: number - y-coordinate of P1
+   *
+   * @param coords: Float64Array - Flat array of point coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @param out: Float64Array - Optional buffer with at least one element per point to receive the distances
+   * @default null
+   *
+   * @return Float64Array - Distance from point i to the line segment between P0 and P1 at index i (same result as pointToSegmentDistance());
+   * the output buffer if one was provided, otherwise a new buffer with one element per point
+   */
+   public pointToSegmentDistanceBatch(p0x: number, p0y: number, p1x: number, p1y: number, coords: Float64Array, out: Float64Array=null): Float64Array
+   {
+     const n: number            = Math.floor(coords.length/2);
+     const result: Float64Array = out != null && out != undefined ? out : new Float64Array(n);
+     const vx: number           = p1x - p0x;
+     const vy: number           = p1y - p0y;
+     const c2: number           = vx*vx + vy*vy;
+     let wx: number;
+     let wy: number;
+     let c1: number;
+     let b: number;
+     let i: number;
+
+     for (i = 0; i < n; ++i)
+     {
+       wx = coords[2*i] - p0x;
+       wy = coords[2*i+1] - p0y;
+       c1 = wx*vx + wy*vy;
+
+       if (c1 > 0)
+       {
+         if (c2 <= c1)
+         {
+           wx = p1x - coords[2*i];
+           wy = p1y - coords[2*i+1];
+         }
+         else
+         {
+           b  = c1 / c2;
+           wx = coords[2*i] - (p0x + b*vx);
+           wy = coords[2*i+1] - (p0y + b*vy);
+         }
+       }
+
+       result[i] = Math.sqrt(wx*wx + wy*wy);
+     }
+
+     return result;
+   }
+      
+  /**
+   * Return the point from projecting a single point, P, to a line segment passing through P0 and P1
+   * 
+   * @param p0x: number - x-coordinate of P0
+   * @param p0y: number - y-coordinate of P0
+   * 
+   * @param p1x: number - x-coordinate of P1
+   * @param p1y: number - y-coordinate of P1
+   * 
+   * @param px: number - x-coordinate of P
+   * @param py: number - y-coordinate of P
+   * 
+   * @return Object - 'x' and 'y' properties provide the closest point to P on P0-P1.
+   */
+   public projectToSegment(p0x: number, p0y: number, p1x: number, p1y: number, px: number, py: number): Object
+   {
+     const dx: number = p1x-p0x;
+     const dy: number = p1y-p0y;
+     const norm: number = dx*dx + dy*dy;
+
+     if (norm < this.ZERO_TOL) {
+       return {x: p0x, y: p0y, d: 0, d2: 0};
+     }
+
+     let vx: number;
+     let vy: number;
+
+     const t: number = ( (px-p0x)*(p1x-p0x) + (py-p0y)*(p1y-p0y) ) / norm;
+        
+     if (t <= 0)
+     {
+       vx = p0x;
+       vy = p0y;
+     }
+     else if (t >= 1)
+     {
+       vx = p1x;
+       vy = p1y;;
+     }
+     else
+     {
+       vx = p0x+t*dx
+       vy = p0y+t*dy;
+     }
+        
+     // if you want to return the distance as well
+     // dx = vx-px;
+     // dy = vy-py;
+     // var d = Math.sqrt(dx*dx + dy*dy);
+        
+     return { x:vx, y:vy };
+   }
+
+  /**
+   * Batch version of projectToSegment() for a collection of points
+   *
+   * @param p0x: number - x-coordinate of P0
+   * @param p0y: number - y-coordinate of P0
+   *
+   * @param p1x: number - x-coordinate of P1
+   * @param p1y: number - y-coordinate of P1
+   *
+   * @param coords: Float64Array - Flat array of point coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @param out: Float64Array - Optional buffer at least as long as the input buffer to receive the projected points; it may be the input
+   * buffer itself to project in place
+   * @default null
+   *
+   * @return Float64Array - Flat array of the closest points on P0-P1 (same results as projectToSegment()); the output buffer if one was
+   * provided, otherwise a new buffer of the same length as the input
+   */
+   public projectToSegmentBatch(p0x: number, p0y: number, p1x: number, p1y: number, coords: Float64Array, out: Float64Array=null): Float64Array
+   {
+     const n: number            = Math.floor(coords.length/2);
+     const result: Float64Array = out != null && out != undefined ? out : new Float64Array(coords.length);
+     const dx: number           = p1x - p0x;
+     const dy: number           = p1y - p0y;
+     const norm: number         = dx*dx + dy*dy;
+     const degenerate: boolean  = norm < this.ZERO_TOL;
+     let t: number;
+     let i: number;
+
+     for (i = 0; i < n; ++i)
+     {
+       t = degenerate ? 0 : ( (coords[2*i]-p0x)*dx + (coords[2*i+1]-p0y)*dy ) / norm;
+
+       if (t <= 0)
+       {
+         result[2*i]   = p0x;
+         result[2*i+1] = p0y;
+       }
+       else if (t >= 1)
+       {
+         result[2*i]   = p1x;
+         result[2*i+1] = p1y;
+       }
+       else
+       {
+         result[2*i]   = p0x+t*dx;
+         result[2*i+1] = p0y+t*dy;
+       }
+     }
+
+     return result;
+   }
+      
+  /**
+   * Reflect a point cloud about a line passing through P0 and P1
+   * 
+   * @param points : Array - Array of Objects with 'x' and 'y' properties that represent the (x,y) coordinates of each point to be reflected
+   * 
+   * @param x0: number - x-coordinate of P0
+   * 
+   * @param y0: number - y-coordinate of P0
+   * 
+   * @param x1: number - x-coordinate of P1
+   * 
+   * @param y1: number - y-coordinate of P1
+   * 
+   * @return Array - Reflected point cloud, provided that the line segment is (numerically) distinct; otherwise, the original array is returned.
+   * This is the same as applying TSMT$Affine.reflection(x0, y0, x1, y1) to the points.
+   */
+   public reflect( points: Array<Object>, x0: number, y0: number, x1: number, y1: number ): Array<Object>
+   {
+     const dx: number = x1 - x0;
+     const dy: number = y1 - y0;
+     const d: number  = dx*dx + dy*dy;
+
+     if (Math.abs(d) < this.ZERO_TOL)
+     {
+       // there is no line to reflect about, so the transformation defaults to an indentity
+       return points;
+     }
+
+     if (points.length == 0)
+     {
+       // no points to process
+       return points;
+     }
+
+     return TSMT$Affine.reflection(x0, y0, x1, y1).transformPoints(points);
+   }
+     
+  /**
+   * Find the two points in a point cloud that are closest in terms of Euclidean distance
    * 
    * @param xcoord : Array - Array of x-coordinates (point count is taken from the length of this array)
    * 
    * @param ycoord : Array - Array of y-coordinates
    * 
    * @return Array - Two-element array of Objects whose 'x' and 'y' properties contain the coordinates of the two closest
-   * points - there is no error-checking for performance reasons.  The return array is empty if the point collection is
-   * less than two.  Note that duplicate points may cause an issue and that is not scanned for at this time.  It may also
-   * be the case that multiple points exist for which the minimum distance is the same.  Only the first point set identified
-   * by the algorithm will be returned.
+   * points.  The return array is empty if the point collection is empty or the coordinate arrays differ in length; a single
+   * point is returned twice.  Duplicate points are closest at zero distance.  It may be the case that multiple points exist
+   * for which the minimum distance is the same.  Only one pair is returned; use minimumPairs() to obtain all of them.
    */
    public closestPoints( _xcoord: Array<number>, _ycoord: Array<number> ): Array<Object>
    {
-     // Attribution:  This is a mashup of code I wrote in C back in the early 90's and a Java code sent to me by a
-     // colleague, but I do not have a reference for the Java author.
-
-     if (!_xcoord || !_ycoord || !_xcoord.length || !_ycoord.length) {
+     if (!this.__validCloud(_xcoord, _ycoord)) {
        return [];
      }
 
-     if (_xcoord.length != _ycoord.length) {
+     if (_xcoord.length == 1) {
+       return [{x: _xcoord[0], y: _ycoord[0]}, {x: _xcoord[0], y: _ycoord[0]}];
+     }
+
+     const pair: Object = this.closestPairs(_xcoord, _ycoord, 1)[0];
+     const i: number    = pair['i'];
+     const j: number    = pair['j'];
+
+     return [{x: _xcoord[i], y: _ycoord[i]}, {x: _xcoord[j], y: _ycoord[j]}];
+   }
+
+  /**
+   * Find the k pairs of points in a point cloud that are closest in terms of Euclidean distance
+   *
+   * @param xcoord : Array - Array of x-coordinates (point count is taken from the length of this array)
+   *
+   * @param ycoord : Array - Array of y-coordinates
+   *
+   * @param k : number - Number of pairs to return
+   * @default 1
+   *
+   * @return Array - Objects whose 'i' and 'j' properties are indices into the coordinate arrays of two distinct points (i < j) and
+   * whose 'd' property is the distance between them, in increasing order of distance (then i, then j).  Fewer than k pairs are
+   * returned if the cloud contains fewer than k pairs.  When several pairs are tied at the k-th distance, the pairs included in
+   * the result are arbitrary.  The array is empty for invalid input.
+   */
+   public closestPairs( _xcoord: Array<number>, _ycoord: Array<number>, k: number=1 ): Array<Object>
+   {
+     if (!this.__validCloud(_xcoord, _ycoord) || !(k >= 1)) {
        return [];
      }
-        
-     const n: number = _xcoord.length;
-     if (n == 0) {
+
+     k = Math.floor(k);
+
+     const axis: Array<number>  = this.__sweepAxis(_xcoord, _ycoord);
+     const other: Array<number> = axis == _xcoord ? _ycoord : _xcoord;
+     const order: Array<number> = this.__sweepOrder(axis, other);
+     const n: number            = order.length;
+
+     // max-heap on squared distance of the k closest pairs found so far
+     const heap: Array<Object> = new Array<Object>();
+     let bound: number         = Number.POSITIVE_INFINITY;
+     let a: number;
+     let b: number;
+     let i: number;
+     let j: number;
+     let da: number;
+     let db: number;
+     let d2: number;
+
+     for (a = 0; a < n; ++a)
+     {
+       i = order[a];
+
+       for (b = a+1; b < n; ++b)
+       {
+         j  = order[b];
+         da = axis[j] - axis[i];
+
+         // points are sorted along the sweep axis, so no later point can be closer
+         if (da*da >= bound) {
+           break;
+         }
+
+         db = other[j] - other[i];
+         d2 = da*da + db*db;
+
+         if (d2 < bound)
+         {
+           if (heap.length == k) {
+             this.__heapRemove(heap);
+           }
+
+           this.__heapInsert(heap, {i: Math.min(i, j), j: Math.max(i, j), d: d2});
+
+           if (heap.length == k) {
+             bound = heap[0]['d'];
+           }
+         }
+       }
+     }
+
+     return this.__sortPairs(heap);
+   }
+
+  /**
+   * Find all pairs of points in a point cloud that are within a specified distance of one another
+   *
+   * @param xcoord : Array - Array of x-coordinates (point count is taken from the length of this array)
+   *
+   * @param ycoord : Array - Array of y-coordinates
+   *
+   * @param distance : number - Maximum distance (inclusive) between points in a pair
+   *
+   * @return Array - Objects whose 'i' and 'j' properties are indices into the coordinate arrays of two distinct points (i < j) and
+   * whose 'd' property is the distance between them, in increasing order of distance (then i, then j).  The array is empty for
+   * invalid input or a negative distance.
+   */
+   public pairsWithin( _xcoord: Array<number>, _ycoord: Array<number>, distance: number ): Array<Object>
+   {
+     if (!this.__validCloud(_xcoord, _ycoord) || !(distance >= 0)) {
        return [];
      }
 
-     if (n == 1) {
-       return [{x: _xcoord[0], y: _ycoord[0]}, {x: _xcoord[0], y: _ycoord[0]}];
+     return this.__pairsWithin(_xcoord, _ycoord, distance*distance);
+   }
+
+  /**
+   * Find all pairs of points in a point cloud whose distance is the minimum distance between any two points
+   *
+   * @param xcoord : Array - Array of x-coordinates (point count is taken from the length of this array)
+   *
+   * @param ycoord : Array - Array of y-coordinates
+   *
+   * @param tol : number - Pairs whose distance exceeds the minimum by no more than this amount are considered tied
+   * @default 0
+   *
+   * @return Array - Objects whose 'i' and 'j' properties are indices into the coordinate arrays of two distinct points (i < j) and
+   * whose 'd' property is the distance between them, in increasing order of distance (then i, then j).  With zero tolerance, pairs
+   * are tied only if their squared distances are exactly equal.  The array is empty if there are fewer than two points or for
+   * invalid input.
+   */
+   public minimumPairs( _xcoord: Array<number>, _ycoord: Array<number>, tol: number=0 ): Array<Object>
+   {
+     const closest: Array<Object> = this.closestPairs(_xcoord, _ycoord, 1);
+
+     if (closest.length == 0) {
+       return closest;
      }
 
-     const points: Array<Object> = new Array<Object>();
-     if (n == 2)
-     {
-       points.push( {x:_xcoord[0], y:_ycoord[0]} );
-       points.push( {x:_xcoord[1], y:_ycoord[1]} );
+     const d: number     = closest[0]['d'];
+     const dx: number    = _xcoord[closest[0]['i']] - _xcoord[closest[0]['j']];
+     const dy: number    = _ycoord[closest[0]['i']] - _ycoord[closest[0]['j']];
+     const limit: number = tol > 0 ? (d + tol)*(d + tol) : dx*dx + dy*dy;
+
+     return this.__pairsWithin(_xcoord, _ycoord, limit);
+   }
+
+  /**
+   * Compute the convex hull of a point cloud
+   *
+   * @param xcoord : Array - Array of x-coordinates (point count is taken from the length of this array)
+   *
+   * @param ycoord : Array - Array of y-coordinates
+   *
+   * @param clockwise : boolean - true if the hull is to be returned in CW order (y-up), false for CCW order
+   * @default false
+   *
+   * @param keepCollinear : boolean - true if points that lie on the interior of a hull edge are to be retained
+   * @default false
+   *
+   * @return Array - Indices into the input coordinate arrays of the hull vertices, beginning with the left-most (then lowest)
+   * point.  Duplicate points are reported only once (the first occurrence in the input), so a cloud of coincident points
+   * returns a single index.  If all points are collinear, the two extreme points are returned (or all points in sorted order
+   * if collinear points are retained).  The return array is empty for empty or mismatched inputs.  The algorithm is Andrew's
+   * monotone chain, O(n log n).
+   */
+   public convexHull( _xcoord: Array<number>, _ycoord: Array<number>, clockwise: boolean=false, keepCollinear: boolean=false ): Array<number>
+   {
+     if (!_xcoord || !_ycoord || !_xcoord.length || _xcoord.length != _ycoord.length) {
+       return [];
      }
-        
-     // create a point collection that is sorted on x-coordinate
-     const p: Array<Object> = new Array<Object>();
+
+     const n: number = _xcoord.length;
      let i: number;
 
+     // sort indices on x, then y - ties are ordered by index so the first of a set of duplicates is retained
+     const sorted: Array<number> = new Array<number>();
      for (i = 0; i < n; ++i) {
-       p.push({x: _xcoord[i], y: _ycoord[i]});
+       sorted.push(i);
      }
 
-     // in-line a 'sort-on' for performance - leave room open for adding additional criteria
-     const sortProps: Array<string> = ['x'];
-     p.sort
+     sorted.sort
      (
-       function(a: number | Object, b: number | Object): number
+       function(a: number, b: number): number
        {
-         let props: Array<string> = sortProps.slice();
-         let prop: string         = props.shift();
+         if (_xcoord[a] != _xcoord[b]) {
+           return _xcoord[a] < _xcoord[b] ? -1 : 1;
+         }
 
-         while (a[prop] == b[prop] && props.length) {
-           prop = props.shift();
+         if (_ycoord[a] != _ycoord[b]) {
+           return _ycoord[a] < _ycoord[b] ? -1 : 1;
          }
-              
-         return a[prop] == b[prop] ? 0 : a[prop] > b[prop] ? 1 : -1;
-        }
+
+         return a - b;
+       }
      );
-        
-     this._best1    = null;
-     this._best2    = null;
-     this._bestDist = Number.MAX_VALUE;
-     
-     let d: number;
-     let dx: number;
-     let dy: number;
-        
-     if( n == 3 )
+
+     // remove duplicates
+     const p: Array<number> = [sorted[0]];
+     for (i = 1; i < n; ++i)
      {
-       // this is more efficient and takes advantage of x-sorting
-       dx = p[1]['x'] - p[0]['x'];
-       dy = p[1]['y'] - p[0]['y'];
-       d  = Math.sqrt(dx*dx + dy*dy);
-          
-       this._bestDist = d;
-          
-       dx = p[2]['x'] - p[1]['x'];
-       dy = p[2]['y'] - p[1]['y'];
-       d  = Math.sqrt( dx*dx + dy*dy );
-          
-       if( d < this._bestDist )
-       {
-         return [p[1], p[2]];
+       if (_xcoord[sorted[i]] != _xcoord[p[p.length-1]] || _ycoord[sorted[i]] != _ycoord[p[p.length-1]]) {
+         p.push(sorted[i]);
        }
-       else
+     }
+
+     const m: number = p.length;
+     if (m < 3) {
+       return p;
+     }
+
+     // all points collinear?
+     let collinear: boolean = true;
+     for (i = 2; i < m; ++i)
+     {
+       if (this.__turn(_xcoord, _ycoord, p[0], p[m-1], p[i-1]) != 0)
        {
-         return [p[0], p[1]];
+         collinear = false;
+         break;
        }
      }
-        
-     // now, for the fun part ...
-     const pY: Array<Object> = p.slice();  // point set to be ordered/merged by y
-     const n1: number        = n-1;
-        
-     this.__closestPoint( p, pY, 0, n1 );
-        
-     return [this._best1, this._best2];
+
+     if (collinear) {
+       return keepCollinear ? p : [p[0], p[m-1]];
+     }
+
+     // lower and upper hulls in CCW order
+     const hull: Array<number> = new Array<number>();
+     let k: number = 0;
+     let t: number;
+
+     for (i = 0; i < m; ++i)
+     {
+       while (k >= 2 && this.__isRemoved(this.__turn(_xcoord, _ycoord, hull[k-2], hull[k-1], p[i]), keepCollinear)) {
+         k--;
+       }
+
+       hull[k++] = p[i];
+     }
+
+     t = k + 1;
+     for (i = m-2; i >= 0; --i)
+     {
+       while (k >= t && this.__isRemoved(this.__turn(_xcoord, _ycoord, hull[k-2], hull[k-1], p[i]), keepCollinear)) {
+         k--;
+       }
+
+       hull[k++] = p[i];
+     }
+
+     // last point is a repeat of the first
+     hull.length = k-1;
+
+     if (clockwise)
+     {
+       const first: number = hull.shift();
+       hull.reverse();
+       hull.unshift(first);
+     }
+
+     return hull;
    }
 
   /**
-   * Return closest point in range (pointsByX sorted by x-coord, pointsByY sorted by y-coord)
+   * Cross-product of the turn from point a to point b to point c in a point cloud - positive for a CCW turn
    *
    * @private
    */
-   protected __closestPoint( pointsByX: Array<Object>, pointsByY: Array<Object>, from: number, to: number ): number
+   protected __turn(_xcoord: Array<number>, _ycoord: Array<number>, a: number, b: number, c: number): number
    {
-     let dx: number;
-     let dy: number;
-        
-     // outlier
-     if (to <= from) {
-       return Number.MAX_VALUE;
+     if (this._robust) {
+       return this._predicates.orient2d(_xcoord[a], _ycoord[a], _xcoord[b], _ycoord[b], _xcoord[c], _ycoord[c]);
      }
 
-     // median point
-     const mid: number    = Math.floor( from + (to - from)/2 );
-     const median: Object = pointsByX[mid];
-        
-     // left-right sections (from-mid) and (mid-to)
-     let left: number  = this.__closestPoint(pointsByX, pointsByY, from, mid);
-     let right: number = this.__closestPoint(pointsByX, pointsByY, mid+1, to);
-     let d: number     = Math.min(left, right);
-
-     // this is clearly not very DRY, but performance is paramount
-     const sortProps: Array<string> = ['y'];
-     pointsByY.sort
-     (
-       function(a: number | Object, b: number | Object): number
-       {
-         let props: Array<string> = sortProps.slice();
-         let prop:string          = props.shift();
+     return this.__cross(_xcoord[b] - _xcoord[a], _ycoord[b] - _ycoord[a], _xcoord[c] - _xcoord[a], _ycoord[c] - _ycoord[a]);
+   }
 
-         while (a[prop] == b[prop] && props.length) {
-           prop = props.shift();
-         }
-              
-         return a[prop] == b[prop] ? 0 : a[prop] > b[prop] ? 1 : -1;
-        }
-     );
-        
-     const tmp: Array<Object> = new Array<Object>();
-     let m: number            = 0;
-     let i:number;
+  /**
+   * Is the middle point of a turn removed from a monotone chain?
+   *
+   * @private
+   */
+   protected __isRemoved(turn: number, keepCollinear: boolean): boolean
+   {
+     return keepCollinear ? turn < 0 : turn <= 0;
+   }
+
+  /**
+   * Are the coordinate arrays of a point cloud non-empty and of equal length?
+   *
+   * @private
+   */
+   protected __validCloud(_xcoord: Array<number>, _ycoord: Array<number>): boolean
+   {
+     return !!_xcoord && !!_ycoord && _xcoord.length > 0 && _xcoord.length == _ycoord.length;
+   }
+
+  /**
+   * Coordinate array of the axis along which a point cloud has the greater extent
+   *
+   * @private
+   */
+   protected __sweepAxis(_xcoord: Array<number>, _ycoord: Array<number>): Array<number>
+   {
+     const n: number = _xcoord.length;
+     let minX: number = _xcoord[0];
+     let maxX: number = _xcoord[0];
+     let minY: number = _ycoord[0];
+     let maxY: number = _ycoord[0];
+     let i: number;
 
-     for (i = from; i <= to; ++i)
+     for (i = 1; i < n; ++i)
      {
-       if (Math.abs( pointsByY[i]['x'] - median['x'] ) < d) {
-         tmp[m++] = pointsByY[i];
-       }
+       minX = Math.min(minX, _xcoord[i]);
+       maxX = Math.max(maxX, _xcoord[i]);
+       minY = Math.min(minY, _ycoord[i]);
+       maxY = Math.max(maxY, _ycoord[i]);
+     }
+
+     return maxY - minY > maxX - minX ? _ycoord : _xcoord;
+   }
+
+  /**
+   * Indices of a point cloud sorted along the sweep axis, then the other axis
+   *
+   * @private
+   */
+   protected __sweepOrder(axis: Array<number>, other: Array<number>): Array<number>
+   {
+     const order: Array<number> = new Array<number>();
+     let i: number;
+
+     for (i = 0; i < axis.length; ++i) {
+       order.push(i);
      }
-       
+
+     order.sort( (a: number, b: number): number => (axis[a] - axis[b]) || (other[a] - other[b]) || (a - b) );
+
+     return order;
+   }
+
+  /**
+   * All pairs of points whose squared distance does not exceed the input limit
+   *
+   * @private
+   */
+   protected __pairsWithin(_xcoord: Array<number>, _ycoord: Array<number>, limit: number): Array<Object>
+   {
+     const axis: Array<number>  = this.__sweepAxis(_xcoord, _ycoord);
+     const other: Array<number> = axis == _xcoord ? _ycoord : _xcoord;
+     const order: Array<number> = this.__sweepOrder(axis, other);
+     const n: number            = order.length;
+     const pairs: Array<Object> = new Array<Object>();
+
+     let a: number;
+     let b: number;
+     let i: number;
      let j: number;
-     let distance: number;
+     let da: number;
+     let db: number;
+     let d2: number;
 
-     for (i = 0; i < m; ++i)
+     for (a = 0; a < n; ++a)
      {
-       j = i+1;
-          
-       // this iteration count is limited by the presort
-       while ((j < m) && (tmp[j]['y'] - tmp[i]['y'] < d))
+       i = order[a];
+
+       for (b = a+1; b < n; ++b)
        {
-         dx = tmp[j]['x'] - tmp[i]['x'];
-         dy = tmp[j]['y'] - tmp[i]['y'];
-            
-         distance = Math.sqrt(dx*dx + dy*dy);
-         if (distance < d)
-         {
-           d = distance;
-           if (d < this._bestDist)
-           {
-             this._bestDist = d;
-             this._best1    = tmp[i];
-             this._best2    = tmp[j];
-           }
+         j  = order[b];
+         da = axis[j] - axis[i];
+
+         if (da*da > limit) {
+           break;
+         }
+
+         db = other[j] - other[i];
+         d2 = da*da + db*db;
+
+         if (d2 <= limit) {
+           pairs.push( {i: Math.min(i, j), j: Math.max(i, j), d: d2} );
          }
-            
-         j++;
        }
      }
-        
-     return d;
+
+     return this.__sortPairs(pairs);
+   }
+
+  /**
+   * Sort pairs by squared distance, then index, and convert squared distance to distance
+   *
+   * @private
+   */
+   protected __sortPairs(pairs: Array<Object>): Array<Object>
+   {
+     pairs.sort( (a: Object, b: Object): number => (a['d'] - b['d']) || (a['i'] - b['i']) || (a['j'] - b['j']) );
+
+     pairs.forEach( (pair: Object): void => {pair['d'] = Math.sqrt(pair['d'])} );
+
+     return pairs;
+   }
+
+  /**
+   * Insert a pair into a max-heap on the 'd' property
+   *
+   * @private
+   */
+   protected __heapInsert(heap: Array<Object>, pair: Object): void
+   {
+     let child: number = heap.length;
+     let parent: number;
+
+     heap.push(pair);
+
+     while (child > 0)
+     {
+       parent = (child - 1) >> 1;
+       if (heap[parent]['d'] >= pair['d']) {
+         break;
+       }
+
+       heap[child] = heap[parent];
+       child       = parent;
+     }
+
+     heap[child] = pair;
+   }
+
+  /**
+   * Remove the root (largest 'd' property) of a max-heap
+   *
+   * @private
+   */
+   protected __heapRemove(heap: Array<Object>): void
+   {
+     const last: Object = heap.pop();
+     const n: number    = heap.length;
+
+     if (n == 0) {
+       return;
+     }
+
+     let parent: number = 0;
+     let child: number  = 1;
+
+     while (child < n)
+     {
+       if (child+1 < n && heap[child+1]['d'] > heap[child]['d']) {
+         child++;
+       }
+
+       if (last['d'] >= heap[child]['d']) {
+         break;
+       }
+
+       heap[parent] = heap[child];
+       parent       = child;
+       child        = 2*parent + 1;
+     }
+
+     heap[parent] = last;
    }
  }
@@ -0,0 +1,436 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+/**
+ * Typescript Math Toolkit: Static 2D kd-tree for repeated nearest-neighbor, k-nearest, radius, and box queries against a single
+ * point cloud.  The tree is built once from parallel x- and y-coordinate arrays in O(n log n) time and stored implicitly in a
+ * permutation of point indices; each subtree occupies a contiguous range of the permutation with its splitting point at the
+ * median.  Each range is split along the axis of its greater extent, which keeps the tree effective for clustered or nearly
+ * collinear data.  All queries return indices into the original coordinate arrays.
+ *
+ * The coordinates are copied when the tree is built, so the input arrays may be modified afterwards without affecting the tree.
+ * Call build() again to index a new or modified cloud.
+ *
+ * Note that this class is intended for performance-critical environments, so error checking is at a minimum.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+var TSMT$KdTree = (function () {
+    /**
+     * Construct a new TSMT$KdTree instance
+     *
+     * @param _xcoord: Array<number> (optional) x-coordinates of a point cloud to index
+     *
+     * @param _ycoord: Array<number> (optional) y-coordinates of a point cloud to index
+     *
+     * @return nothing
+     */
+    function TSMT$KdTree(_xcoord, _ycoord) {
+        if (_xcoord === void 0) { _xcoord = null; }
+        if (_ycoord === void 0) { _ycoord = null; }
+        this._x = new Array();
+        this._y = new Array();
+        this._index = new Array();
+        this._splitX = new Array();
+        this._best = -1;
+        this._bestD = 0;
+        this._heapD = new Array();
+        this._heapI = new Array();
+        if (_xcoord && _ycoord) {
+            this.build(_xcoord, _ycoord);
+        }
+    }
+    Object.defineProperty(TSMT$KdTree.prototype, "size", {
+        /**
+         * Access the number of points in the tree
+         *
+         * @return number Number of indexed points
+         */
+        get: function () {
+            return this._index.length;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Build the tree from a point cloud, replacing any previous contents
+     *
+     * @param _xcoord: Array<number> x-coordinates of the point cloud
+     *
+     * @param _ycoord: Array<number> y-coordinates of the point cloud
+     *
+     * @return nothing  The tree is empty if either array is missing or the arrays differ in length.
+     */
+    TSMT$KdTree.prototype.build = function (_xcoord, _ycoord) {
+        this._x = new Array();
+        this._y = new Array();
+        this._index = new Array();
+        this._splitX = new Array();
+        if (!_xcoord || !_ycoord || _xcoord.length != _ycoord.length) {
+            return;
+        }
+        var n = _xcoord.length;
+        var i;
+        for (i = 0; i < n; ++i) {
+            this._x.push(_xcoord[i]);
+            this._y.push(_ycoord[i]);
+            this._index.push(i);
+            this._splitX.push(true);
+        }
+        this.__build(0, n);
+    };
+    /**
+     * Find the indexed point closest to a query point
+     *
+     * @param x: number x-coordinate of query point
+     *
+     * @param y: number y-coordinate of query point
+     *
+     * @return number Index of the closest point in the original coordinate arrays, or -1 if the tree is empty.  If several points are
+     * equally close, the lowest index is returned.
+     */
+    TSMT$KdTree.prototype.nearest = function (x, y) {
+        this._best = -1;
+        this._bestD = Number.POSITIVE_INFINITY;
+        this.__nearest(0, this._index.length, x, y);
+        return this._best;
+    };
+    /**
+     * Find the k indexed points closest to a query point
+     *
+     * @param x: number x-coordinate of query point
+     *
+     * @param y: number y-coordinate of query point
+     *
+     * @param k: number Number of points to return
+     *
+     * @return Array<number> Indices of (at most) k points in the original coordinate arrays in order of increasing distance from the
+     * query point, with ties ordered by index
+     */
+    TSMT$KdTree.prototype.kNearest = function (x, y, k) {
+        this._heapD.length = 0;
+        this._heapI.length = 0;
+        k = Math.floor(k);
+        if (!(k >= 1)) {
+            return [];
+        }
+        this.__kNearest(0, this._index.length, x, y, k);
+        // heap is emptied from the farthest point inward
+        var result = new Array(this._heapI.length);
+        var i;
+        for (i = result.length - 1; i >= 0; --i) {
+            result[i] = this._heapI[0];
+            this.__heapRemove();
+        }
+        return result;
+    };
+    /**
+     * Find all indexed points within a specified distance of a query point
+     *
+     * @param x: number x-coordinate of query point
+     *
+     * @param y: number y-coordinate of query point
+     *
+     * @param r: number Search radius (points at exactly this distance are included)
+     *
+     * @return Array<number> Indices of all points in the original coordinate arrays whose distance from the query point does not exceed
+     * the radius, in order of increasing distance with ties ordered by index
+     */
+    TSMT$KdTree.prototype.radius = function (x, y, r) {
+        var _this = this;
+        var result = new Array();
+        if (!(r >= 0)) {
+            return result;
+        }
+        this.__radius(0, this._index.length, x, y, r * r, result);
+        var d2 = new Array(this._x.length);
+        var dx;
+        var dy;
+        result.forEach(function (i) {
+            dx = _this._x[i] - x;
+            dy = _this._y[i] - y;
+            d2[i] = dx * dx + dy * dy;
+        });
+        return result.sort(function (a, b) { return (d2[a] - d2[b]) || (a - b); });
+    };
+    /**
+     * Find all indexed points inside an axis-aligned box
+     *
+     * @param left: number x-coordinate of upper, left-hand corner of box
+     *
+     * @param top: number y-coordinate of upper, left-hand corner of box
+     *
+     * @param right: number x-coordinate of lower, right-hand corner of box
+     *
+     * @param bottom: number y-coordinate of lower, right-hand corner of box
+     *
+     * @return Array<number> Indices (in increasing order) of all points in the original coordinate arrays that lie inside or on the
+     * boundary of the box.  As with TSMT$GeomUtils.boxesIntersect(), the box may be given in a y-up (top > bottom) or y-down
+     * (bottom > top) coordinate system.
+     */
+    TSMT$KdTree.prototype.box = function (left, top, right, bottom) {
+        var result = new Array();
+        this.__box(0, this._index.length, Math.min(left, right), Math.min(top, bottom), Math.max(left, right), Math.max(top, bottom), result);
+        return result.sort(function (a, b) { return a - b; });
+    };
+    /**
+     * Recursively build the subtree in the index range [lo, hi)
+     *
+     * @private
+     */
+    TSMT$KdTree.prototype.__build = function (lo, hi) {
+        if (hi - lo < 2) {
+            return;
+        }
+        // split along the axis of greater extent
+        var minX = Number.POSITIVE_INFINITY;
+        var maxX = Number.NEGATIVE_INFINITY;
+        var minY = Number.POSITIVE_INFINITY;
+        var maxY = Number.NEGATIVE_INFINITY;
+        var i;
+        var p;
+        for (i = lo; i < hi; ++i) {
+            p = this._index[i];
+            minX = Math.min(minX, this._x[p]);
+            maxX = Math.max(maxX, this._x[p]);
+            minY = Math.min(minY, this._y[p]);
+            maxY = Math.max(maxY, this._y[p]);
+        }
+        var splitX = maxX - minX >= maxY - minY;
+        var mid = (lo + hi) >> 1;
+        this.__select(lo, hi - 1, mid, splitX ? this._x : this._y);
+        this._splitX[mid] = splitX;
+        this.__build(lo, mid);
+        this.__build(mid + 1, hi);
+    };
+    /**
+     * Partially order the index range [lo, hi] (inclusive) so that position k holds the point with the k-th smallest coordinate,
+     * with no greater coordinate before it and no smaller coordinate after it (Hoare's selection)
+     *
+     * @private
+     */
+    TSMT$KdTree.prototype.__select = function (lo, hi, k, coord) {
+        var index = this._index;
+        var i;
+        var j;
+        var pivot;
+        var tmp;
+        while (hi > lo) {
+            pivot = coord[index[(lo + hi) >> 1]];
+            i = lo;
+            j = hi;
+            while (i <= j) {
+                while (coord[index[i]] < pivot) {
+                    i++;
+                }
+                while (coord[index[j]] > pivot) {
+                    j--;
+                }
+                if (i <= j) {
+                    tmp = index[i];
+                    index[i] = index[j];
+                    index[j] = tmp;
+                    i++;
+                    j--;
+                }
+            }
+            if (k <= j) {
+                hi = j;
+            }
+            else if (k >= i) {
+                lo = i;
+            }
+            else {
+                return;
+            }
+        }
+    };
+    /**
+     * Nearest-neighbor search in the subtree [lo, hi)
+     *
+     * @private
+     */
+    TSMT$KdTree.prototype.__nearest = function (lo, hi, x, y) {
+        if (hi <= lo) {
+            return;
+        }
+        var mid = (lo + hi) >> 1;
+        var p = this._index[mid];
+        var dx = this._x[p] - x;
+        var dy = this._y[p] - y;
+        var d2 = dx * dx + dy * dy;
+        if (d2 < this._bestD || (d2 == this._bestD && p < this._best)) {
+            this._best = p;
+            this._bestD = d2;
+        }
+        // distance from the query point to the splitting line, positive if the query is on the high side
+        var delta = this._splitX[mid] ? -dx : -dy;
+        if (delta < 0) {
+            this.__nearest(lo, mid, x, y);
+            if (delta * delta <= this._bestD) {
+                this.__nearest(mid + 1, hi, x, y);
+            }
+        }
+        else {
+            this.__nearest(mid + 1, hi, x, y);
+            if (delta * delta <= this._bestD) {
+                this.__nearest(lo, mid, x, y);
+            }
+        }
+    };
+    /**
+     * k-nearest search in the subtree [lo, hi)
+     *
+     * @private
+     */
+    TSMT$KdTree.prototype.__kNearest = function (lo, hi, x, y, k) {
+        if (hi <= lo) {
+            return;
+        }
+        var mid = (lo + hi) >> 1;
+        var p = this._index[mid];
+        var dx = this._x[p] - x;
+        var dy = this._y[p] - y;
+        var d2 = dx * dx + dy * dy;
+        if (this._heapI.length < k) {
+            this.__heapInsert(d2, p);
+        }
+        else if (d2 < this._heapD[0] || (d2 == this._heapD[0] && p < this._heapI[0])) {
+            this.__heapRemove();
+            this.__heapInsert(d2, p);
+        }
+        var delta = this._splitX[mid] ? -dx : -dy;
+        var near = delta < 0 ? lo : mid + 1;
+        var far = delta < 0 ? mid + 1 : lo;
+        this.__kNearest(near, delta < 0 ? mid : hi, x, y, k);
+        if (this._heapI.length < k || delta * delta <= this._heapD[0]) {
+            this.__kNearest(far, delta < 0 ? hi : mid, x, y, k);
+        }
+    };
+    /**
+     * Radius search in the subtree [lo, hi), r2 is the squared radius
+     *
+     * @private
+     */
+    TSMT$KdTree.prototype.__radius = function (lo, hi, x, y, r2, result) {
+        if (hi <= lo) {
+            return;
+        }
+        var mid = (lo + hi) >> 1;
+        var p = this._index[mid];
+        var dx = this._x[p] - x;
+        var dy = this._y[p] - y;
+        if (dx * dx + dy * dy <= r2) {
+            result.push(p);
+        }
+        var delta = this._splitX[mid] ? -dx : -dy;
+        if (delta <= 0 || delta * delta <= r2) {
+            this.__radius(lo, mid, x, y, r2, result);
+        }
+        if (delta >= 0 || delta * delta <= r2) {
+            this.__radius(mid + 1, hi, x, y, r2, result);
+        }
+    };
+    /**
+     * Box search in the subtree [lo, hi) with normalized box bounds
+     *
+     * @private
+     */
+    TSMT$KdTree.prototype.__box = function (lo, hi, minX, minY, maxX, maxY, result) {
+        if (hi <= lo) {
+            return;
+        }
+        var mid = (lo + hi) >> 1;
+        var p = this._index[mid];
+        var px = this._x[p];
+        var py = this._y[p];
+        if (px >= minX && px <= maxX && py >= minY && py <= maxY) {
+            result.push(p);
+        }
+        var split = this._splitX[mid] ? px : py;
+        var min = this._splitX[mid] ? minX : minY;
+        var max = this._splitX[mid] ? maxX : maxY;
+        if (min <= split) {
+            this.__box(lo, mid, minX, minY, maxX, maxY, result);
+        }
+        if (max >= split) {
+            this.__box(mid + 1, hi, minX, minY, maxX, maxY, result);
+        }
+    };
+    /**
+     * Insert a candidate into the k-nearest heap
+     *
+     * @private
+     */
+    TSMT$KdTree.prototype.__heapInsert = function (d2, p) {
+        var child = this._heapD.length;
+        var parent;
+        this._heapD.push(d2);
+        this._heapI.push(p);
+        while (child > 0) {
+            parent = (child - 1) >> 1;
+            if (!this.__farther(d2, p, this._heapD[parent], this._heapI[parent])) {
+                break;
+            }
+            this._heapD[child] = this._heapD[parent];
+            this._heapI[child] = this._heapI[parent];
+            child = parent;
+        }
+        this._heapD[child] = d2;
+        this._heapI[child] = p;
+    };
+    /**
+     * Remove the farthest candidate from the k-nearest heap
+     *
+     * @private
+     */
+    TSMT$KdTree.prototype.__heapRemove = function () {
+        var d2 = this._heapD.pop();
+        var p = this._heapI.pop();
+        var n = this._heapD.length;
+        if (n == 0) {
+            return;
+        }
+        var parent = 0;
+        var child = 1;
+        while (child < n) {
+            if (child + 1 < n && this.__farther(this._heapD[child + 1], this._heapI[child + 1], this._heapD[child], this._heapI[child])) {
+                child++;
+            }
+            if (!this.__farther(this._heapD[child], this._heapI[child], d2, p)) {
+                break;
+            }
+            this._heapD[parent] = this._heapD[child];
+            this._heapI[parent] = this._heapI[child];
+            parent = child;
+            child = 2 * parent + 1;
+        }
+        this._heapD[parent] = d2;
+        this._heapI[parent] = p;
+    };
+    /**
+     * Is candidate (d1, p1) ordered after candidate (d2, p2)?
+     *
+     * @private
+     */
+    TSMT$KdTree.prototype.__farther = function (d1, p1, d2, p2) {
+        return d1 > d2 || (d1 == d2 && p1 > p2);
+    };
+    return TSMT$KdTree;
+}());
+exports.TSMT$KdTree = TSMT$KdTree;
@@ -0,0 +1,288 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+/**
+ * Typescript Math Toolkit: Offsetting (buffering) of polygons and polylines.  A polygon is grown (positive distance) or shrunk
+ * (negative distance) by a distance, and an open polyline is expanded into the region within a distance of it, e.g. a corridor of
+ * a given half-width along a path.  Polygons and polylines are flat arrays of raw coordinate values, [x0, y0, x1, y1, ... ], as in
+ * TSMT$PolygonUtils.
+ *
+ * Each edge is displaced by the offset distance and consecutive displaced edges are connected at the outside of each corner by a
+ * miter, round, or bevel join.  A miter whose length exceeds the miter limit (a multiple of the offset distance, as in SVG) falls back
+ * to a bevel.  The ends of a polyline are closed with a butt, square, or round cap.  The raw offset boundary self-intersects wherever
+ * the offset is larger than a feature of the input (always on the inside of a concave corner and, for shrinking, wherever the polygon
+ * is narrower than twice the distance), so it is cleaned up by TSMT$PolygonClip.removeSelfIntersections().  As a result, an offset
+ * may split a polygon into several pieces, or remove it entirely, and a polyline that crosses itself may enclose holes.
+ *
+ * Results are arrays of boundaries in the same form as TSMT$PolygonClip boolean operations: outer boundaries are CCW and holes are CW
+ * (relative to a y-up coordinate system).  Round joins and caps are approximated by polylines whose maximum deviation from a true
+ * arc is a fraction (the arc tolerance) of the offset distance.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+var PolygonUtils_1 = require('./PolygonUtils');
+var PolygonClip_1 = require('./PolygonClip');
+// connection of offset edges at a corner
+(function (JoinEnum) {
+    JoinEnum[JoinEnum["MITER"] = 0] = "MITER";
+    JoinEnum[JoinEnum["ROUND"] = 1] = "ROUND";
+    JoinEnum[JoinEnum["BEVEL"] = 2] = "BEVEL";
+})(exports.JoinEnum || (exports.JoinEnum = {}));
+var JoinEnum = exports.JoinEnum;
+// closure of the ends of an offset polyline
+(function (CapEnum) {
+    CapEnum[CapEnum["BUTT"] = 0] = "BUTT";
+    CapEnum[CapEnum["SQUARE"] = 1] = "SQUARE";
+    CapEnum[CapEnum["ROUND"] = 2] = "ROUND";
+})(exports.CapEnum || (exports.CapEnum = {}));
+var CapEnum = exports.CapEnum;
+var TSMT$Offset = (function () {
+    /**
+     * Construct a new TSMT$Offset instance
+     *
+     * @param arcTolerance: number Maximum distance between a round join or cap and the true arc, as a fraction of the offset distance
+     * (values outside (0,1) are ignored)
+     * @default 0.01
+     *
+     * @param options: Object Optional tolerances for orientation and clean-up of the offset boundaries, in the same form as the
+     * TSMT$GeomUtils constructor options
+     * @default null
+     *
+     * @return nothing
+     */
+    function TSMT$Offset(arcTolerance, options) {
+        if (arcTolerance === void 0) { arcTolerance = 0.01; }
+        if (options === void 0) { options = null; }
+        this.COLLINEAR_TOL = 0.0000000001; // sine of the smallest turn between edges that is not a straight line
+        this._polyUtils = new PolygonUtils_1.TSMT$PolygonUtils(options);
+        this._clip = new PolygonClip_1.TSMT$PolygonClip(options);
+        this._arcTolerance = arcTolerance > 0 && arcTolerance < 1 ? arcTolerance : 0.01;
+    }
+    /**
+     * Offset a polygon
+     *
+     * @param coords: Array<number> Flat array of vertex coordinates of a simple polygon, [x0, y0, x1, y1, ... ], in either CW or CCW order
+     *
+     * @param distance: number Offset distance; positive to grow and negative to shrink the polygon
+     *
+     * @param join: number JoinEnum.MITER, JoinEnum.ROUND, or JoinEnum.BEVEL
+     * @default JoinEnum.MITER
+     *
+     * @param miterLimit: number Maximum length of a miter join as a multiple of the offset distance (at least 1)
+     * @default 2
+     *
+     * @return Array<Array<number>> Boundaries of the offset polygon; outer boundaries are CCW and holes are CW.  Shrinking may split the
+     * polygon into several boundaries or remove it entirely (empty result).  A polygon with fewer than three distinct vertices or zero
+     * area is treated as empty.
+     */
+    TSMT$Offset.prototype.offsetPolygon = function (coords, distance, join, miterLimit) {
+        if (join === void 0) { join = JoinEnum.MITER; }
+        if (miterLimit === void 0) { miterLimit = 2; }
+        var clean = this.__clean(coords, true);
+        if (clean.length < 6 || this._polyUtils.area(clean) == 0) {
+            return [];
+        }
+        // the right-hand side of a CCW polygon is the outside
+        var ccw = this._polyUtils.orient(clean, false);
+        if (distance == 0) {
+            return this._clip.removeSelfIntersections(ccw);
+        }
+        var ring = new Array();
+        this.__offsetPath(ccw, true, distance, join, miterLimit, ring);
+        return this._clip.removeSelfIntersections(ring);
+    };
+    /**
+     * Offset an open polyline, i.e. compute the region within a distance of the polyline
+     *
+     * @param coords: Array<number> Flat array of polyline vertex coordinates, [x0, y0, x1, y1, ... ]
+     *
+     * @param distance: number Offset distance (half the width of the region); the sign is ignored
+     *
+     * @param join: number JoinEnum.MITER, JoinEnum.ROUND, or JoinEnum.BEVEL
+     * @default JoinEnum.MITER
+     *
+     * @param cap: number CapEnum.BUTT (the region ends at the polyline endpoints), CapEnum.SQUARE (the region extends the offset distance
+     * beyond each endpoint), or CapEnum.ROUND (a semicircle centered at each endpoint)
+     * @default CapEnum.BUTT
+     *
+     * @param miterLimit: number Maximum length of a miter join as a multiple of the offset distance (at least 1)
+     * @default 2
+     *
+     * @return Array<Array<number>> Boundaries of the offset region; outer boundaries are CCW and holes are CW (a polyline that crosses
+     * itself or nearly closes may enclose holes).  A single point is offset into a circle (round cap), an axis-aligned square (square
+     * cap), or nothing (butt cap).  The result is empty for a zero distance.
+     */
+    TSMT$Offset.prototype.offsetPolyline = function (coords, distance, join, cap, miterLimit) {
+        if (join === void 0) { join = JoinEnum.MITER; }
+        if (cap === void 0) { cap = CapEnum.BUTT; }
+        if (miterLimit === void 0) { miterLimit = 2; }
+        var clean = this.__clean(coords, false);
+        var d = Math.abs(distance);
+        var n = clean.length;
+        if (n == 0 || d == 0) {
+            return [];
+        }
+        if (n == 2) {
+            if (cap == CapEnum.ROUND) {
+                var circle = [clean[0] + d, clean[1]];
+                this.__arc(clean[0], clean[1], d, 0, 2 * Math.PI, circle);
+                return [circle];
+            }
+            return cap == CapEnum.SQUARE ? [[clean[0] - d, clean[1] - d, clean[0] + d, clean[1] - d, clean[0] + d, clean[1] + d, clean[0] - d, clean[1] + d]] : [];
+        }
+        // right-hand side in the forward direction, then the right-hand side in the reverse direction, which traces a CCW boundary
+        var reversed = this._polyUtils.reverse(clean);
+        var ring = new Array();
+        this.__offsetPath(clean, false, d, join, miterLimit, ring);
+        this.__cap(clean, d, cap, ring);
+        this.__offsetPath(reversed, false, d, join, miterLimit, ring);
+        this.__cap(reversed, d, cap, ring);
+        return this._clip.removeSelfIntersections(ring);
+    };
+    /**
+     * Copy a path with repeated (consecutive) vertices removed, including a final vertex that repeats the first for a closed path
+     *
+     * @private
+     */
+    TSMT$Offset.prototype.__clean = function (coords, closed) {
+        var n = coords.length - (coords.length % 2);
+        var clean = new Array();
+        var i;
+        for (i = 0; i < n; i += 2) {
+            if (clean.length == 0 || coords[i] != clean[clean.length - 2] || coords[i + 1] != clean[clean.length - 1]) {
+                clean.push(coords[i], coords[i + 1]);
+            }
+        }
+        while (closed && clean.length > 2 && clean[0] == clean[clean.length - 2] && clean[1] == clean[clean.length - 1]) {
+            clean.length -= 2;
+        }
+        return clean;
+    };
+    /**
+     * Append the offset of a path to the right-hand side (relative to a y-up coordinate system) by a signed distance, d, to a boundary.
+     * Every vertex of a closed path is joined; an open path begins and ends at the offset endpoints and only interior vertices are joined.
+     *
+     * @private
+     */
+    TSMT$Offset.prototype.__offsetPath = function (coords, closed, d, join, miterLimit, out) {
+        var n = coords.length / 2;
+        var edges = closed ? n : n - 1;
+        var ux = new Array(edges);
+        var uy = new Array(edges);
+        var dx;
+        var dy;
+        var len;
+        var i;
+        // unit direction of each edge
+        for (i = 0; i < edges; ++i) {
+            dx = coords[2 * ((i + 1) % n)] - coords[2 * i];
+            dy = coords[2 * ((i + 1) % n) + 1] - coords[2 * i + 1];
+            len = Math.sqrt(dx * dx + dy * dy);
+            ux[i] = dx / len;
+            uy[i] = dy / len;
+        }
+        if (!closed) {
+            out.push(coords[0] + uy[0] * d, coords[1] - ux[0] * d);
+        }
+        for (i = closed ? 0 : 1; i < edges; ++i) {
+            this.__join(coords[2 * i], coords[2 * i + 1], ux[(i + edges - 1) % edges], uy[(i + edges - 1) % edges], ux[i], uy[i], d, join, miterLimit, out);
+        }
+        if (!closed) {
+            out.push(coords[2 * n - 2] + uy[edges - 1] * d, coords[2 * n - 1] - ux[edges - 1] * d);
+        }
+    };
+    /**
+     * Append the join at vertex V of the offsets of an incoming edge with unit direction a and an outgoing edge with unit direction b.
+     * The inside of a corner is connected through V itself, which keeps the winding of the raw boundary correct when the offset is
+     * larger than either edge.
+     *
+     * @private
+     */
+    TSMT$Offset.prototype.__join = function (vx, vy, ax, ay, bx, by, d, join, miterLimit, out) {
+        var cross = ax * by - ay * bx;
+        var dot = ax * bx + ay * by;
+        // right-hand normals, scaled by the offset distance
+        var nax = ay * d;
+        var nay = -ax * d;
+        var nbx = by * d;
+        var nby = -bx * d;
+        var straight = Math.abs(cross) <= this.COLLINEAR_TOL;
+        if (straight && dot > 0) {
+            out.push(vx + nax, vy + nay);
+            return;
+        }
+        // the offset side is outside the corner if the path turns away from it; a complete reversal is outside on both sides
+        if (!straight && cross * d < 0) {
+            out.push(vx + nax, vy + nay, vx, vy, vx + nbx, vy + nby);
+            return;
+        }
+        if (join == JoinEnum.ROUND) {
+            out.push(vx + nax, vy + nay);
+            this.__arc(vx, vy, nax, nay, straight ? (d > 0 ? Math.PI : -Math.PI) : Math.atan2(cross, dot), out);
+            out.push(vx + nbx, vy + nby);
+        }
+        else if (join == JoinEnum.MITER && 1 + dot > 0 && 2 <= miterLimit * miterLimit * (1 + dot)) {
+            // miter length is d/cos(turn/2) = d*sqrt(2/(1 + cos(turn)))
+            out.push(vx + (nax + nbx) / (1 + dot), vy + (nay + nby) / (1 + dot));
+        }
+        else {
+            out.push(vx + nax, vy + nay, vx + nbx, vy + nby);
+        }
+    };
+    /**
+     * Append the cap at the end of an open path, from its right-hand to its left-hand offset endpoint
+     *
+     * @private
+     */
+    TSMT$Offset.prototype.__cap = function (coords, d, cap, out) {
+        var n = coords.length;
+        var ex = coords[n - 2];
+        var ey = coords[n - 1];
+        var dx = ex - coords[n - 4];
+        var dy = ey - coords[n - 3];
+        var len = Math.sqrt(dx * dx + dy * dy);
+        var ax = d * dx / len;
+        var ay = d * dy / len;
+        if (cap == CapEnum.SQUARE) {
+            out.push(ex + ay + ax, ey - ax + ay, ex - ay + ax, ey + ax + ay);
+        }
+        else if (cap == CapEnum.ROUND) {
+            this.__arc(ex, ey, ay, -ax, Math.PI, out);
+        }
+    };
+    /**
+     * Append the interior points of a circular arc about C that starts at C + (vx,vy) and sweeps through an angle (CCW if positive);
+     * the number of points is set by the arc tolerance, which is relative to the radius
+     *
+     * @private
+     */
+    TSMT$Offset.prototype.__arc = function (cx, cy, vx, vy, angle, out) {
+        var step = 2 * Math.acos(1 - this._arcTolerance);
+        var m = Math.max(1, Math.ceil(Math.abs(angle) / step));
+        var c;
+        var s;
+        var k;
+        for (k = 1; k < m; ++k) {
+            c = Math.cos(angle * k / m);
+            s = Math.sin(angle * k / m);
+            out.push(cx + c * vx - s * vy, cy + s * vx + c * vy);
+        }
+    };
+    return TSMT$Offset;
+}());
+exports.TSMT$Offset = TSMT$Offset;
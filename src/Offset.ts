@@ -0,0 +1,340 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Typescript Math Toolkit: Offsetting (buffering) of polygons and polylines.  A polygon is grown (positive distance) or shrunk
+ * (negative distance) by a distance, and an open polyline is expanded into the region within a distance of it, e.g. a corridor of
+ * a given half-width along a path.  Polygons and polylines are flat arrays of raw coordinate values, [x0, y0, x1, y1, ... ], as in
+ * TSMT$PolygonUtils.
+ *
+ * Each edge is displaced by the offset distance and consecutive displaced edges are connected at the outside of each corner by a
+ * miter, round, or bevel join.  A miter whose length exceeds the miter limit (a multiple of the offset distance, as in SVG) falls back
+ * to a bevel.  The ends of a polyline are closed with a butt, square, or round cap.  The raw offset boundary self-intersects wherever
+ * the offset is larger than a feature of the input (always on the inside of a concave corner and, for shrinking, wherever the polygon
+ * is narrower than twice the distance), so it is cleaned up by TSMT$PolygonClip.removeSelfIntersections().  As a result, an offset
+ * may split a polygon into several pieces, or remove it entirely, and a polyline that crosses itself may enclose holes.
+ *
+ * Results are arrays of boundaries in the same form as TSMT$PolygonClip boolean operations: outer boundaries are CCW and holes are CW
+ * (relative to a y-up coordinate system).  Round joins and caps are approximated by polylines whose maximum deviation from a true
+ * arc is a fraction (the arc tolerance) of the offset distance.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+import {TSMT$PolygonUtils} from './PolygonUtils';
+import {TSMT$PolygonClip } from './PolygonClip';
+
+ // connection of offset edges at a corner
+ export enum JoinEnum
+ {
+   MITER,
+   ROUND,
+   BEVEL
+ }
+
+ // closure of the ends of an offset polyline
+ export enum CapEnum
+ {
+   BUTT,
+   SQUARE,
+   ROUND
+ }
+
+export class TSMT$Offset
+{
+  protected COLLINEAR_TOL: number = 0.0000000001;   // sine of the smallest turn between edges that is not a straight line
+
+  protected _polyUtils: TSMT$PolygonUtils;
+  protected _clip: TSMT$PolygonClip;
+
+  // arc tolerance as a fraction of the offset distance
+  protected _arcTolerance: number;
+
+  /**
+   * Construct a new TSMT$Offset instance
+   *
+   * @param arcTolerance: number Maximum distance between a round join or cap and the true arc, as a fraction of the offset distance
+   * (values outside (0,1) are ignored)
+   * @default 0.01
+   *
+   * @param options: Object Optional tolerances for orientation and clean-up of the offset boundaries, in the same form as the
+   * TSMT$GeomUtils constructor options
+   * @default null
+   *
+   * @return nothing
+   */
+  constructor(arcTolerance: number=0.01, options: Object=null)
+  {
+    this._polyUtils    = new TSMT$PolygonUtils(options);
+    this._clip         = new TSMT$PolygonClip(options);
+    this._arcTolerance = arcTolerance > 0 && arcTolerance < 1 ? arcTolerance : 0.01;
+  }
+
+  /**
+   * Offset a polygon
+   *
+   * @param coords: Array<number> Flat array of vertex coordinates of a simple polygon, [x0, y0, x1, y1, ... ], in either CW or CCW order
+   *
+   * @param distance: number Offset distance; positive to grow and negative to shrink the polygon
+   *
+   * @param join: number JoinEnum.MITER, JoinEnum.ROUND, or JoinEnum.BEVEL
+   * @default JoinEnum.MITER
+   *
+   * @param miterLimit: number Maximum length of a miter join as a multiple of the offset distance (at least 1)
+   * @default 2
+   *
+   * @return Array<Array<number>> Boundaries of the offset polygon; outer boundaries are CCW and holes are CW.  Shrinking may split the
+   * polygon into several boundaries or remove it entirely (empty result).  A polygon with fewer than three distinct vertices or zero
+   * area is treated as empty.
+   */
+   public offsetPolygon(coords: Array<number>, distance: number, join: number=JoinEnum.MITER, miterLimit: number=2): Array<Array<number>>
+   {
+     const clean: Array<number> = this.__clean(coords, true);
+
+     if (clean.length < 6 || this._polyUtils.area(clean) == 0) {
+       return [];
+     }
+
+     // the right-hand side of a CCW polygon is the outside
+     const ccw: Array<number> = this._polyUtils.orient(clean, false);
+     if (distance == 0) {
+       return this._clip.removeSelfIntersections(ccw);
+     }
+
+     const ring: Array<number> = new Array<number>();
+     this.__offsetPath(ccw, true, distance, join, miterLimit, ring);
+
+     return this._clip.removeSelfIntersections(ring);
+   }
+
+  /**
+   * Offset an open polyline, i.e. compute the region within a distance of the polyline
+   *
+   * @param coords: Array<number> Flat array of polyline vertex coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @param distance: number Offset distance (half the width of the region); the sign is ignored
+   *
+   * @param join: number JoinEnum.MITER, JoinEnum.ROUND, or JoinEnum.BEVEL
+   * @default JoinEnum.MITER
+   *
+   * @param cap: number CapEnum.BUTT (the region ends at the polyline endpoints), CapEnum.SQUARE (the region extends the offset distance
+   * beyond each endpoint), or CapEnum.ROUND (a semicircle centered at each endpoint)
+   * @default CapEnum.BUTT
+   *
+   * @param miterLimit: number Maximum length of a miter join as a multiple of the offset distance (at least 1)
+   * @default 2
+   *
+   * @return Array<Array<number>> Boundaries of the offset region; outer boundaries are CCW and holes are CW (a polyline that crosses
+   * itself or nearly closes may enclose holes).  A single point is offset into a circle (round cap), an axis-aligned square (square
+   * cap), or nothing (butt cap).  The result is empty for a zero distance.
+   */
+   public offsetPolyline(coords: Array<number>, distance: number, join: number=JoinEnum.MITER, cap: number=CapEnum.BUTT, miterLimit: number=2): Array<Array<number>>
+   {
+     const clean: Array<number> = this.__clean(coords, false);
+     const d: number            = Math.abs(distance);
+     const n: number            = clean.length;
+
+     if (n == 0 || d == 0) {
+       return [];
+     }
+
+     if (n == 2)
+     {
+       if (cap == CapEnum.ROUND)
+       {
+         const circle: Array<number> = [clean[0] + d, clean[1]];
+         this.__arc(clean[0], clean[1], d, 0, 2*Math.PI, circle);
+
+         return [circle];
+       }
+
+       return cap == CapEnum.SQUARE ? [[clean[0]-d, clean[1]-d, clean[0]+d, clean[1]-d, clean[0]+d, clean[1]+d, clean[0]-d, clean[1]+d]] : [];
+     }
+
+     // right-hand side in the forward direction, then the right-hand side in the reverse direction, which traces a CCW boundary
+     const reversed: Array<number> = this._polyUtils.reverse(clean);
+     const ring: Array<number>     = new Array<number>();
+
+     this.__offsetPath(clean, false, d, join, miterLimit, ring);
+     this.__cap(clean, d, cap, ring);
+     this.__offsetPath(reversed, false, d, join, miterLimit, ring);
+     this.__cap(reversed, d, cap, ring);
+
+     return this._clip.removeSelfIntersections(ring);
+   }
+
+  /**
+   * Copy a path with repeated (consecutive) vertices removed, including a final vertex that repeats the first for a closed path
+   *
+   * @private
+   */
+   protected __clean(coords: Array<number>, closed: boolean): Array<number>
+   {
+     const n: number            = coords.length - (coords.length % 2);
+     const clean: Array<number> = new Array<number>();
+     let i: number;
+
+     for (i = 0; i < n; i += 2)
+     {
+       if (clean.length == 0 || coords[i] != clean[clean.length-2] || coords[i+1] != clean[clean.length-1]) {
+         clean.push(coords[i], coords[i+1]);
+       }
+     }
+
+     while (closed && clean.length > 2 && clean[0] == clean[clean.length-2] && clean[1] == clean[clean.length-1]) {
+       clean.length -= 2;
+     }
+
+     return clean;
+   }
+
+  /**
+   * Append the offset of a path to the right-hand side (relative to a y-up coordinate system) by a signed distance, d, to a boundary.
+   * Every vertex of a closed path is joined; an open path begins and ends at the offset endpoints and only interior vertices are joined.
+   *
+   * @private
+   */
+   protected __offsetPath(coords: Array<number>, closed: boolean, d: number, join: number, miterLimit: number, out: Array<number>): void
+   {
+     const n: number         = coords.length/2;
+     const edges: number     = closed ? n : n-1;
+     const ux: Array<number> = new Array<number>(edges);
+     const uy: Array<number> = new Array<number>(edges);
+     let dx: number;
+     let dy: number;
+     let len: number;
+     let i: number;
+
+     // unit direction of each edge
+     for (i = 0; i < edges; ++i)
+     {
+       dx    = coords[2*((i+1) % n)]   - coords[2*i];
+       dy    = coords[2*((i+1) % n)+1] - coords[2*i+1];
+       len   = Math.sqrt(dx*dx + dy*dy);
+       ux[i] = dx/len;
+       uy[i] = dy/len;
+     }
+
+     if (!closed) {
+       out.push(coords[0] + uy[0]*d, coords[1] - ux[0]*d);
+     }
+
+     for (i = closed ? 0 : 1; i < edges; ++i) {
+       this.__join(coords[2*i], coords[2*i+1], ux[(i+edges-1) % edges], uy[(i+edges-1) % edges], ux[i], uy[i], d, join, miterLimit, out);
+     }
+
+     if (!closed) {
+       out.push(coords[2*n-2] + uy[edges-1]*d, coords[2*n-1] - ux[edges-1]*d);
+     }
+   }
+
+  /**
+   * Append the join at vertex V of the offsets of an incoming edge with unit direction a and an outgoing edge with unit direction b.
+   * The inside of a corner is connected through V itself, which keeps the winding of the raw boundary correct when the offset is
+   * larger than either edge.
+   *
+   * @private
+   */
+   protected __join(vx: number, vy: number, ax: number, ay: number, bx: number, by: number, d: number, join: number, miterLimit: number, out: Array<number>): void
+   {
+     const cross: number = ax*by - ay*bx;
+     const dot: number   = ax*bx + ay*by;
+
+     // right-hand normals, scaled by the offset distance
+     const nax: number = ay*d;
+     const nay: number = -ax*d;
+     const nbx: number = by*d;
+     const nby: number = -bx*d;
+
+     const straight: boolean = Math.abs(cross) <= this.COLLINEAR_TOL;
+
+     if (straight && dot > 0)
+     {
+       out.push(vx + nax, vy + nay);
+       return;
+     }
+
+     // the offset side is outside the corner if the path turns away from it; a complete reversal is outside on both sides
+     if (!straight && cross*d < 0)
+     {
+       out.push(vx + nax, vy + nay, vx, vy, vx + nbx, vy + nby);
+       return;
+     }
+
+     if (join == JoinEnum.ROUND)
+     {
+       out.push(vx + nax, vy + nay);
+       this.__arc(vx, vy, nax, nay, straight ? (d > 0 ? Math.PI : -Math.PI) : Math.atan2(cross, dot), out);
+       out.push(vx + nbx, vy + nby);
+     }
+     else if (join == JoinEnum.MITER && 1 + dot > 0 && 2 <= miterLimit*miterLimit*(1 + dot))
+     {
+       // miter length is d/cos(turn/2) = d*sqrt(2/(1 + cos(turn)))
+       out.push(vx + (nax + nbx)/(1 + dot), vy + (nay + nby)/(1 + dot));
+     }
+     else {
+       out.push(vx + nax, vy + nay, vx + nbx, vy + nby);
+     }
+   }
+
+  /**
+   * Append the cap at the end of an open path, from its right-hand to its left-hand offset endpoint
+   *
+   * @private
+   */
+   protected __cap(coords: Array<number>, d: number, cap: number, out: Array<number>): void
+   {
+     const n: number   = coords.length;
+     const ex: number  = coords[n-2];
+     const ey: number  = coords[n-1];
+     const dx: number  = ex - coords[n-4];
+     const dy: number  = ey - coords[n-3];
+     const len: number = Math.sqrt(dx*dx + dy*dy);
+     const ax: number  = d*dx/len;
+     const ay: number  = d*dy/len;
+
+     if (cap == CapEnum.SQUARE) {
+       out.push(ex + ay + ax, ey - ax + ay, ex - ay + ax, ey + ax + ay);
+     }
+     else if (cap == CapEnum.ROUND) {
+       this.__arc(ex, ey, ay, -ax, Math.PI, out);
+     }
+   }
+
+  /**
+   * Append the interior points of a circular arc about C that starts at C + (vx,vy) and sweeps through an angle (CCW if positive);
+   * the number of points is set by the arc tolerance, which is relative to the radius
+   *
+   * @private
+   */
+   protected __arc(cx: number, cy: number, vx: number, vy: number, angle: number, out: Array<number>): void
+   {
+     const step: number = 2*Math.acos(1 - this._arcTolerance);
+     const m: number    = Math.max( 1, Math.ceil(Math.abs(angle)/step) );
+     let c: number;
+     let s: number;
+     let k: number;
+
+     for (k = 1; k < m; ++k)
+     {
+       c = Math.cos(angle*k/m);
+       s = Math.sin(angle*k/m);
+
+       out.push(cx + c*vx - s*vy, cy + s*vx + c*vy);
+     }
+   }
+}
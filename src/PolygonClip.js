@@ -0,0 +1,771 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+/**
+ * Typescript Math Toolkit: Boolean operations (union, intersection, difference, and exclusive-or) on simple polygons, along
+ * with fast clipping of polygons and line segments against an axis-aligned rectangle.  Polygons are flat arrays of raw
+ * coordinate values, [x0, y0, x1, y1, ... ], as in TSMT$PolygonUtils.
+ *
+ * Boolean operations split the edges of both polygons at every intersection (found with TSMT$SegmentSweep), classify each
+ * edge fragment as inside, outside, or on the boundary of the other polygon, then link the fragments selected by the
+ * operation into closed boundaries.  Since fragments on a shared boundary are classified by direction, the method handles
+ * the degenerate cases common to floor plans and space partitioning (shared edges, shared vertices, and a vertex of one
+ * polygon on an edge of another) that trouble classic Greiner-Hormann clipping.
+ *
+ * The result of a boolean operation is an array of boundaries.  Outer boundaries are in CCW order and holes are in CW order
+ * (relative to a y-up coordinate system), so TSMT$PolygonUtils.isClockwise() identifies the holes in a result.  The same machinery
+ * resolves the self-intersections of a single boundary (removeSelfIntersections()), which cleans up the output of TSMT$Offset.
+ *
+ * Note that this class is intended for performance-critical environments, so error checking is at a minimum.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+var GeomUtils_1 = require('./GeomUtils');
+var GeomUtils_2 = require('./GeomUtils');
+var PolygonUtils_1 = require('./PolygonUtils');
+var SegmentSweep_1 = require('./SegmentSweep');
+// boolean operations
+(function (BooleanOpEnum) {
+    BooleanOpEnum[BooleanOpEnum["UNION"] = 0] = "UNION";
+    BooleanOpEnum[BooleanOpEnum["INTERSECTION"] = 1] = "INTERSECTION";
+    BooleanOpEnum[BooleanOpEnum["DIFFERENCE"] = 2] = "DIFFERENCE";
+    BooleanOpEnum[BooleanOpEnum["XOR"] = 3] = "XOR";
+})(exports.BooleanOpEnum || (exports.BooleanOpEnum = {}));
+var BooleanOpEnum = exports.BooleanOpEnum;
+// classification of an edge fragment relative to the other polygon
+var FragmentEnum;
+(function (FragmentEnum) {
+    FragmentEnum[FragmentEnum["INSIDE"] = 0] = "INSIDE";
+    FragmentEnum[FragmentEnum["OUTSIDE"] = 1] = "OUTSIDE";
+    FragmentEnum[FragmentEnum["SHARED_SAME"] = 2] = "SHARED_SAME";
+    FragmentEnum[FragmentEnum["SHARED_OPPOSITE"] = 3] = "SHARED_OPPOSITE";
+})(FragmentEnum || (FragmentEnum = {}));
+var TSMT$PolygonClip = (function () {
+    /**
+     * Construct a new TSMT$PolygonClip instance
+     *
+     * @param options: Object Optional tolerances, in the same form as the TSMT$GeomUtils constructor options
+     * @default null
+     *
+     * @return nothing
+     */
+    function TSMT$PolygonClip(options) {
+        if (options === void 0) { options = null; }
+        this.ZERO_TOL = 0.0000001; // relative tolerance for coincident points and shared edges
+        this._geomUtils = new GeomUtils_1.TSMT$GeomUtils(options);
+        this._polyUtils = new PolygonUtils_1.TSMT$PolygonUtils(options);
+        this._sweep = new SegmentSweep_1.TSMT$SegmentSweep(options);
+        this._tol = this.ZERO_TOL;
+    }
+    /**
+     * Union of two simple polygons
+     *
+     * @param a: Array<number> Flat array of vertex coordinates of the first polygon, [x0, y0, x1, y1, ... ]
+     *
+     * @param b: Array<number> Flat array of vertex coordinates of the second polygon
+     *
+     * @return Array<Array<number>> Boundaries of the union; outer boundaries are CCW and holes are CW
+     */
+    TSMT$PolygonClip.prototype.union = function (a, b) {
+        return this.compute(a, b, BooleanOpEnum.UNION);
+    };
+    /**
+     * Intersection of two simple polygons
+     *
+     * @param a: Array<number> Flat array of vertex coordinates of the first polygon, [x0, y0, x1, y1, ... ]
+     *
+     * @param b: Array<number> Flat array of vertex coordinates of the second polygon
+     *
+     * @return Array<Array<number>> Boundaries of the intersection (empty if the polygons are disjoint or touch only along their
+     * boundaries); outer boundaries are CCW and holes are CW
+     */
+    TSMT$PolygonClip.prototype.intersection = function (a, b) {
+        return this.compute(a, b, BooleanOpEnum.INTERSECTION);
+    };
+    /**
+     * Difference of two simple polygons, i.e. the first polygon with the second polygon removed
+     *
+     * @param a: Array<number> Flat array of vertex coordinates of the first polygon, [x0, y0, x1, y1, ... ]
+     *
+     * @param b: Array<number> Flat array of vertex coordinates of the second (subtracted) polygon
+     *
+     * @return Array<Array<number>> Boundaries of the difference; outer boundaries are CCW and holes are CW
+     */
+    TSMT$PolygonClip.prototype.difference = function (a, b) {
+        return this.compute(a, b, BooleanOpEnum.DIFFERENCE);
+    };
+    /**
+     * Exclusive-or of two simple polygons, i.e. the region inside exactly one of the polygons
+     *
+     * @param a: Array<number> Flat array of vertex coordinates of the first polygon, [x0, y0, x1, y1, ... ]
+     *
+     * @param b: Array<number> Flat array of vertex coordinates of the second polygon
+     *
+     * @return Array<Array<number>> Boundaries of the exclusive-or; outer boundaries are CCW and holes are CW.  The result is the
+     * difference a-b followed by the difference b-a, so boundaries of the two differences may share edges.
+     */
+    TSMT$PolygonClip.prototype.xor = function (a, b) {
+        return this.compute(a, b, BooleanOpEnum.XOR);
+    };
+    /**
+     * Compute a boolean operation on two simple polygons
+     *
+     * @param a: Array<number> Flat array of vertex coordinates of the first polygon, [x0, y0, x1, y1, ... ]
+     *
+     * @param b: Array<number> Flat array of vertex coordinates of the second polygon
+     *
+     * @param op: number BooleanOpEnum.UNION, BooleanOpEnum.INTERSECTION, BooleanOpEnum.DIFFERENCE, or BooleanOpEnum.XOR
+     *
+     * @return Array<Array<number>> Boundaries of the result; outer boundaries are CCW and holes are CW.  Either input may be in CW
+     * or CCW order.  A polygon with fewer than three distinct vertices is treated as empty.
+     */
+    TSMT$PolygonClip.prototype.compute = function (a, b, op) {
+        if (op == BooleanOpEnum.XOR) {
+            return this.compute(a, b, BooleanOpEnum.DIFFERENCE).concat(this.compute(b, a, BooleanOpEnum.DIFFERENCE));
+        }
+        var pa = this.__prepare(a);
+        var pb = this.__prepare(b);
+        // empty operands
+        if (pa.length == 0 || pb.length == 0) {
+            if (op == BooleanOpEnum.INTERSECTION) {
+                return [];
+            }
+            var result_1 = new Array();
+            if (pa.length > 0) {
+                result_1.push(pa);
+            }
+            if (pb.length > 0 && op == BooleanOpEnum.UNION) {
+                result_1.push(pb);
+            }
+            return result_1;
+        }
+        this.__setTolerance(pa, pb);
+        var na = pa.length / 2;
+        var nb = pb.length / 2;
+        var n = na + nb;
+        // every edge of both polygons, A first
+        var segments = this.__edges(pa).concat(this.__edges(pb));
+        // split points (parameter and coordinates) and overlapping edges of the other polygon, for each edge
+        var splits = new Array(n);
+        var overlaps = new Array(n);
+        var i;
+        var j;
+        for (i = 0; i < n; ++i) {
+            splits[i] = new Array();
+            overlaps[i] = new Array();
+        }
+        var intersections = this._sweep.intersections(segments);
+        var result;
+        for (i = 0; i < intersections.length; ++i) {
+            result = intersections[i];
+            // i < j, so an intersection between the two polygons always has an edge of A first
+            if (result['i'] >= na || result['j'] < na) {
+                continue;
+            }
+            splits[result['i']].push(result['t'], result['x'], result['y']);
+            splits[result['j']].push(result['u'], result['x'], result['y']);
+            if (result['type'] == GeomUtils_2.IntersectEnum.OVERLAP) {
+                splits[result['i']].push(result['t2'], result['x2'], result['y2']);
+                splits[result['j']].push(result['u2'], result['x2'], result['y2']);
+                overlaps[result['i']].push(result['j']);
+                overlaps[result['j']].push(result['i']);
+            }
+        }
+        // classify fragments and select those that bound the result
+        var selected = new Array();
+        var fragments;
+        var isA;
+        var cls;
+        for (i = 0; i < n; ++i) {
+            fragments = this.__split(segments, i, splits[i]);
+            isA = i < na;
+            for (j = 0; j < fragments.length; j += 4) {
+                cls = this.__classify(fragments, j, segments, overlaps[i], isA ? pb : pa);
+                if (this.__keep(op, isA, cls)) {
+                    if (op == BooleanOpEnum.DIFFERENCE && !isA) {
+                        selected.push(fragments[j + 2], fragments[j + 3], fragments[j], fragments[j + 1]);
+                    }
+                    else {
+                        selected.push(fragments[j], fragments[j + 1], fragments[j + 2], fragments[j + 3]);
+                    }
+                }
+            }
+        }
+        return this.__link(selected);
+    };
+    /**
+     * Resolve the self-intersections of a closed boundary, such as the raw output of a polygon offset
+     *
+     * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ], of a closed and possibly self-intersecting
+     * boundary
+     *
+     * @return Array<Array<number>> Simple boundaries of the region around which the input winds a positive number of times (the
+     * 'positive' fill rule); outer boundaries are CCW and holes are CW.  The input is NOT reoriented, since its direction decides which
+     * loops are kept: a loop traced CW (relative to a y-up coordinate system) bounds no region, so a polygon traced entirely CW yields an
+     * empty result.  Use TSMT$PolygonUtils.orient() first if only the shape of the boundary matters.  Edges that are traced more than
+     * once, such as a path that reverses on itself, contribute their combined winding and appear at most once in the result.
+     */
+    TSMT$PolygonClip.prototype.removeSelfIntersections = function (coords) {
+        var ring = this.__removeDuplicates(coords);
+        if (ring.length < 6) {
+            return [];
+        }
+        this.__setTolerance(ring, []);
+        var n = ring.length / 2;
+        var segments = this.__edges(ring);
+        var splits = new Array(n);
+        var i;
+        var j;
+        for (i = 0; i < n; ++i) {
+            splits[i] = new Array();
+        }
+        var intersections = this._sweep.intersections(segments);
+        var result;
+        // adjacent edges meet at their endpoints, which do not split either edge
+        for (i = 0; i < intersections.length; ++i) {
+            result = intersections[i];
+            splits[result['i']].push(result['t'], result['x'], result['y']);
+            splits[result['j']].push(result['u'], result['x'], result['y']);
+            if (result['type'] == GeomUtils_2.IntersectEnum.OVERLAP) {
+                splits[result['i']].push(result['t2'], result['x2'], result['y2']);
+                splits[result['j']].push(result['u2'], result['x2'], result['y2']);
+            }
+        }
+        // fragments of every edge, along with the edge that each lies on
+        var fragments = new Array();
+        var edges = new Array();
+        var pieces;
+        for (i = 0; i < n; ++i) {
+            pieces = this.__split(segments, i, splits[i]);
+            for (j = 0; j < pieces.length; j += 4) {
+                fragments.push(pieces[j], pieces[j + 1], pieces[j + 2], pieces[j + 3]);
+                edges.push(i);
+            }
+        }
+        // a boundary traced more than once is represented by one of its coincident fragments, so that it is output at most once
+        var merged = this.__mergeCoincident(fragments);
+        var selected = new Array();
+        var side;
+        // keep the fragments with positive winding on one side and none on the other, directed so that the region is on the left
+        for (i = 0; i < edges.length; ++i) {
+            if (merged[i]) {
+                continue;
+            }
+            side = this.__boundarySide(fragments, 4 * i, segments, edges[i], ring);
+            if (side > 0) {
+                selected.push(fragments[4 * i], fragments[4 * i + 1], fragments[4 * i + 2], fragments[4 * i + 3]);
+            }
+            else if (side < 0) {
+                selected.push(fragments[4 * i + 2], fragments[4 * i + 3], fragments[4 * i], fragments[4 * i + 1]);
+            }
+        }
+        return this.__link(selected);
+    };
+    /**
+     * Clip a polygon to an axis-aligned rectangle using the Sutherland-Hodgman algorithm
+     *
+     * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+     *
+     * @param left: number x-coordinate of upper, left-hand corner of the rectangle
+     *
+     * @param top: number y-coordinate of upper, left-hand corner of the rectangle
+     *
+     * @param right: number x-coordinate of lower, right-hand corner of the rectangle
+     *
+     * @param bottom: number y-coordinate of lower, right-hand corner of the rectangle
+     *
+     * @return Array<number> Vertices of the clipped polygon in the same order as the input (empty if the polygon is outside the
+     * rectangle).  Both y-up and y-down rectangles are accepted, as with TSMT$GeomUtils.insideBox().  This is a very fast method,
+     * but a concave polygon that is clipped into multiple pieces is returned as a single boundary with degenerate edges along the
+     * rectangle - use intersection() with the rectangle as a polygon if separate pieces are required.
+     */
+    TSMT$PolygonClip.prototype.clipToBox = function (coords, left, top, right, bottom) {
+        var ymin = Math.min(top, bottom);
+        var ymax = Math.max(top, bottom);
+        var clipped = this.__clipHalfPlane(coords, 0, left, true);
+        clipped = this.__clipHalfPlane(clipped, 0, right, false);
+        clipped = this.__clipHalfPlane(clipped, 1, ymin, true);
+        clipped = this.__clipHalfPlane(clipped, 1, ymax, false);
+        return clipped;
+    };
+    /**
+     * Clip a line segment from (x1,y1) to (x2,y2) to an axis-aligned rectangle using the Liang-Barsky algorithm
+     *
+     * @param x1: number x-coordinate of initial point of the segment
+     *
+     * @param y1: number y-coordinate of initial point of the segment
+     *
+     * @param x2: number x-coordinate of terminal point of the segment
+     *
+     * @param y2: number y-coordinate of terminal point of the segment
+     *
+     * @param left: number x-coordinate of upper, left-hand corner of the rectangle
+     *
+     * @param top: number y-coordinate of upper, left-hand corner of the rectangle
+     *
+     * @param right: number x-coordinate of lower, right-hand corner of the rectangle
+     *
+     * @param bottom: number y-coordinate of lower, right-hand corner of the rectangle
+     *
+     * @return Object 'x1', 'y1', 'x2', and 'y2' properties of the clipped segment, in the same direction as the input segment.  All
+     * properties are NaN if the segment is entirely outside the rectangle.  Both y-up and y-down rectangles are accepted.
+     */
+    TSMT$PolygonClip.prototype.clipSegmentToBox = function (x1, y1, x2, y2, left, top, right, bottom) {
+        var ymin = Math.min(top, bottom);
+        var ymax = Math.max(top, bottom);
+        var dx = x2 - x1;
+        var dy = y2 - y1;
+        var p = [-dx, dx, -dy, dy];
+        var q = [x1 - left, right - x1, y1 - ymin, ymax - y1];
+        var t0 = 0;
+        var t1 = 1;
+        var r;
+        var k;
+        for (k = 0; k < 4; ++k) {
+            if (p[k] == 0) {
+                // parallel to this boundary and outside
+                if (q[k] < 0) {
+                    return { x1: Number.NaN, y1: Number.NaN, x2: Number.NaN, y2: Number.NaN };
+                }
+            }
+            else {
+                r = q[k] / p[k];
+                if (p[k] < 0) {
+                    t0 = Math.max(t0, r);
+                }
+                else {
+                    t1 = Math.min(t1, r);
+                }
+            }
+        }
+        if (t0 > t1) {
+            return { x1: Number.NaN, y1: Number.NaN, x2: Number.NaN, y2: Number.NaN };
+        }
+        return { x1: t0 == 0 ? x1 : x1 + t0 * dx, y1: t0 == 0 ? y1 : y1 + t0 * dy, x2: t1 == 1 ? x2 : x1 + t1 * dx, y2: t1 == 1 ? y2 : y1 + t1 * dy };
+    };
+    /**
+     * Copy a polygon in CCW order with repeated (consecutive) vertices removed; empty if fewer than three vertices remain
+     *
+     * @private
+     */
+    TSMT$PolygonClip.prototype.__prepare = function (coords) {
+        var clean = this.__removeDuplicates(coords);
+        if (clean.length < 6 || this._polyUtils.area(clean) == 0) {
+            return [];
+        }
+        return this._polyUtils.orient(clean, false);
+    };
+    /**
+     * Copy a polygon with repeated (consecutive) vertices removed, including a final vertex that repeats the first
+     *
+     * @private
+     */
+    TSMT$PolygonClip.prototype.__removeDuplicates = function (coords) {
+        var n = coords.length;
+        var clean = new Array();
+        var i;
+        for (i = 0; i < n; i += 2) {
+            if (clean.length == 0 || coords[i] != clean[clean.length - 2] || coords[i + 1] != clean[clean.length - 1]) {
+                clean.push(coords[i], coords[i + 1]);
+            }
+        }
+        while (clean.length > 2 && clean[0] == clean[clean.length - 2] && clean[1] == clean[clean.length - 1]) {
+            clean.length -= 2;
+        }
+        return clean;
+    };
+    /**
+     * Set tolerance based on extent of coordinate data
+     *
+     * @private
+     */
+    TSMT$PolygonClip.prototype.__setTolerance = function (a, b) {
+        var extent = 1;
+        var i;
+        for (i = 0; i < a.length; ++i) {
+            extent = Math.max(extent, Math.abs(a[i]));
+        }
+        for (i = 0; i < b.length; ++i) {
+            extent = Math.max(extent, Math.abs(b[i]));
+        }
+        this._tol = this.ZERO_TOL * extent;
+    };
+    /**
+     * Edges of a polygon as a flat segment array, [x1, y1, x2, y2, ... ]
+     *
+     * @private
+     */
+    TSMT$PolygonClip.prototype.__edges = function (coords) {
+        var n = coords.length;
+        var edges = new Array();
+        var i;
+        for (i = 0; i < n; i += 2) {
+            edges.push(coords[i], coords[i + 1], coords[(i + 2) % n], coords[(i + 3) % n]);
+        }
+        return edges;
+    };
+    /**
+     * Split an edge into fragments at a collection of (parameter, x, y) points
+     *
+     * @private
+     */
+    TSMT$PolygonClip.prototype.__split = function (segments, e, splits) {
+        var x1 = segments[4 * e];
+        var y1 = segments[4 * e + 1];
+        var x2 = segments[4 * e + 2];
+        var y2 = segments[4 * e + 3];
+        // order split points by parameter
+        var order = new Array();
+        var i;
+        for (i = 0; i < splits.length; i += 3) {
+            if (splits[i] > 0 && splits[i] < 1) {
+                order.push(i);
+            }
+        }
+        order.sort(function (a, b) { return splits[a] - splits[b]; });
+        var fragments = new Array();
+        var x = x1;
+        var y = y1;
+        var k;
+        for (i = 0; i < order.length; ++i) {
+            k = order[i];
+            if (!this.__coincident(x, y, splits[k + 1], splits[k + 2]) && !this.__coincident(splits[k + 1], splits[k + 2], x2, y2)) {
+                fragments.push(x, y, splits[k + 1], splits[k + 2]);
+                x = splits[k + 1];
+                y = splits[k + 2];
+            }
+        }
+        fragments.push(x, y, x2, y2);
+        return fragments;
+    };
+    /**
+     * Classify the fragment starting at index k relative to the other polygon
+     *
+     * @private
+     */
+    TSMT$PolygonClip.prototype.__classify = function (fragments, k, segments, overlaps, other) {
+        var x1 = fragments[k];
+        var y1 = fragments[k + 1];
+        var x2 = fragments[k + 2];
+        var y2 = fragments[k + 3];
+        var mx = 0.5 * (x1 + x2);
+        var my = 0.5 * (y1 + y2);
+        var i;
+        var e;
+        // on a shared boundary?  the overlapping edge of the other polygon determines orientation
+        for (i = 0; i < overlaps.length; ++i) {
+            e = overlaps[i];
+            if (this._geomUtils.pointToSegmentDistance(segments[4 * e], segments[4 * e + 1], segments[4 * e + 2], segments[4 * e + 3], mx, my) <= this._tol) {
+                return (x2 - x1) * (segments[4 * e + 2] - segments[4 * e]) + (y2 - y1) * (segments[4 * e + 3] - segments[4 * e + 1]) > 0
+                    ? FragmentEnum.SHARED_SAME
+                    : FragmentEnum.SHARED_OPPOSITE;
+            }
+        }
+        return this._polyUtils.windingNumber(mx, my, other) != 0 ? FragmentEnum.INSIDE : FragmentEnum.OUTSIDE;
+    };
+    /**
+     * Flag fragments, [x1, y1, x2, y2, ... ], that coincide (in either direction) with another fragment that is not flagged; the result
+     * contains one flag per fragment
+     *
+     * @private
+     */
+    TSMT$PolygonClip.prototype.__mergeCoincident = function (fragments) {
+        var m = fragments.length / 4;
+        var merged = new Array(m);
+        var left = new Array(m);
+        var order = new Array(m);
+        var a;
+        var b;
+        var i;
+        var j;
+        for (i = 0; i < m; ++i) {
+            merged[i] = false;
+            left[i] = Math.min(fragments[4 * i], fragments[4 * i + 2]);
+            order[i] = i;
+        }
+        // coincident fragments have nearly the same leftmost x-coordinate, so only a narrow window of the sorted order is compared
+        order.sort(function (p, q) { return left[p] - left[q]; });
+        for (i = 0; i < m; ++i) {
+            a = order[i];
+            if (merged[a]) {
+                continue;
+            }
+            for (j = i + 1; j < m && left[order[j]] - left[a] <= this._tol; ++j) {
+                b = order[j];
+                if (!merged[b] && this.__sameFragment(fragments, 4 * a, 4 * b)) {
+                    merged[b] = true;
+                }
+            }
+        }
+        return merged;
+    };
+    /**
+     * Do the fragments starting at indices k1 and k2 have coincident endpoints, in either direction?
+     *
+     * @private
+     */
+    TSMT$PolygonClip.prototype.__sameFragment = function (fragments, k1, k2) {
+        if (this.__coincident(fragments[k1], fragments[k1 + 1], fragments[k2], fragments[k2 + 1])) {
+            return this.__coincident(fragments[k1 + 2], fragments[k1 + 3], fragments[k2 + 2], fragments[k2 + 3]);
+        }
+        return this.__coincident(fragments[k1], fragments[k1 + 1], fragments[k2 + 2], fragments[k2 + 3]) &&
+            this.__coincident(fragments[k1 + 2], fragments[k1 + 3], fragments[k2], fragments[k2 + 1]);
+    };
+    /**
+     * Is the fragment starting at index k, which lies on edge e of a ring, on the boundary of the region of positive winding of the
+     * ring?  The winding number is sampled to either side of the fragment midpoint, at less than half the distance to any other edge that
+     * does not pass through the midpoint, so that no such edge passes between the samples.  Edges through the midpoint coincide with
+     * the fragment, and the samples measure the combined change in winding across all of them.
+     *
+     * Returns 1 if the region is on the left of the fragment, -1 if it is on the right (the boundary runs opposite the fragment, which
+     * happens when coincident edges are traced more often in that direction), and 0 if the fragment is not on the boundary.
+     *
+     * @private
+     */
+    TSMT$PolygonClip.prototype.__boundarySide = function (fragments, k, segments, e, ring) {
+        var dx = fragments[k + 2] - fragments[k];
+        var dy = fragments[k + 3] - fragments[k + 1];
+        var len = Math.sqrt(dx * dx + dy * dy);
+        var n = segments.length / 4;
+        if (len <= this._tol) {
+            return 0;
+        }
+        var mx = 0.5 * (fragments[k] + fragments[k + 2]);
+        var my = 0.5 * (fragments[k + 1] + fragments[k + 3]);
+        var h = 0.5 * len;
+        var d;
+        var i;
+        for (i = 0; i < n; ++i) {
+            if (i != e) {
+                d = this._geomUtils.pointToSegmentDistance(segments[4 * i], segments[4 * i + 1], segments[4 * i + 2], segments[4 * i + 3], mx, my);
+                if (d > this._tol) {
+                    h = Math.min(h, 0.5 * d);
+                }
+            }
+        }
+        var nx = -h * dy / len;
+        var ny = h * dx / len;
+        var wLeft = this._polyUtils.windingNumber(mx + nx, my + ny, ring);
+        var wRight = this._polyUtils.windingNumber(mx - nx, my - ny, ring);
+        if (wLeft > 0 && wRight <= 0) {
+            return 1;
+        }
+        return wRight > 0 && wLeft <= 0 ? -1 : 0;
+    };
+    /**
+     * Is a fragment with the given classification part of the result of a boolean operation?  Shared boundaries are taken from
+     * the first polygon only.
+     *
+     * @private
+     */
+    TSMT$PolygonClip.prototype.__keep = function (op, isA, cls) {
+        switch (op) {
+            case BooleanOpEnum.UNION:
+                return cls == FragmentEnum.OUTSIDE || (isA && cls == FragmentEnum.SHARED_SAME);
+            case BooleanOpEnum.INTERSECTION:
+                return cls == FragmentEnum.INSIDE || (isA && cls == FragmentEnum.SHARED_SAME);
+            case BooleanOpEnum.DIFFERENCE:
+                return isA ? (cls == FragmentEnum.OUTSIDE || cls == FragmentEnum.SHARED_OPPOSITE) : cls == FragmentEnum.INSIDE;
+        }
+        return false;
+    };
+    /**
+     * Link directed fragments, [x1, y1, x2, y2, ... ], into closed boundaries.  Where more than one fragment leaves a vertex, the
+     * sharpest left turn is taken, which separates boundaries that touch at a single vertex.
+     *
+     * @private
+     */
+    TSMT$PolygonClip.prototype.__link = function (fragments) {
+        var n = fragments.length / 4;
+        var used = new Array(n);
+        var starts = {};
+        var result = new Array();
+        var i;
+        var key;
+        for (i = 0; i < n; ++i) {
+            used[i] = false;
+            key = fragments[4 * i] + ',' + fragments[4 * i + 1];
+            if (starts[key] === undefined) {
+                starts[key] = new Array();
+            }
+            starts[key].push(i);
+        }
+        var first;
+        var current;
+        var next;
+        var ring;
+        for (first = 0; first < n; ++first) {
+            if (used[first]) {
+                continue;
+            }
+            ring = new Array();
+            current = first;
+            while (true) {
+                used[current] = true;
+                ring.push(fragments[4 * current], fragments[4 * current + 1]);
+                next = this.__next(fragments, current, first, starts, used);
+                if (next == -1 || next == first) {
+                    break;
+                }
+                current = next;
+            }
+            ring = this.__removeCollinear(ring);
+            if (ring.length >= 6 && Math.abs(this._polyUtils.signedArea(ring)) > this._tol * this._tol) {
+                result.push(ring);
+            }
+        }
+        return result;
+    };
+    /**
+     * Select the fragment that continues a boundary from the end of the current fragment (-1 if none)
+     *
+     * @private
+     */
+    TSMT$PolygonClip.prototype.__next = function (fragments, current, first, starts, used) {
+        var x = fragments[4 * current + 2];
+        var y = fragments[4 * current + 3];
+        var dx = x - fragments[4 * current];
+        var dy = y - fragments[4 * current + 1];
+        var candidates = starts[x + ',' + y];
+        var i;
+        if (candidates === undefined) {
+            // no exact match, so look for a fragment start that is numerically coincident
+            candidates = new Array();
+            for (i = 0; i < used.length; ++i) {
+                if ((!used[i] || i == first) && this.__coincident(x, y, fragments[4 * i], fragments[4 * i + 1])) {
+                    candidates.push(i);
+                }
+            }
+        }
+        var best = -1;
+        var bestAngle = -Number.MAX_VALUE;
+        var angle;
+        var c;
+        var ex;
+        var ey;
+        for (i = 0; i < candidates.length; ++i) {
+            c = candidates[i];
+            if (used[c] && c != first) {
+                continue;
+            }
+            ex = fragments[4 * c + 2] - fragments[4 * c];
+            ey = fragments[4 * c + 3] - fragments[4 * c + 1];
+            angle = Math.atan2(dx * ey - dy * ex, dx * ex + dy * ey);
+            // a complete reversal is the least preferred turn
+            if (angle >= Math.PI) {
+                angle = -Math.PI;
+            }
+            if (angle > bestAngle) {
+                bestAngle = angle;
+                best = c;
+            }
+        }
+        return best;
+    };
+    /**
+     * Remove vertices that are collinear with their neighbors
+     *
+     * @private
+     */
+    TSMT$PolygonClip.prototype.__removeCollinear = function (ring) {
+        var result = ring;
+        var removed = true;
+        var n;
+        var i;
+        var prev;
+        var next;
+        var ax;
+        var ay;
+        var bx;
+        var by;
+        var cleaned;
+        while (removed && result.length >= 6) {
+            removed = false;
+            n = result.length;
+            cleaned = new Array();
+            for (i = 0; i < n; i += 2) {
+                prev = cleaned.length > 0 ? cleaned.length - 2 : n - 2;
+                next = (i + 2) % n;
+                ax = result[i] - (cleaned.length > 0 ? cleaned[prev] : result[prev]);
+                ay = result[i + 1] - (cleaned.length > 0 ? cleaned[prev + 1] : result[prev + 1]);
+                bx = result[next] - result[i];
+                by = result[next + 1] - result[i + 1];
+                if (Math.abs(ax * by - ay * bx) <= this._tol * Math.sqrt((ax * ax + ay * ay) * (bx * bx + by * by)) || (ax == 0 && ay == 0)) {
+                    removed = true;
+                    continue;
+                }
+                cleaned.push(result[i], result[i + 1]);
+            }
+            result = cleaned;
+        }
+        return result;
+    };
+    /**
+     * Are two points numerically coincident?
+     *
+     * @private
+     */
+    TSMT$PolygonClip.prototype.__coincident = function (x1, y1, x2, y2) {
+        return Math.abs(x1 - x2) <= this._tol && Math.abs(y1 - y2) <= this._tol;
+    };
+    /**
+     * Sutherland-Hodgman clip of a polygon against the half-plane coord >= value (keepGreater) or coord <= value, where coord is
+     * x (axis 0) or y (axis 1)
+     *
+     * @private
+     */
+    TSMT$PolygonClip.prototype.__clipHalfPlane = function (coords, axis, value, keepGreater) {
+        var n = coords.length;
+        var clipped = new Array();
+        if (n == 0) {
+            return clipped;
+        }
+        var x0 = coords[n - 2];
+        var y0 = coords[n - 1];
+        var in0 = keepGreater ? coords[n - 2 + axis] >= value : coords[n - 2 + axis] <= value;
+        var x1;
+        var y1;
+        var in1;
+        var t;
+        var i;
+        for (i = 0; i < n; i += 2) {
+            x1 = coords[i];
+            y1 = coords[i + 1];
+            in1 = keepGreater ? coords[i + axis] >= value : coords[i + axis] <= value;
+            if (in1 != in0) {
+                // edge crosses the clip boundary
+                t = axis == 0 ? (value - x0) / (x1 - x0) : (value - y0) / (y1 - y0);
+                if (axis == 0) {
+                    clipped.push(value, y0 + t * (y1 - y0));
+                }
+                else {
+                    clipped.push(x0 + t * (x1 - x0), value);
+                }
+            }
+            if (in1) {
+                clipped.push(x1, y1);
+            }
+            x0 = x1;
+            y0 = y1;
+            in0 = in1;
+        }
+        return clipped;
+    };
+    return TSMT$PolygonClip;
+}());
+exports.TSMT$PolygonClip = TSMT$PolygonClip;
@@ -0,0 +1,987 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Typescript Math Toolkit: Boolean operations (union, intersection, difference, and exclusive-or) on simple polygons, along
+ * with fast clipping of polygons and line segments against an axis-aligned rectangle.  Polygons are flat arrays of raw
+ * coordinate values, [x0, y0, x1, y1, ... ], as in TSMT$PolygonUtils.
+ *
+ * Boolean operations split the edges of both polygons at every intersection (found with TSMT$SegmentSweep), classify each
+ * edge fragment as inside, outside, or on the boundary of the other polygon, then link the fragments selected by the
+ * operation into closed boundaries.  Since fragments on a shared boundary are classified by direction, the method handles
+ * the degenerate cases common to floor plans and space partitioning (shared edges, shared vertices, and a vertex of one
+ * polygon on an edge of another) that trouble classic Greiner-Hormann clipping.
+ *
+ * The result of a boolean operation is an array of boundaries.  Outer boundaries are in CCW order and holes are in CW order
+ * (relative to a y-up coordinate system), so TSMT$PolygonUtils.isClockwise() identifies the holes in a result.  The same machinery
+ * resolves the self-intersections of a single boundary (removeSelfIntersections()), which cleans up the output of TSMT$Offset.
+ *
+ * Note that this class is intended for performance-critical environments, so error checking is at a minimum.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+import {TSMT$GeomUtils   } from './GeomUtils';
+import {IntersectEnum    } from './GeomUtils';
+import {TSMT$PolygonUtils} from './PolygonUtils';
+import {TSMT$SegmentSweep} from './SegmentSweep';
+
+ // boolean operations
+ export enum BooleanOpEnum
+ {
+   UNION,
+   INTERSECTION,
+   DIFFERENCE,
+   XOR
+ }
+
+ // classification of an edge fragment relative to the other polygon
+ enum FragmentEnum
+ {
+   INSIDE,
+   OUTSIDE,
+   SHARED_SAME,
+   SHARED_OPPOSITE
+ }
+
+export class TSMT$PolygonClip
+{
+  protected ZERO_TOL: number = 0.0000001;         // relative tolerance for coincident points and shared edges
+
+  protected _geomUtils: TSMT$GeomUtils;
+  protected _polyUtils: TSMT$PolygonUtils;
+  protected _sweep: TSMT$SegmentSweep;
+
+  // tolerance scaled to the current coordinate data
+  protected _tol: number;
+
+  /**
+   * Construct a new TSMT$PolygonClip instance
+   *
+   * @param options: Object Optional tolerances, in the same form as the TSMT$GeomUtils constructor options
+   * @default null
+   *
+   * @return nothing
+   */
+  constructor(options: Object=null)
+  {
+    this._geomUtils = new TSMT$GeomUtils(options);
+    this._polyUtils = new TSMT$PolygonUtils(options);
+    this._sweep     = new TSMT$SegmentSweep(options);
+    this._tol       = this.ZERO_TOL;
+  }
+
+  /**
+   * Union of two simple polygons
+   *
+   * @param a: Array<number> Flat array of vertex coordinates of the first polygon, [x0, y0, x1, y1, ... ]
+   *
+   * @param b: Array<number> Flat array of vertex coordinates of the second polygon
+   *
+   * @return Array<Array<number>> Boundaries of the union; outer boundaries are CCW and holes are CW
+   */
+   public union(a: Array<number>, b: Array<number>): Array<Array<number>>
+   {
+     return this.compute(a, b, BooleanOpEnum.UNION);
+   }
+
+  /**
+   * Intersection of two simple polygons
+   *
+   * @param a: Array<number> Flat array of vertex coordinates of the first polygon, [x0, y0, x1, y1, ... ]
+   *
+   * @param b: Array<number> Flat array of vertex coordinates of the second polygon
+   *
+   * @return Array<Array<number>> Boundaries of the intersection (empty if the polygons are disjoint or touch only along their
+   * boundaries); outer boundaries are CCW and holes are CW
+   */
+   public intersection(a: Array<number>, b: Array<number>): Array<Array<number>>
+   {
+     return this.compute(a, b, BooleanOpEnum.INTERSECTION);
+   }
+
+  /**
+   * Difference of two simple polygons, i.e. the first polygon with the second polygon removed
+   *
+   * @param a: Array<number> Flat array of vertex coordinates of the first polygon, [x0, y0, x1, y1, ... ]
+   *
+   * @param b: Array<number> Flat array of vertex coordinates of the second (subtracted) polygon
+   *
+   * @return Array<Array<number>> Boundaries of the difference; outer boundaries are CCW and holes are CW
+   */
+   public difference(a: Array<number>, b: Array<number>): Array<Array<number>>
+   {
+     return this.compute(a, b, BooleanOpEnum.DIFFERENCE);
+   }
+
+  /**
+   * Exclusive-or of two simple polygons, i.e. the region inside exactly one of the polygons
+   *
+   * @param a: Array<number> Flat array of vertex coordinates of the first polygon, [x0, y0, x1, y1, ... ]
+   *
+   * @param b: Array<number> Flat array of vertex coordinates of the second polygon
+   *
+   * @return Array<Array<number>> Boundaries of the exclusive-or; outer boundaries are CCW and holes are CW.  The result is the
+   * difference a-b followed by the difference b-a, so boundaries of the two differences may share edges.
+   */
+   public xor(a: Array<number>, b: Array<number>): Array<Array<number>>
+   {
+     return this.compute(a, b, BooleanOpEnum.XOR);
+   }
+
+  /**
+   * Compute a boolean operation on two simple polygons
+   *
+   * @param a: Array<number> Flat array of vertex coordinates of the first polygon, [x0, y0, x1, y1, ... ]
+   *
+   * @param b: Array<number> Flat array of vertex coordinates of the second polygon
+   *
+   * @param op: number BooleanOpEnum.UNION, BooleanOpEnum.INTERSECTION, BooleanOpEnum.DIFFERENCE, or BooleanOpEnum.XOR
+   *
+   * @return Array<Array<number>> Boundaries of the result; outer boundaries are CCW and holes are CW.  Either input may be in CW
+   * or CCW order.  A polygon with fewer than three distinct vertices is treated as empty.
+   */
+   public compute(a: Array<number>, b: Array<number>, op: number): Array<Array<number>>
+   {
+     if (op == BooleanOpEnum.XOR) {
+       return this.compute(a, b, BooleanOpEnum.DIFFERENCE).concat( this.compute(b, a, BooleanOpEnum.DIFFERENCE) );
+     }
+
+     const pa: Array<number> = this.__prepare(a);
+     const pb: Array<number> = this.__prepare(b);
+
+     // empty operands
+     if (pa.length == 0 || pb.length == 0)
+     {
+       if (op == BooleanOpEnum.INTERSECTION) {
+         return [];
+       }
+
+       const result: Array<Array<number>> = new Array<Array<number>>();
+       if (pa.length > 0) {
+         result.push(pa);
+       }
+
+       if (pb.length > 0 && op == BooleanOpEnum.UNION) {
+         result.push(pb);
+       }
+
+       return result;
+     }
+
+     this.__setTolerance(pa, pb);
+
+     const na: number = pa.length/2;
+     const nb: number = pb.length/2;
+     const n: number  = na + nb;
+
+     // every edge of both polygons, A first
+     const segments: Array<number> = this.__edges(pa).concat( this.__edges(pb) );
+
+     // split points (parameter and coordinates) and overlapping edges of the other polygon, for each edge
+     const splits: Array<Array<number>>   = new Array<Array<number>>(n);
+     const overlaps: Array<Array<number>> = new Array<Array<number>>(n);
+     let i: number;
+     let j: number;
+
+     for (i = 0; i < n; ++i)
+     {
+       splits[i]   = new Array<number>();
+       overlaps[i] = new Array<number>();
+     }
+
+     const intersections: Array<Object> = this._sweep.intersections(segments);
+     let result: Object;
+
+     for (i = 0; i < intersections.length; ++i)
+     {
+       result = intersections[i];
+
+       // i < j, so an intersection between the two polygons always has an edge of A first
+       if (result['i'] >= na || result['j'] < na) {
+         continue;
+       }
+
+       splits[result['i']].push(result['t'], result['x'], result['y']);
+       splits[result['j']].push(result['u'], result['x'], result['y']);
+
+       if (result['type'] == IntersectEnum.OVERLAP)
+       {
+         splits[result['i']].push(result['t2'], result['x2'], result['y2']);
+         splits[result['j']].push(result['u2'], result['x2'], result['y2']);
+
+         overlaps[result['i']].push(result['j']);
+         overlaps[result['j']].push(result['i']);
+       }
+     }
+
+     // classify fragments and select those that bound the result
+     const selected: Array<number> = new Array<number>();
+     let fragments: Array<number>;
+     let isA: boolean;
+     let cls: number;
+
+     for (i = 0; i < n; ++i)
+     {
+       fragments = this.__split(segments, i, splits[i]);
+       isA       = i < na;
+
+       for (j = 0; j < fragments.length; j += 4)
+       {
+         cls = this.__classify(fragments, j, segments, overlaps[i], isA ? pb : pa);
+
+         if (this.__keep(op, isA, cls))
+         {
+           if (op == BooleanOpEnum.DIFFERENCE && !isA) {
+             selected.push(fragments[j+2], fragments[j+3], fragments[j], fragments[j+1]);
+           }
+           else {
+             selected.push(fragments[j], fragments[j+1], fragments[j+2], fragments[j+3]);
+           }
+         }
+       }
+     }
+
+     return this.__link(selected);
+   }
+
+  /**
+   * Resolve the self-intersections of a closed boundary, such as the raw output of a polygon offset
+   *
+   * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ], of a closed and possibly self-intersecting
+   * boundary
+   *
+   * @return Array<Array<number>> Simple boundaries of the region around which the input winds a positive number of times (the
+   * 'positive' fill rule); outer boundaries are CCW and holes are CW.  The input is NOT reoriented, since its direction decides which
+   * loops are kept: a loop traced CW (relative to a y-up coordinate system) bounds no region, so a polygon traced entirely CW yields an
+   * empty result.  Use TSMT$PolygonUtils.orient() first if only the shape of the boundary matters.  Edges that are traced more than
+   * once, such as a path that reverses on itself, contribute their combined winding and appear at most once in the result.
+   */
+   public removeSelfIntersections(coords: Array<number>): Array<Array<number>>
+   {
+     const ring: Array<number> = this.__removeDuplicates(coords);
+     if (ring.length < 6) {
+       return [];
+     }
+
+     this.__setTolerance(ring, []);
+
+     const n: number                    = ring.length/2;
+     const segments: Array<number>      = this.__edges(ring);
+     const splits: Array<Array<number>> = new Array<Array<number>>(n);
+     let i: number;
+     let j: number;
+
+     for (i = 0; i < n; ++i) {
+       splits[i] = new Array<number>();
+     }
+
+     const intersections: Array<Object> = this._sweep.intersections(segments);
+     let result: Object;
+
+     // adjacent edges meet at their endpoints, which do not split either edge
+     for (i = 0; i < intersections.length; ++i)
+     {
+       result = intersections[i];
+
+       splits[result['i']].push(result['t'], result['x'], result['y']);
+       splits[result['j']].push(result['u'], result['x'], result['y']);
+
+       if (result['type'] == IntersectEnum.OVERLAP)
+       {
+         splits[result['i']].push(result['t2'], result['x2'], result['y2']);
+         splits[result['j']].push(result['u2'], result['x2'], result['y2']);
+       }
+     }
+
+     // fragments of every edge, along with the edge that each lies on
+     const fragments: Array<number> = new Array<number>();
+     const edges: Array<number>     = new Array<number>();
+     let pieces: Array<number>;
+
+     for (i = 0; i < n; ++i)
+     {
+       pieces = this.__split(segments, i, splits[i]);
+
+       for (j = 0; j < pieces.length; j += 4)
+       {
+         fragments.push(pieces[j], pieces[j+1], pieces[j+2], pieces[j+3]);
+         edges.push(i);
+       }
+     }
+
+     // a boundary traced more than once is represented by one of its coincident fragments, so that it is output at most once
+     const merged: Array<boolean>  = this.__mergeCoincident(fragments);
+     const selected: Array<number> = new Array<number>();
+     let side: number;
+
+     // keep the fragments with positive winding on one side and none on the other, directed so that the region is on the left
+     for (i = 0; i < edges.length; ++i)
+     {
+       if (merged[i]) {
+         continue;
+       }
+
+       side = this.__boundarySide(fragments, 4*i, segments, edges[i], ring);
+
+       if (side > 0) {
+         selected.push(fragments[4*i], fragments[4*i+1], fragments[4*i+2], fragments[4*i+3]);
+       }
+       else if (side < 0) {
+         selected.push(fragments[4*i+2], fragments[4*i+3], fragments[4*i], fragments[4*i+1]);
+       }
+     }
+
+     return this.__link(selected);
+   }
+
+  /**
+   * Clip a polygon to an axis-aligned rectangle using the Sutherland-Hodgman algorithm
+   *
+   * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @param left: number x-coordinate of upper, left-hand corner of the rectangle
+   *
+   * @param top: number y-coordinate of upper, left-hand corner of the rectangle
+   *
+   * @param right: number x-coordinate of lower, right-hand corner of the rectangle
+   *
+   * @param bottom: number y-coordinate of lower, right-hand corner of the rectangle
+   *
+   * @return Array<number> Vertices of the clipped polygon in the same order as the input (empty if the polygon is outside the
+   * rectangle).  Both y-up and y-down rectangles are accepted, as with TSMT$GeomUtils.insideBox().  This is a very fast method,
+   * but a concave polygon that is clipped into multiple pieces is returned as a single boundary with degenerate edges along the
+   * rectangle - use intersection() with the rectangle as a polygon if separate pieces are required.
+   */
+   public clipToBox(coords: Array<number>, left: number, top: number, right: number, bottom: number): Array<number>
+   {
+     const ymin: number = Math.min(top, bottom);
+     const ymax: number = Math.max(top, bottom);
+
+     let clipped: Array<number> = this.__clipHalfPlane(coords, 0, left, true);
+     clipped = this.__clipHalfPlane(clipped, 0, right, false);
+     clipped = this.__clipHalfPlane(clipped, 1, ymin, true);
+     clipped = this.__clipHalfPlane(clipped, 1, ymax, false);
+
+     return clipped;
+   }
+
+  /**
+   * Clip a line segment from (x1,y1) to (x2,y2) to an axis-aligned rectangle using the Liang-Barsky algorithm
+   *
+   * @param x1: number x-coordinate of initial point of the segment
+   *
+   * @param y1: number y-coordinate of initial point of the segment
+   *
+   * @param x2: number x-coordinate of terminal point of the segment
+   *
+   * @param y2: number y-coordinate of terminal point of the segment
+   *
+   * @param left: number x-coordinate of upper, left-hand corner of the rectangle
+   *
+   * @param top: number y-coordinate of upper, left-hand corner of the rectangle
+   *
+   * @param right: number x-coordinate of lower, right-hand corner of the rectangle
+   *
+   * @param bottom: number y-coordinate of lower, right-hand corner of the rectangle
+   *
+   * @return Object 'x1', 'y1', 'x2', and 'y2' properties of the clipped segment, in the same direction as the input segment.  All
+   * properties are NaN if the segment is entirely outside the rectangle.  Both y-up and y-down rectangles are accepted.
+   */
+   public clipSegmentToBox(x1: number, y1: number, x2: number, y2: number, left: number, top: number, right: number, bottom: number): Object
+   {
+     const ymin: number = Math.min(top, bottom);
+     const ymax: number = Math.max(top, bottom);
+     const dx: number   = x2 - x1;
+     const dy: number   = y2 - y1;
+
+     const p: Array<number> = [-dx, dx, -dy, dy];
+     const q: Array<number> = [x1 - left, right - x1, y1 - ymin, ymax - y1];
+
+     let t0: number = 0;
+     let t1: number = 1;
+     let r: number;
+     let k: number;
+
+     for (k = 0; k < 4; ++k)
+     {
+       if (p[k] == 0)
+       {
+         // parallel to this boundary and outside
+         if (q[k] < 0) {
+           return {x1: Number.NaN, y1: Number.NaN, x2: Number.NaN, y2: Number.NaN};
+         }
+       }
+       else
+       {
+         r = q[k]/p[k];
+
+         if (p[k] < 0) {
+           t0 = Math.max(t0, r);
+         }
+         else {
+           t1 = Math.min(t1, r);
+         }
+       }
+     }
+
+     if (t0 > t1) {
+       return {x1: Number.NaN, y1: Number.NaN, x2: Number.NaN, y2: Number.NaN};
+     }
+
+     return {x1: t0 == 0 ? x1 : x1 + t0*dx, y1: t0 == 0 ? y1 : y1 + t0*dy, x2: t1 == 1 ? x2 : x1 + t1*dx, y2: t1 == 1 ? y2 : y1 + t1*dy};
+   }
+
+  /**
+   * Copy a polygon in CCW order with repeated (consecutive) vertices removed; empty if fewer than three vertices remain
+   *
+   * @private
+   */
+   protected __prepare(coords: Array<number>): Array<number>
+   {
+     const clean: Array<number> = this.__removeDuplicates(coords);
+
+     if (clean.length < 6 || this._polyUtils.area(clean) == 0) {
+       return [];
+     }
+
+     return this._polyUtils.orient(clean, false);
+   }
+
+  /**
+   * Copy a polygon with repeated (consecutive) vertices removed, including a final vertex that repeats the first
+   *
+   * @private
+   */
+   protected __removeDuplicates(coords: Array<number>): Array<number>
+   {
+     const n: number            = coords.length;
+     const clean: Array<number> = new Array<number>();
+     let i: number;
+
+     for (i = 0; i < n; i += 2)
+     {
+       if (clean.length == 0 || coords[i] != clean[clean.length-2] || coords[i+1] != clean[clean.length-1]) {
+         clean.push(coords[i], coords[i+1]);
+       }
+     }
+
+     while (clean.length > 2 && clean[0] == clean[clean.length-2] && clean[1] == clean[clean.length-1]) {
+       clean.length -= 2;
+     }
+
+     return clean;
+   }
+
+  /**
+   * Set tolerance based on extent of coordinate data
+   *
+   * @private
+   */
+   protected __setTolerance(a: Array<number>, b: Array<number>): void
+   {
+     let extent: number = 1;
+     let i: number;
+
+     for (i = 0; i < a.length; ++i) {
+       extent = Math.max(extent, Math.abs(a[i]));
+     }
+
+     for (i = 0; i < b.length; ++i) {
+       extent = Math.max(extent, Math.abs(b[i]));
+     }
+
+     this._tol = this.ZERO_TOL*extent;
+   }
+
+  /**
+   * Edges of a polygon as a flat segment array, [x1, y1, x2, y2, ... ]
+   *
+   * @private
+   */
+   protected __edges(coords: Array<number>): Array<number>
+   {
+     const n: number            = coords.length;
+     const edges: Array<number> = new Array<number>();
+     let i: number;
+
+     for (i = 0; i < n; i += 2) {
+       edges.push(coords[i], coords[i+1], coords[(i+2) % n], coords[(i+3) % n]);
+     }
+
+     return edges;
+   }
+
+  /**
+   * Split an edge into fragments at a collection of (parameter, x, y) points
+   *
+   * @private
+   */
+   protected __split(segments: Array<number>, e: number, splits: Array<number>): Array<number>
+   {
+     const x1: number = segments[4*e];
+     const y1: number = segments[4*e+1];
+     const x2: number = segments[4*e+2];
+     const y2: number = segments[4*e+3];
+
+     // order split points by parameter
+     const order: Array<number> = new Array<number>();
+     let i: number;
+
+     for (i = 0; i < splits.length; i += 3)
+     {
+       if (splits[i] > 0 && splits[i] < 1) {
+         order.push(i);
+       }
+     }
+
+     order.sort( function(a: number, b: number): number { return splits[a] - splits[b]; } );
+
+     const fragments: Array<number> = new Array<number>();
+     let x: number = x1;
+     let y: number = y1;
+     let k: number;
+
+     for (i = 0; i < order.length; ++i)
+     {
+       k = order[i];
+
+       if (!this.__coincident(x, y, splits[k+1], splits[k+2]) && !this.__coincident(splits[k+1], splits[k+2], x2, y2))
+       {
+         fragments.push(x, y, splits[k+1], splits[k+2]);
+
+         x = splits[k+1];
+         y = splits[k+2];
+       }
+     }
+
+     fragments.push(x, y, x2, y2);
+
+     return fragments;
+   }
+
+  /**
+   * Classify the fragment starting at index k relative to the other polygon
+   *
+   * @private
+   */
+   protected __classify(fragments: Array<number>, k: number, segments: Array<number>, overlaps: Array<number>, other: Array<number>): number
+   {
+     const x1: number = fragments[k];
+     const y1: number = fragments[k+1];
+     const x2: number = fragments[k+2];
+     const y2: number = fragments[k+3];
+     const mx: number = 0.5*(x1 + x2);
+     const my: number = 0.5*(y1 + y2);
+
+     let i: number;
+     let e: number;
+
+     // on a shared boundary?  the overlapping edge of the other polygon determines orientation
+     for (i = 0; i < overlaps.length; ++i)
+     {
+       e = overlaps[i];
+
+       if (this._geomUtils.pointToSegmentDistance(segments[4*e], segments[4*e+1], segments[4*e+2], segments[4*e+3], mx, my) <= this._tol)
+       {
+         return (x2 - x1)*(segments[4*e+2] - segments[4*e]) + (y2 - y1)*(segments[4*e+3] - segments[4*e+1]) > 0
+           ? FragmentEnum.SHARED_SAME
+           : FragmentEnum.SHARED_OPPOSITE;
+       }
+     }
+
+     return this._polyUtils.windingNumber(mx, my, other) != 0 ? FragmentEnum.INSIDE : FragmentEnum.OUTSIDE;
+   }
+
+  /**
+   * Flag fragments, [x1, y1, x2, y2, ... ], that coincide (in either direction) with another fragment that is not flagged; the result
+   * contains one flag per fragment
+   *
+   * @private
+   */
+   protected __mergeCoincident(fragments: Array<number>): Array<boolean>
+   {
+     const m: number              = fragments.length/4;
+     const merged: Array<boolean> = new Array<boolean>(m);
+     const left: Array<number>    = new Array<number>(m);
+     const order: Array<number>   = new Array<number>(m);
+     let a: number;
+     let b: number;
+     let i: number;
+     let j: number;
+
+     for (i = 0; i < m; ++i)
+     {
+       merged[i] = false;
+       left[i]   = Math.min(fragments[4*i], fragments[4*i+2]);
+       order[i]  = i;
+     }
+
+     // coincident fragments have nearly the same leftmost x-coordinate, so only a narrow window of the sorted order is compared
+     order.sort( function(p: number, q: number): number { return left[p] - left[q]; } );
+
+     for (i = 0; i < m; ++i)
+     {
+       a = order[i];
+       if (merged[a]) {
+         continue;
+       }
+
+       for (j = i+1; j < m && left[order[j]] - left[a] <= this._tol; ++j)
+       {
+         b = order[j];
+
+         if (!merged[b] && this.__sameFragment(fragments, 4*a, 4*b)) {
+           merged[b] = true;
+         }
+       }
+     }
+
+     return merged;
+   }
+
+  /**
+   * Do the fragments starting at indices k1 and k2 have coincident endpoints, in either direction?
+   *
+   * @private
+   */
+   protected __sameFragment(fragments: Array<number>, k1: number, k2: number): boolean
+   {
+     if (this.__coincident(fragments[k1], fragments[k1+1], fragments[k2], fragments[k2+1])) {
+       return this.__coincident(fragments[k1+2], fragments[k1+3], fragments[k2+2], fragments[k2+3]);
+     }
+
+     return this.__coincident(fragments[k1], fragments[k1+1], fragments[k2+2], fragments[k2+3]) &&
+            this.__coincident(fragments[k1+2], fragments[k1+3], fragments[k2], fragments[k2+1]);
+   }
+
+  /**
+   * Is the fragment starting at index k, which lies on edge e of a ring, on the boundary of the region of positive winding of the
+   * ring?  The winding number is sampled to either side of the fragment midpoint, at less than half the distance to any other edge that
+   * does not pass through the midpoint, so that no such edge passes between the samples.  Edges through the midpoint coincide with
+   * the fragment, and the samples measure the combined change in winding across all of them.
+   *
+   * Returns 1 if the region is on the left of the fragment, -1 if it is on the right (the boundary runs opposite the fragment, which
+   * happens when coincident edges are traced more often in that direction), and 0 if the fragment is not on the boundary.
+   *
+   * @private
+   */
+   protected __boundarySide(fragments: Array<number>, k: number, segments: Array<number>, e: number, ring: Array<number>): number
+   {
+     const dx: number  = fragments[k+2] - fragments[k];
+     const dy: number  = fragments[k+3] - fragments[k+1];
+     const len: number = Math.sqrt(dx*dx + dy*dy);
+     const n: number   = segments.length/4;
+
+     if (len <= this._tol) {
+       return 0;
+     }
+
+     const mx: number = 0.5*(fragments[k] + fragments[k+2]);
+     const my: number = 0.5*(fragments[k+1] + fragments[k+3]);
+     let h: number    = 0.5*len;
+     let d: number;
+     let i: number;
+
+     for (i = 0; i < n; ++i)
+     {
+       if (i != e)
+       {
+         d = this._geomUtils.pointToSegmentDistance(segments[4*i], segments[4*i+1], segments[4*i+2], segments[4*i+3], mx, my);
+
+         if (d > this._tol) {
+           h = Math.min(h, 0.5*d);
+         }
+       }
+     }
+
+     const nx: number     = -h*dy/len;
+     const ny: number     = h*dx/len;
+     const wLeft: number  = this._polyUtils.windingNumber(mx + nx, my + ny, ring);
+     const wRight: number = this._polyUtils.windingNumber(mx - nx, my - ny, ring);
+
+     if (wLeft > 0 && wRight <= 0) {
+       return 1;
+     }
+
+     return wRight > 0 && wLeft <= 0 ? -1 : 0;
+   }
+
+  /**
+   * Is a fragment with the given classification part of the result of a boolean operation?  Shared boundaries are taken from
+   * the first polygon only.
+   *
+   * @private
+   */
+   protected __keep(op: number, isA: boolean, cls: number): boolean
+   {
+     switch (op)
+     {
+       case BooleanOpEnum.UNION:
+         return cls == FragmentEnum.OUTSIDE || (isA && cls == FragmentEnum.SHARED_SAME);
+
+       case BooleanOpEnum.INTERSECTION:
+         return cls == FragmentEnum.INSIDE || (isA && cls == FragmentEnum.SHARED_SAME);
+
+       case BooleanOpEnum.DIFFERENCE:
+         return isA ? (cls == FragmentEnum.OUTSIDE || cls == FragmentEnum.SHARED_OPPOSITE) : cls == FragmentEnum.INSIDE;
+     }
+
+     return false;
+   }
+
+  /**
+   * Link directed fragments, [x1, y1, x2, y2, ... ], into closed boundaries.  Where more than one fragment leaves a vertex, the
+   * sharpest left turn is taken, which separates boundaries that touch at a single vertex.
+   *
+   * @private
+   */
+   protected __link(fragments: Array<number>): Array<Array<number>>
+   {
+     const n: number                  = fragments.length/4;
+     const used: Array<boolean>       = new Array<boolean>(n);
+     const starts: Object             = {};
+     const result: Array<Array<number>> = new Array<Array<number>>();
+
+     let i: number;
+     let key: string;
+
+     for (i = 0; i < n; ++i)
+     {
+       used[i] = false;
+       key     = fragments[4*i] + ',' + fragments[4*i+1];
+
+       if (starts[key] === undefined) {
+         starts[key] = new Array<number>();
+       }
+
+       starts[key].push(i);
+     }
+
+     let first: number;
+     let current: number;
+     let next: number;
+     let ring: Array<number>;
+
+     for (first = 0; first < n; ++first)
+     {
+       if (used[first]) {
+         continue;
+       }
+
+       ring    = new Array<number>();
+       current = first;
+
+       while (true)
+       {
+         used[current] = true;
+         ring.push(fragments[4*current], fragments[4*current+1]);
+
+         next = this.__next(fragments, current, first, starts, used);
+         if (next == -1 || next == first) {
+           break;
+         }
+
+         current = next;
+       }
+
+       ring = this.__removeCollinear(ring);
+
+       if (ring.length >= 6 && Math.abs( this._polyUtils.signedArea(ring) ) > this._tol*this._tol) {
+         result.push(ring);
+       }
+     }
+
+     return result;
+   }
+
+  /**
+   * Select the fragment that continues a boundary from the end of the current fragment (-1 if none)
+   *
+   * @private
+   */
+   protected __next(fragments: Array<number>, current: number, first: number, starts: Object, used: Array<boolean>): number
+   {
+     const x: number  = fragments[4*current+2];
+     const y: number  = fragments[4*current+3];
+     const dx: number = x - fragments[4*current];
+     const dy: number = y - fragments[4*current+1];
+
+     let candidates: Array<number> = starts[x + ',' + y];
+     let i: number;
+
+     if (candidates === undefined)
+     {
+       // no exact match, so look for a fragment start that is numerically coincident
+       candidates = new Array<number>();
+
+       for (i = 0; i < used.length; ++i)
+       {
+         if ((!used[i] || i == first) && this.__coincident(x, y, fragments[4*i], fragments[4*i+1])) {
+           candidates.push(i);
+         }
+       }
+     }
+
+     let best: number  = -1;
+     let bestAngle: number = -Number.MAX_VALUE;
+     let angle: number;
+     let c: number;
+     let ex: number;
+     let ey: number;
+
+     for (i = 0; i < candidates.length; ++i)
+     {
+       c = candidates[i];
+       if (used[c] && c != first) {
+         continue;
+       }
+
+       ex    = fragments[4*c+2] - fragments[4*c];
+       ey    = fragments[4*c+3] - fragments[4*c+1];
+       angle = Math.atan2(dx*ey - dy*ex, dx*ex + dy*ey);
+
+       // a complete reversal is the least preferred turn
+       if (angle >= Math.PI) {
+         angle = -Math.PI;
+       }
+
+       if (angle > bestAngle)
+       {
+         bestAngle = angle;
+         best      = c;
+       }
+     }
+
+     return best;
+   }
+
+  /**
+   * Remove vertices that are collinear with their neighbors
+   *
+   * @private
+   */
+   protected __removeCollinear(ring: Array<number>): Array<number>
+   {
+     let result: Array<number> = ring;
+     let removed: boolean      = true;
+     let n: number;
+     let i: number;
+     let prev: number;
+     let next: number;
+     let ax: number;
+     let ay: number;
+     let bx: number;
+     let by: number;
+     let cleaned: Array<number>;
+
+     while (removed && result.length >= 6)
+     {
+       removed = false;
+       n       = result.length;
+       cleaned = new Array<number>();
+
+       for (i = 0; i < n; i += 2)
+       {
+         prev = cleaned.length > 0 ? cleaned.length - 2 : n - 2;
+         next = (i + 2) % n;
+
+         ax = result[i] - (cleaned.length > 0 ? cleaned[prev] : result[prev]);
+         ay = result[i+1] - (cleaned.length > 0 ? cleaned[prev+1] : result[prev+1]);
+         bx = result[next] - result[i];
+         by = result[next+1] - result[i+1];
+
+         if (Math.abs(ax*by - ay*bx) <= this._tol*Math.sqrt( (ax*ax + ay*ay)*(bx*bx + by*by) ) || (ax == 0 && ay == 0))
+         {
+           removed = true;
+           continue;
+         }
+
+         cleaned.push(result[i], result[i+1]);
+       }
+
+       result = cleaned;
+     }
+
+     return result;
+   }
+
+  /**
+   * Are two points numerically coincident?
+   *
+   * @private
+   */
+   protected __coincident(x1: number, y1: number, x2: number, y2: number): boolean
+   {
+     return Math.abs(x1 - x2) <= this._tol && Math.abs(y1 - y2) <= this._tol;
+   }
+
+  /**
+   * Sutherland-Hodgman clip of a polygon against the half-plane coord >= value (keepGreater) or coord <= value, where coord is
+   * x (axis 0) or y (axis 1)
+   *
+   * @private
+   */
+   protected __clipHalfPlane(coords: Array<number>, axis: number, value: number, keepGreater: boolean): Array<number>
+   {
+     const n: number              = coords.length;
+     const clipped: Array<number> = new Array<number>();
+
+     if (n == 0) {
+       return clipped;
+     }
+
+     let x0: number = coords[n-2];
+     let y0: number = coords[n-1];
+     let in0: boolean = keepGreater ? coords[n-2+axis] >= value : coords[n-2+axis] <= value;
+     let x1: number;
+     let y1: number;
+     let in1: boolean;
+     let t: number;
+     let i: number;
+
+     for (i = 0; i < n; i += 2)
+     {
+       x1  = coords[i];
+       y1  = coords[i+1];
+       in1 = keepGreater ? coords[i+axis] >= value : coords[i+axis] <= value;
+
+       if (in1 != in0)
+       {
+         // edge crosses the clip boundary
+         t = axis == 0 ? (value - x0)/(x1 - x0) : (value - y0)/(y1 - y0);
+
+         if (axis == 0) {
+           clipped.push(value, y0 + t*(y1 - y0));
+         }
+         else {
+           clipped.push(x0 + t*(x1 - x0), value);
+         }
+       }
+
+       if (in1) {
+         clipped.push(x1, y1);
+       }
+
+       x0  = x1;
+       y0  = y1;
+       in0 = in1;
+     }
+
+     return clipped;
+   }
+}
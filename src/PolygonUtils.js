@@ -0,0 +1,453 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+/**
+ * Typescript Math Toolkit: Low-level utility methods for simple polygons, built on top of the primitives in
+ * TSMT$GeomUtils.  A polygon is described by a flat array of raw coordinate values, [x0, y0, x1, y1, ... ], with an
+ * implied closing edge from the last vertex back to the first (do not repeat the first vertex at the end of the array).
+ *
+ * As with TSMT$GeomUtils, this class is intended for performance-critical environments, so error checking is at a
+ * minimum.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+var GeomUtils_1 = require('./GeomUtils');
+var GeomUtils_2 = require('./GeomUtils');
+// classification of a point relative to a polygon
+(function (PolygonLocEnum) {
+    PolygonLocEnum[PolygonLocEnum["OUTSIDE"] = 0] = "OUTSIDE";
+    PolygonLocEnum[PolygonLocEnum["INSIDE"] = 1] = "INSIDE";
+    PolygonLocEnum[PolygonLocEnum["BOUNDARY"] = 2] = "BOUNDARY";
+})(exports.PolygonLocEnum || (exports.PolygonLocEnum = {}));
+var PolygonLocEnum = exports.PolygonLocEnum;
+// fill rule used to decide polygon interior
+(function (FillRuleEnum) {
+    FillRuleEnum[FillRuleEnum["EVEN_ODD"] = 0] = "EVEN_ODD";
+    FillRuleEnum[FillRuleEnum["NON_ZERO"] = 1] = "NON_ZERO";
+})(exports.FillRuleEnum || (exports.FillRuleEnum = {}));
+var FillRuleEnum = exports.FillRuleEnum;
+var TSMT$PolygonUtils = (function () {
+    /**
+     * Construct a new TSMT$PolygonUtils instance
+     *
+     * @param options: Object Optional tolerances, in the same form as the TSMT$GeomUtils constructor options.  The 'zero' tolerance decides
+     * when a polygon is degenerate, the 'onLine' tolerance when a point is on the line through an edge, the 'parameter' tolerance how far
+     * beyond the end of an edge (as a fraction of its length) such a point is still on the boundary, and the 'relative' tolerance how
+     * closely the total turning angle of a convex polygon must match a full turn.
+     * @default null
+     *
+     * @return nothing
+     */
+    function TSMT$PolygonUtils(options) {
+        if (options === void 0) { options = null; }
+        this._geomUtils = new GeomUtils_1.TSMT$GeomUtils(options);
+        var tolerances = this._geomUtils.tolerances;
+        this.ZERO_TOL = tolerances['zero'];
+        this.ON_LINE_TOL = tolerances['onLine'];
+        this.PARAM_TOL = tolerances['parameter'];
+        this.REL_TOL = tolerances['relative'];
+    }
+    /**
+     * Compute the signed area of a polygon
+     *
+     * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+     *
+     * @return number Signed area of the polygon; positive if the vertices are in CCW order in a y-up coordinate system (which is CW
+     * order in a y-down or screen coordinate system).  Zero is returned for fewer than three vertices.
+     */
+    TSMT$PolygonUtils.prototype.signedArea = function (coords) {
+        var n = coords.length;
+        if (n < 6) {
+            return 0;
+        }
+        var a = 0;
+        var x0 = coords[n - 2];
+        var y0 = coords[n - 1];
+        var i;
+        for (i = 0; i < n; i += 2) {
+            a += x0 * coords[i + 1] - coords[i] * y0;
+            x0 = coords[i];
+            y0 = coords[i + 1];
+        }
+        return 0.5 * a;
+    };
+    /**
+     * Compute the (unsigned) area of a polygon
+     *
+     * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+     *
+     * @return number Area of the polygon, independent of vertex order
+     */
+    TSMT$PolygonUtils.prototype.area = function (coords) {
+        return Math.abs(this.signedArea(coords));
+    };
+    /**
+     * Compute the centroid of a polygon
+     *
+     * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+     *
+     * @return Object 'x' and 'y' properties contain the coordinates of the area centroid.  If the polygon is degenerate (numerically
+     * zero area), the average of the vertex coordinates is returned.  An empty input returns (NaN, NaN).
+     */
+    TSMT$PolygonUtils.prototype.centroid = function (coords) {
+        var n = coords.length;
+        if (n < 2) {
+            return { x: Number.NaN, y: Number.NaN };
+        }
+        var a = 0;
+        var cx = 0;
+        var cy = 0;
+        var x0 = coords[n - 2];
+        var y0 = coords[n - 1];
+        var i;
+        var c;
+        for (i = 0; i < n; i += 2) {
+            c = x0 * coords[i + 1] - coords[i] * y0;
+            a += c;
+            cx += (x0 + coords[i]) * c;
+            cy += (y0 + coords[i + 1]) * c;
+            x0 = coords[i];
+            y0 = coords[i + 1];
+        }
+        if (Math.abs(a) < this.ZERO_TOL) {
+            // degenerate polygon (all points on a line or a single point) - use the vertex average
+            cx = 0;
+            cy = 0;
+            for (i = 0; i < n; i += 2) {
+                cx += coords[i];
+                cy += coords[i + 1];
+            }
+            return { x: 2 * cx / n, y: 2 * cy / n };
+        }
+        a *= 3;
+        return { x: cx / a, y: cy / a };
+    };
+    /**
+     * Are the vertices of a polygon in clockwise order?
+     *
+     * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+     *
+     * @return boolean True if the polygon vertices are in CW order, false if CCW.  This follows the same convention as the
+     * three-point TSMT$GeomUtils.isClockwise() method, so a degenerate (zero-area) polygon is reported as CW.
+     */
+    TSMT$PolygonUtils.prototype.isClockwise = function (coords) {
+        return !(this.signedArea(coords) > 0);
+    };
+    /**
+     * Reverse the winding order of a polygon
+     *
+     * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+     *
+     * @return Array<number> New coordinate array with vertices in reverse order; the input array is not modified
+     */
+    TSMT$PolygonUtils.prototype.reverse = function (coords) {
+        var n = coords.length;
+        var reversed = new Array();
+        var i;
+        for (i = n - 2; i >= 0; i -= 2) {
+            reversed.push(coords[i], coords[i + 1]);
+        }
+        return reversed;
+    };
+    /**
+     * Return a copy of a polygon with vertices in a specified winding order
+     *
+     * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+     *
+     * @param clockwise: boolean True if the returned polygon should be in CW order, false for CCW
+     *
+     * @return Array<number> Copy of the input polygon, reversed if necessary to match the requested winding order
+     */
+    TSMT$PolygonUtils.prototype.orient = function (coords, clockwise) {
+        return this.isClockwise(coords) == clockwise ? coords.slice() : this.reverse(coords);
+    };
+    /**
+     * Compute the perimeter of a polygon
+     *
+     * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+     *
+     * @return number Polygon perimeter, including the closing edge from the last vertex back to the first
+     */
+    TSMT$PolygonUtils.prototype.perimeter = function (coords) {
+        var n = coords.length;
+        if (n < 4) {
+            return 0;
+        }
+        var p = 0;
+        var x0 = coords[n - 2];
+        var y0 = coords[n - 1];
+        var dx;
+        var dy;
+        var i;
+        for (i = 0; i < n; i += 2) {
+            dx = coords[i] - x0;
+            dy = coords[i + 1] - y0;
+            p += Math.sqrt(dx * dx + dy * dy);
+            x0 = coords[i];
+            y0 = coords[i + 1];
+        }
+        return p;
+    };
+    /**
+     * Is a polygon convex?
+     *
+     * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+     *
+     * @return boolean True if the polygon is convex, independent of winding order.  Vertices that are (numerically) collinear with
+     * their neighbors, as determined by TSMT$GeomUtils.pointOrientation(), are ignored.  Polygons that turn the same direction at
+     * every vertex but wind around more than once (such as a pentagram) are not convex.  Fewer than three vertices returns false.
+     */
+    TSMT$PolygonUtils.prototype.isConvex = function (coords) {
+        var n = coords.length;
+        if (n < 6) {
+            return false;
+        }
+        var dir = GeomUtils_2.DirEnum.ON;
+        var turn;
+        var angle = 0;
+        var x0 = coords[n - 4];
+        var y0 = coords[n - 3];
+        var x1 = coords[n - 2];
+        var y1 = coords[n - 1];
+        var x2;
+        var y2;
+        var i;
+        for (i = 0; i < n; i += 2) {
+            x2 = coords[i];
+            y2 = coords[i + 1];
+            turn = this._geomUtils.pointOrientation(x0, y0, x1, y1, x2, y2);
+            if (turn != GeomUtils_2.DirEnum.ON) {
+                if (dir == GeomUtils_2.DirEnum.ON) {
+                    dir = turn;
+                }
+                else if (turn != dir) {
+                    return false;
+                }
+            }
+            // accumulate exterior (turning) angle at (x1,y1)
+            angle += Math.atan2((x1 - x0) * (y2 - y1) - (y1 - y0) * (x2 - x1), (x1 - x0) * (x2 - x1) + (y1 - y0) * (y2 - y1));
+            x0 = x1;
+            y0 = y1;
+            x1 = x2;
+            y1 = y2;
+        }
+        // all vertices collinear?
+        if (dir == GeomUtils_2.DirEnum.ON) {
+            return false;
+        }
+        // total turning is +/- 2*PI for a polygon that winds exactly once
+        return Math.abs(Math.abs(angle) - 2 * Math.PI) < this.REL_TOL;
+    };
+    /**
+     * Is a polygon simple, i.e. no two edges intersect other than adjacent edges at their common vertex?
+     *
+     * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+     *
+     * @return boolean True if the polygon is simple, false if it is self-intersecting or degenerate (fewer than three vertices,
+     * zero-length edges, or adjacent edges that fold back on one another).  Each pair of edges is tested with
+     * TSMT$GeomUtils.segmentsIntersect(), so this method is O(n^2) in the number of vertices.
+     */
+    TSMT$PolygonUtils.prototype.isSimple = function (coords) {
+        var n = coords.length;
+        if (n < 6) {
+            return false;
+        }
+        var edges = n / 2;
+        var i;
+        var j;
+        var i1;
+        var j1;
+        var ex;
+        var ey;
+        var fx;
+        var fy;
+        for (i = 0; i < edges; ++i) {
+            i1 = (i + 1) % edges;
+            // zero-length edge
+            if (this._geomUtils.pointsEqual(coords[2 * i], coords[2 * i + 1], coords[2 * i1], coords[2 * i1 + 1])) {
+                return false;
+            }
+            // an adjacent edge that doubles back onto this one
+            j1 = (i1 + 1) % edges;
+            ex = coords[2 * i1] - coords[2 * i];
+            ey = coords[2 * i1 + 1] - coords[2 * i + 1];
+            fx = coords[2 * j1] - coords[2 * i1];
+            fy = coords[2 * j1 + 1] - coords[2 * i1 + 1];
+            if (this._geomUtils.pointOnLine(coords[2 * j1], coords[2 * j1 + 1], coords[2 * i], coords[2 * i + 1], coords[2 * i1], coords[2 * i1 + 1]) && ex * fx + ey * fy < 0) {
+                return false;
+            }
+            // non-adjacent edges may not intersect at all
+            for (j = i + 2; j < edges; ++j) {
+                if (i == 0 && j == edges - 1) {
+                    continue;
+                }
+                j1 = (j + 1) % edges;
+                if (this._geomUtils.segmentsIntersect(coords[2 * i], coords[2 * i + 1], coords[2 * i1], coords[2 * i1 + 1], coords[2 * j], coords[2 * j + 1], coords[2 * j1], coords[2 * j1 + 1])) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    };
+    /**
+     * Classify a point relative to a polygon, optionally with holes
+     *
+     * @param x: number x-coordinate of test point
+     *
+     * @param y: number y-coordinate of test point
+     *
+     * @param coords: Array<number> Flat array of outer-boundary vertex coordinates, [x0, y0, x1, y1, ... ]
+     *
+     * @param holes: Array<Array<number>> Optional collection of holes, each in the same format as the outer boundary
+     * @default null
+     *
+     * @param rule: number Fill rule used to determine the interior of the outer boundary and each hole, either
+     * FillRuleEnum.EVEN_ODD or FillRuleEnum.NON_ZERO
+     * @default FillRuleEnum.EVEN_ODD
+     *
+     * @return number PolygonLocEnum.INSIDE, PolygonLocEnum.OUTSIDE, or PolygonLocEnum.BOUNDARY.  A point is on the boundary if it
+     * is on any edge of the outer boundary or a hole, using the same tolerance as TSMT$GeomUtils.pointOnLine().  Otherwise, the
+     * point is inside if it is inside the outer boundary and not inside any hole.  Holes are subtracted independent of their
+     * winding order.  The two fill rules only differ for self-intersecting boundaries.
+     */
+    TSMT$PolygonUtils.prototype.pointInPolygon = function (x, y, coords, holes, rule) {
+        if (holes === void 0) { holes = null; }
+        if (rule === void 0) { rule = FillRuleEnum.EVEN_ODD; }
+        var loc = this.__classify(x, y, coords, rule);
+        if (loc != PolygonLocEnum.INSIDE || !holes) {
+            return loc;
+        }
+        var n = holes.length;
+        var i;
+        var holeLoc;
+        for (i = 0; i < n; ++i) {
+            holeLoc = this.__classify(x, y, holes[i], rule);
+            if (holeLoc == PolygonLocEnum.BOUNDARY) {
+                return PolygonLocEnum.BOUNDARY;
+            }
+            else if (holeLoc == PolygonLocEnum.INSIDE) {
+                return PolygonLocEnum.OUTSIDE;
+            }
+        }
+        return PolygonLocEnum.INSIDE;
+    };
+    /**
+     * Compute the winding number of a polygon around a point
+     *
+     * @param x: number x-coordinate of test point
+     *
+     * @param y: number y-coordinate of test point
+     *
+     * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+     *
+     * @return number Number of times the polygon winds around the point; positive for CCW winding in a y-up coordinate system.
+     * The result is not meaningful for a point on the polygon boundary.
+     */
+    TSMT$PolygonUtils.prototype.windingNumber = function (x, y, coords) {
+        var n = coords.length;
+        var wn = 0;
+        var x0 = coords[n - 2];
+        var y0 = coords[n - 1];
+        var x1;
+        var y1;
+        var i;
+        for (i = 0; i < n; i += 2) {
+            x1 = coords[i];
+            y1 = coords[i + 1];
+            if (y0 <= y) {
+                // upward crossing with the point strictly left of the edge
+                if (y1 > y && this.__cross(x1 - x0, y1 - y0, x - x0, y - y0) > 0) {
+                    wn++;
+                }
+            }
+            else {
+                // downward crossing with the point strictly right of the edge
+                if (y1 <= y && this.__cross(x1 - x0, y1 - y0, x - x0, y - y0) < 0) {
+                    wn--;
+                }
+            }
+            x0 = x1;
+            y0 = y1;
+        }
+        return wn;
+    };
+    /**
+     * Classify a point relative to a single closed boundary
+     *
+     * @private
+     */
+    TSMT$PolygonUtils.prototype.__classify = function (x, y, coords, rule) {
+        var n = coords.length;
+        if (n < 6) {
+            return PolygonLocEnum.OUTSIDE;
+        }
+        var x0 = coords[n - 2];
+        var y0 = coords[n - 1];
+        var x1;
+        var y1;
+        var i;
+        var crossings = 0;
+        for (i = 0; i < n; i += 2) {
+            x1 = coords[i];
+            y1 = coords[i + 1];
+            if (this.__onSegment(x, y, x0, y0, x1, y1)) {
+                return PolygonLocEnum.BOUNDARY;
+            }
+            // half-open rule so that a ray through a vertex is counted exactly once
+            if ((y0 > y) != (y1 > y) && x < x0 + (y - y0) * (x1 - x0) / (y1 - y0)) {
+                crossings++;
+            }
+            x0 = x1;
+            y0 = y1;
+        }
+        if (rule == FillRuleEnum.NON_ZERO) {
+            return this.windingNumber(x, y, coords) != 0 ? PolygonLocEnum.INSIDE : PolygonLocEnum.OUTSIDE;
+        }
+        return (crossings & 1) == 1 ? PolygonLocEnum.INSIDE : PolygonLocEnum.OUTSIDE;
+    };
+    /**
+     * Is a point on the segment from (x0,y0) to (x1,y1), using the TSMT$GeomUtils.pointOnLine() tolerance?
+     *
+     * @private
+     */
+    TSMT$PolygonUtils.prototype.__onSegment = function (x, y, x0, y0, x1, y1) {
+        var dx = x1 - x0;
+        var dy = y1 - y0;
+        var len = Math.sqrt(dx * dx + dy * dy);
+        if (len <= this.ZERO_TOL) {
+            return Math.abs(x - x0) <= this.ZERO_TOL && Math.abs(y - y0) <= this.ZERO_TOL;
+        }
+        // bounding-box slack (a distance): the offset from the line allowed by the determinant test in pointOnLine(), which is the
+        // on-line tolerance divided by the edge length, plus the parameter tolerance along the edge
+        var tol = this.ON_LINE_TOL / len + this.PARAM_TOL * len;
+        if (x < Math.min(x0, x1) - tol || x > Math.max(x0, x1) + tol || y < Math.min(y0, y1) - tol || y > Math.max(y0, y1) + tol) {
+            return false;
+        }
+        return this._geomUtils.pointOnLine(x, y, x0, y0, x1, y1);
+    };
+    /**
+     * Compute cross-product between two vectors, both based at the origin and with terminal points P1 and P2
+     *
+     * @private
+     */
+    TSMT$PolygonUtils.prototype.__cross = function (p1x, p1y, p2x, p2y) {
+        return p1x * p2y - p1y * p2x;
+    };
+    return TSMT$PolygonUtils;
+}());
+exports.TSMT$PolygonUtils = TSMT$PolygonUtils;
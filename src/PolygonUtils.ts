@@ -0,0 +1,557 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Typescript Math Toolkit: Low-level utility methods for simple polygons, built on top of the primitives in
+ * TSMT$GeomUtils.  A polygon is described by a flat array of raw coordinate values, [x0, y0, x1, y1, ... ], with an
+ * implied closing edge from the last vertex back to the first (do not repeat the first vertex at the end of the array).
+ *
+ * As with TSMT$GeomUtils, this class is intended for performance-critical environments, so error checking is at a
+ * minimum.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+import {TSMT$GeomUtils} from './GeomUtils';
+import {DirEnum       } from './GeomUtils';
+
+ // classification of a point relative to a polygon
+ export enum PolygonLocEnum
+ {
+   OUTSIDE,
+   INSIDE,
+   BOUNDARY
+ }
+
+ // fill rule used to decide polygon interior
+ export enum FillRuleEnum
+ {
+   EVEN_ODD,
+   NON_ZERO
+ }
+
+export class TSMT$PolygonUtils
+{
+  protected _geomUtils: TSMT$GeomUtils;
+
+  protected ZERO_TOL: number;
+  protected ON_LINE_TOL: number;
+  protected PARAM_TOL: number;
+  protected REL_TOL: number;
+
+  /**
+   * Construct a new TSMT$PolygonUtils instance
+   *
+   * @param options: Object Optional tolerances, in the same form as the TSMT$GeomUtils constructor options.  The 'zero' tolerance decides
+   * when a polygon is degenerate, the 'onLine' tolerance when a point is on the line through an edge, the 'parameter' tolerance how far
+   * beyond the end of an edge (as a fraction of its length) such a point is still on the boundary, and the 'relative' tolerance how
+   * closely the total turning angle of a convex polygon must match a full turn.
+   * @default null
+   *
+   * @return nothing
+   */
+  constructor(options: Object=null)
+  {
+    this._geomUtils = new TSMT$GeomUtils(options);
+
+    const tolerances: Object = this._geomUtils.tolerances;
+
+    this.ZERO_TOL    = tolerances['zero'];
+    this.ON_LINE_TOL = tolerances['onLine'];
+    this.PARAM_TOL   = tolerances['parameter'];
+    this.REL_TOL     = tolerances['relative'];
+  }
+
+  /**
+   * Compute the signed area of a polygon
+   *
+   * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @return number Signed area of the polygon; positive if the vertices are in CCW order in a y-up coordinate system (which is CW
+   * order in a y-down or screen coordinate system).  Zero is returned for fewer than three vertices.
+   */
+   public signedArea(coords: Array<number>): number
+   {
+     const n: number = coords.length;
+     if (n < 6) {
+       return 0;
+     }
+
+     let a: number   = 0;
+     let x0: number  = coords[n-2];
+     let y0: number  = coords[n-1];
+     let i: number;
+
+     for (i = 0; i < n; i += 2)
+     {
+       a += x0*coords[i+1] - coords[i]*y0;
+
+       x0 = coords[i];
+       y0 = coords[i+1];
+     }
+
+     return 0.5*a;
+   }
+
+  /**
+   * Compute the (unsigned) area of a polygon
+   *
+   * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @return number Area of the polygon, independent of vertex order
+   */
+   public area(coords: Array<number>): number
+   {
+     return Math.abs( this.signedArea(coords) );
+   }
+
+  /**
+   * Compute the centroid of a polygon
+   *
+   * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @return Object 'x' and 'y' properties contain the coordinates of the area centroid.  If the polygon is degenerate (numerically
+   * zero area), the average of the vertex coordinates is returned.  An empty input returns (NaN, NaN).
+   */
+   public centroid(coords: Array<number>): Object
+   {
+     const n: number = coords.length;
+     if (n < 2) {
+       return {x: Number.NaN, y: Number.NaN};
+     }
+
+     let a: number  = 0;
+     let cx: number = 0;
+     let cy: number = 0;
+     let x0: number = coords[n-2];
+     let y0: number = coords[n-1];
+     let i: number;
+     let c: number;
+
+     for (i = 0; i < n; i += 2)
+     {
+       c   = x0*coords[i+1] - coords[i]*y0;
+       a  += c;
+       cx += (x0 + coords[i])*c;
+       cy += (y0 + coords[i+1])*c;
+
+       x0 = coords[i];
+       y0 = coords[i+1];
+     }
+
+     if (Math.abs(a) < this.ZERO_TOL)
+     {
+       // degenerate polygon (all points on a line or a single point) - use the vertex average
+       cx = 0;
+       cy = 0;
+
+       for (i = 0; i < n; i += 2)
+       {
+         cx += coords[i];
+         cy += coords[i+1];
+       }
+
+       return {x: 2*cx/n, y: 2*cy/n};
+     }
+
+     a *= 3;
+
+     return {x: cx/a, y: cy/a};
+   }
+
+  /**
+   * Are the vertices of a polygon in clockwise order?
+   *
+   * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @return boolean True if the polygon vertices are in CW order, false if CCW.  This follows the same convention as the
+   * three-point TSMT$GeomUtils.isClockwise() method, so a degenerate (zero-area) polygon is reported as CW.
+   */
+   public isClockwise(coords: Array<number>): boolean
+   {
+     return !(this.signedArea(coords) > 0);
+   }
+
+  /**
+   * Reverse the winding order of a polygon
+   *
+   * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @return Array<number> New coordinate array with vertices in reverse order; the input array is not modified
+   */
+   public reverse(coords: Array<number>): Array<number>
+   {
+     const n: number                = coords.length;
+     const reversed: Array<number>  = new Array<number>();
+     let i: number;
+
+     for (i = n-2; i >= 0; i -= 2) {
+       reversed.push(coords[i], coords[i+1]);
+     }
+
+     return reversed;
+   }
+
+  /**
+   * Return a copy of a polygon with vertices in a specified winding order
+   *
+   * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @param clockwise: boolean True if the returned polygon should be in CW order, false for CCW
+   *
+   * @return Array<number> Copy of the input polygon, reversed if necessary to match the requested winding order
+   */
+   public orient(coords: Array<number>, clockwise: boolean): Array<number>
+   {
+     return this.isClockwise(coords) == clockwise ? coords.slice() : this.reverse(coords);
+   }
+
+  /**
+   * Compute the perimeter of a polygon
+   *
+   * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @return number Polygon perimeter, including the closing edge from the last vertex back to the first
+   */
+   public perimeter(coords: Array<number>): number
+   {
+     const n: number = coords.length;
+     if (n < 4) {
+       return 0;
+     }
+
+     let p: number  = 0;
+     let x0: number = coords[n-2];
+     let y0: number = coords[n-1];
+     let dx: number;
+     let dy: number;
+     let i: number;
+
+     for (i = 0; i < n; i += 2)
+     {
+       dx = coords[i] - x0;
+       dy = coords[i+1] - y0;
+       p += Math.sqrt(dx*dx + dy*dy);
+
+       x0 = coords[i];
+       y0 = coords[i+1];
+     }
+
+     return p;
+   }
+
+  /**
+   * Is a polygon convex?
+   *
+   * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @return boolean True if the polygon is convex, independent of winding order.  Vertices that are (numerically) collinear with
+   * their neighbors, as determined by TSMT$GeomUtils.pointOrientation(), are ignored.  Polygons that turn the same direction at
+   * every vertex but wind around more than once (such as a pentagram) are not convex.  Fewer than three vertices returns false.
+   */
+   public isConvex(coords: Array<number>): boolean
+   {
+     const n: number = coords.length;
+     if (n < 6) {
+       return false;
+     }
+
+     let dir: number = DirEnum.ON;
+     let turn: number;
+     let angle: number = 0;
+     let x0: number    = coords[n-4];
+     let y0: number    = coords[n-3];
+     let x1: number    = coords[n-2];
+     let y1: number    = coords[n-1];
+     let x2: number;
+     let y2: number;
+     let i: number;
+
+     for (i = 0; i < n; i += 2)
+     {
+       x2 = coords[i];
+       y2 = coords[i+1];
+
+       turn = this._geomUtils.pointOrientation(x0, y0, x1, y1, x2, y2);
+       if (turn != DirEnum.ON)
+       {
+         if (dir == DirEnum.ON) {
+           dir = turn;
+         }
+         else if (turn != dir) {
+           return false;
+         }
+       }
+
+       // accumulate exterior (turning) angle at (x1,y1)
+       angle += Math.atan2( (x1-x0)*(y2-y1) - (y1-y0)*(x2-x1), (x1-x0)*(x2-x1) + (y1-y0)*(y2-y1) );
+
+       x0 = x1;
+       y0 = y1;
+       x1 = x2;
+       y1 = y2;
+     }
+
+     // all vertices collinear?
+     if (dir == DirEnum.ON) {
+       return false;
+     }
+
+     // total turning is +/- 2*PI for a polygon that winds exactly once
+     return Math.abs(Math.abs(angle) - 2*Math.PI) < this.REL_TOL;
+   }
+
+  /**
+   * Is a polygon simple, i.e. no two edges intersect other than adjacent edges at their common vertex?
+   *
+   * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @return boolean True if the polygon is simple, false if it is self-intersecting or degenerate (fewer than three vertices,
+   * zero-length edges, or adjacent edges that fold back on one another).  Each pair of edges is tested with
+   * TSMT$GeomUtils.segmentsIntersect(), so this method is O(n^2) in the number of vertices.
+   */
+   public isSimple(coords: Array<number>): boolean
+   {
+     const n: number = coords.length;
+     if (n < 6) {
+       return false;
+     }
+
+     const edges: number = n/2;
+     let i: number;
+     let j: number;
+     let i1: number;
+     let j1: number;
+     let ex: number;
+     let ey: number;
+     let fx: number;
+     let fy: number;
+
+     for (i = 0; i < edges; ++i)
+     {
+       i1 = (i+1) % edges;
+
+       // zero-length edge
+       if (this._geomUtils.pointsEqual(coords[2*i], coords[2*i+1], coords[2*i1], coords[2*i1+1])) {
+         return false;
+       }
+
+       // an adjacent edge that doubles back onto this one
+       j1 = (i1+1) % edges;
+       ex = coords[2*i1] - coords[2*i];
+       ey = coords[2*i1+1] - coords[2*i+1];
+       fx = coords[2*j1] - coords[2*i1];
+       fy = coords[2*j1+1] - coords[2*i1+1];
+
+       if (this._geomUtils.pointOnLine(coords[2*j1], coords[2*j1+1], coords[2*i], coords[2*i+1], coords[2*i1], coords[2*i1+1]) && ex*fx + ey*fy < 0) {
+         return false;
+       }
+
+       // non-adjacent edges may not intersect at all
+       for (j = i+2; j < edges; ++j)
+       {
+         if (i == 0 && j == edges-1) {
+           continue;
+         }
+
+         j1 = (j+1) % edges;
+
+         if (this._geomUtils.segmentsIntersect(coords[2*i], coords[2*i+1], coords[2*i1], coords[2*i1+1], coords[2*j], coords[2*j+1], coords[2*j1], coords[2*j1+1])) {
+           return false;
+         }
+       }
+     }
+
+     return true;
+   }
+
+  /**
+   * Classify a point relative to a polygon, optionally with holes
+   *
+   * @param x: number x-coordinate of test point
+   *
+   * @param y: number y-coordinate of test point
+   *
+   * @param coords: Array<number> Flat array of outer-boundary vertex coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @param holes: Array<Array<number>> Optional collection of holes, each in the same format as the outer boundary
+   * @default null
+   *
+   * @param rule: number Fill rule used to determine the interior of the outer boundary and each hole, either
+   * FillRuleEnum.EVEN_ODD or FillRuleEnum.NON_ZERO
+   * @default FillRuleEnum.EVEN_ODD
+   *
+   * @return number PolygonLocEnum.INSIDE, PolygonLocEnum.OUTSIDE, or PolygonLocEnum.BOUNDARY.  A point is on the boundary if it
+   * is on any edge of the outer boundary or a hole, using the same tolerance as TSMT$GeomUtils.pointOnLine().  Otherwise, the
+   * point is inside if it is inside the outer boundary and not inside any hole.  Holes are subtracted independent of their
+   * winding order.  The two fill rules only differ for self-intersecting boundaries.
+   */
+   public pointInPolygon(x: number, y: number, coords: Array<number>, holes: Array<Array<number>>=null, rule: number=FillRuleEnum.EVEN_ODD): number
+   {
+     const loc: number = this.__classify(x, y, coords, rule);
+     if (loc != PolygonLocEnum.INSIDE || !holes) {
+       return loc;
+     }
+
+     const n: number = holes.length;
+     let i: number;
+     let holeLoc: number;
+
+     for (i = 0; i < n; ++i)
+     {
+       holeLoc = this.__classify(x, y, holes[i], rule);
+
+       if (holeLoc == PolygonLocEnum.BOUNDARY) {
+         return PolygonLocEnum.BOUNDARY;
+       }
+       else if (holeLoc == PolygonLocEnum.INSIDE) {
+         return PolygonLocEnum.OUTSIDE;
+       }
+     }
+
+     return PolygonLocEnum.INSIDE;
+   }
+
+  /**
+   * Compute the winding number of a polygon around a point
+   *
+   * @param x: number x-coordinate of test point
+   *
+   * @param y: number y-coordinate of test point
+   *
+   * @param coords: Array<number> Flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @return number Number of times the polygon winds around the point; positive for CCW winding in a y-up coordinate system.
+   * The result is not meaningful for a point on the polygon boundary.
+   */
+   public windingNumber(x: number, y: number, coords: Array<number>): number
+   {
+     const n: number = coords.length;
+     let wn: number  = 0;
+     let x0: number  = coords[n-2];
+     let y0: number  = coords[n-1];
+     let x1: number;
+     let y1: number;
+     let i: number;
+
+     for (i = 0; i < n; i += 2)
+     {
+       x1 = coords[i];
+       y1 = coords[i+1];
+
+       if (y0 <= y)
+       {
+         // upward crossing with the point strictly left of the edge
+         if (y1 > y && this.__cross(x1-x0, y1-y0, x-x0, y-y0) > 0) {
+           wn++;
+         }
+       }
+       else
+       {
+         // downward crossing with the point strictly right of the edge
+         if (y1 <= y && this.__cross(x1-x0, y1-y0, x-x0, y-y0) < 0) {
+           wn--;
+         }
+       }
+
+       x0 = x1;
+       y0 = y1;
+     }
+
+     return wn;
+   }
+
+  /**
+   * Classify a point relative to a single closed boundary
+   *
+   * @private
+   */
+   protected __classify(x: number, y: number, coords: Array<number>, rule: number): number
+   {
+     const n: number = coords.length;
+     if (n < 6) {
+       return PolygonLocEnum.OUTSIDE;
+     }
+
+     let x0: number = coords[n-2];
+     let y0: number = coords[n-1];
+     let x1: number;
+     let y1: number;
+     let i: number;
+     let crossings: number = 0;
+
+     for (i = 0; i < n; i += 2)
+     {
+       x1 = coords[i];
+       y1 = coords[i+1];
+
+       if (this.__onSegment(x, y, x0, y0, x1, y1)) {
+         return PolygonLocEnum.BOUNDARY;
+       }
+
+       // half-open rule so that a ray through a vertex is counted exactly once
+       if ((y0 > y) != (y1 > y) && x < x0 + (y-y0)*(x1-x0)/(y1-y0)) {
+         crossings++;
+       }
+
+       x0 = x1;
+       y0 = y1;
+     }
+
+     if (rule == FillRuleEnum.NON_ZERO) {
+       return this.windingNumber(x, y, coords) != 0 ? PolygonLocEnum.INSIDE : PolygonLocEnum.OUTSIDE;
+     }
+
+     return (crossings & 1) == 1 ? PolygonLocEnum.INSIDE : PolygonLocEnum.OUTSIDE;
+   }
+
+  /**
+   * Is a point on the segment from (x0,y0) to (x1,y1), using the TSMT$GeomUtils.pointOnLine() tolerance?
+   *
+   * @private
+   */
+   protected __onSegment(x: number, y: number, x0: number, y0: number, x1: number, y1: number): boolean
+   {
+     const dx: number  = x1 - x0;
+     const dy: number  = y1 - y0;
+     const len: number = Math.sqrt(dx*dx + dy*dy);
+
+     if (len <= this.ZERO_TOL) {
+       return Math.abs(x - x0) <= this.ZERO_TOL && Math.abs(y - y0) <= this.ZERO_TOL;
+     }
+
+     // bounding-box slack (a distance): the offset from the line allowed by the determinant test in pointOnLine(), which is the
+     // on-line tolerance divided by the edge length, plus the parameter tolerance along the edge
+     const tol: number = this.ON_LINE_TOL/len + this.PARAM_TOL*len;
+
+     if (x < Math.min(x0, x1) - tol || x > Math.max(x0, x1) + tol || y < Math.min(y0, y1) - tol || y > Math.max(y0, y1) + tol) {
+       return false;
+     }
+
+     return this._geomUtils.pointOnLine(x, y, x0, y0, x1, y1);
+   }
+
+  /**
+   * Compute cross-product between two vectors, both based at the origin and with terminal points P1 and P2
+   *
+   * @private
+   */
+   protected __cross(p1x: number, p1y: number, p2x: number, p2y: number): number
+   {
+     return p1x*p2y - p1y*p2x;
+   }
+}
@@ -0,0 +1,299 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+/**
+ * Typescript Math Toolkit: Adaptive-precision geometric predicates after Jonathan Shewchuk, 'Adaptive Precision Floating-Point
+ * Arithmetic and Fast Robust Geometric Predicates.'  Each predicate is first evaluated in ordinary floating-point arithmetic along
+ * with a bound on its roundoff error.  Only when the result is too close to zero for its sign to be certain is the predicate
+ * re-evaluated exactly, using floating-point expansions (sums of non-overlapping doubles), so the sign of the result is always
+ * correct and the typical cost is only slightly more than the naive computation.
+ *
+ * There are no tolerances, so classification does not depend on the scale of the coordinates (barring underflow or overflow).
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+var TSMT$Predicates = (function () {
+    /**
+     * Construct a new TSMT$Predicates instance
+     *
+     * @return nothing
+     */
+    function TSMT$Predicates() {
+        this.EPSILON = 1.1102230246251565e-16; // 2^-53, half an ulp of 1
+        this.SPLITTER = 134217729; // 2^27 + 1, for splitting a double into two 26-bit halves
+        this.CCW_ERRBOUND = (3 + 16 * this.EPSILON) * this.EPSILON;
+        this.ICC_ERRBOUND = (10 + 96 * this.EPSILON) * this.EPSILON;
+        this._hi = 0;
+        this._lo = 0;
+    }
+    /**
+     * Orientation of three points
+     *
+     * @param ax: number x-coordinate of first point
+     *
+     * @param ay: number y-coordinate of first point
+     *
+     * @param bx: number x-coordinate of second point
+     *
+     * @param by: number y-coordinate of second point
+     *
+     * @param cx: number x-coordinate of third point
+     *
+     * @param cy: number y-coordinate of third point
+     *
+     * @return number Approximation to twice the signed area of the triangle (a,b,c) whose sign is exact; positive if the points are in CCW
+     * order in a y-up coordinate system (c is to the left of the directed line from a to b), negative if CW, and zero if and only if the
+     * points are collinear.
+     */
+    TSMT$Predicates.prototype.orient2d = function (ax, ay, bx, by, cx, cy) {
+        var detleft = (ax - cx) * (by - cy);
+        var detright = (ay - cy) * (bx - cx);
+        var det = detleft - detright;
+        var detsum;
+        if (detleft > 0) {
+            if (detright <= 0) {
+                return det;
+            }
+            detsum = detleft + detright;
+        }
+        else if (detleft < 0) {
+            if (detright >= 0) {
+                return det;
+            }
+            detsum = -detleft - detright;
+        }
+        else {
+            return det;
+        }
+        if (det >= this.CCW_ERRBOUND * detsum || -det >= this.CCW_ERRBOUND * detsum) {
+            return det;
+        }
+        // sign is uncertain; evaluate exactly
+        var left = this.__product(this.__diff(ax, cx), this.__diff(by, cy));
+        var right = this.__product(this.__diff(ay, cy), this.__diff(bx, cx));
+        return this.__estimate(this.__sum(left, this.__negate(right)));
+    };
+    /**
+     * Location of a point relative to the circle through three other points
+     *
+     * @param ax: number x-coordinate of first point on the circle
+     *
+     * @param ay: number y-coordinate of first point on the circle
+     *
+     * @param bx: number x-coordinate of second point on the circle
+     *
+     * @param by: number y-coordinate of second point on the circle
+     *
+     * @param cx: number x-coordinate of third point on the circle
+     *
+     * @param cy: number y-coordinate of third point on the circle
+     *
+     * @param dx: number x-coordinate of test point
+     *
+     * @param dy: number y-coordinate of test point
+     *
+     * @return number Approximation to the incircle determinant whose sign is exact; positive if d lies inside the circle through a, b, and c,
+     * negative if outside, and zero if and only if the four points are cocircular.  The points a, b, and c must be in CCW order (y-up);
+     * the sign is reversed if they are in CW order.
+     */
+    TSMT$Predicates.prototype.incircle = function (ax, ay, bx, by, cx, cy, dx, dy) {
+        var adx = ax - dx;
+        var bdx = bx - dx;
+        var cdx = cx - dx;
+        var ady = ay - dy;
+        var bdy = by - dy;
+        var cdy = cy - dy;
+        var bdxcdy = bdx * cdy;
+        var cdxbdy = cdx * bdy;
+        var alift = adx * adx + ady * ady;
+        var cdxady = cdx * ady;
+        var adxcdy = adx * cdy;
+        var blift = bdx * bdx + bdy * bdy;
+        var adxbdy = adx * bdy;
+        var bdxady = bdx * ady;
+        var clift = cdx * cdx + cdy * cdy;
+        var det = alift * (bdxcdy - cdxbdy) + blift * (cdxady - adxcdy) + clift * (adxbdy - bdxady);
+        var permanent = (Math.abs(bdxcdy) + Math.abs(cdxbdy)) * alift +
+            (Math.abs(cdxady) + Math.abs(adxcdy)) * blift +
+            (Math.abs(adxbdy) + Math.abs(bdxady)) * clift;
+        var errbound = this.ICC_ERRBOUND * permanent;
+        if (det > errbound || -det > errbound) {
+            return det;
+        }
+        // sign is uncertain; evaluate exactly
+        var eadx = this.__diff(ax, dx);
+        var ebdx = this.__diff(bx, dx);
+        var ecdx = this.__diff(cx, dx);
+        var eady = this.__diff(ay, dy);
+        var ebdy = this.__diff(by, dy);
+        var ecdy = this.__diff(cy, dy);
+        var bc = this.__sum(this.__product(ebdx, ecdy), this.__negate(this.__product(ecdx, ebdy)));
+        var ca = this.__sum(this.__product(ecdx, eady), this.__negate(this.__product(eadx, ecdy)));
+        var ab = this.__sum(this.__product(eadx, ebdy), this.__negate(this.__product(ebdx, eady)));
+        var elift = this.__sum(this.__product(eadx, eadx), this.__product(eady, eady));
+        var flift = this.__sum(this.__product(ebdx, ebdx), this.__product(ebdy, ebdy));
+        var glift = this.__sum(this.__product(ecdx, ecdx), this.__product(ecdy, ecdy));
+        return this.__estimate(this.__sum(this.__sum(this.__product(elift, bc), this.__product(flift, ca)), this.__product(glift, ab)));
+    };
+    /**
+     * Exact sum, a + b = hi + lo
+     *
+     * @private
+     */
+    TSMT$Predicates.prototype.__twoSum = function (a, b) {
+        var x = a + b;
+        var bvirt = x - a;
+        var avirt = x - bvirt;
+        this._hi = x;
+        this._lo = (a - avirt) + (b - bvirt);
+    };
+    /**
+     * Exact product, a * b = hi + lo
+     *
+     * @private
+     */
+    TSMT$Predicates.prototype.__twoProduct = function (a, b) {
+        var x = a * b;
+        var c = this.SPLITTER * a;
+        var ahi = c - (c - a);
+        var alo = a - ahi;
+        c = this.SPLITTER * b;
+        var bhi = c - (c - b);
+        var blo = b - bhi;
+        this._hi = x;
+        this._lo = alo * blo - (((x - ahi * bhi) - alo * bhi) - ahi * blo);
+    };
+    /**
+     * Exact difference a - b as an expansion (components in increasing order of magnitude, zeros eliminated)
+     *
+     * @private
+     */
+    TSMT$Predicates.prototype.__diff = function (a, b) {
+        this.__twoSum(a, -b);
+        return this._lo == 0 ? [this._hi] : [this._lo, this._hi];
+    };
+    /**
+     * Exact sum of two expansions
+     *
+     * @private
+     */
+    TSMT$Predicates.prototype.__sum = function (e, f) {
+        var h = e;
+        var i;
+        for (i = 0; i < f.length; ++i) {
+            h = this.__grow(h, f[i]);
+        }
+        return h;
+    };
+    /**
+     * Exact sum of an expansion and a double
+     *
+     * @private
+     */
+    TSMT$Predicates.prototype.__grow = function (e, b) {
+        var h = new Array();
+        var q = b;
+        var i;
+        for (i = 0; i < e.length; ++i) {
+            this.__twoSum(q, e[i]);
+            q = this._hi;
+            if (this._lo != 0) {
+                h.push(this._lo);
+            }
+        }
+        if (q != 0 || h.length == 0) {
+            h.push(q);
+        }
+        return h;
+    };
+    /**
+     * Exact product of an expansion and a double
+     *
+     * @private
+     */
+    TSMT$Predicates.prototype.__scale = function (e, b) {
+        var h = new Array();
+        var q;
+        var product1;
+        var product0;
+        var sum;
+        var lo;
+        var i;
+        this.__twoProduct(e[0], b);
+        q = this._hi;
+        if (this._lo != 0) {
+            h.push(this._lo);
+        }
+        for (i = 1; i < e.length; ++i) {
+            this.__twoProduct(e[i], b);
+            product1 = this._hi;
+            product0 = this._lo;
+            this.__twoSum(q, product0);
+            if (this._lo != 0) {
+                h.push(this._lo);
+            }
+            // fast two-sum, since |product1| >= |sum|
+            sum = this._hi;
+            q = product1 + sum;
+            lo = sum - (q - product1);
+            if (lo != 0) {
+                h.push(lo);
+            }
+        }
+        if (q != 0 || h.length == 0) {
+            h.push(q);
+        }
+        return h;
+    };
+    /**
+     * Exact product of two expansions
+     *
+     * @private
+     */
+    TSMT$Predicates.prototype.__product = function (e, f) {
+        var h = this.__scale(e, f[0]);
+        var i;
+        for (i = 1; i < f.length; ++i) {
+            h = this.__sum(h, this.__scale(e, f[i]));
+        }
+        return h;
+    };
+    /**
+     * Negate an expansion
+     *
+     * @private
+     */
+    TSMT$Predicates.prototype.__negate = function (e) {
+        return e.map(function (v) { return -v; });
+    };
+    /**
+     * Approximate value of an expansion; the sign is that of its largest component, which is exact
+     *
+     * @private
+     */
+    TSMT$Predicates.prototype.__estimate = function (e) {
+        var sum = 0;
+        var i;
+        for (i = 0; i < e.length; ++i) {
+            sum += e[i];
+        }
+        return sum;
+    };
+    return TSMT$Predicates;
+}());
+exports.TSMT$Predicates = TSMT$Predicates;
@@ -0,0 +1,375 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Typescript Math Toolkit: Adaptive-precision geometric predicates after Jonathan Shewchuk, 'Adaptive Precision Floating-Point
+ * Arithmetic and Fast Robust Geometric Predicates.'  Each predicate is first evaluated in ordinary floating-point arithmetic along
+ * with a bound on its roundoff error.  Only when the result is too close to zero for its sign to be certain is the predicate
+ * re-evaluated exactly, using floating-point expansions (sums of non-overlapping doubles), so the sign of the result is always
+ * correct and the typical cost is only slightly more than the naive computation.
+ *
+ * There are no tolerances, so classification does not depend on the scale of the coordinates (barring underflow or overflow).
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+export class TSMT$Predicates
+{
+  protected EPSILON: number  = 1.1102230246251565e-16;           // 2^-53, half an ulp of 1
+  protected SPLITTER: number = 134217729;                         // 2^27 + 1, for splitting a double into two 26-bit halves
+
+  // error bounds for the floating-point filters
+  protected CCW_ERRBOUND: number;
+  protected ICC_ERRBOUND: number;
+
+  // high- and low-order results of the two-term error-free transformations
+  protected _hi: number;
+  protected _lo: number;
+
+  /**
+   * Construct a new TSMT$Predicates instance
+   *
+   * @return nothing
+   */
+  constructor()
+  {
+    this.CCW_ERRBOUND = (3 + 16*this.EPSILON)*this.EPSILON;
+    this.ICC_ERRBOUND = (10 + 96*this.EPSILON)*this.EPSILON;
+
+    this._hi = 0;
+    this._lo = 0;
+  }
+
+  /**
+   * Orientation of three points
+   *
+   * @param ax: number x-coordinate of first point
+   *
+   * @param ay: number y-coordinate of first point
+   *
+   * @param bx: number x-coordinate of second point
+   *
+   * @param by: number y-coordinate of second point
+   *
+   * @param cx: number x-coordinate of third point
+   *
+   * @param cy: number y-coordinate of third point
+   *
+   * @return number Approximation to twice the signed area of the triangle (a,b,c) whose sign is exact; positive if the points are in CCW
+   * order in a y-up coordinate system (c is to the left of the directed line from a to b), negative if CW, and zero if and only if the
+   * points are collinear.
+   */
+   public orient2d(ax: number, ay: number, bx: number, by: number, cx: number, cy: number): number
+   {
+     const detleft: number  = (ax - cx)*(by - cy);
+     const detright: number = (ay - cy)*(bx - cx);
+     const det: number      = detleft - detright;
+
+     let detsum: number;
+
+     if (detleft > 0)
+     {
+       if (detright <= 0) {
+         return det;
+       }
+
+       detsum = detleft + detright;
+     }
+     else if (detleft < 0)
+     {
+       if (detright >= 0) {
+         return det;
+       }
+
+       detsum = -detleft - detright;
+     }
+     else
+     {
+       return det;
+     }
+
+     if (det >= this.CCW_ERRBOUND*detsum || -det >= this.CCW_ERRBOUND*detsum) {
+       return det;
+     }
+
+     // sign is uncertain; evaluate exactly
+     const left: Array<number>  = this.__product( this.__diff(ax, cx), this.__diff(by, cy) );
+     const right: Array<number> = this.__product( this.__diff(ay, cy), this.__diff(bx, cx) );
+
+     return this.__estimate( this.__sum(left, this.__negate(right)) );
+   }
+
+  /**
+   * Location of a point relative to the circle through three other points
+   *
+   * @param ax: number x-coordinate of first point on the circle
+   *
+   * @param ay: number y-coordinate of first point on the circle
+   *
+   * @param bx: number x-coordinate of second point on the circle
+   *
+   * @param by: number y-coordinate of second point on the circle
+   *
+   * @param cx: number x-coordinate of third point on the circle
+   *
+   * @param cy: number y-coordinate of third point on the circle
+   *
+   * @param dx: number x-coordinate of test point
+   *
+   * @param dy: number y-coordinate of test point
+   *
+   * @return number Approximation to the incircle determinant whose sign is exact; positive if d lies inside the circle through a, b, and c,
+   * negative if outside, and zero if and only if the four points are cocircular.  The points a, b, and c must be in CCW order (y-up);
+   * the sign is reversed if they are in CW order.
+   */
+   public incircle(ax: number, ay: number, bx: number, by: number, cx: number, cy: number, dx: number, dy: number): number
+   {
+     const adx: number = ax - dx;
+     const bdx: number = bx - dx;
+     const cdx: number = cx - dx;
+     const ady: number = ay - dy;
+     const bdy: number = by - dy;
+     const cdy: number = cy - dy;
+
+     const bdxcdy: number = bdx*cdy;
+     const cdxbdy: number = cdx*bdy;
+     const alift: number  = adx*adx + ady*ady;
+
+     const cdxady: number = cdx*ady;
+     const adxcdy: number = adx*cdy;
+     const blift: number  = bdx*bdx + bdy*bdy;
+
+     const adxbdy: number = adx*bdy;
+     const bdxady: number = bdx*ady;
+     const clift: number  = cdx*cdx + cdy*cdy;
+
+     const det: number = alift*(bdxcdy - cdxbdy) + blift*(cdxady - adxcdy) + clift*(adxbdy - bdxady);
+
+     const permanent: number = (Math.abs(bdxcdy) + Math.abs(cdxbdy))*alift +
+                               (Math.abs(cdxady) + Math.abs(adxcdy))*blift +
+                               (Math.abs(adxbdy) + Math.abs(bdxady))*clift;
+
+     const errbound: number = this.ICC_ERRBOUND*permanent;
+     if (det > errbound || -det > errbound) {
+       return det;
+     }
+
+     // sign is uncertain; evaluate exactly
+     const eadx: Array<number> = this.__diff(ax, dx);
+     const ebdx: Array<number> = this.__diff(bx, dx);
+     const ecdx: Array<number> = this.__diff(cx, dx);
+     const eady: Array<number> = this.__diff(ay, dy);
+     const ebdy: Array<number> = this.__diff(by, dy);
+     const ecdy: Array<number> = this.__diff(cy, dy);
+
+     const bc: Array<number> = this.__sum( this.__product(ebdx, ecdy), this.__negate( this.__product(ecdx, ebdy) ) );
+     const ca: Array<number> = this.__sum( this.__product(ecdx, eady), this.__negate( this.__product(eadx, ecdy) ) );
+     const ab: Array<number> = this.__sum( this.__product(eadx, ebdy), this.__negate( this.__product(ebdx, eady) ) );
+
+     const elift: Array<number> = this.__sum( this.__product(eadx, eadx), this.__product(eady, eady) );
+     const flift: Array<number> = this.__sum( this.__product(ebdx, ebdx), this.__product(ebdy, ebdy) );
+     const glift: Array<number> = this.__sum( this.__product(ecdx, ecdx), this.__product(ecdy, ecdy) );
+
+     return this.__estimate( this.__sum( this.__sum( this.__product(elift, bc), this.__product(flift, ca) ), this.__product(glift, ab) ) );
+   }
+
+  /**
+   * Exact sum, a + b = hi + lo
+   *
+   * @private
+   */
+   protected __twoSum(a: number, b: number): void
+   {
+     const x: number     = a + b;
+     const bvirt: number = x - a;
+     const avirt: number = x - bvirt;
+
+     this._hi = x;
+     this._lo = (a - avirt) + (b - bvirt);
+   }
+
+  /**
+   * Exact product, a * b = hi + lo
+   *
+   * @private
+   */
+   protected __twoProduct(a: number, b: number): void
+   {
+     const x: number = a*b;
+
+     let c: number       = this.SPLITTER*a;
+     const ahi: number   = c - (c - a);
+     const alo: number   = a - ahi;
+
+     c = this.SPLITTER*b;
+     const bhi: number   = c - (c - b);
+     const blo: number   = b - bhi;
+
+     this._hi = x;
+     this._lo = alo*blo - (((x - ahi*bhi) - alo*bhi) - ahi*blo);
+   }
+
+  /**
+   * Exact difference a - b as an expansion (components in increasing order of magnitude, zeros eliminated)
+   *
+   * @private
+   */
+   protected __diff(a: number, b: number): Array<number>
+   {
+     this.__twoSum(a, -b);
+
+     return this._lo == 0 ? [this._hi] : [this._lo, this._hi];
+   }
+
+  /**
+   * Exact sum of two expansions
+   *
+   * @private
+   */
+   protected __sum(e: Array<number>, f: Array<number>): Array<number>
+   {
+     let h: Array<number> = e;
+     let i: number;
+
+     for (i = 0; i < f.length; ++i) {
+       h = this.__grow(h, f[i]);
+     }
+
+     return h;
+   }
+
+  /**
+   * Exact sum of an expansion and a double
+   *
+   * @private
+   */
+   protected __grow(e: Array<number>, b: number): Array<number>
+   {
+     const h: Array<number> = new Array<number>();
+     let q: number          = b;
+     let i: number;
+
+     for (i = 0; i < e.length; ++i)
+     {
+       this.__twoSum(q, e[i]);
+
+       q = this._hi;
+       if (this._lo != 0) {
+         h.push(this._lo);
+       }
+     }
+
+     if (q != 0 || h.length == 0) {
+       h.push(q);
+     }
+
+     return h;
+   }
+
+  /**
+   * Exact product of an expansion and a double
+   *
+   * @private
+   */
+   protected __scale(e: Array<number>, b: number): Array<number>
+   {
+     const h: Array<number> = new Array<number>();
+     let q: number;
+     let product1: number;
+     let product0: number;
+     let sum: number;
+     let lo: number;
+     let i: number;
+
+     this.__twoProduct(e[0], b);
+
+     q = this._hi;
+     if (this._lo != 0) {
+       h.push(this._lo);
+     }
+
+     for (i = 1; i < e.length; ++i)
+     {
+       this.__twoProduct(e[i], b);
+       product1 = this._hi;
+       product0 = this._lo;
+
+       this.__twoSum(q, product0);
+       if (this._lo != 0) {
+         h.push(this._lo);
+       }
+
+       // fast two-sum, since |product1| >= |sum|
+       sum = this._hi;
+       q   = product1 + sum;
+       lo  = sum - (q - product1);
+       if (lo != 0) {
+         h.push(lo);
+       }
+     }
+
+     if (q != 0 || h.length == 0) {
+       h.push(q);
+     }
+
+     return h;
+   }
+
+  /**
+   * Exact product of two expansions
+   *
+   * @private
+   */
+   protected __product(e: Array<number>, f: Array<number>): Array<number>
+   {
+     let h: Array<number> = this.__scale(e, f[0]);
+     let i: number;
+
+     for (i = 1; i < f.length; ++i) {
+       h = this.__sum(h, this.__scale(e, f[i]));
+     }
+
+     return h;
+   }
+
+  /**
+   * Negate an expansion
+   *
+   * @private
+   */
+   protected __negate(e: Array<number>): Array<number>
+   {
+     return e.map( (v: number): number => -v );
+   }
+
+  /**
+   * Approximate value of an expansion; the sign is that of its largest component, which is exact
+   *
+   * @private
+   */
+   protected __estimate(e: Array<number>): number
+   {
+     let sum: number = 0;
+     let i: number;
+
+     for (i = 0; i < e.length; ++i) {
+       sum += e[i];
+     }
+
+     return sum;
+   }
+}
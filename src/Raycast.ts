@@ -0,0 +1,513 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Typescript Math Toolkit: Ray queries against collections of segments, boxes, circles, and polygons.  A ray is described by an
+ * origin, (x0,y0), a direction, (dx,dy), that need not be normalized, and an optional maximum distance along the ray.  Each cast
+ * returns the hit nearest the origin as an Object with properties
+ *
+ * index    - index of the primitive that was hit in the input collection
+ * x, y     - coordinates of the hit point
+ * distance - (Euclidean) distance from the ray origin to the hit point
+ * nx, ny   - unit normal at the hit point, facing back toward the ray
+ *
+ * or null if nothing is hit.  Equidistant hits are resolved in favor of the lowest index.  A ray whose origin is inside (or on the
+ * boundary of) a box, circle, or polygon hits it at distance zero with a normal opposite the ray direction, so a ray cast from inside
+ * a solid is blocked immediately.  The same normal is reported for a segment or polygon edge that is collinear with the ray.
+ *
+ * Segments are a flat array, [x1, y1, x2, y2, ... ], with four values per segment.  Boxes are Objects (or TSMT$Box instances) with
+ * left, top, right, and bottom properties in either y-up or y-down form, as with TSMT$GeomUtils.boxesIntersect().  Circles are
+ * Objects with center, 'x' and 'y', and radius, 'r', properties, as returned by TSMT$GeomUtils.enclosingCircle().  Polygons are
+ * flat arrays of vertex coordinates, as with TSMT$PolygonUtils.
+ *
+ * Tolerances are taken from an instance of TSMT$GeomUtils constructed with the options passed to the constructor.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+import {TSMT$GeomUtils   } from './GeomUtils';
+import {TSMT$PolygonUtils} from './PolygonUtils';
+import {PolygonLocEnum   } from './PolygonUtils';
+
+export class TSMT$Raycast
+{
+  protected _geomUtils: TSMT$GeomUtils;
+  protected _polygonUtils: TSMT$PolygonUtils;
+
+  protected PARALLEL_TOL: number;
+  protected PARAM_TOL: number;
+
+  /**
+   * Construct a new TSMT$Raycast instance
+   *
+   * @param options: Object Optional tolerances, in the same form as the TSMT$GeomUtils constructor options.  The 'parallel' tolerance
+   * decides when a ray is parallel to a segment, the 'parameter' tolerance how far beyond a segment endpoint a hit is still accepted,
+   * and the 'onLine' tolerance when a ray origin is on the boundary of a polygon.
+   * @default null
+   *
+   * @return nothing
+   */
+  constructor(options: Object=null)
+  {
+    this._geomUtils    = new TSMT$GeomUtils(options);
+    this._polygonUtils = new TSMT$PolygonUtils(options);
+
+    const tolerances: Object = this._geomUtils.tolerances;
+
+    this.PARALLEL_TOL = tolerances['parallel'];
+    this.PARAM_TOL    = tolerances['parameter'];
+  }
+
+  /**
+   * Cast a ray against a collection of line segments
+   *
+   * @param x0: number x-coordinate of ray origin
+   *
+   * @param y0: number y-coordinate of ray origin
+   *
+   * @param dx: number x-component of ray direction
+   *
+   * @param dy: number y-component of ray direction
+   *
+   * @param segments: Array<number> Flat array of segment endpoints, [x1, y1, x2, y2, ... ]
+   *
+   * @param maxDistance: number Hits farther than this distance from the origin are ignored
+   * @default Number.POSITIVE_INFINITY
+   *
+   * @return Object Nearest hit (see class description), or null if no segment is hit or the direction is zero.  The index is the
+   * segment index, i.e. the index of the segment's first coordinate divided by four.
+   */
+   public castSegments(x0: number, y0: number, dx: number, dy: number, segments: Array<number>, maxDistance: number=Number.POSITIVE_INFINITY): Object
+   {
+     const len: number = Math.sqrt(dx*dx + dy*dy);
+     if (len == 0 || !segments) {
+       return null;
+     }
+
+     const ux: number = dx/len;
+     const uy: number = dy/len;
+     const n: number  = Math.floor(segments.length/4);
+     let best: number = -1;
+     let dist: number = maxDistance;
+     let t: number;
+     let i: number;
+
+     for (i = 0; i < n; ++i)
+     {
+       t = this.__segment(x0, y0, ux, uy, segments[4*i], segments[4*i+1], segments[4*i+2], segments[4*i+3]);
+
+       if (t >= 0 && t <= dist && (best == -1 || t < dist))
+       {
+         best = i;
+         dist = t;
+       }
+     }
+
+     if (best == -1) {
+       return null;
+     }
+
+     return this.__edgeHit(best, x0, y0, ux, uy, dist, segments[4*best], segments[4*best+1], segments[4*best+2], segments[4*best+3]);
+   }
+
+  /**
+   * Cast a ray against a collection of axis-aligned boxes
+   *
+   * @param x0: number x-coordinate of ray origin
+   *
+   * @param y0: number y-coordinate of ray origin
+   *
+   * @param dx: number x-component of ray direction
+   *
+   * @param dy: number y-component of ray direction
+   *
+   * @param boxes: Array<Object> Boxes, each with left, top, right, and bottom properties in either y-up or y-down form
+   *
+   * @param maxDistance: number Hits farther than this distance from the origin are ignored
+   * @default Number.POSITIVE_INFINITY
+   *
+   * @return Object Nearest hit (see class description), or null if no box is hit or the direction is zero.  The normal is the outward
+   * normal of the box side that was hit; a ray that enters exactly through a corner reports the normal of the vertical side.
+   */
+   public castBoxes(x0: number, y0: number, dx: number, dy: number, boxes: Array<Object>, maxDistance: number=Number.POSITIVE_INFINITY): Object
+   {
+     const len: number = Math.sqrt(dx*dx + dy*dy);
+     if (len == 0 || !boxes) {
+       return null;
+     }
+
+     const ux: number = dx/len;
+     const uy: number = dy/len;
+     const n: number  = boxes.length;
+     let best: number = -1;
+     let dist: number = maxDistance;
+     let nx: number   = 0;
+     let ny: number   = 0;
+     let hit: Object;
+     let i: number;
+
+     for (i = 0; i < n; ++i)
+     {
+       hit = this.__box(x0, y0, ux, uy, boxes[i]);
+
+       if (hit != null && hit['t'] <= dist && (best == -1 || hit['t'] < dist))
+       {
+         best = i;
+         dist = hit['t'];
+         nx   = hit['nx'];
+         ny   = hit['ny'];
+       }
+     }
+
+     return best == -1 ? null : this.__hit(best, x0 + dist*ux, y0 + dist*uy, dist, nx, ny);
+   }
+
+  /**
+   * Cast a ray against a collection of circles
+   *
+   * @param x0: number x-coordinate of ray origin
+   *
+   * @param y0: number y-coordinate of ray origin
+   *
+   * @param dx: number x-component of ray direction
+   *
+   * @param dy: number y-component of ray direction
+   *
+   * @param circles: Array<Object> Circles, each with center, 'x' and 'y', and radius, 'r', properties
+   *
+   * @param maxDistance: number Hits farther than this distance from the origin are ignored
+   * @default Number.POSITIVE_INFINITY
+   *
+   * @return Object Nearest hit (see class description), or null if no circle is hit or the direction is zero.  The normal is the
+   * outward radial direction at the hit point.  A ray that is tangent to a circle (to within the same tolerance as
+   * TSMT$GeomUtils.rayCircleIntersection()) hits it.
+   */
+   public castCircles(x0: number, y0: number, dx: number, dy: number, circles: Array<Object>, maxDistance: number=Number.POSITIVE_INFINITY): Object
+   {
+     const len: number = Math.sqrt(dx*dx + dy*dy);
+     if (len == 0 || !circles) {
+       return null;
+     }
+
+     const ux: number = dx/len;
+     const uy: number = dy/len;
+     const n: number  = circles.length;
+     let best: number = -1;
+     let dist: number = maxDistance;
+     let t: number;
+     let i: number;
+
+     for (i = 0; i < n; ++i)
+     {
+       t = this.__circle(x0, y0, ux, uy, circles[i]['x'], circles[i]['y'], circles[i]['r']);
+
+       if (t >= 0 && t <= dist && (best == -1 || t < dist))
+       {
+         best = i;
+         dist = t;
+       }
+     }
+
+     if (best == -1) {
+       return null;
+     }
+
+     const x: number = x0 + dist*ux;
+     const y: number = y0 + dist*uy;
+
+     if (dist == 0) {
+       return this.__hit(best, x, y, 0, -ux, -uy);
+     }
+
+     // hit point is on the circle, so the radial vector has (to roundoff) length r
+     const ex: number = x - circles[best]['x'];
+     const ey: number = y - circles[best]['y'];
+     const el: number = Math.sqrt(ex*ex + ey*ey);
+
+     return this.__hit(best, x, y, dist, ex/el, ey/el);
+   }
+
+  /**
+   * Cast a ray against a collection of polygons
+   *
+   * @param x0: number x-coordinate of ray origin
+   *
+   * @param y0: number y-coordinate of ray origin
+   *
+   * @param dx: number x-component of ray direction
+   *
+   * @param dy: number y-component of ray direction
+   *
+   * @param polygons: Array<Array<number>> Polygons, each a flat array of vertex coordinates, [x0, y0, x1, y1, ... ]
+   *
+   * @param maxDistance: number Hits farther than this distance from the origin are ignored
+   * @default Number.POSITIVE_INFINITY
+   *
+   * @return Object Nearest hit (see class description), or null if no polygon is hit or the direction is zero.  An additional 'edge'
+   * property contains the index of the edge that was hit (edge i runs from vertex i to vertex i+1), or -1 if the origin is inside the
+   * polygon.  Polygons may be in either orientation; inside is decided by TSMT$PolygonUtils.pointInPolygon() with the even-odd rule.
+   */
+   public castPolygons(x0: number, y0: number, dx: number, dy: number, polygons: Array<Array<number>>, maxDistance: number=Number.POSITIVE_INFINITY): Object
+   {
+     const len: number = Math.sqrt(dx*dx + dy*dy);
+     if (len == 0 || !polygons) {
+       return null;
+     }
+
+     const ux: number = dx/len;
+     const uy: number = dy/len;
+     const n: number  = polygons.length;
+     let best: number = -1;
+     let edge: number = -1;
+     let dist: number = maxDistance;
+     let coords: Array<number>;
+     let m: number;
+     let t: number;
+     let i: number;
+     let j: number;
+     let j1: number;
+
+     for (i = 0; i < n; ++i)
+     {
+       coords = polygons[i];
+       m      = Math.floor(coords.length/2);
+
+       if (m < 3) {
+         continue;
+       }
+
+       if (this._polygonUtils.pointInPolygon(x0, y0, coords) != PolygonLocEnum.OUTSIDE)
+       {
+         // nothing can be nearer than the origin
+         if (best == -1 || dist > 0)
+         {
+           best = i;
+           edge = -1;
+           dist = 0;
+         }
+
+         continue;
+       }
+
+       for (j = 0; j < m; ++j)
+       {
+         j1 = j == m-1 ? 0 : j+1;
+         t  = this.__segment(x0, y0, ux, uy, coords[2*j], coords[2*j+1], coords[2*j1], coords[2*j1+1]);
+
+         if (t >= 0 && t <= dist && (best == -1 || t < dist))
+         {
+           best = i;
+           edge = j;
+           dist = t;
+         }
+       }
+     }
+
+     if (best == -1) {
+       return null;
+     }
+
+     let hit: Object;
+
+     if (edge == -1)
+     {
+       hit = this.__hit(best, x0, y0, 0, -ux, -uy);
+     }
+     else
+     {
+       coords = polygons[best];
+       j1     = edge == Math.floor(coords.length/2)-1 ? 0 : edge+1;
+       hit    = this.__edgeHit(best, x0, y0, ux, uy, dist, coords[2*edge], coords[2*edge+1], coords[2*j1], coords[2*j1+1]);
+     }
+
+     hit['edge'] = edge;
+
+     return hit;
+   }
+
+  /**
+   * Distance along the ray (unit direction) to the nearest point of a segment, or -1 if the ray misses the segment
+   *
+   * @private
+   */
+   protected __segment(x0: number, y0: number, ux: number, uy: number, ax: number, ay: number, bx: number, by: number): number
+   {
+     const ex: number    = bx - ax;
+     const ey: number    = by - ay;
+     const wx: number    = ax - x0;
+     const wy: number    = ay - y0;
+     const el: number    = Math.sqrt(ex*ex + ey*ey);
+     const denom: number = ux*ey - uy*ex;
+     const off: number   = wx*uy - wy*ux;
+
+     if (Math.abs(denom) <= this.PARALLEL_TOL*el)
+     {
+       // parallel; only a collinear segment can be hit, at its nearest point ahead of the origin
+       if (Math.abs(off) > this.PARALLEL_TOL*Math.max(1, el)) {
+         return -1;
+       }
+
+       const ta: number = wx*ux + wy*uy;
+       const tb: number = (bx - x0)*ux + (by - y0)*uy;
+
+       return Math.max(ta, tb) < 0 ? -1 : Math.max(0, Math.min(ta, tb));
+     }
+
+     const t: number = (wx*ey - wy*ex) / denom;
+     const s: number = off / denom;
+
+     if (s < -this.PARAM_TOL || s > 1 + this.PARAM_TOL || t < -this.PARAM_TOL*Math.max(1, el)) {
+       return -1;
+     }
+
+     return Math.max(0, t);
+   }
+
+  /**
+   * Hit record for a segment at distance t along the ray, with the segment normal facing the ray origin
+   *
+   * @private
+   */
+   protected __edgeHit(index: number, x0: number, y0: number, ux: number, uy: number, t: number, ax: number, ay: number, bx: number, by: number): Object
+   {
+     const ex: number = bx - ax;
+     const ey: number = by - ay;
+     const el: number = Math.sqrt(ex*ex + ey*ey);
+     let nx: number   = -ux;
+     let ny: number   = -uy;
+
+     if (el > 0 && Math.abs(ux*ey - uy*ex) > this.PARALLEL_TOL*el)
+     {
+       nx = ey/el;
+       ny = -ex/el;
+
+       if (nx*ux + ny*uy > 0)
+       {
+         nx = -nx;
+         ny = -ny;
+       }
+     }
+
+     return this.__hit(index, x0 + t*ux, y0 + t*uy, t, nx, ny);
+   }
+
+  /**
+   * Hit record; adding zero to the normal components replaces a negative zero with zero
+   *
+   * @private
+   */
+   protected __hit(index: number, x: number, y: number, distance: number, nx: number, ny: number): Object
+   {
+     return {index: index, x: x, y: y, distance: distance, nx: nx + 0, ny: ny + 0};
+   }
+
+  /**
+   * Distance along the ray (unit direction) to a box and the outward normal of the side that was hit, or null if the ray misses
+   *
+   * @private
+   */
+   protected __box(x0: number, y0: number, ux: number, uy: number, box: Object): Object
+   {
+     const left: number   = +box['left'];
+     const right: number  = +box['right'];
+     const top: number    = +box['top'];
+     const bottom: number = +box['bottom'];
+     const minX: number   = Math.min(left, right);
+     const maxX: number   = Math.max(left, right);
+     const minY: number   = Math.min(top, bottom);
+     const maxY: number   = Math.max(top, bottom);
+
+     if (x0 >= minX && x0 <= maxX && y0 >= minY && y0 <= maxY) {
+       return {t: 0, nx: -ux, ny: -uy};
+     }
+
+     // slab test; the entry parameter along each axis determines the side that was hit
+     let tmin: number = Number.NEGATIVE_INFINITY;
+     let tmax: number = Number.POSITIVE_INFINITY;
+     let nx: number   = 0;
+     let ny: number   = 0;
+     let t1: number;
+     let t2: number;
+
+     if (ux == 0)
+     {
+       if (x0 < minX || x0 > maxX) {
+         return null;
+       }
+     }
+     else
+     {
+       t1   = ((ux > 0 ? minX : maxX) - x0) / ux;
+       t2   = ((ux > 0 ? maxX : minX) - x0) / ux;
+       tmin = t1;
+       tmax = t2;
+       nx   = ux > 0 ? -1 : 1;
+     }
+
+     if (uy == 0)
+     {
+       if (y0 < minY || y0 > maxY) {
+         return null;
+       }
+     }
+     else
+     {
+       t1 = ((uy > 0 ? minY : maxY) - y0) / uy;
+       t2 = ((uy > 0 ? maxY : minY) - y0) / uy;
+
+       if (t1 > tmin)
+       {
+         tmin = t1;
+         nx   = 0;
+         ny   = uy > 0 ? -1 : 1;
+       }
+
+       tmax = Math.min(tmax, t2);
+     }
+
+     if (tmin > tmax || tmin < 0) {
+       return null;
+     }
+
+     return {t: tmin, nx: nx, ny: ny};
+   }
+
+  /**
+   * Distance along the ray (unit direction) to a circle, or -1 if the ray misses the circle
+   *
+   * @private
+   */
+   protected __circle(x0: number, y0: number, ux: number, uy: number, cx: number, cy: number, r: number): number
+   {
+     const wx: number = x0 - cx;
+     const wy: number = y0 - cy;
+
+     if (wx*wx + wy*wy <= r*r) {
+       return 0;
+     }
+
+     const points: Array<Object> = this._geomUtils.rayCircleIntersection(x0, y0, ux, uy, cx, cy, r);
+     if (points.length == 0) {
+       return -1;
+     }
+
+     const px: number = points[0]['x'] - x0;
+     const py: number = points[0]['y'] - y0;
+
+     return Math.sqrt(px*px + py*py);
+   }
+}
@@ -0,0 +1,432 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+/**
+ * Typescript Math Toolkit: Report all intersecting pairs in a collection of line segments with a Bentley-Ottmann sweep.
+ * Segments are described by a flat array of raw coordinate values, [x1, y1, x2, y2, ... ], four values per segment.
+ * The sweep line moves left to right (ties broken bottom to top), so a vertical segment is processed from its lower
+ * to upper endpoint.  All segments passing through an event point are handled as a group, which takes care of shared
+ * endpoints, T-junctions, and any number of segments crossing at a common point.  Collinear overlaps are detected when
+ * the later segment enters the sweep.  Events are queued in a binary heap, O(log n) each, but the sweep status is a
+ * sorted array whose insertions and removals are linear in the number of active segments, m.  The algorithm is
+ * therefore O((n+k)(m + log n)) for n segments and k intersecting pairs, O((n+k) n) in the worst case, and close to
+ * O((n+k) log n) only when few segments cross the sweep line at any one time.
+ *
+ * Note that this class is intended for performance-critical environments, so error checking is at a minimum.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+var GeomUtils_1 = require('./GeomUtils');
+var GeomUtils_2 = require('./GeomUtils');
+// sweep event - all segments starting and ending at the same point share a single event
+var SweepEvent = (function () {
+    function SweepEvent(x, y) {
+        this.x = x;
+        this.y = y;
+        this.starts = new Array();
+        this.ends = new Array();
+    }
+    return SweepEvent;
+}());
+var TSMT$SegmentSweep = (function () {
+    /**
+     * Construct a new TSMT$SegmentSweep instance
+     *
+     * @param options: Object Optional tolerances used to classify intersections, in the same form as the TSMT$GeomUtils constructor options
+     * @default null
+     *
+     * @return nothing
+     */
+    function TSMT$SegmentSweep(options) {
+        if (options === void 0) { options = null; }
+        this.ZERO_TOL = 0.00000001; // relative tolerance for parallel segments and points on the sweep line
+        this._x1 = new Array();
+        this._y1 = new Array();
+        this._x2 = new Array();
+        this._y2 = new Array();
+        this._segments = new Array();
+        this._queue = new Array();
+        this._pending = {};
+        this._status = new Array();
+        this._reported = {};
+        this._result = new Array();
+        this._tol = this.ZERO_TOL;
+        this._geomUtils = new GeomUtils_1.TSMT$GeomUtils(options);
+    }
+    /**
+     * Find all intersecting pairs in a collection of line segments
+     *
+     * @param segments: Array<number> Flat array of segment coordinates, [x1, y1, x2, y2, ... ] for each segment
+     *
+     * @return Array<Object> One Object for each pair of intersecting segments with properties 'i' and 'j' (segment indices with
+     * i < j) along with all the properties returned by TSMT$GeomUtils.segmentIntersection() for segments i and j, in their input
+     * direction.  In particular, 'type' is IntersectEnum.POINT, IntersectEnum.ENDPOINT, or IntersectEnum.OVERLAP, 'x' and 'y' are
+     * the intersection point, and 't' and 'u' are the parameters of that point along segments i and j.  For a collinear overlap,
+     * ('x2','y2') is the other endpoint of the overlapping sub-segment.  Pairs are reported in sweep order.
+     */
+    TSMT$SegmentSweep.prototype.intersections = function (segments) {
+        this.__init(segments);
+        var event;
+        while (this._queue.length > 0) {
+            event = this.__pop();
+            delete this._pending[event.x + ',' + event.y];
+            this.__process(event);
+        }
+        return this._result;
+    };
+    /**
+     * Initialize segment data and event queue
+     *
+     * @private
+     */
+    TSMT$SegmentSweep.prototype.__init = function (segments) {
+        var n = Math.floor(segments.length / 4);
+        var i;
+        var x1;
+        var y1;
+        var x2;
+        var y2;
+        var extent = 1;
+        this._x1 = new Array(n);
+        this._y1 = new Array(n);
+        this._x2 = new Array(n);
+        this._y2 = new Array(n);
+        this._segments = segments;
+        this._queue = new Array();
+        this._pending = {};
+        this._status = new Array();
+        this._reported = {};
+        this._result = new Array();
+        for (i = 0; i < n; ++i) {
+            x1 = segments[4 * i];
+            y1 = segments[4 * i + 1];
+            x2 = segments[4 * i + 2];
+            y2 = segments[4 * i + 3];
+            if (x2 < x1 || (x2 == x1 && y2 < y1)) {
+                this._x1[i] = x2;
+                this._y1[i] = y2;
+                this._x2[i] = x1;
+                this._y2[i] = y1;
+            }
+            else {
+                this._x1[i] = x1;
+                this._y1[i] = y1;
+                this._x2[i] = x2;
+                this._y2[i] = y2;
+            }
+            this.__event(this._x1[i], this._y1[i]).starts.push(i);
+            this.__event(this._x2[i], this._y2[i]).ends.push(i);
+            extent = Math.max(extent, Math.abs(x1), Math.abs(y1), Math.abs(x2), Math.abs(y2));
+        }
+        // tolerance for a point on the sweep line scales with the coordinate data
+        this._tol = this.ZERO_TOL * extent;
+    };
+    /**
+     * Process all segments starting, ending, or passing through an event point
+     *
+     * @private
+     */
+    TSMT$SegmentSweep.prototype.__process = function (event) {
+        var status = this._status;
+        var x = event.x;
+        var y = event.y;
+        var tol = this._tol;
+        var i;
+        var j;
+        var s;
+        // segments in the status that pass through the event point form a contiguous block
+        var lo = this.__search(x, y - tol);
+        var hi = lo;
+        while (lo > 0 && this.__yAt(status[lo - 1], x, y) >= y - tol) {
+            lo--;
+        }
+        while (hi < status.length && this.__yAt(status[hi], x, y) <= y + tol) {
+            hi++;
+        }
+        // every pair of segments through the event point intersects at that point
+        var block = status.slice(lo, hi).concat(event.starts);
+        var count = block.length;
+        for (i = 0; i < count; ++i) {
+            for (j = i + 1; j < count; ++j) {
+                this.__report(block[i], block[j]);
+            }
+        }
+        // remove the block, along with any ending segment that was (numerically) misplaced in the status
+        status.splice(lo, hi - lo);
+        for (i = 0; i < event.ends.length; ++i) {
+            s = status.indexOf(event.ends[i]);
+            if (s != -1) {
+                status.splice(s, 1);
+                if (s < lo) {
+                    lo--;
+                }
+            }
+        }
+        // re-insert the segments that continue past the event point, ordered as they leave that point
+        var insert = new Array();
+        for (i = 0; i < count; ++i) {
+            if (event.ends.indexOf(block[i]) == -1) {
+                insert.push(block[i]);
+            }
+        }
+        var __this = this;
+        insert.sort(function (a, b) {
+            var sa = __this.__slope(a);
+            var sb = __this.__slope(b);
+            return sa == sb ? a - b : (sa < sb ? -1 : 1);
+        });
+        for (i = 0; i < insert.length; ++i) {
+            status.splice(lo + i, 0, insert[i]);
+        }
+        // test newly adjacent segments for intersections ahead of the sweep
+        if (insert.length == 0) {
+            if (lo > 0 && lo < status.length) {
+                this.__schedule(status[lo - 1], status[lo], x, y);
+            }
+        }
+        else {
+            if (lo > 0) {
+                this.__schedule(status[lo - 1], status[lo], x, y);
+            }
+            hi = lo + insert.length;
+            if (hi < status.length) {
+                this.__schedule(status[hi - 1], status[hi], x, y);
+            }
+        }
+    };
+    /**
+     * Schedule an event for the intersection of two segments if that intersection is ahead of the sweep position (x,y)
+     *
+     * @private
+     */
+    TSMT$SegmentSweep.prototype.__schedule = function (a, b, x, y) {
+        var px = this._x1[a];
+        var py = this._y1[a];
+        var rx = this._x2[a] - px;
+        var ry = this._y2[a] - py;
+        var qx = this._x1[b];
+        var qy = this._y1[b];
+        var sx = this._x2[b] - qx;
+        var sy = this._y2[b] - qy;
+        var tx = qx - px;
+        var ty = qy - py;
+        var den = rx * sy - ry * sx;
+        // parallel or collinear segments are handled when the second segment enters the sweep
+        if (Math.abs(den) <= this.ZERO_TOL * Math.sqrt((rx * rx + ry * ry) * (sx * sx + sy * sy))) {
+            return;
+        }
+        var t = (tx * sy - ty * sx) / den;
+        var u = (tx * ry - ty * rx) / den;
+        var eps = this.ZERO_TOL;
+        if (t < -eps || t > 1 + eps || u < -eps || u > 1 + eps) {
+            return;
+        }
+        // snap to an endpoint so that the event merges with the existing endpoint event
+        var ix;
+        var iy;
+        if (t <= eps) {
+            ix = px;
+            iy = py;
+        }
+        else if (t >= 1 - eps) {
+            ix = this._x2[a];
+            iy = this._y2[a];
+        }
+        else if (u <= eps) {
+            ix = qx;
+            iy = qy;
+        }
+        else if (u >= 1 - eps) {
+            ix = this._x2[b];
+            iy = this._y2[b];
+        }
+        else {
+            ix = px + t * rx;
+            iy = py + t * ry;
+        }
+        if (ix > x || (ix == x && iy > y)) {
+            this.__event(ix, iy);
+        }
+    };
+    /**
+     * Report the intersection of two segments known to pass through a common event point, provided the pair has not already
+     * been reported
+     *
+     * @private
+     */
+    TSMT$SegmentSweep.prototype.__report = function (a, b) {
+        var i = Math.min(a, b);
+        var j = Math.max(a, b);
+        var key = i + ',' + j;
+        if (this._reported[key]) {
+            return;
+        }
+        var result = this.__intersect(i, j);
+        if (result != null) {
+            this._reported[key] = true;
+            this._result.push(result);
+        }
+    };
+    /**
+     * Compute intersection details for two segments in their input direction (null if they do not intersect)
+     *
+     * @private
+     */
+    TSMT$SegmentSweep.prototype.__intersect = function (i, j) {
+        var segments = this._segments;
+        var result = this._geomUtils.segmentIntersection(segments[4 * i], segments[4 * i + 1], segments[4 * i + 2], segments[4 * i + 3], segments[4 * j], segments[4 * j + 1], segments[4 * j + 2], segments[4 * j + 3]);
+        if (result['type'] == GeomUtils_2.IntersectEnum.NONE) {
+            return null;
+        }
+        result['i'] = i;
+        result['j'] = j;
+        return result;
+    };
+    /**
+     * y-coordinate of a segment at the sweep position (x,y); a vertical segment is at the sweep y-coordinate, clamped to its extent
+     *
+     * @private
+     */
+    TSMT$SegmentSweep.prototype.__yAt = function (s, x, y) {
+        var x1 = this._x1[s];
+        var x2 = this._x2[s];
+        if (x1 == x2) {
+            return Math.min(this._y2[s], Math.max(this._y1[s], y));
+        }
+        if (x == x1) {
+            return this._y1[s];
+        }
+        if (x == x2) {
+            return this._y2[s];
+        }
+        return this._y1[s] + (x - x1) * (this._y2[s] - this._y1[s]) / (x2 - x1);
+    };
+    /**
+     * Slope of a segment; vertical (and zero-length) segments are ordered above all others leaving a common point
+     *
+     * @private
+     */
+    TSMT$SegmentSweep.prototype.__slope = function (s) {
+        var dx = this._x2[s] - this._x1[s];
+        return dx == 0 ? Number.POSITIVE_INFINITY : (this._y2[s] - this._y1[s]) / dx;
+    };
+    /**
+     * Index of the first segment in the status at or above the y-coordinate, y, at sweep position x
+     *
+     * @private
+     */
+    TSMT$SegmentSweep.prototype.__search = function (x, y) {
+        var lo = 0;
+        var hi = this._status.length;
+        var mid;
+        while (lo < hi) {
+            mid = (lo + hi) >> 1;
+            if (this.__yAt(this._status[mid], x, y) < y) {
+                lo = mid + 1;
+            }
+            else {
+                hi = mid;
+            }
+        }
+        return lo;
+    };
+    /**
+     * Access the event at a point, creating and queueing it if necessary
+     *
+     * @private
+     */
+    TSMT$SegmentSweep.prototype.__event = function (x, y) {
+        var key = x + ',' + y;
+        var event = this._pending[key];
+        if (event === undefined) {
+            event = new SweepEvent(x, y);
+            this._pending[key] = event;
+            this.__push(event);
+        }
+        return event;
+    };
+    /**
+     * Is event a before event b in sweep order?
+     *
+     * @private
+     */
+    TSMT$SegmentSweep.prototype.__before = function (a, b) {
+        return a.x < b.x || (a.x == b.x && a.y < b.y);
+    };
+    /**
+     * Add an event to the queue
+     *
+     * @private
+     */
+    TSMT$SegmentSweep.prototype.__push = function (event) {
+        var queue = this._queue;
+        var i = queue.length;
+        var parent;
+        queue.push(event);
+        while (i > 0) {
+            parent = (i - 1) >> 1;
+            if (!this.__before(queue[i], queue[parent])) {
+                break;
+            }
+            queue[i] = queue[parent];
+            queue[parent] = event;
+            i = parent;
+        }
+    };
+    /**
+     * Remove and return the next event from the queue
+     *
+     * @private
+     */
+    TSMT$SegmentSweep.prototype.__pop = function () {
+        var queue = this._queue;
+        var top = queue[0];
+        var last = queue.pop();
+        var n = queue.length;
+        if (n == 0) {
+            return top;
+        }
+        queue[0] = last;
+        var i = 0;
+        var left;
+        var right;
+        var smallest;
+        var tmp;
+        while (true) {
+            left = 2 * i + 1;
+            right = left + 1;
+            smallest = i;
+            if (left < n && this.__before(queue[left], queue[smallest])) {
+                smallest = left;
+            }
+            if (right < n && this.__before(queue[right], queue[smallest])) {
+                smallest = right;
+            }
+            if (smallest == i) {
+                break;
+            }
+            tmp = queue[i];
+            queue[i] = queue[smallest];
+            queue[smallest] = tmp;
+            i = smallest;
+        }
+        return top;
+    };
+    return TSMT$SegmentSweep;
+}());
+exports.TSMT$SegmentSweep = TSMT$SegmentSweep;
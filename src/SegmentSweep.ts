@@ -0,0 +1,575 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Typescript Math Toolkit: Report all intersecting pairs in a collection of line segments with a Bentley-Ottmann sweep.
+ * Segments are described by a flat array of raw coordinate values, [x1, y1, x2, y2, ... ], four values per segment.
+ * The sweep line moves left to right (ties broken bottom to top), so a vertical segment is processed from its lower
+ * to upper endpoint.  All segments passing through an event point are handled as a group, which takes care of shared
+ * endpoints, T-junctions, and any number of segments crossing at a common point.  Collinear overlaps are detected when
+ * the later segment enters the sweep.  Events are queued in a binary heap, O(log n) each, but the sweep status is a
+ * sorted array whose insertions and removals are linear in the number of active segments, m.  The algorithm is
+ * therefore O((n+k)(m + log n)) for n segments and k intersecting pairs, O((n+k) n) in the worst case, and close to
+ * O((n+k) log n) only when few segments cross the sweep line at any one time.
+ *
+ * Note that this class is intended for performance-critical environments, so error checking is at a minimum.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+import {TSMT$GeomUtils} from './GeomUtils';
+import {IntersectEnum } from './GeomUtils';
+
+ // sweep event - all segments starting and ending at the same point share a single event
+ class SweepEvent
+ {
+   public x: number;
+   public y: number;
+   public starts: Array<number>;
+   public ends: Array<number>;
+
+   constructor(x: number, y: number)
+   {
+     this.x      = x;
+     this.y      = y;
+     this.starts = new Array<number>();
+     this.ends   = new Array<number>();
+   }
+ }
+
+export class TSMT$SegmentSweep
+{
+  protected ZERO_TOL: number = 0.00000001;     // relative tolerance for parallel segments and points on the sweep line
+
+  // segment endpoints, ordered left-to-right (then bottom-to-top)
+  protected _x1: Array<number>;
+  protected _y1: Array<number>;
+  protected _x2: Array<number>;
+  protected _y2: Array<number>;
+
+  // original segment data, since reported parameters are relative to input direction
+  protected _segments: Array<number>;
+
+  // event queue (binary heap) and lookup of pending events by coordinate
+  protected _queue: Array<SweepEvent>;
+  protected _pending: Object;
+
+  // sweep status - segment indices ordered bottom-to-top at the current sweep position
+  protected _status: Array<number>;
+
+  // intersections and pairs already reported
+  protected _reported: Object;
+  protected _result: Array<Object>;
+
+  protected _tol: number;
+
+  protected _geomUtils: TSMT$GeomUtils;
+
+  /**
+   * Construct a new TSMT$SegmentSweep instance
+   *
+   * @param options: Object Optional tolerances used to classify intersections, in the same form as the TSMT$GeomUtils constructor options
+   * @default null
+   *
+   * @return nothing
+   */
+  constructor(options: Object=null)
+  {
+    this._x1       = new Array<number>();
+    this._y1       = new Array<number>();
+    this._x2       = new Array<number>();
+    this._y2       = new Array<number>();
+    this._segments = new Array<number>();
+    this._queue    = new Array<SweepEvent>();
+    this._pending  = {};
+    this._status   = new Array<number>();
+    this._reported = {};
+    this._result   = new Array<Object>();
+    this._tol      = this.ZERO_TOL;
+
+    this._geomUtils = new TSMT$GeomUtils(options);
+  }
+
+  /**
+   * Find all intersecting pairs in a collection of line segments
+   *
+   * @param segments: Array<number> Flat array of segment coordinates, [x1, y1, x2, y2, ... ] for each segment
+   *
+   * @return Array<Object> One Object for each pair of intersecting segments with properties 'i' and 'j' (segment indices with
+   * i < j) along with all the properties returned by TSMT$GeomUtils.segmentIntersection() for segments i and j, in their input
+   * direction.  In particular, 'type' is IntersectEnum.POINT, IntersectEnum.ENDPOINT, or IntersectEnum.OVERLAP, 'x' and 'y' are
+   * the intersection point, and 't' and 'u' are the parameters of that point along segments i and j.  For a collinear overlap,
+   * ('x2','y2') is the other endpoint of the overlapping sub-segment.  Pairs are reported in sweep order.
+   */
+   public intersections(segments: Array<number>): Array<Object>
+   {
+     this.__init(segments);
+
+     let event: SweepEvent;
+
+     while (this._queue.length > 0)
+     {
+       event = this.__pop();
+       delete this._pending[event.x + ',' + event.y];
+
+       this.__process(event);
+     }
+
+     return this._result;
+   }
+
+  /**
+   * Initialize segment data and event queue
+   *
+   * @private
+   */
+   protected __init(segments: Array<number>): void
+   {
+     const n: number = Math.floor(segments.length/4);
+     let i: number;
+     let x1: number;
+     let y1: number;
+     let x2: number;
+     let y2: number;
+     let extent: number = 1;
+
+     this._x1       = new Array<number>(n);
+     this._y1       = new Array<number>(n);
+     this._x2       = new Array<number>(n);
+     this._y2       = new Array<number>(n);
+     this._segments = segments;
+     this._queue    = new Array<SweepEvent>();
+     this._pending  = {};
+     this._status   = new Array<number>();
+     this._reported = {};
+     this._result   = new Array<Object>();
+
+     for (i = 0; i < n; ++i)
+     {
+       x1 = segments[4*i];
+       y1 = segments[4*i+1];
+       x2 = segments[4*i+2];
+       y2 = segments[4*i+3];
+
+       if (x2 < x1 || (x2 == x1 && y2 < y1))
+       {
+         this._x1[i] = x2;
+         this._y1[i] = y2;
+         this._x2[i] = x1;
+         this._y2[i] = y1;
+       }
+       else
+       {
+         this._x1[i] = x1;
+         this._y1[i] = y1;
+         this._x2[i] = x2;
+         this._y2[i] = y2;
+       }
+
+       this.__event(this._x1[i], this._y1[i]).starts.push(i);
+       this.__event(this._x2[i], this._y2[i]).ends.push(i);
+
+       extent = Math.max(extent, Math.abs(x1), Math.abs(y1), Math.abs(x2), Math.abs(y2));
+     }
+
+     // tolerance for a point on the sweep line scales with the coordinate data
+     this._tol = this.ZERO_TOL*extent;
+   }
+
+  /**
+   * Process all segments starting, ending, or passing through an event point
+   *
+   * @private
+   */
+   protected __process(event: SweepEvent): void
+   {
+     const status: Array<number> = this._status;
+     const x: number             = event.x;
+     const y: number             = event.y;
+     const tol: number           = this._tol;
+     let i: number;
+     let j: number;
+     let s: number;
+
+     // segments in the status that pass through the event point form a contiguous block
+     let lo: number = this.__search(x, y - tol);
+     let hi: number = lo;
+
+     while (lo > 0 && this.__yAt(status[lo-1], x, y) >= y - tol) {
+       lo--;
+     }
+
+     while (hi < status.length && this.__yAt(status[hi], x, y) <= y + tol) {
+       hi++;
+     }
+
+     // every pair of segments through the event point intersects at that point
+     const block: Array<number> = status.slice(lo, hi).concat(event.starts);
+     const count: number         = block.length;
+
+     for (i = 0; i < count; ++i)
+     {
+       for (j = i+1; j < count; ++j) {
+         this.__report(block[i], block[j]);
+       }
+     }
+
+     // remove the block, along with any ending segment that was (numerically) misplaced in the status
+     status.splice(lo, hi-lo);
+
+     for (i = 0; i < event.ends.length; ++i)
+     {
+       s = status.indexOf(event.ends[i]);
+       if (s != -1)
+       {
+         status.splice(s, 1);
+         if (s < lo) {
+           lo--;
+         }
+       }
+     }
+
+     // re-insert the segments that continue past the event point, ordered as they leave that point
+     const insert: Array<number> = new Array<number>();
+     for (i = 0; i < count; ++i)
+     {
+       if (event.ends.indexOf(block[i]) == -1) {
+         insert.push(block[i]);
+       }
+     }
+
+     const __this: TSMT$SegmentSweep = this;
+     insert.sort
+     (
+       function(a: number, b: number): number
+       {
+         const sa: number = __this.__slope(a);
+         const sb: number = __this.__slope(b);
+
+         return sa == sb ? a - b : (sa < sb ? -1 : 1);
+       }
+     );
+
+     for (i = 0; i < insert.length; ++i) {
+       status.splice(lo+i, 0, insert[i]);
+     }
+
+     // test newly adjacent segments for intersections ahead of the sweep
+     if (insert.length == 0)
+     {
+       if (lo > 0 && lo < status.length) {
+         this.__schedule(status[lo-1], status[lo], x, y);
+       }
+     }
+     else
+     {
+       if (lo > 0) {
+         this.__schedule(status[lo-1], status[lo], x, y);
+       }
+
+       hi = lo + insert.length;
+       if (hi < status.length) {
+         this.__schedule(status[hi-1], status[hi], x, y);
+       }
+     }
+   }
+
+  /**
+   * Schedule an event for the intersection of two segments if that intersection is ahead of the sweep position (x,y)
+   *
+   * @private
+   */
+   protected __schedule(a: number, b: number, x: number, y: number): void
+   {
+     const px: number = this._x1[a];
+     const py: number = this._y1[a];
+     const rx: number = this._x2[a] - px;
+     const ry: number = this._y2[a] - py;
+     const qx: number = this._x1[b];
+     const qy: number = this._y1[b];
+     const sx: number = this._x2[b] - qx;
+     const sy: number = this._y2[b] - qy;
+     const tx: number = qx - px;
+     const ty: number = qy - py;
+
+     const den: number = rx*sy - ry*sx;
+
+     // parallel or collinear segments are handled when the second segment enters the sweep
+     if (Math.abs(den) <= this.ZERO_TOL*Math.sqrt( (rx*rx + ry*ry)*(sx*sx + sy*sy) )) {
+       return;
+     }
+
+     const t: number = (tx*sy - ty*sx) / den;
+     const u: number = (tx*ry - ty*rx) / den;
+     const eps: number = this.ZERO_TOL;
+
+     if (t < -eps || t > 1+eps || u < -eps || u > 1+eps) {
+       return;
+     }
+
+     // snap to an endpoint so that the event merges with the existing endpoint event
+     let ix: number;
+     let iy: number;
+
+     if (t <= eps)
+     {
+       ix = px;
+       iy = py;
+     }
+     else if (t >= 1-eps)
+     {
+       ix = this._x2[a];
+       iy = this._y2[a];
+     }
+     else if (u <= eps)
+     {
+       ix = qx;
+       iy = qy;
+     }
+     else if (u >= 1-eps)
+     {
+       ix = this._x2[b];
+       iy = this._y2[b];
+     }
+     else
+     {
+       ix = px + t*rx;
+       iy = py + t*ry;
+     }
+
+     if (ix > x || (ix == x && iy > y)) {
+       this.__event(ix, iy);
+     }
+   }
+
+  /**
+   * Report the intersection of two segments known to pass through a common event point, provided the pair has not already
+   * been reported
+   *
+   * @private
+   */
+   protected __report(a: number, b: number): void
+   {
+     const i: number   = Math.min(a, b);
+     const j: number   = Math.max(a, b);
+     const key: string = i + ',' + j;
+
+     if (this._reported[key]) {
+       return;
+     }
+
+     const result: Object = this.__intersect(i, j);
+     if (result != null)
+     {
+       this._reported[key] = true;
+       this._result.push(result);
+     }
+   }
+
+  /**
+   * Compute intersection details for two segments in their input direction (null if they do not intersect)
+   *
+   * @private
+   */
+   protected __intersect(i: number, j: number): Object
+   {
+     const segments: Array<number> = this._segments;
+
+     const result: Object = this._geomUtils.segmentIntersection(segments[4*i], segments[4*i+1], segments[4*i+2], segments[4*i+3],
+                                                                segments[4*j], segments[4*j+1], segments[4*j+2], segments[4*j+3]);
+
+     if (result['type'] == IntersectEnum.NONE) {
+       return null;
+     }
+
+     result['i'] = i;
+     result['j'] = j;
+
+     return result;
+   }
+
+  /**
+   * y-coordinate of a segment at the sweep position (x,y); a vertical segment is at the sweep y-coordinate, clamped to its extent
+   *
+   * @private
+   */
+   protected __yAt(s: number, x: number, y: number): number
+   {
+     const x1: number = this._x1[s];
+     const x2: number = this._x2[s];
+
+     if (x1 == x2) {
+       return Math.min( this._y2[s], Math.max(this._y1[s], y) );
+     }
+
+     if (x == x1) {
+       return this._y1[s];
+     }
+
+     if (x == x2) {
+       return this._y2[s];
+     }
+
+     return this._y1[s] + (x - x1)*(this._y2[s] - this._y1[s])/(x2 - x1);
+   }
+
+  /**
+   * Slope of a segment; vertical (and zero-length) segments are ordered above all others leaving a common point
+   *
+   * @private
+   */
+   protected __slope(s: number): number
+   {
+     const dx: number = this._x2[s] - this._x1[s];
+
+     return dx == 0 ? Number.POSITIVE_INFINITY : (this._y2[s] - this._y1[s])/dx;
+   }
+
+  /**
+   * Index of the first segment in the status at or above the y-coordinate, y, at sweep position x
+   *
+   * @private
+   */
+   protected __search(x: number, y: number): number
+   {
+     let lo: number = 0;
+     let hi: number = this._status.length;
+     let mid: number;
+
+     while (lo < hi)
+     {
+       mid = (lo + hi) >> 1;
+
+       if (this.__yAt(this._status[mid], x, y) < y) {
+         lo = mid + 1;
+       }
+       else {
+         hi = mid;
+       }
+     }
+
+     return lo;
+   }
+
+  /**
+   * Access the event at a point, creating and queueing it if necessary
+   *
+   * @private
+   */
+   protected __event(x: number, y: number): SweepEvent
+   {
+     const key: string = x + ',' + y;
+     let event: SweepEvent = this._pending[key];
+
+     if (event === undefined)
+     {
+       event              = new SweepEvent(x, y);
+       this._pending[key] = event;
+
+       this.__push(event);
+     }
+
+     return event;
+   }
+
+  /**
+   * Is event a before event b in sweep order?
+   *
+   * @private
+   */
+   protected __before(a: SweepEvent, b: SweepEvent): boolean
+   {
+     return a.x < b.x || (a.x == b.x && a.y < b.y);
+   }
+
+  /**
+   * Add an event to the queue
+   *
+   * @private
+   */
+   protected __push(event: SweepEvent): void
+   {
+     const queue: Array<SweepEvent> = this._queue;
+     let i: number = queue.length;
+     let parent: number;
+
+     queue.push(event);
+
+     while (i > 0)
+     {
+       parent = (i - 1) >> 1;
+       if (!this.__before(queue[i], queue[parent])) {
+         break;
+       }
+
+       queue[i]      = queue[parent];
+       queue[parent] = event;
+       i             = parent;
+     }
+   }
+
+  /**
+   * Remove and return the next event from the queue
+   *
+   * @private
+   */
+   protected __pop(): SweepEvent
+   {
+     const queue: Array<SweepEvent> = this._queue;
+     const top: SweepEvent          = queue[0];
+     const last: SweepEvent         = queue.pop();
+     const n: number                = queue.length;
+
+     if (n == 0) {
+       return top;
+     }
+
+     queue[0] = last;
+
+     let i: number = 0;
+     let left: number;
+     let right: number;
+     let smallest: number;
+     let tmp: SweepEvent;
+
+     while (true)
+     {
+       left     = 2*i + 1;
+       right    = left + 1;
+       smallest = i;
+
+       if (left < n && this.__before(queue[left], queue[smallest])) {
+         smallest = left;
+       }
+
+       if (right < n && this.__before(queue[right], queue[smallest])) {
+         smallest = right;
+       }
+
+       if (smallest == i) {
+         break;
+       }
+
+       tmp             = queue[i];
+       queue[i]        = queue[smallest];
+       queue[smallest] = tmp;
+       i               = smallest;
+     }
+
+     return top;
+   }
+}
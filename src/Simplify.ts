@@ -0,0 +1,454 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Typescript Math Toolkit: Polyline simplification.  A polyline is described by parallel arrays of x- and y-coordinates and each
+ * method returns the indices of the retained vertices in increasing order.  The first and last vertices are always retained.
+ *
+ * Douglas-Peucker simplification (built on TSMT$GeomUtils.pointToSegmentDistance()) keeps the vertex farthest from the chord of each
+ * span until every removed vertex is within a distance tolerance of the simplified polyline.  Visvalingam-Whyatt simplification (built
+ * on TSMT$GeomUtils.triangleArea()) repeatedly removes the vertex whose triangle with its two neighbors has the smallest area, which
+ * tends to preserve the overall shape better for smooth, noisy paths.  Each algorithm accepts either a tolerance or a target count of
+ * retained vertices.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+import {TSMT$GeomUtils} from './GeomUtils';
+
+export class TSMT$Simplify
+{
+  protected _geomUtils: TSMT$GeomUtils;
+
+  /**
+   * Construct a new TSMT$Simplify instance
+   *
+   * @param options: Object Optional tolerances, in the same form as the TSMT$GeomUtils constructor options
+   * @default null
+   *
+   * @return nothing
+   */
+  constructor(options: Object=null)
+  {
+    this._geomUtils = new TSMT$GeomUtils(options);
+  }
+
+  /**
+   * Simplify a polyline with the Douglas-Peucker algorithm
+   *
+   * @param _xcoord: Array<number> x-coordinates of the polyline vertices
+   *
+   * @param _ycoord: Array<number> y-coordinates of the polyline vertices
+   *
+   * @param tolerance: number Vertices whose distance from the simplified polyline is less than or equal to this value are removed
+   *
+   * @return Array<number> Indices of the retained vertices in increasing order.  The array is empty if the coordinate arrays differ in
+   * length.
+   */
+   public douglasPeucker(_xcoord: Array<number>, _ycoord: Array<number>, tolerance: number): Array<number>
+   {
+     if (!this.__valid(_xcoord, _ycoord)) {
+       return [];
+     }
+
+     const n: number = _xcoord.length;
+     if (n <= 2) {
+       return this.__indices(n);
+     }
+
+     const keep: Array<boolean> = this.__flags(n);
+     const stack: Array<number> = [0, n-1];
+     let first: number;
+     let last: number;
+     let split: Object;
+
+     while (stack.length > 0)
+     {
+       last  = stack.pop();
+       first = stack.pop();
+       split = this.__farthest(_xcoord, _ycoord, first, last);
+
+       if (split['i'] != -1 && split['d'] > tolerance)
+       {
+         keep[split['i']] = true;
+
+         stack.push(first, split['i'], split['i'], last);
+       }
+     }
+
+     return this.__retained(keep);
+   }
+
+  /**
+   * Simplify a polyline to a target number of vertices with the Douglas-Peucker algorithm
+   *
+   * @param _xcoord: Array<number> x-coordinates of the polyline vertices
+   *
+   * @param _ycoord: Array<number> y-coordinates of the polyline vertices
+   *
+   * @param count: number Number of vertices to retain (at least two, the endpoints)
+   *
+   * @return Array<number> Indices of the retained vertices in increasing order.  Spans are refined in order of the distance of their
+   * farthest vertex, so the result for a count is always contained in the result for any larger count.  The array is empty if the
+   * coordinate arrays differ in length.
+   */
+   public douglasPeuckerCount(_xcoord: Array<number>, _ycoord: Array<number>, count: number): Array<number>
+   {
+     if (!this.__valid(_xcoord, _ycoord)) {
+       return [];
+     }
+
+     const n: number = _xcoord.length;
+     if (n <= 2 || count >= n) {
+       return this.__indices(n);
+     }
+
+     const keep: Array<boolean> = this.__flags(n);
+     const heap: Array<Object>  = new Array<Object>();
+     let retained: number       = 2;
+     let span: Object;
+
+     this.__pushSpan(heap, _xcoord, _ycoord, 0, n-1);
+
+     while (retained < count && heap.length > 0)
+     {
+       span = this.__pop(heap);
+
+       keep[span['i']] = true;
+       retained++;
+
+       this.__pushSpan(heap, _xcoord, _ycoord, span['first'], span['i']);
+       this.__pushSpan(heap, _xcoord, _ycoord, span['i'], span['last']);
+     }
+
+     return this.__retained(keep);
+   }
+
+  /**
+   * Simplify a polyline with the Visvalingam-Whyatt algorithm
+   *
+   * @param _xcoord: Array<number> x-coordinates of the polyline vertices
+   *
+   * @param _ycoord: Array<number> y-coordinates of the polyline vertices
+   *
+   * @param tolerance: number Vertices whose effective area is less than or equal to this value are removed
+   *
+   * @return Array<number> Indices of the retained vertices in increasing order.  The effective area of a vertex is the area of the
+   * triangle it forms with its current neighbors, but never less than the effective area of a previously removed vertex.  The array is
+   * empty if the coordinate arrays differ in length.
+   */
+   public visvalingamWhyatt(_xcoord: Array<number>, _ycoord: Array<number>, tolerance: number): Array<number>
+   {
+     if (!this.__valid(_xcoord, _ycoord)) {
+       return [];
+     }
+
+     return this.__visvalingam(_xcoord, _ycoord, tolerance, 2);
+   }
+
+  /**
+   * Simplify a polyline to a target number of vertices with the Visvalingam-Whyatt algorithm
+   *
+   * @param _xcoord: Array<number> x-coordinates of the polyline vertices
+   *
+   * @param _ycoord: Array<number> y-coordinates of the polyline vertices
+   *
+   * @param count: number Number of vertices to retain (at least two, the endpoints)
+   *
+   * @return Array<number> Indices of the retained vertices in increasing order.  Vertices are removed in order of effective area (then
+   * index), so the result for a count is always contained in the result for any larger count.  The array is empty if the coordinate
+   * arrays differ in length.
+   */
+   public visvalingamWhyattCount(_xcoord: Array<number>, _ycoord: Array<number>, count: number): Array<number>
+   {
+     if (!this.__valid(_xcoord, _ycoord)) {
+       return [];
+     }
+
+     return this.__visvalingam(_xcoord, _ycoord, Number.POSITIVE_INFINITY, Math.max(2, count));
+   }
+
+  /**
+   * Remove vertices in order of effective area until the smallest area exceeds the tolerance or only 'count' vertices remain
+   *
+   * @private
+   */
+   protected __visvalingam(_xcoord: Array<number>, _ycoord: Array<number>, tolerance: number, count: number): Array<number>
+   {
+     const n: number = _xcoord.length;
+     if (n <= 2 || count >= n) {
+       return this.__indices(n);
+     }
+
+     const prev: Array<number>     = new Array<number>(n);
+     const next: Array<number>     = new Array<number>(n);
+     const area: Array<number>     = new Array<number>(n);
+     const removed: Array<boolean> = new Array<boolean>(n);
+     const heap: Array<Object>     = new Array<Object>();
+     let remaining: number         = n;
+     let minArea: number           = 0;
+     let vertex: Object;
+     let i: number;
+
+     for (i = 0; i < n; ++i)
+     {
+       prev[i]    = i-1;
+       next[i]    = i+1;
+       removed[i] = false;
+     }
+
+     for (i = 1; i < n-1; ++i)
+     {
+       area[i] = this._geomUtils.triangleArea(_xcoord[i-1], _ycoord[i-1], _xcoord[i], _ycoord[i], _xcoord[i+1], _ycoord[i+1]);
+
+       this.__push(heap, {key: area[i], i: i});
+     }
+
+     while (remaining > count && heap.length > 0)
+     {
+       vertex = this.__pop(heap);
+       i      = vertex['i'];
+
+       // skip entries superseded by an updated area
+       if (removed[i] || vertex['key'] != area[i]) {
+         continue;
+       }
+
+       if (vertex['key'] > tolerance) {
+         break;
+       }
+
+       removed[i]    = true;
+       minArea       = vertex['key'];
+       next[prev[i]] = next[i];
+       prev[next[i]] = prev[i];
+       remaining--;
+
+       this.__updateArea(_xcoord, _ycoord, prev[i], prev, next, area, minArea, heap);
+       this.__updateArea(_xcoord, _ycoord, next[i], prev, next, area, minArea, heap);
+     }
+
+     const keep: Array<boolean> = new Array<boolean>(n);
+     for (i = 0; i < n; ++i) {
+       keep[i] = !removed[i];
+     }
+
+     return this.__retained(keep);
+   }
+
+  /**
+   * Recompute the effective area of an interior vertex after one of its neighbors is removed
+   *
+   * @private
+   */
+   protected __updateArea(_xcoord: Array<number>, _ycoord: Array<number>, i: number, prev: Array<number>, next: Array<number>,
+                          area: Array<number>, minArea: number, heap: Array<Object>): void
+   {
+     if (i == 0 || i == _xcoord.length-1) {
+       return;
+     }
+
+     const p: number = prev[i];
+     const q: number = next[i];
+
+     area[i] = Math.max(minArea, this._geomUtils.triangleArea(_xcoord[p], _ycoord[p], _xcoord[i], _ycoord[i], _xcoord[q], _ycoord[q]));
+
+     this.__push(heap, {key: area[i], i: i});
+   }
+
+  /**
+   * Vertex strictly between 'first' and 'last' that is farthest from the segment between them, as an Object with index, 'i', (-1 if
+   * there is no such vertex) and distance, 'd'
+   *
+   * @private
+   */
+   protected __farthest(_xcoord: Array<number>, _ycoord: Array<number>, first: number, last: number): Object
+   {
+     let index: number = -1;
+     let dist: number  = -1;
+     let d: number;
+     let i: number;
+
+     for (i = first+1; i < last; ++i)
+     {
+       d = this._geomUtils.pointToSegmentDistance(_xcoord[first], _ycoord[first], _xcoord[last], _ycoord[last], _xcoord[i], _ycoord[i]);
+
+       if (d > dist)
+       {
+         index = i;
+         dist  = d;
+       }
+     }
+
+     return {i: index, d: dist};
+   }
+
+  /**
+   * Add a Douglas-Peucker span to the heap, keyed so that the span with the farthest vertex is removed first
+   *
+   * @private
+   */
+   protected __pushSpan(heap: Array<Object>, _xcoord: Array<number>, _ycoord: Array<number>, first: number, last: number): void
+   {
+     const split: Object = this.__farthest(_xcoord, _ycoord, first, last);
+
+     if (split['i'] != -1) {
+       this.__push(heap, {key: -split['d'], i: split['i'], first: first, last: last});
+     }
+   }
+
+  /**
+   * Does entry 'a' precede entry 'b' in the heap (smaller key, then smaller index)?
+   *
+   * @private
+   */
+   protected __precedes(a: Object, b: Object): boolean
+   {
+     return a['key'] < b['key'] || (a['key'] == b['key'] && a['i'] < b['i']);
+   }
+
+  /**
+   * Insert an entry into a binary min-heap
+   *
+   * @private
+   */
+   protected __push(heap: Array<Object>, entry: Object): void
+   {
+     let child: number = heap.length;
+     let parent: number;
+
+     heap.push(entry);
+
+     while (child > 0)
+     {
+       parent = (child - 1) >> 1;
+       if (!this.__precedes(entry, heap[parent])) {
+         break;
+       }
+
+       heap[child] = heap[parent];
+       child       = parent;
+     }
+
+     heap[child] = entry;
+   }
+
+  /**
+   * Remove and return the first entry of a binary min-heap
+   *
+   * @private
+   */
+   protected __pop(heap: Array<Object>): Object
+   {
+     const top: Object  = heap[0];
+     const last: Object = heap.pop();
+     const n: number    = heap.length;
+
+     if (n == 0) {
+       return top;
+     }
+
+     let parent: number = 0;
+     let child: number  = 1;
+
+     while (child < n)
+     {
+       if (child+1 < n && this.__precedes(heap[child+1], heap[child])) {
+         child++;
+       }
+
+       if (!this.__precedes(heap[child], last)) {
+         break;
+       }
+
+       heap[parent] = heap[child];
+       parent       = child;
+       child        = 2*parent + 1;
+     }
+
+     heap[parent] = last;
+
+     return top;
+   }
+
+  /**
+   * Are the coordinate arrays valid input?
+   *
+   * @private
+   */
+   protected __valid(_xcoord: Array<number>, _ycoord: Array<number>): boolean
+   {
+     return _xcoord != null && _xcoord != undefined && _ycoord != null && _ycoord != undefined && _xcoord.length == _ycoord.length;
+   }
+
+  /**
+   * Array of 'n' flags, all false except the first and last
+   *
+   * @private
+   */
+   protected __flags(n: number): Array<boolean>
+   {
+     const flags: Array<boolean> = new Array<boolean>(n);
+     let i: number;
+
+     for (i = 0; i < n; ++i) {
+       flags[i] = false;
+     }
+
+     flags[0]   = true;
+     flags[n-1] = true;
+
+     return flags;
+   }
+
+  /**
+   * Indices 0 through n-1
+   *
+   * @private
+   */
+   protected __indices(n: number): Array<number>
+   {
+     const indices: Array<number> = new Array<number>();
+     let i: number;
+
+     for (i = 0; i < n; ++i) {
+       indices.push(i);
+     }
+
+     return indices;
+   }
+
+  /**
+   * Indices of the retained vertices
+   *
+   * @private
+   */
+   protected __retained(keep: Array<boolean>): Array<number>
+   {
+     const indices: Array<number> = new Array<number>();
+     let i: number;
+
+     for (i = 0; i < keep.length; ++i)
+     {
+       if (keep[i]) {
+         indices.push(i);
+       }
+     }
+
+     return indices;
+   }
+}
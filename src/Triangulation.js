@@ -0,0 +1,451 @@
+/**
+ * Copyright 2016 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+/**
+ * Typescript Math Toolkit: Ear-clipping triangulation of a simple polygon with optional holes.  Polygons are flat arrays of raw
+ * coordinate values, [x0, y0, x1, y1, ... ], as in TSMT$PolygonUtils.  Each hole is joined to the outer boundary with a bridge
+ * edge (from the rightmost hole vertex to a visible boundary vertex), which produces a single, weakly-simple boundary that is
+ * then clipped one ear at a time.
+ *
+ * Triangles are returned as a flat array of vertex-index triples, [i0, i1, i2, j0, j1, j2, ... ], that may be copied directly into
+ * an index buffer.  Indices refer to the outer boundary vertices followed by the vertices of each hole in order, i.e. the same
+ * order as the concatenation of the outer boundary and hole coordinate arrays.
+ *
+ * Note that this class is intended for performance-critical environments, so error checking is at a minimum.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+var GeomUtils_1 = require('./GeomUtils');
+var GeomUtils_2 = require('./GeomUtils');
+var TSMT$Triangulation = (function () {
+    /**
+     * Construct a new TSMT$Triangulation instance
+     *
+     * @param options: Object Optional tolerances, in the same form as the TSMT$GeomUtils constructor options
+     * @default null
+     *
+     * @return nothing
+     */
+    function TSMT$Triangulation(options) {
+        if (options === void 0) { options = null; }
+        this._geomUtils = new GeomUtils_1.TSMT$GeomUtils(options);
+        this._x = new Array();
+        this._y = new Array();
+        this._vertex = new Array();
+        this._prev = new Array();
+        this._next = new Array();
+    }
+    /**
+     * Triangulate a simple polygon with optional holes
+     *
+     * @param coords: Array<number> Flat array of outer boundary coordinates, [x0, y0, x1, y1, ... ], in either CW or CCW order
+     *
+     * @param holes: Array<Array<number>> (optional) Flat coordinate arrays for each hole, in either CW or CCW order.  Holes must lie inside
+     * the outer boundary and must not intersect one another.
+     *
+     * @return Array<number> Flat array of vertex-index triples, one per triangle.  Each triangle is in CCW order in a y-up coordinate system
+     * (CW order in a y-down system), independent of the input orientation.  Numerically zero-area triangles are omitted.  A polygon
+     * with n vertices and h holes produces at most n + 2h - 2 triangles.  The array is empty for fewer than three outer boundary vertices.
+     */
+    TSMT$Triangulation.prototype.triangulate = function (coords, holes) {
+        if (holes === void 0) { holes = null; }
+        var triangles = new Array();
+        this.__clear();
+        var outer = this.__linkedList(coords, true);
+        if (outer == -1) {
+            return triangles;
+        }
+        var start = outer;
+        if (holes != null && holes.length > 0) {
+            start = this.__eliminateHoles(outer, holes);
+        }
+        this.__earClip(start, triangles);
+        this.__clear();
+        return triangles;
+    };
+    /**
+     * Release node storage
+     *
+     * @private
+     */
+    TSMT$Triangulation.prototype.__clear = function () {
+        this._x.length = 0;
+        this._y.length = 0;
+        this._vertex.length = 0;
+        this._prev.length = 0;
+        this._next.length = 0;
+    };
+    /**
+     * Create a circular list of nodes for a boundary, CCW for the outer boundary and CW for a hole; return a node index (-1 if fewer
+     * than three vertices)
+     *
+     * @private
+     */
+    TSMT$Triangulation.prototype.__linkedList = function (coords, ccw) {
+        var n = coords.length / 2;
+        var first = this._x.length;
+        var area = 0;
+        var i;
+        var j;
+        for (i = 0, j = n - 1; i < n; j = i++) {
+            area += coords[2 * j] * coords[2 * i + 1] - coords[2 * i] * coords[2 * j + 1];
+            this._x.push(coords[2 * i]);
+            this._y.push(coords[2 * i + 1]);
+        }
+        if (n < 3) {
+            return -1;
+        }
+        // traverse the input forward if it already has the required orientation
+        var forward = (area > 0) == ccw;
+        var last = -1;
+        var node;
+        for (i = 0; i < n; ++i) {
+            node = this.__insert(first + (forward ? i : n - 1 - i), last);
+            last = node;
+        }
+        return this.__filter(last, -1);
+    };
+    /**
+     * Insert a node for a vertex after the specified node (-1 to start a new list) and return the new node
+     *
+     * @private
+     */
+    TSMT$Triangulation.prototype.__insert = function (vertex, after) {
+        var node = this._vertex.length;
+        this._vertex.push(vertex);
+        if (after == -1) {
+            this._prev.push(node);
+            this._next.push(node);
+        }
+        else {
+            this._prev.push(after);
+            this._next.push(this._next[after]);
+            this._prev[this._next[after]] = node;
+            this._next[after] = node;
+        }
+        return node;
+    };
+    /**
+     * Remove a node from its list
+     *
+     * @private
+     */
+    TSMT$Triangulation.prototype.__remove = function (node) {
+        this._next[this._prev[node]] = this._next[node];
+        this._prev[this._next[node]] = this._prev[node];
+    };
+    /**
+     * Remove duplicate and collinear nodes from the list containing start, optionally stopping at the specified node; return a node
+     * still in the list
+     *
+     * @private
+     */
+    TSMT$Triangulation.prototype.__filter = function (start, end) {
+        if (end == -1) {
+            end = start;
+        }
+        var node = start;
+        var again;
+        do {
+            again = false;
+            if (this.__equals(node, this._next[node]) || this.__orientation(this._prev[node], node, this._next[node]) == GeomUtils_2.DirEnum.ON) {
+                this.__remove(node);
+                node = end = this._prev[node];
+                if (node == this._next[node]) {
+                    break;
+                }
+                again = true;
+                continue;
+            }
+            node = this._next[node];
+        } while (again || node != end);
+        return end;
+    };
+    /**
+     * Join each hole to the outer boundary with a bridge edge, processing holes from right to left; return a node in the merged list
+     *
+     * @private
+     */
+    TSMT$Triangulation.prototype.__eliminateHoles = function (outer, holes) {
+        var rightmost = new Array();
+        var i;
+        var node;
+        var best;
+        for (i = 0; i < holes.length; ++i) {
+            node = this.__linkedList(holes[i], false);
+            if (node == -1) {
+                continue;
+            }
+            // rightmost vertex of the hole (lowest on ties)
+            best = node;
+            node = this._next[best];
+            while (node != best) {
+                if (this.__x(node) > this.__x(best) || (this.__x(node) == this.__x(best) && this.__y(node) < this.__y(best))) {
+                    best = node;
+                }
+                node = this._next[node];
+            }
+            rightmost.push(best);
+        }
+        var x = this._x;
+        var v = this._vertex;
+        rightmost.sort(function (a, b) { return x[v[b]] - x[v[a]]; });
+        for (i = 0; i < rightmost.length; ++i) {
+            outer = this.__eliminateHole(rightmost[i], outer);
+        }
+        return outer;
+    };
+    /**
+     * Bridge a single hole, identified by its rightmost node, to the outer boundary
+     *
+     * @private
+     */
+    TSMT$Triangulation.prototype.__eliminateHole = function (hole, outer) {
+        var bridge = this.__findBridge(hole, outer);
+        if (bridge == -1) {
+            return outer;
+        }
+        var split = this.__split(bridge, hole);
+        // filter collinear points around the cuts
+        this.__filter(split, this._next[split]);
+        return this.__filter(bridge, this._next[bridge]);
+    };
+    /**
+     * Find a node on the outer boundary that is visible from the rightmost node of a hole (David Eberly's method)
+     *
+     * @private
+     */
+    TSMT$Triangulation.prototype.__findBridge = function (hole, outer) {
+        var hx = this.__x(hole);
+        var hy = this.__y(hole);
+        var node = outer;
+        var qx = -Number.MAX_VALUE;
+        var m = -1;
+        var x;
+        var next;
+        // cast a ray from the hole vertex in the +x direction and find the nearest boundary edge (upward, since the boundary is CCW)
+        do {
+            next = this._next[node];
+            if (hy >= this.__y(node) && hy <= this.__y(next) && this.__y(next) != this.__y(node)) {
+                x = this.__x(node) + (hy - this.__y(node)) * (this.__x(next) - this.__x(node)) / (this.__y(next) - this.__y(node));
+                if (x >= hx && (qx == -Number.MAX_VALUE || x < qx)) {
+                    qx = x;
+                    if (x == hx) {
+                        // hole vertex touches the boundary
+                        if (hy == this.__y(node)) {
+                            return node;
+                        }
+                        if (hy == this.__y(next)) {
+                            return next;
+                        }
+                    }
+                    m = this.__x(node) < this.__x(next) ? next : node;
+                }
+            }
+            node = next;
+        } while (node != outer);
+        if (m == -1) {
+            return -1;
+        }
+        if (hx == qx) {
+            return m;
+        }
+        // a reflex vertex inside the triangle (hole vertex, ray intersection, m) may block m; choose the one with minimum angle to the ray
+        var stop = m;
+        var mx = this.__x(m);
+        var my = this.__y(m);
+        var tanMin = Number.MAX_VALUE;
+        var tan;
+        node = m;
+        do {
+            if (hx <= this.__x(node) && this.__x(node) <= mx && node != m &&
+                this.__inTriangle(hy < my ? hx : qx, hy, hy < my ? qx : hx, hy, mx, my, this.__x(node), this.__y(node))) {
+                tan = Math.abs(hy - this.__y(node)) / (this.__x(node) - hx);
+                if (this.__locallyInside(node, hole) && (tan < tanMin || (tan == tanMin && this.__x(node) > this.__x(m)))) {
+                    m = node;
+                    tanMin = tan;
+                }
+            }
+            node = this._next[node];
+        } while (node != stop);
+        return m;
+    };
+    /**
+     * Connect node a on the outer boundary to node b on a hole with a pair of bridge edges, duplicating both nodes; return the copy of b
+     *
+     * @private
+     */
+    TSMT$Triangulation.prototype.__split = function (a, b) {
+        var a2 = this._vertex.length;
+        var b2 = a2 + 1;
+        var an = this._next[a];
+        var bp = this._prev[b];
+        this._vertex.push(this._vertex[a], this._vertex[b]);
+        this._prev.push(b2, bp);
+        this._next.push(an, a2);
+        this._next[a] = b;
+        this._prev[b] = a;
+        this._prev[an] = a2;
+        this._next[bp] = b2;
+        return b2;
+    };
+    /**
+     * Clip ears from the list containing start, appending index triples to the triangle list
+     *
+     * @private
+     */
+    TSMT$Triangulation.prototype.__earClip = function (start, triangles) {
+        var ear = start;
+        var stop = start;
+        var pass = 0;
+        var prev;
+        var next;
+        while (this._prev[ear] != this._next[ear]) {
+            prev = this._prev[ear];
+            next = this._next[ear];
+            if (pass == 2 || this.__isEar(ear)) {
+                this.__emit(prev, ear, next, triangles);
+                this.__remove(ear);
+                // skip the next vertex, which leads to fewer sliver triangles
+                ear = this._next[next];
+                stop = ear;
+                pass = 0;
+                continue;
+            }
+            ear = next;
+            if (ear == stop) {
+                // no ear in a complete pass; first remove degeneracies, then force a clip (only possible for non-simple input)
+                if (pass == 0) {
+                    ear = this.__filter(ear, -1);
+                    stop = ear;
+                    pass = 1;
+                }
+                else {
+                    pass = 2;
+                }
+            }
+        }
+    };
+    /**
+     * Is the node the tip of an ear, i.e. convex and with no other boundary vertex inside the triangle it forms with its neighbors?
+     *
+     * @private
+     */
+    TSMT$Triangulation.prototype.__isEar = function (ear) {
+        var a = this._prev[ear];
+        var c = this._next[ear];
+        var ax = this.__x(a);
+        var ay = this.__y(a);
+        var bx = this.__x(ear);
+        var by = this.__y(ear);
+        var cx = this.__x(c);
+        var cy = this.__y(c);
+        // reflex or degenerate
+        if (this._geomUtils.isClockwise(ax, ay, bx, by, cx, cy)) {
+            return false;
+        }
+        // only a reflex (or collinear) vertex can lie inside an ear; vertices coincident with the ear are bridge copies
+        var node = this._next[c];
+        var px;
+        var py;
+        while (node != a) {
+            px = this.__x(node);
+            py = this.__y(node);
+            if (!(px == ax && py == ay) && !(px == bx && py == by) && !(px == cx && py == cy) &&
+                this.__inTriangle(ax, ay, bx, by, cx, cy, px, py) &&
+                this._geomUtils.isClockwise(this.__x(this._prev[node]), this.__y(this._prev[node]), px, py, this.__x(this._next[node]), this.__y(this._next[node]))) {
+                return false;
+            }
+            node = this._next[node];
+        }
+        return true;
+    };
+    /**
+     * Append a CCW triangle to the triangle list unless it has (numerically) zero area
+     *
+     * @private
+     */
+    TSMT$Triangulation.prototype.__emit = function (a, b, c, triangles) {
+        var area = this._geomUtils.triangleArea(this.__x(a), this.__y(a), this.__x(b), this.__y(b), this.__x(c), this.__y(c));
+        if (area > 0) {
+            triangles.push(this._vertex[a], this._vertex[b], this._vertex[c]);
+        }
+    };
+    /**
+     * Is (px,py) inside or on the CCW triangle (ax,ay), (bx,by), (cx,cy)?
+     *
+     * @private
+     */
+    TSMT$Triangulation.prototype.__inTriangle = function (ax, ay, bx, by, cx, cy, px, py) {
+        // (px,py) is not strictly right of any edge
+        return this._geomUtils.isClockwise(ax, ay, px, py, bx, by) &&
+            this._geomUtils.isClockwise(bx, by, px, py, cx, cy) &&
+            this._geomUtils.isClockwise(cx, cy, px, py, ax, ay);
+    };
+    /**
+     * Does a diagonal from node a to node b start into the interior of the boundary at a?
+     *
+     * @private
+     */
+    TSMT$Triangulation.prototype.__locallyInside = function (a, b) {
+        var prev = this._prev[a];
+        var next = this._next[a];
+        var left1 = this.__orientation(a, next, b) != GeomUtils_2.DirEnum.RIGHT;
+        var left2 = this.__orientation(prev, a, b) != GeomUtils_2.DirEnum.RIGHT;
+        // convex vertex requires the diagonal be left of both edges; reflex vertex requires left of either
+        return this.__orientation(prev, a, next) == GeomUtils_2.DirEnum.LEFT ? left1 && left2 : left1 || left2;
+    };
+    /**
+     * Orientation of node c relative to the directed line from node a to node b.  This is an exact test since the tolerance in
+     * TSMT$GeomUtils.pointOrientation() is tuned to pixel coordinates and would reject valid ears in small-scale data.
+     *
+     * @private
+     */
+    TSMT$Triangulation.prototype.__orientation = function (a, b, c) {
+        if (!this._geomUtils.isClockwise(this.__x(a), this.__y(a), this.__x(b), this.__y(b), this.__x(c), this.__y(c))) {
+            return GeomUtils_2.DirEnum.LEFT;
+        }
+        return this._geomUtils.isClockwise(this.__x(a), this.__y(a), this.__x(c), this.__y(c), this.__x(b), this.__y(b)) ? GeomUtils_2.DirEnum.ON : GeomUtils_2.DirEnum.RIGHT;
+    };
+    /**
+     * Do two nodes reference the same coordinates?
+     *
+     * @private
+     */
+    TSMT$Triangulation.prototype.__equals = function (a, b) {
+        return this.__x(a) == this.__x(b) && this.__y(a) == this.__y(b);
+    };
+    /**
+     * x-coordinate of a node
+     *
+     * @private
+     */
+    TSMT$Triangulation.prototype.__x = function (node) {
+        return this._x[this._vertex[node]];
+    };
+    /**
+     * y-coordinate of a node
+     *
+     * @private
+     */
+    TSMT$Triangulation.prototype.__y = function (node) {
+        return this._y[this._vertex[node]];
+    };
+    return TSMT$Triangulation;
+}());
+exports.TSMT$Triangulation = TSMT$Triangulation;
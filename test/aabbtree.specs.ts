@@ -0,0 +1,175 @@
+/** Copyright 2016 Jim Armstrong (www.algorithmist.net)
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// Specs for dynamic bounding-box tree
+import {TSMT$AABBTree } from '../src/AABBTree';
+import {TSMT$GeomUtils} from '../src/GeomUtils';
+
+import * as Chai from 'chai';
+const expect = Chai.expect;
+
+const __geomUtils: TSMT$GeomUtils = new TSMT$GeomUtils();
+
+// Test Suites
+describe('AABBTree', () => {
+
+  it('empty tree', () => {
+    const tree: TSMT$AABBTree = new TSMT$AABBTree();
+
+    expect( tree.size ).to.equal(0);
+    expect( tree.height ).to.equal(-1);
+    expect( tree.query({left: 0, top: 10, right: 10, bottom: 0}).length ).to.equal(0);
+    expect( tree.overlappingPairs().length ).to.equal(0);
+    expect( tree.raycast(0, 0, 10, 10).length ).to.equal(0);
+  });
+
+  it('insert and query', () => {
+    const tree: TSMT$AABBTree = new TSMT$AABBTree();
+
+    const a: number = tree.insert({left: 0, top: 2, right: 2, bottom: 0}, 'a');
+    const b: number = tree.insert({left: 5, top: 7, right: 7, bottom: 5}, 'b');
+    const c: number = tree.insert({left: 1, top: 6, right: 6, bottom: 1}, 'c');
+
+    expect( tree.size ).to.equal(3);
+    expect( tree.getData(b) ).to.equal('b');
+    expect( tree.query({left: 0, top: 0.5, right: 0.5, bottom: 0}) ).to.eql([a]);
+    expect( tree.query({left: 0, top: 1, right: 1, bottom: 0}) ).to.eql([a, c]);
+    expect( tree.query({left: 0, top: 10, right: 10, bottom: 0}) ).to.eql([a, b, c]);
+    expect( tree.query({left: 8, top: 10, right: 10, bottom: 8}).length ).to.equal(0);
+  });
+
+  it('touching boxes overlap and y-up and y-down boxes may be mixed', () => {
+    const tree: TSMT$AABBTree = new TSMT$AABBTree();
+
+    const a: number = tree.insert({left: 0, top: 0, right: 2, bottom: 2});
+    const b: number = tree.insert({left: 2, top: 4, right: 4, bottom: 2});
+
+    expect( tree.overlappingPairs() ).to.eql([{i: a, j: b}]);
+    expect( tree.query({left: 4, top: 4, right: 5, bottom: 5}) ).to.eql([b]);
+  });
+
+  it('margin does not affect query results', () => {
+    const tree: TSMT$AABBTree = new TSMT$AABBTree(5);
+
+    tree.insert({left: 0, top: 2, right: 2, bottom: 0});
+    tree.insert({left: 3, top: 2, right: 5, bottom: 0});
+
+    expect( tree.overlappingPairs().length ).to.equal(0);
+    expect( tree.query({left: 2.5, top: 10, right: 2.9, bottom: -10}).length ).to.equal(0);
+  });
+
+  it('remove', () => {
+    const tree: TSMT$AABBTree = new TSMT$AABBTree();
+
+    const a: number = tree.insert({left: 0, top: 2, right: 2, bottom: 0});
+    const b: number = tree.insert({left: 1, top: 3, right: 3, bottom: 1});
+
+    expect( tree.remove(a) ).to.be.true;
+    expect( tree.remove(a) ).to.be.false;
+    expect( tree.remove(100) ).to.be.false;
+    expect( tree.size ).to.equal(1);
+    expect( tree.getData(a) ).to.be.null;
+    expect( tree.query({left: 0, top: 10, right: 10, bottom: 0}) ).to.eql([b]);
+
+    tree.remove(b);
+    expect( tree.height ).to.equal(-1);
+  });
+
+  it('update within the fat bounds does not restructure the tree', () => {
+    const tree: TSMT$AABBTree = new TSMT$AABBTree(1);
+
+    const a: number = tree.insert({left: 0, top: 2, right: 2, bottom: 0});
+    const b: number = tree.insert({left: 10, top: 12, right: 12, bottom: 10});
+
+    expect( tree.update(a, {left: 0.5, top: 2.5, right: 2.5, bottom: 0.5}) ).to.be.false;
+    expect( tree.query({left: 2.4, top: 2.4, right: 3, bottom: 3}) ).to.eql([a]);
+
+    expect( tree.update(a, {left: 9, top: 11, right: 11, bottom: 9}, 1, 1) ).to.be.true;
+    expect( tree.overlappingPairs() ).to.eql([{i: a, j: b}]);
+
+    // displacement extends the fat bounds in the direction of motion
+    expect( tree.update(a, {left: 10, top: 12, right: 12, bottom: 10}) ).to.be.false;
+    expect( tree.update(100, {left: 0, top: 1, right: 1, bottom: 0}) ).to.be.false;
+  });
+
+  it('raycast reports hits in order of distance', () => {
+    const tree: TSMT$AABBTree = new TSMT$AABBTree(0.5);
+
+    const a: number = tree.insert({left: 6, top: 1, right: 8, bottom: -1});
+    const b: number = tree.insert({left: 2, top: 1, right: 4, bottom: -1});
+    tree.insert({left: 2, top: 5, right: 4, bottom: 3});
+
+    const hits: Array<Object> = tree.raycast(0, 0, 10, 0);
+
+    expect( hits.length ).to.equal(2);
+    expect( hits[0] ).to.eql({id: b, t: 0.2});
+    expect( hits[1] ).to.eql({id: a, t: 0.6});
+
+    expect( tree.raycast(3, 0, 3, -10)[0] ).to.eql({id: b, t: 0});
+    expect( tree.raycast(0, 0, 1.9, 0).length ).to.equal(0);
+  });
+
+  it('overlapping pairs of many moving boxes agree with boxesIntersect', () => {
+    const tree: TSMT$AABBTree    = new TSMT$AABBTree(0.5);
+    const boxes: Array<Object>   = new Array<Object>();
+    const ids: Array<number>     = new Array<number>();
+    let seed: number             = 13;
+    let i: number;
+    let j: number;
+    let frame: number;
+    let x: number;
+    let y: number;
+
+    for (i = 0; i < 200; ++i)
+    {
+      seed = (seed*16807) % 2147483647;
+      x    = seed % 100;
+      seed = (seed*16807) % 2147483647;
+      y    = seed % 100;
+
+      boxes.push( {left: x, top: y, right: x + 4, bottom: y + 4} );
+      ids.push( tree.insert(boxes[i]) );
+    }
+
+    for (frame = 0; frame < 5; ++frame)
+    {
+      for (i = 0; i < boxes.length; ++i)
+      {
+        seed = (seed*16807) % 2147483647;
+        x    = (seed % 5) - 2;
+
+        boxes[i] = {left: boxes[i]['left'] + x, top: boxes[i]['top'] - x, right: boxes[i]['right'] + x, bottom: boxes[i]['bottom'] - x};
+        tree.update(ids[i], boxes[i], x, -x);
+      }
+    }
+
+    const expected: Array<Object> = new Array<Object>();
+
+    for (i = 0; i < boxes.length; ++i)
+    {
+      for (j = i+1; j < boxes.length; ++j)
+      {
+        if (__geomUtils.boxesIntersect(boxes[i], boxes[j])) {
+          expected.push( {i: Math.min(ids[i], ids[j]), j: Math.max(ids[i], ids[j])} );
+        }
+      }
+    }
+
+    expected.sort( (a: Object, b: Object): number => (a['i'] - b['i']) || (a['j'] - b['j']) );
+
+    expect( tree.overlappingPairs() ).to.eql(expected);
+    expect( tree.height ).to.be.below(20);
+  });
+});
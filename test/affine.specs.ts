@@ -0,0 +1,138 @@
+/** Copyright 2016 Jim Armstrong (www.algorithmist.net)
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// Specs for affine transformation
+import {TSMT$Affine   } from '../src/Affine';
+import {TSMT$GeomUtils} from '../src/GeomUtils';
+
+import * as Chai from 'chai';
+const expect = Chai.expect;
+
+const __geomUtils: TSMT$GeomUtils = new TSMT$GeomUtils();
+
+// are two points equal to within a small tolerance?
+function near(p: Object, x: number, y: number): boolean
+{
+  return Math.abs(p['x'] - x) < 0.000001 && Math.abs(p['y'] - y) < 0.000001;
+}
+
+// Test Suites
+describe('Affine', () => {
+
+  it('default transform is the identity', () => {
+    const identity: TSMT$Affine = new TSMT$Affine();
+
+    expect( identity.transformPoint(3, -2) ).to.eql({x: 3, y: -2});
+    expect( identity.determinant ).to.equal(1);
+  });
+
+  it('translation, scale, and shear', () => {
+    expect( TSMT$Affine.translation(2, -1).transformPoint(1, 1) ).to.eql({x: 3, y: 0});
+    expect( TSMT$Affine.scaling(2, 3).transformPoint(1, 1) ).to.eql({x: 2, y: 3});
+    expect( TSMT$Affine.scaling(2, 3, 1, 1).transformPoint(1, 1) ).to.eql({x: 1, y: 1});
+    expect( TSMT$Affine.scaling(2, 3, 1, 1).transformPoint(2, 0) ).to.eql({x: 3, y: -2});
+    expect( TSMT$Affine.shearing(2, 0).transformPoint(1, 3) ).to.eql({x: 7, y: 3});
+    expect( TSMT$Affine.shearing(0, 2).transformPoint(1, 3) ).to.eql({x: 1, y: 5});
+  });
+
+  it('rotation about the origin and about a point', () => {
+    expect( near(TSMT$Affine.rotation(Math.PI/2).transformPoint(1, 0), 0, 1) ).to.be.true;
+    expect( near(TSMT$Affine.rotation(Math.PI/2, 1, 1).transformPoint(2, 1), 1, 2) ).to.be.true;
+    expect( near(TSMT$Affine.rotation(Math.PI, 1, 1).transformPoint(1, 1), 1, 1) ).to.be.true;
+    expect( TSMT$Affine.rotation(0.3).determinant ).to.be.closeTo(1, 0.000001);
+  });
+
+  it('compose applies transforms in order', () => {
+    const t: TSMT$Affine = TSMT$Affine.translation(5, 0).rotate(Math.PI/2);
+    const r: TSMT$Affine = TSMT$Affine.rotation(Math.PI/2).translate(5, 0);
+
+    expect( near(t.transformPoint(0, 0), 0, 5) ).to.be.true;
+    expect( near(r.transformPoint(0, 0), 5, 0) ).to.be.true;
+
+    expect( near(TSMT$Affine.translation(5, 0).compose(TSMT$Affine.rotation(Math.PI/2)).transformPoint(1, 0), 0, 6) ).to.be.true;
+    expect( TSMT$Affine.scaling(2, 2).scale(3, 1).determinant ).to.equal(12);
+  });
+
+  it('transforms are immutable', () => {
+    const t: TSMT$Affine = TSMT$Affine.translation(1, 1);
+
+    t.rotate(1);
+    t.scale(2, 2);
+
+    expect( t ).to.eql(new TSMT$Affine(1, 0, 0, 1, 1, 1));
+    expect( t.clone() ).to.eql(t);
+  });
+
+  it('inverse undoes a transform', () => {
+    const t: TSMT$Affine   = TSMT$Affine.rotation(0.7, 2, -3).scale(2, 0.5).shear(0.3, -0.2).translate(4, 1);
+    const inv: TSMT$Affine = t.invert();
+    const p: Object        = t.transformPoint(1.5, -2.5);
+
+    expect( near(inv.transformPoint(p['x'], p['y']), 1.5, -2.5) ).to.be.true;
+    expect( near(t.compose(inv).transformPoint(7, 8), 7, 8) ).to.be.true;
+    expect( inv.determinant ).to.be.closeTo(1/t.determinant, 0.000001);
+
+    expect( TSMT$Affine.scaling(0, 1).invert() ).to.be.null;
+  });
+
+  it('reflection about a line', () => {
+    const p: Array<Object>        = [{x: 2, y: 1}, {x: 1, y: -1}, {x: -1, y: 0}, {x: 4, y: 7}, {x: 6, y: -4}];
+    const reflection: TSMT$Affine = TSMT$Affine.reflection(1, 2, 4, -3);
+    const r: Array<Object>        = reflection.transformPoints(p);
+    let mx: number;
+    let my: number;
+    let i: number;
+
+    // the line is the perpendicular bisector of each point and its reflection
+    for (i = 0; i < p.length; ++i)
+    {
+      mx = 0.5*(p[i]['x'] + r[i]['x']);
+      my = 0.5*(p[i]['y'] + r[i]['y']);
+
+      expect( (mx - 1)*(-5) - (my - 2)*3 ).to.be.closeTo(0, 0.000001);
+      expect( (r[i]['x'] - p[i]['x'])*3 + (r[i]['y'] - p[i]['y'])*(-5) ).to.be.closeTo(0, 0.000001);
+    }
+
+    expect( __geomUtils.reflect(p, 1, 2, 4, -3) ).to.eql(r);
+
+    // reflection reverses orientation and is its own inverse
+    expect( reflection.determinant ).to.be.closeTo(-1, 0.000001);
+    expect( near(reflection.reflect(1, 2, 4, -3).transformPoint(9, 9), 9, 9) ).to.be.true;
+
+    expect( TSMT$Affine.reflection(1, 1, 1, 1) ).to.eql(new TSMT$Affine());
+  });
+
+  it('transform point arrays', () => {
+    const p: Array<Object> = [{x: 0, y: 0}, {x: 1, y: 2}];
+    const r: Array<Object> = TSMT$Affine.translation(1, 1).transformPoints(p);
+
+    expect( r ).to.eql([{x: 1, y: 1}, {x: 2, y: 3}]);
+    expect( p[1] ).to.eql({x: 1, y: 2});
+    expect( TSMT$Affine.translation(1, 1).transformPoints([]).length ).to.equal(0);
+  });
+
+  it('transform flat coordinate buffers', () => {
+    const t: TSMT$Affine       = TSMT$Affine.scaling(2, 3).translate(1, 0);
+    const coords: Float64Array = new Float64Array([0, 0, 1, 1, -1, 2]);
+    const result: Float64Array = t.transformCoords(coords);
+
+    expect( Array.prototype.slice.call(result) ).to.eql([1, 0, 3, 3, -1, 6]);
+    expect( coords[2] ).to.equal(1);
+
+    // in place
+    expect( t.transformCoords(coords, coords) ).to.equal(coords);
+    expect( Array.prototype.slice.call(coords) ).to.eql([1, 0, 3, 3, -1, 6]);
+  });
+});
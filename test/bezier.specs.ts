@@ -0,0 +1,258 @@
+/** Copyright 2016 Jim Armstrong (www.algorithmist.net)
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+// Specs for quadratic and cubic Bezier curves
+import {TSMT$Bezier   } from '../src/Bezier';
+import {TSMT$GeomUtils} from '../src/GeomUtils';
+
+import * as Chai from 'chai';
+const expect = Chai.expect;
+
+const __geomUtils: TSMT$GeomUtils = new TSMT$GeomUtils();
+
+// are two points equal to within a small tolerance?
+function near(p: Object, x: number, y: number): boolean
+{
+  return Math.abs(p['x'] - x) < 0.000001 && Math.abs(p['y'] - y) < 0.000001;
+}
+
+// Test Suites
+describe('Bezier', () => {
+  const arch: TSMT$Bezier    = new TSMT$Bezier(0, 0, 1, 2, 3, 2, 4, 0);
+  const line: TSMT$Bezier    = new TSMT$Bezier(0, 0, 1, 0, 2, 0, 3, 0);
+  const s: TSMT$Bezier       = new TSMT$Bezier(0, 0, -3, 4, 7, 4, 4, 0);
+  const k: number            = 0.5522847498;
+  const quarter: TSMT$Bezier = new TSMT$Bezier(1, 0, 1, k, k, 1, 0, 1);
+
+  it('evaluates points and derivatives', () => {
+    expect( near(arch.getPoint(0), 0, 0) ).to.be.true;
+    expect( near(arch.getPoint(1), 4, 0) ).to.be.true;
+    expect( near(arch.getPoint(0.5), 2, 1.5) ).to.be.true;
+    expect( near(arch.derivative(0), 3, 6) ).to.be.true;
+    expect( near(arch.derivative(1), 3, -6) ).to.be.true;
+    expect( near(arch.secondDerivative(0), 6, -12) ).to.be.true;
+    expect( arch.degree ).to.equal(3);
+  });
+
+  it('quadratic curves', () => {
+    const q: TSMT$Bezier    = TSMT$Bezier.quadratic(0, 0, 1, 2, 2, 0);
+    const cp: Array<Object> = q.controlPoints;
+
+    expect( q.degree ).to.equal(2);
+    expect( cp.length ).to.equal(3);
+    expect( near(cp[0], 0, 0) ).to.be.true;
+    expect( near(cp[1], 1, 2) ).to.be.true;
+    expect( near(cp[2], 2, 0) ).to.be.true;
+
+    // (1-t)^2 P0 + 2t(1-t) P1 + t^2 P2
+    expect( near(q.getPoint(0.5), 1, 1) ).to.be.true;
+    expect( near(q.getPoint(0.25), 0.5, 0.75) ).to.be.true;
+    expect( near(q.derivative(0), 2, 4) ).to.be.true;
+    expect( near(q.secondDerivative(0.3), 0, -8) ).to.be.true;
+
+    expect( arch.controlPoints.length ).to.equal(4);
+  });
+
+  it('arc length', () => {
+    expect( line.length ).to.be.closeTo(3, 0.000001);
+    expect( line.lengthAt(0.5) ).to.be.closeTo(1.5, 0.000001);
+    expect( quarter.length ).to.be.closeTo(0.5*Math.PI, 0.001);
+    expect( arch.lengthAt(0.5) ).to.be.closeTo(0.5*arch.length, 0.000001);
+    expect( arch.lengthAt(0) ).to.equal(0);
+    expect( new TSMT$Bezier().length ).to.equal(0);
+  });
+
+  it('arc length of a curve with a cusp agrees with a dense polyline', () => {
+    const cusp: TSMT$Bezier = new TSMT$Bezier(0, 0, 4, 4, 0, 4, 4, 0);
+    let len: number         = 0;
+    let prev: Object        = cusp.getPoint(0);
+    let p: Object;
+    let i: number;
+
+    for (i = 1; i <= 20000; ++i)
+    {
+      p     = cusp.getPoint(i/20000);
+      len  += Math.sqrt((p['x'] - prev['x'])*(p['x'] - prev['x']) + (p['y'] - prev['y'])*(p['y'] - prev['y']));
+      prev  = p;
+    }
+
+    expect( cusp.length ).to.be.closeTo(len, 0.0001);
+  });
+
+  it('arc-length parameterization', () => {
+    expect( line.parameterAtLength(1) ).to.be.closeTo(1/3, 0.000001);
+    expect( line.parameterAtLength(-1) ).to.equal(0);
+    expect( line.parameterAtLength(5) ).to.equal(1);
+
+    expect( s.lengthAt(s.parameterAtLength(2.5)) ).to.be.closeTo(2.5, 0.000001);
+    expect( arch.parameterAtLength(0.5*arch.length) ).to.be.closeTo(0.5, 0.000001);
+
+    const p: Object = quarter.pointAtLength(0.5*quarter.length);
+    expect( p['x'] ).to.be.closeTo(Math.SQRT1_2, 0.001);
+    expect( p['y'] ).to.be.closeTo(Math.SQRT1_2, 0.001);
+    expect( p['t'] ).to.be.closeTo(0.5, 0.000001);
+  });
+
+  it('bounding box', () => {
+    const box: Object  = arch.bounds();
+    const down: Object = arch.bounds(true);
+
+    expect( box['left'] ).to.be.closeTo(0, 0.000001);
+    expect( box['right'] ).to.be.closeTo(4, 0.000001);
+    expect( box['top'] ).to.be.closeTo(1.5, 0.000001);
+    expect( box['bottom'] ).to.be.closeTo(0, 0.000001);
+
+    expect( down['top'] ).to.be.closeTo(0, 0.000001);
+    expect( down['bottom'] ).to.be.closeTo(1.5, 0.000001);
+
+    // the S-curve extends beyond its end points in x
+    const sb: Object = s.bounds();
+    let i: number;
+    let p: Object;
+
+    expect( sb['left'] ).to.be.below(0);
+    expect( sb['right'] ).to.be.above(4);
+
+    for (i = 0; i <= 200; ++i)
+    {
+      p = s.getPoint(i/200);
+      expect( p['x'] >= sb['left'] - 0.000001 && p['x'] <= sb['right'] + 0.000001 ).to.be.true;
+      expect( p['y'] >= sb['bottom'] - 0.000001 && p['y'] <= sb['top'] + 0.000001 ).to.be.true;
+    }
+
+    expect( __geomUtils.boxesIntersect(sb, {left: 4.01, top: 1, right: 10, bottom: -1}) ).to.be.true;
+    expect( __geomUtils.boxesIntersect(sb, {left: -10, top: 1, right: -1, bottom: -1}) ).to.be.false;
+  });
+
+  it('flatten to a polyline within the tolerance', () => {
+    const coarse: Array<Object> = s.flatten(0.5);
+    const fine: Array<Object>   = s.flatten(0.01);
+    let mid: Object;
+    let t: number;
+    let i: number;
+
+    expect( fine.length ).to.be.above(coarse.length);
+    expect( near(fine[0], 0, 0) ).to.be.true;
+    expect( near(fine[fine.length-1], 4, 0) ).to.be.true;
+
+    for (i = 1; i < fine.length; ++i)
+    {
+      expect( fine[i]['t'] ).to.be.above(fine[i-1]['t']);
+
+      t   = 0.5*(fine[i-1]['t'] + fine[i]['t']);
+      mid = s.getPoint(t);
+
+      expect( __geomUtils.pointToSegmentDistance(fine[i-1]['x'], fine[i-1]['y'], fine[i]['x'], fine[i]['y'], mid['x'], mid['y']) ).to.be.at.most(0.01);
+    }
+
+    // a straight curve needs no subdivision
+    expect( line.flatten().length ).to.equal(2);
+  });
+
+  it('intersect with a line segment', () => {
+    const hits: Array<Object> = arch.intersectSegment(-1, 0.75, 5, 0.75);
+
+    expect( hits.length ).to.equal(2);
+    expect( hits[0]['t'] ).to.be.below(hits[1]['t']);
+    expect( hits[0]['x'] + hits[1]['x'] ).to.be.closeTo(4, 0.000001);
+    expect( hits[0]['y'] ).to.be.closeTo(0.75, 0.000001);
+    expect( near(arch.getPoint(hits[1]['t']), hits[1]['x'], hits[1]['y']) ).to.be.true;
+    expect( -1 + hits[1]['u']*6 ).to.be.closeTo(hits[1]['x'], 0.000001);
+
+    expect( arch.intersectSegment(-1, 0.75, 2, 0.75).length ).to.equal(1);
+    expect( arch.intersectSegment(-1, 2, 5, 2).length ).to.equal(0);
+
+    // tangent at the apex
+    expect( arch.intersectSegment(0, 1.5, 4, 1.5).length ).to.be.at.most(1);
+
+    // overlap reports the start of the overlap
+    const overlap: Array<Object> = line.intersectSegment(1, 0, 5, 0);
+    expect( overlap.length ).to.equal(1);
+    expect( overlap[0]['t'] ).to.be.closeTo(1/3, 0.000001);
+    expect( overlap[0]['u'] ).to.equal(0);
+  });
+
+  it('intersections near the end of the segment lie on the segment', () => {
+    let seed: number = 7;
+    let hits: Array<Object>;
+    let c: Array<number>;
+    let i: number;
+    let j: number;
+    let n: number;
+    let curve: TSMT$Bezier;
+
+    for (n = 0; n < 100; ++n)
+    {
+      c = new Array<number>();
+      for (i = 0; i < 12; ++i)
+      {
+        seed = (seed*16807) % 2147483647;
+        c.push( (seed % 2000)/100 - 10 );
+      }
+
+      curve = new TSMT$Bezier(c[0], c[1], c[2], c[3], c[4], c[5], c[6], c[7]);
+      hits  = curve.intersectSegment(c[8], c[9], c[10], c[11]);
+
+      for (j = 0; j < hits.length; ++j)
+      {
+        expect( near(curve.getPoint(hits[j]['t']), hits[j]['x'], hits[j]['y']) ).to.be.true;
+        expect( __geomUtils.pointToSegmentDistance(c[8], c[9], c[10], c[11], hits[j]['x'], hits[j]['y']) ).to.be.below(0.000001);
+      }
+    }
+  });
+
+  it('segment parameter slack follows the parameter tolerance', () => {
+    const line: TSMT$Bezier  = new TSMT$Bezier(0, -1, 0, -0.3, 0, 0.3, 0, 1);
+    const loose: TSMT$Bezier = new TSMT$Bezier(0, -1, 0, -0.3, 0, 0.3, 0, 1, {parameter: 0.001});
+
+    // the segment stops 0.0005 short of the curve
+    expect( line.intersectSegment(-1, 0, -0.0005, 0).length ).to.equal(0);
+    expect( loose.intersectSegment(-1, 0, -0.0005, 0).length ).to.equal(1);
+  });
+
+  it('nearest point on the curve', () => {
+    let p: Object = arch.nearestPoint(2, 3);
+
+    expect( near(p, 2, 1.5) ).to.be.true;
+    expect( p['t'] ).to.be.closeTo(0.5, 0.000001);
+    expect( p['d'] ).to.be.closeTo(1.5, 0.000001);
+
+    p = arch.nearestPoint(-1, -1);
+    expect( p['t'] ).to.equal(0);
+    expect( p['d'] ).to.be.closeTo(Math.SQRT2, 0.000001);
+
+    // compare with dense sampling
+    const points: Array<Array<number>> = [[2, 0], [1, 4], [-2, 1], [3, 3], [1.5, 2.5]];
+    let best: number;
+    let q: Object;
+    let i: number;
+    let j: number;
+
+    for (j = 0; j < points.length; ++j)
+    {
+      best = Number.POSITIVE_INFINITY;
+      for (i = 0; i <= 10000; ++i)
+      {
+        q    = s.getPoint(i/10000);
+        best = Math.min(best, (q['x'] - points[j][0])*(q['x'] - points[j][0]) + (q['y'] - points[j][1])*(q['y'] - points[j][1]));
+      }
+
+      p = s.nearestPoint(points[j][0], points[j][1]);
+      expect( p['d'] ).to.be.at.most(Math.sqrt(best) + 0.000000001);
+      expect( p['d'] ).to.be.closeTo(Math.sqrt(best), 0.001);
+    }
+  });
+});
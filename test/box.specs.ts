@@ -0,0 +1,124 @@
+/** Copyright 2016 Jim Armstrong (www.algorithmist.net)
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// Specs for axis-aligned box
+import {TSMT$Box      } from '../src/Box';
+import {TSMT$GeomUtils} from '../src/GeomUtils';
+
+import * as Chai from 'chai';
+const expect = Chai.expect;
+
+const __geomUtils: TSMT$GeomUtils = new TSMT$GeomUtils();
+
+// Test Suites
+describe('Box', () => {
+  const yUp: TSMT$Box   = new TSMT$Box(0, 4, 6, 0);
+  const yDown: TSMT$Box = new TSMT$Box(0, 0, 6, 4);
+
+  it('default box is a point at the origin', () => {
+    const box: TSMT$Box = new TSMT$Box();
+
+    expect( box.area ).to.equal(0);
+    expect( box.center ).to.eql({x: 0, y: 0});
+  });
+
+  it('measures are independent of form', () => {
+    expect( yUp.yDown ).to.be.false;
+    expect( yDown.yDown ).to.be.true;
+
+    expect( yUp.width ).to.equal(6);
+    expect( yUp.height ).to.equal(4);
+    expect( yUp.area ).to.equal(24);
+    expect( yDown.area ).to.equal(24);
+    expect( yUp.center ).to.eql({x: 3, y: 2});
+    expect( yDown.center ).to.eql({x: 3, y: 2});
+    expect( [yUp.minX, yUp.minY, yUp.maxX, yUp.maxY] ).to.eql([0, 0, 6, 4]);
+  });
+
+  it('conversion between y-up and y-down forms', () => {
+    expect( yUp.toYDown() ).to.eql(yDown);
+    expect( yDown.toYUp() ).to.eql(yUp);
+    expect( yUp.toYUp() ).to.eql(yUp);
+    expect( yUp.clone() ).to.eql(yUp);
+  });
+
+  it('from an untyped Object', () => {
+    const box: TSMT$Box = TSMT$Box.fromObject({left: '1', top: '5', right: 3, bottom: 2});
+
+    expect( box ).to.eql(new TSMT$Box(1, 5, 3, 2));
+  });
+
+  it('from points and segments', () => {
+    expect( TSMT$Box.fromPoints([3, -1, 2], [0, 4, -2]) ).to.eql(new TSMT$Box(-1, 4, 3, -2));
+    expect( TSMT$Box.fromPoints([3, -1, 2], [0, 4, -2], true) ).to.eql(new TSMT$Box(-1, -2, 3, 4));
+    expect( TSMT$Box.fromPoints([], []) ).to.be.null;
+    expect( TSMT$Box.fromPoints([1, 2], [1]) ).to.be.null;
+
+    expect( TSMT$Box.fromSegment(5, 1, 2, 3) ).to.eql(new TSMT$Box(2, 3, 5, 1));
+  });
+
+  it('intersection test agrees with boxesIntersect', () => {
+    const touching: TSMT$Box = new TSMT$Box(6, 8, 9, 4);
+    const apart: Object      = {left: 7, top: 4, right: 9, bottom: 8};
+
+    expect( yUp.intersects(touching) ).to.be.true;
+    expect( yDown.intersects(touching) ).to.be.true;
+    expect( __geomUtils.boxesIntersect(yDown, touching) ).to.be.true;
+
+    expect( yUp.intersects(apart) ).to.be.false;
+    expect( __geomUtils.boxesIntersect(yUp, apart) ).to.be.false;
+  });
+
+  it('union and intersection return boxes in the form of the calling box', () => {
+    const other: TSMT$Box = new TSMT$Box(4, 2, 8, 6);
+
+    expect( yUp.union(other) ).to.eql(new TSMT$Box(0, 6, 8, 0));
+    expect( yDown.union(other) ).to.eql(new TSMT$Box(0, 0, 8, 6));
+
+    expect( yUp.intersection(other) ).to.eql(new TSMT$Box(4, 4, 6, 2));
+    expect( yDown.intersection(other) ).to.eql(new TSMT$Box(4, 2, 6, 4));
+  });
+
+  it('intersection of touching and disjoint boxes', () => {
+    const touching: TSMT$Box = yUp.intersection({left: 6, top: 8, right: 9, bottom: 4});
+
+    expect( touching ).to.eql(new TSMT$Box(6, 4, 6, 4));
+    expect( touching.area ).to.equal(0);
+
+    expect( yUp.intersection({left: 7, top: 1, right: 9, bottom: 0}) ).to.be.null;
+  });
+
+  it('contains point and box', () => {
+    expect( yUp.containsPoint(6, 4) ).to.be.true;
+    expect( yDown.containsPoint(3, 2) ).to.be.true;
+    expect( yUp.containsPoint(6.1, 4) ).to.be.false;
+
+    expect( yUp.containsBox(new TSMT$Box(1, 1, 6, 4)) ).to.be.true;
+    expect( yDown.containsBox(yUp) ).to.be.true;
+    expect( yUp.containsBox(new TSMT$Box(1, 1, 7, 4)) ).to.be.false;
+  });
+
+  it('expand and shrink by a margin', () => {
+    expect( yUp.expand(1) ).to.eql(new TSMT$Box(-1, 5, 7, -1));
+    expect( yDown.expand(1) ).to.eql(new TSMT$Box(-1, -1, 7, 5));
+    expect( yUp.expand(-2) ).to.eql(new TSMT$Box(2, 2, 4, 2));
+    expect( yUp.expand(-3) ).to.be.null;
+  });
+
+  it('box properties may be passed to existing box methods', () => {
+    expect( __geomUtils.insideBox(3, 2, yUp.left, yUp.top, yUp.right, yUp.bottom) ).to.be.true;
+    expect( __geomUtils.insideBox(3, 2, yDown.left, yDown.top, yDown.right, yDown.bottom) ).to.be.true;
+  });
+});
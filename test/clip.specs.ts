@@ -0,0 +1,253 @@
+/** Copyright 2016 Jim Armstrong (www.algorithmist.net)
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// Specs for Polygon Clip
+import {TSMT$PolygonClip } from '../src/PolygonClip';
+import {BooleanOpEnum    } from '../src/PolygonClip';
+import {TSMT$PolygonUtils} from '../src/PolygonUtils';
+
+import * as Chai from 'chai';
+const expect = Chai.expect;
+
+const __polyUtils: TSMT$PolygonUtils = new TSMT$PolygonUtils();
+
+// total signed area of a collection of boundaries (holes are CW, so they subtract)
+function totalArea(rings: Array<Array<number>>): number
+{
+  return rings.reduce( (sum: number, ring: Array<number>): number => sum + __polyUtils.signedArea(ring), 0 );
+}
+
+// Test Suites
+describe('PolygonClip', () => {
+  const __clip: TSMT$PolygonClip = new TSMT$PolygonClip();
+
+  const square: Array<number>  = [0, 0, 4, 0, 4, 4, 0, 4];
+  const shifted: Array<number> = [2, 2, 6, 2, 6, 6, 2, 6];
+
+  it('union of overlapping squares', () => {
+    const result: Array<Array<number>> = __clip.union(square, shifted);
+
+    expect( result.length ).to.equal(1);
+    expect( result[0].length ).to.equal(16);
+    expect( totalArea(result) ).to.equal(28);
+    expect( __polyUtils.isClockwise(result[0]) ).to.be.false;
+  });
+
+  it('intersection of overlapping squares', () => {
+    const result: Array<Array<number>> = __clip.intersection(square, shifted);
+
+    expect( result.length ).to.equal(1);
+    expect( result[0].length ).to.equal(8);
+    expect( totalArea(result) ).to.equal(4);
+  });
+
+  it('difference of overlapping squares', () => {
+    const result: Array<Array<number>> = __clip.difference(square, shifted);
+
+    expect( result.length ).to.equal(1);
+    expect( result[0].length ).to.equal(12);
+    expect( totalArea(result) ).to.equal(12);
+  });
+
+  it('xor of overlapping squares', () => {
+    const result: Array<Array<number>> = __clip.xor(square, shifted);
+
+    expect( result.length ).to.equal(2);
+    expect( totalArea(result) ).to.equal(24);
+  });
+
+  it('input winding order does not matter', () => {
+    const result: Array<Array<number>> = __clip.compute(__polyUtils.reverse(square), shifted, BooleanOpEnum.INTERSECTION);
+
+    expect( totalArea(result) ).to.equal(4);
+    expect( __polyUtils.isClockwise(result[0]) ).to.be.false;
+  });
+
+  it('union of rooms sharing a wall is a single boundary', () => {
+    const result: Array<Array<number>> = __clip.union(square, [4, 0, 8, 0, 8, 4, 4, 4]);
+
+    expect( result.length ).to.equal(1);
+    expect( result[0].length ).to.equal(8);
+    expect( totalArea(result) ).to.equal(32);
+  });
+
+  it('rooms sharing part of a wall', () => {
+    const room: Array<number> = [4, 1, 7, 1, 7, 3, 4, 3];
+
+    expect( totalArea( __clip.union(square, room) ) ).to.equal(22);
+    expect( __clip.intersection(square, room).length ).to.equal(0);
+    expect( totalArea( __clip.difference(square, room) ) ).to.equal(16);
+  });
+
+  it('polygons touching at a single vertex', () => {
+    const result: Array<Array<number>> = __clip.union(square, [4, 4, 8, 4, 8, 8, 4, 8]);
+
+    expect( result.length ).to.equal(2);
+    expect( totalArea(result) ).to.equal(32);
+    expect( __clip.intersection(square, [4, 4, 8, 4, 8, 8, 4, 8]).length ).to.equal(0);
+  });
+
+  it('identical polygons', () => {
+    expect( totalArea( __clip.union(square, square) ) ).to.equal(16);
+    expect( totalArea( __clip.intersection(square, square) ) ).to.equal(16);
+    expect( __clip.difference(square, square).length ).to.equal(0);
+    expect( __clip.xor(square, square).length ).to.equal(0);
+  });
+
+  it('disjoint polygons', () => {
+    const far: Array<number> = [10, 10, 12, 10, 12, 12];
+
+    expect( __clip.union(square, far).length ).to.equal(2);
+    expect( __clip.intersection(square, far).length ).to.equal(0);
+    expect( __clip.difference(square, far)[0] ).to.eql(square);
+  });
+
+  it('difference of a contained polygon produces a CW hole', () => {
+    const inner: Array<number>         = [1, 1, 3, 1, 3, 3, 1, 3];
+    const result: Array<Array<number>> = __clip.difference(square, inner);
+
+    expect( result.length ).to.equal(2);
+    expect( totalArea(result) ).to.equal(12);
+
+    const holes: Array<Array<number>> = result.filter( (ring: Array<number>): boolean => __polyUtils.isClockwise(ring) );
+    expect( holes.length ).to.equal(1);
+    expect( __polyUtils.area(holes[0]) ).to.equal(4);
+
+    expect( __clip.difference(inner, square).length ).to.equal(0);
+    expect( totalArea( __clip.intersection(square, inner) ) ).to.equal(4);
+  });
+
+  it('union of two U-shapes encloses a hole', () => {
+    const lower: Array<number>         = [0, 0, 6, 0, 6, 3, 5, 3, 5, 1, 1, 1, 1, 3, 0, 3];
+    const upper: Array<number>         = [0, 3, 1, 3, 1, 5, 5, 5, 5, 3, 6, 3, 6, 6, 0, 6];
+    const result: Array<Array<number>> = __clip.union(lower, upper);
+
+    expect( result.length ).to.equal(2);
+    expect( totalArea(result) ).to.equal(20);
+    expect( result.filter( (ring: Array<number>): boolean => __polyUtils.isClockwise(ring) ).length ).to.equal(1);
+  });
+
+  it('concave intersection produces multiple pieces', () => {
+    const comb: Array<number>          = [0, 0, 5, 0, 5, 3, 4, 3, 4, 1, 3, 1, 3, 3, 2, 3, 2, 1, 1, 1, 1, 3, 0, 3];
+    const bar: Array<number>           = [-1, 2, 6, 2, 6, 4, -1, 4];
+    const result: Array<Array<number>> = __clip.intersection(comb, bar);
+
+    expect( result.length ).to.equal(3);
+    expect( totalArea(result) ).to.equal(3);
+  });
+
+  it('degenerate polygon is treated as empty', () => {
+    expect( __clip.intersection(square, [0, 0, 1, 1, 2, 2]).length ).to.equal(0);
+    expect( __clip.union(square, [1, 1]) ).to.eql([square]);
+  });
+
+  it('remove self-intersections of a figure-eight', () => {
+    const bowtie: Array<number>      = [0, 0, 4, 4, 4, 0, 0, 4];
+    let result: Array<Array<number>> = __clip.removeSelfIntersections(bowtie);
+
+    // only the CCW lobe has positive winding
+    expect( result.length ).to.equal(1);
+    expect( totalArea(result) ).to.be.closeTo(4, 0.000001);
+    expect( result[0].filter( (v: number, i: number): boolean => i % 2 == 0 ).every( (x: number): boolean => x <= 2 ) ).to.be.true;
+
+    result = __clip.removeSelfIntersections( __polyUtils.reverse(bowtie) );
+    expect( result.length ).to.equal(1);
+    expect( result[0].filter( (v: number, i: number): boolean => i % 2 == 0 ).every( (x: number): boolean => x >= 2 ) ).to.be.true;
+  });
+
+  it('remove self-intersections keeps the union of overlapping loops', () => {
+    const star: Array<number> = new Array<number>();
+    let i: number;
+
+    // pentagram, which winds twice around its center
+    for (i = 0; i < 5; ++i) {
+      star.push( Math.cos(0.5*Math.PI + 4*Math.PI*i/5), Math.sin(0.5*Math.PI + 4*Math.PI*i/5) );
+    }
+
+    const result: Array<Array<number>> = __clip.removeSelfIntersections(star);
+
+    expect( result.length ).to.equal(1);
+    expect( result[0].length ).to.equal(20);
+    expect( __polyUtils.isClockwise(result[0]) ).to.be.false;
+    expect( __polyUtils.isSimple(result[0]) ).to.be.true;
+  });
+
+  it('remove self-intersections of a doubly traced ring', () => {
+    const twice: Array<number> = [0, 0, 10, 0, 10, 10, 0, 10, 0, 0, 10, 0, 10, 10, 0, 10];
+
+    expect( __clip.removeSelfIntersections(twice) ).to.eql([[0, 0, 10, 0, 10, 10, 0, 10]]);
+
+    // a second loop that shares part of its boundary with the first
+    const nested: Array<Array<number>> = __clip.removeSelfIntersections([0, 0, 10, 0, 10, 10, 0, 10, 0, 0, 5, 0, 5, 5, 0, 5]);
+
+    expect( nested.length ).to.equal(1);
+    expect( totalArea(nested) ).to.be.closeTo(100, 0.000001);
+
+    // a ring traced once in each direction encloses nothing
+    expect( __clip.removeSelfIntersections([0, 0, 10, 0, 10, 10, 0, 10, 0, 0, 0, 10, 10, 10, 10, 0]).length ).to.equal(0);
+  });
+
+  it('remove self-intersections of simple and CW boundaries', () => {
+    expect( totalArea( __clip.removeSelfIntersections(square) ) ).to.equal(16);
+    expect( __clip.removeSelfIntersections( __polyUtils.reverse(square) ).length ).to.equal(0);
+    expect( __clip.removeSelfIntersections([0, 0, 1, 1]).length ).to.equal(0);
+  });
+
+  it('clip polygon to box', () => {
+    const result: Array<number> = __clip.clipToBox([-2, 1, 2, -3, 6, 1, 2, 5], 0, 0, 4, 4);
+
+    expect( __polyUtils.area(result) ).to.equal(15);
+    expect( __clip.clipToBox(square, 1, 3, 3, 1) ).to.eql([1, 3, 1, 1, 3, 1, 3, 3]);
+  });
+
+  it('clip polygon to box accepts y-up and y-down boxes', () => {
+    const yDown: Array<number> = __clip.clipToBox(shifted, 0, 0, 4, 4);
+    const yUp: Array<number>   = __clip.clipToBox(shifted, 0, 4, 4, 0);
+
+    expect( yDown ).to.eql(yUp);
+    expect( __polyUtils.area(yDown) ).to.equal(4);
+  });
+
+  it('clip polygon outside or inside box', () => {
+    expect( __clip.clipToBox(shifted, 10, 10, 20, 20).length ).to.equal(0);
+    expect( __clip.clipToBox(square, -1, -1, 5, 5) ).to.eql(square);
+  });
+
+  it('clip segment to box', () => {
+    const result: Object = __clip.clipSegmentToBox(-2, 2, 6, 2, 0, 0, 4, 4);
+
+    expect( result['x1'] ).to.equal(0);
+    expect( result['y1'] ).to.equal(2);
+    expect( result['x2'] ).to.equal(4);
+    expect( result['y2'] ).to.equal(2);
+  });
+
+  it('clipped segment preserves direction', () => {
+    const result: Object = __clip.clipSegmentToBox(6, 6, 1, 1, 0, 4, 4, 0);
+
+    expect( result['x1'] ).to.equal(4);
+    expect( result['y1'] ).to.equal(4);
+    expect( result['x2'] ).to.equal(1);
+    expect( result['y2'] ).to.equal(1);
+  });
+
+  it('segment outside box', () => {
+    const result: Object = __clip.clipSegmentToBox(-2, 5, 6, 5, 0, 0, 4, 4);
+
+    expect( isNaN(result['x1']) ).to.be.true;
+    expect( isNaN(result['y2']) ).to.be.true;
+    expect( isNaN( __clip.clipSegmentToBox(5, -1, 8, 3, 0, 0, 4, 4)['x1'] ) ).to.be.true;
+  });
+});
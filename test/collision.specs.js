@@ -0,0 +1,286 @@
+/** Copyright 2016 Jim Armstrong (www.algorithmist.net)
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+"use strict";
+// Specs for SAT and GJK/EPA collision
+var Collision_1 = require('../src/Collision');
+var GeomUtils_1 = require('../src/GeomUtils');
+var Chai = require('chai');
+var expect = Chai.expect;
+var __collision = new Collision_1.TSMT$Collision();
+var __geomUtils = new GeomUtils_1.TSMT$GeomUtils();
+// translate a polygon
+function translate(coords, dx, dy) {
+    return coords.map(function (v, i) { return i % 2 == 0 ? v + dx : v + dy; });
+}
+// random convex polygon, the hull of eight points in a square of the given size
+function randomConvex(seed, cx, cy, size) {
+    var x = new Array();
+    var y = new Array();
+    var i;
+    for (i = 0; i < 8; ++i) {
+        seed = (seed * 16807) % 2147483647;
+        x.push(cx + size * ((seed % 1000) / 1000 - 0.5));
+        seed = (seed * 16807) % 2147483647;
+        y.push(cy + size * ((seed % 1000) / 1000 - 0.5));
+    }
+    var hull = __geomUtils.convexHull(x, y);
+    var coords = new Array();
+    hull.forEach(function (index) { coords.push(x[index], y[index]); });
+    return coords;
+}
+// Test Suites
+describe('Collision', function () {
+    var square = [0, 0, 4, 0, 4, 4, 0, 4];
+    it('oriented box vertices', function () {
+        expect(__collision.orientedBox(1, 2, 4, 2)).to.eql([-1, 1, 3, 1, 3, 3, -1, 3]);
+        var box = __collision.orientedBox(0, 0, 2, 2, Math.PI / 4);
+        expect(box[0]).to.be.closeTo(0, 0.000001);
+        expect(box[1]).to.be.closeTo(-Math.SQRT2, 0.000001);
+        expect(box[2]).to.be.closeTo(Math.SQRT2, 0.000001);
+        expect(box[3]).to.be.closeTo(0, 0.000001);
+    });
+    it('separated polygons', function () {
+        expect(__collision.polygonContact(square, [5, 0, 7, 0, 6, 2])).to.be.null;
+        expect(__collision.polygonContact(square, [3, 6, 6, 3, 6, 6])).to.be.null;
+        expect(__collision.polygonContact(square, [5, 0, 7])).to.be.null;
+    });
+    it('overlapping polygons', function () {
+        var result = __collision.polygonContact(square, [3, 1, 6, 1, 6, 3, 3, 3]);
+        expect(result['depth']).to.be.closeTo(1, 0.000001);
+        expect(result['nx']).to.equal(1);
+        expect(result['ny']).to.equal(0);
+        expect(result['dx']).to.be.closeTo(1, 0.000001);
+        expect(result['dy']).to.equal(0);
+        // normal points from the first polygon to the second
+        var reversed = __collision.polygonContact([3, 1, 6, 1, 6, 3, 3, 3], square);
+        expect(reversed['nx']).to.equal(-1);
+        expect(reversed['ny']).to.equal(0);
+    });
+    it('polygon orientation does not matter', function () {
+        var cw = [3, 1, 3, 3, 6, 3, 6, 1];
+        var result = __collision.polygonContact(square, cw);
+        expect(result['depth']).to.be.closeTo(1, 0.000001);
+        expect(result['nx']).to.equal(1);
+    });
+    it('touching polygons are in contact with zero depth', function () {
+        var result = __collision.polygonContact(square, [4, 1, 6, 1, 6, 3, 4, 3]);
+        expect(result['depth']).to.equal(0);
+        expect(result['nx']).to.equal(1);
+        expect(result['dx']).to.equal(0);
+    });
+    it('oriented boxes', function () {
+        var a = { x: 0, y: 0, width: 4, height: 2, angle: 0 };
+        expect(__collision.orientedBoxContact(a, { x: 4, y: 0, width: 2, height: 2, angle: 0.1 })).to.be.null;
+        // a diamond whose lower corner penetrates the top of the first box
+        var result = __collision.orientedBoxContact(a, { x: 0, y: 1 + Math.SQRT2 - 0.25, width: 2, height: 2, angle: Math.PI / 4 });
+        expect(result['depth']).to.be.closeTo(0.25, 0.000001);
+        expect(result['nx']).to.be.closeTo(0, 0.000001);
+        expect(result['ny']).to.be.closeTo(1, 0.000001);
+    });
+    it('oriented boxes agree with polygon contact', function () {
+        var a = { x: 1, y: 2, width: 3, height: 1.5, angle: 0.3 };
+        var b = { x: 2, y: 3, width: 2, height: 2.5, angle: -1.1 };
+        var boxes = __collision.orientedBoxContact(a, b);
+        var polygon = __collision.polygonContact(__collision.orientedBox(1, 2, 3, 1.5, 0.3), __collision.orientedBox(2, 3, 2, 2.5, -1.1));
+        expect(boxes['depth']).to.be.closeTo(polygon['depth'], 0.000001);
+        expect(boxes['nx']).to.be.closeTo(polygon['nx'], 0.000001);
+        expect(boxes['ny']).to.be.closeTo(polygon['ny'], 0.000001);
+    });
+    it('GJK intersection test', function () {
+        expect(__collision.convexIntersect(square, [3, 1, 6, 1, 6, 3, 3, 3])).to.be.true;
+        expect(__collision.convexIntersect(square, [5, 1, 6, 1, 6, 3, 5, 3])).to.be.false;
+        expect(__collision.convexIntersect(square, { x: 4.99, y: 2, r: 1 })).to.be.true;
+        expect(__collision.convexIntersect(square, { x: 5.01, y: 2, r: 1 })).to.be.false;
+        expect(__collision.convexIntersect(square, { x: 2, y: 2, r: 0.5 })).to.be.true;
+        expect(__collision.convexIntersect({ x: 0, y: 0, r: 1 }, { x: 1.5, y: 1.5, r: 1 })).to.be.false;
+        expect(__collision.convexIntersect({ x: 0, y: 0, r: 1 }, { x: 1.4, y: 1.4, r: 1 })).to.be.true;
+    });
+    it('circle contact', function () {
+        expect(__collision.convexContact({ x: 0, y: 0, r: 1 }, { x: 3, y: 4, r: 2 })).to.be.null;
+        var result = __collision.convexContact({ x: 0, y: 0, r: 1 }, { x: 3, y: 4, r: 4.5 });
+        expect(result['depth']).to.be.closeTo(0.5, 0.000001);
+        expect(result['nx']).to.be.closeTo(0.6, 0.001);
+        expect(result['ny']).to.be.closeTo(0.8, 0.001);
+    });
+    it('polygon and circle contact', function () {
+        var result = __collision.convexContact(square, { x: 3.5, y: 2, r: 1 });
+        expect(result['depth']).to.be.closeTo(1.5, 0.000001);
+        expect(result['nx']).to.be.closeTo(1, 0.000001);
+        expect(result['ny']).to.be.closeTo(0, 0.000001);
+        // circle overlapping a corner
+        var corner = __collision.convexContact(square, { x: 5, y: 5, r: Math.SQRT2 + 0.5 });
+        expect(corner['depth']).to.be.closeTo(0.5, 0.000001);
+        expect(corner['nx']).to.be.closeTo(Math.SQRT1_2, 0.001);
+        expect(corner['ny']).to.be.closeTo(Math.SQRT1_2, 0.001);
+    });
+    it('touching shapes', function () {
+        var result = __collision.convexContact(square, [4, 1, 6, 1, 6, 3, 4, 3]);
+        expect(result['depth']).to.equal(0);
+        expect(result['nx']).to.be.closeTo(1, 0.000001);
+        expect(__collision.convexContact({ x: 0, y: 0, r: 1 }, { x: 2, y: 0, r: 1 })['depth']).to.be.closeTo(0, 0.000001);
+    });
+    it('EPA agrees with SAT for random convex polygons', function () {
+        var seed = 11;
+        var hits = 0;
+        var a;
+        var b;
+        var sat;
+        var epa;
+        var k;
+        for (k = 0; k < 100; ++k) {
+            seed = (seed * 16807) % 2147483647;
+            a = randomConvex(seed, 0, 0, 4);
+            seed = (seed * 16807) % 2147483647;
+            b = randomConvex(seed, (seed % 600) / 100 - 3, (seed % 700) / 100 - 3.5, 4);
+            sat = __collision.polygonContact(a, b);
+            epa = __collision.convexContact(a, b);
+            expect(sat == null).to.equal(epa == null);
+            expect(__collision.convexIntersect(a, b)).to.equal(sat != null);
+            if (sat != null) {
+                hits++;
+                expect(epa['depth']).to.be.closeTo(sat['depth'], 0.000001);
+            }
+        }
+        expect(hits).to.be.above(10);
+    });
+    it('minimum translation vector separates the shapes', function () {
+        var a = randomConvex(101, 0, 0, 4);
+        var b = randomConvex(202, 1, 0.5, 4);
+        var result = __collision.polygonContact(a, b);
+        expect(result['depth']).to.be.above(0);
+        // translating by the MTV leaves the polygons touching
+        var touching = __collision.polygonContact(a, translate(b, result['dx'], result['dy']));
+        expect(touching['depth']).to.be.closeTo(0, 0.000001);
+        expect(__collision.polygonContact(a, translate(b, 1.001 * result['dx'], 1.001 * result['dy']))).to.be.null;
+        var circle = __collision.convexContact(a, { x: 1, y: 1, r: 1 });
+        expect(__collision.convexIntersect(a, { x: 1 + 1.001 * circle['dx'], y: 1 + 1.001 * circle['dy'], r: 1 })).to.be.false;
+    });
+    it('moving point and segment', function () {
+        var result = __collision.pointSegmentImpact(0, 0, 4, 2, 2, -2, 2, 2);
+        expect(result['t']).to.be.closeTo(0.5, 0.000001);
+        expect(result['x']).to.be.closeTo(2, 0.000001);
+        expect(result['y']).to.be.closeTo(1, 0.000001);
+        expect(result['nx']).to.be.closeTo(-1, 0.000001);
+        expect(result['ny']).to.be.closeTo(0, 0.000001);
+        // stops short, moves away, or does not move
+        expect(__collision.pointSegmentImpact(0, 0, 1.9, 0, 2, -2, 2, 2)).to.be.null;
+        expect(__collision.pointSegmentImpact(0, 0, -4, 0, 2, -2, 2, 2)).to.be.null;
+        expect(__collision.pointSegmentImpact(0, 0, 0, 0, 2, -2, 2, 2)).to.be.null;
+    });
+    it('a fast point does not tunnel through a thin wall', function () {
+        var result = __collision.pointSegmentImpact(-100, 0.5, 200, 0, 0, 0, 0, 1);
+        expect(result['t']).to.be.closeTo(0.5, 0.000001);
+        expect(result['nx']).to.be.closeTo(-1, 0.000001);
+    });
+    it('moving circle and segment', function () {
+        var circle = { x: 0, y: 3, r: 1 };
+        // hits the side of the segment
+        var side = __collision.circleSegmentImpact(circle, 0, -4, -2, 0, 2, 0);
+        expect(side['t']).to.be.closeTo(0.5, 0.000001);
+        expect(side['x']).to.be.closeTo(0, 0.000001);
+        expect(side['y']).to.be.closeTo(0, 0.000001);
+        expect(side['nx']).to.be.closeTo(0, 0.000001);
+        expect(side['ny']).to.be.closeTo(1, 0.000001);
+        // hits the endpoint
+        var end = __collision.circleSegmentImpact({ x: 4, y: 0, r: 1 }, -4, 0, -2, 0, 2, 0);
+        expect(end['t']).to.be.closeTo(0.25, 0.000001);
+        expect(end['x']).to.be.closeTo(2, 0.000001);
+        expect(end['y']).to.be.closeTo(0, 0.000001);
+        expect(end['nx']).to.be.closeTo(1, 0.000001);
+        // passes beside the endpoint
+        expect(__collision.circleSegmentImpact({ x: 3.1, y: 3, r: 1 }, 0, -6, -2, 0, 2, 0)).to.be.null;
+    });
+    it('circle that starts in contact', function () {
+        var result = __collision.circleSegmentImpact({ x: 0, y: 0.5, r: 1 }, 3, 4, -2, 0, 2, 0);
+        expect(result['t']).to.equal(0);
+        expect(result['x']).to.be.closeTo(0, 0.000001);
+        expect(result['y']).to.be.closeTo(0, 0.000001);
+        expect(result['nx']).to.be.closeTo(-0.6, 0.000001);
+        expect(result['ny']).to.be.closeTo(-0.8, 0.000001);
+    });
+    it('moving circles', function () {
+        var a = { x: 0, y: 0, r: 1 };
+        var b = { x: 10, y: 0, r: 2 };
+        var result = __collision.circleCircleImpact(a, 14, 0, b);
+        expect(result['t']).to.be.closeTo(0.5, 0.000001);
+        expect(result['x']).to.be.closeTo(8, 0.000001);
+        expect(result['y']).to.be.closeTo(0, 0.000001);
+        expect(result['nx']).to.be.closeTo(-1, 0.000001);
+        // both circles move
+        var both = __collision.circleCircleImpact(a, 7, 0, b, -7, 0);
+        expect(both['t']).to.be.closeTo(0.5, 0.000001);
+        expect(both['x']).to.be.closeTo(4.5, 0.000001);
+        expect(__collision.circleCircleImpact(a, 5, 5, b, 5, 5)).to.be.null;
+        expect(__collision.circleCircleImpact(a, 14, 6, b)).to.be.null;
+    });
+    it('swept boxes', function () {
+        var a = { left: 0, top: 2, right: 2, bottom: 0 };
+        var b = { left: 6, top: 3, right: 8, bottom: 1 };
+        var result = __collision.boxImpact(a, 8, 0, b);
+        expect(result['t']).to.be.closeTo(0.5, 0.000001);
+        expect(result['x']).to.be.closeTo(6, 0.000001);
+        expect(result['y']).to.be.closeTo(1.5, 0.000001);
+        expect(result['nx']).to.equal(-1);
+        expect(result['ny']).to.equal(0);
+        // y-down second box, moving toward the first
+        var down = __collision.boxImpact(a, 0, 0, { left: 1, top: -4, right: 3, bottom: -2 }, 0, 4);
+        expect(down['t']).to.be.closeTo(0.5, 0.000001);
+        expect(down['x']).to.be.closeTo(1.5, 0.000001);
+        expect(down['y']).to.be.closeTo(0, 0.000001);
+        expect(down['nx']).to.equal(0);
+        expect(down['ny']).to.equal(1);
+        expect(__collision.boxImpact(a, 3, 0, b)).to.be.null;
+        expect(__collision.boxImpact(a, 8, 8, b)).to.be.null;
+    });
+    it('swept boxes agree with sampled overlap tests', function () {
+        var seed = 29;
+        var hits = 0;
+        var a;
+        var vx;
+        var vy;
+        var result;
+        var first;
+        var i;
+        var k;
+        var b = { left: -1, top: 1, right: 1, bottom: -1 };
+        for (k = 0; k < 50; ++k) {
+            seed = (seed * 16807) % 2147483647;
+            a = { left: (seed % 1000) / 100 - 5, top: 0, right: 0, bottom: (seed % 700) / 100 - 10 };
+            a['right'] = a['left'] + 1;
+            a['top'] = a['bottom'] + 0.5;
+            seed = (seed * 16807) % 2147483647;
+            vx = (seed % 1000) / 100 - 5;
+            seed = (seed * 16807) % 2147483647;
+            vy = (seed % 1500) / 100;
+            result = __collision.boxImpact(a, vx, vy, b);
+            // first of 1000 sample times at which the boxes overlap
+            first = -1;
+            for (i = 0; i <= 1000 && first == -1; ++i) {
+                if (__geomUtils.boxesIntersect({ left: a['left'] + vx * i / 1000, top: a['top'] + vy * i / 1000, right: a['right'] + vx * i / 1000,
+                    bottom: a['bottom'] + vy * i / 1000 }, b)) {
+                    first = i / 1000;
+                }
+            }
+            if (first == -1) {
+                expect(result == null || result['t'] > 0.999).to.be.true;
+            }
+            else {
+                hits++;
+                expect(result['t']).to.be.closeTo(first, 0.001);
+            }
+        }
+        expect(hits).to.be.above(5);
+    });
+});
@@ -0,0 +1,203 @@
+/** Copyright 2016 Jim Armstrong (www.algorithmist.net)
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// Specs for Delaunay triangulation and Voronoi diagram
+import {TSMT$Delaunay    } from '../src/Delaunay';
+import {TSMT$PolygonUtils} from '../src/PolygonUtils';
+
+import * as Chai from 'chai';
+const expect = Chai.expect;
+
+const __polyUtils: TSMT$PolygonUtils = new TSMT$PolygonUtils();
+
+// is point p strictly inside the circumcircle of CCW triangle (a,b,c)?
+function inCircle(x: Array<number>, y: Array<number>, a: number, b: number, c: number, p: number): boolean
+{
+  const adx: number = x[a] - x[p];
+  const ady: number = y[a] - y[p];
+  const bdx: number = x[b] - x[p];
+  const bdy: number = y[b] - y[p];
+  const cdx: number = x[c] - x[p];
+  const cdy: number = y[c] - y[p];
+
+  return (adx*adx + ady*ady)*(bdx*cdy - cdx*bdy) + (bdx*bdx + bdy*bdy)*(cdx*ady - adx*cdy) + (cdx*cdx + cdy*cdy)*(adx*bdy - bdx*ady) > 0.000001;
+}
+
+// Test Suites
+describe('Delaunay', () => {
+  const __delaunay: TSMT$Delaunay = new TSMT$Delaunay();
+
+  it('returns empty array for fewer than three points', () => {
+    expect( __delaunay.triangulate([], []).length ).to.equal(0);
+    expect( __delaunay.triangulate([0, 1], [0, 1]).length ).to.equal(0);
+  });
+
+  it('returns empty array for collinear points', () => {
+    expect( __delaunay.triangulate([0, 1, 2, 3], [0, 2, 4, 6]).length ).to.equal(0);
+  });
+
+  it('single triangle is CCW', () => {
+    const x: Array<number>         = [0, 0, 2];
+    const y: Array<number>         = [0, 2, 0];
+    const triangles: Array<number> = __delaunay.triangulate(x, y);
+
+    expect( triangles.length ).to.equal(3);
+    expect( __polyUtils.signedArea([x[triangles[0]], y[triangles[0]], x[triangles[1]], y[triangles[1]], x[triangles[2]], y[triangles[2]]]) ).to.equal(2);
+  });
+
+  it('square with center point', () => {
+    const x: Array<number>         = [0, 4, 4, 0, 2];
+    const y: Array<number>         = [0, 0, 4, 4, 2];
+    const triangles: Array<number> = __delaunay.triangulate(x, y);
+
+    expect( triangles.length ).to.equal(12);
+    expect( triangles.filter( (i: number): boolean => i == 4 ).length ).to.equal(4);
+  });
+
+  it('duplicate points are triangulated once', () => {
+    const triangles: Array<number> = __delaunay.triangulate([0, 4, 0, 4, 0], [0, 0, 4, 0, 0]);
+
+    expect( triangles.length ).to.equal(3);
+    expect( triangles.slice().sort() ).to.eql([0, 1, 2]);
+  });
+
+  it('collinear points on the hull are retained', () => {
+    const x: Array<number>         = [0, 1, 2, 3, 4, 2];
+    const y: Array<number>         = [0, 0, 0, 0, 0, 3];
+    const triangles: Array<number> = __delaunay.triangulate(x, y);
+
+    expect( triangles.length ).to.equal(12);
+  });
+
+  it('triangulation satisfies the empty circumcircle property and covers the hull', () => {
+    const x: Array<number> = new Array<number>();
+    const y: Array<number> = new Array<number>();
+    let seed: number = 11;
+    let i: number;
+    let p: number;
+
+    for (i = 0; i < 200; ++i)
+    {
+      seed = (seed*16807) % 2147483647;
+      x.push(seed % 1000);
+
+      seed = (seed*16807) % 2147483647;
+      y.push(seed % 1000);
+    }
+
+    // add the corners so that the hull is known
+    x.push(-1, 1000, 1000, -1);
+    y.push(-1, -1, 1000, 1000);
+
+    const triangles: Array<number> = __delaunay.triangulate(x, y);
+    let area: number    = 0;
+    let empty: boolean  = true;
+
+    for (i = 0; i < triangles.length; i += 3)
+    {
+      area += __polyUtils.signedArea([x[triangles[i]], y[triangles[i]], x[triangles[i+1]], y[triangles[i+1]], x[triangles[i+2]], y[triangles[i+2]]]);
+
+      for (p = 0; p < x.length; ++p) {
+        empty = empty && !inCircle(x, y, triangles[i], triangles[i+1], triangles[i+2], p);
+      }
+    }
+
+    expect( empty ).to.be.true;
+    expect( area ).to.equal(1001*1001);
+  });
+
+  it('integer grid (many cocircular points)', () => {
+    const x: Array<number> = new Array<number>();
+    const y: Array<number> = new Array<number>();
+    let i: number;
+    let j: number;
+
+    for (i = 0; i < 10; ++i)
+    {
+      for (j = 0; j < 10; ++j)
+      {
+        x.push(i);
+        y.push(j);
+      }
+    }
+
+    expect( __delaunay.triangulate(x, y).length ).to.equal(3*162);
+  });
+
+  it('neighbors of square with center point', () => {
+    const neighbors: Array<Array<number>> = __delaunay.neighbors([0, 4, 4, 0, 2], [0, 0, 4, 4, 2]);
+
+    expect( neighbors[4] ).to.eql([0, 1, 2, 3]);
+    expect( neighbors[0] ).to.eql([1, 3, 4]);
+  });
+
+  it('neighbors of collinear points and duplicates', () => {
+    const neighbors: Array<Array<number>> = __delaunay.neighbors([2, 0, 1, 3, 1], [2, 0, 1, 3, 1]);
+
+    expect( neighbors[0] ).to.eql([2, 3]);
+    expect( neighbors[1] ).to.eql([2]);
+    expect( neighbors[4] ).to.eql([]);
+  });
+
+  it('voronoi cell of a single point is the box', () => {
+    const cells: Array<Array<number>> = __delaunay.voronoi([5], [5], 0, 10, 10, 0);
+
+    expect( cells.length ).to.equal(1);
+    expect( __polyUtils.signedArea(cells[0]) ).to.equal(100);
+  });
+
+  it('voronoi cells of two points split the box', () => {
+    const cells: Array<Array<number>> = __delaunay.voronoi([2, 8], [5, 5], 0, 0, 10, 10);
+
+    expect( __polyUtils.signedArea(cells[0]) ).to.equal(50);
+    expect( __polyUtils.signedArea(cells[1]) ).to.equal(50);
+    expect( Math.max.apply(null, cells[0].filter( (v: number, i: number): boolean => i % 2 == 0 )) ).to.equal(5);
+  });
+
+  it('voronoi cell of center point is a diamond', () => {
+    const cells: Array<Array<number>> = __delaunay.voronoi([0, 4, 4, 0, 2], [0, 0, 4, 4, 2], 0, 4, 4, 0);
+
+    expect( cells[4].length ).to.equal(8);
+    expect( __polyUtils.signedArea(cells[4]) ).to.equal(8);
+    expect( __polyUtils.signedArea(cells[0]) ).to.equal(2);
+  });
+
+  it('voronoi cells tile the box and contain their sites', () => {
+    const x: Array<number> = [1, 7, 3, 9, 5, 2, 8, 5, 5];
+    const y: Array<number> = [1, 2, 4, 6, 5, 8, 9, 5, 0];
+
+    const cells: Array<Array<number>> = __delaunay.voronoi(x, y, 0, 10, 10, 0);
+    let area: number = 0;
+    let i: number;
+
+    for (i = 0; i < x.length; ++i)
+    {
+      if (i != 7) {
+        area += __polyUtils.signedArea(cells[i]);
+      }
+
+      expect( __polyUtils.pointInPolygon(x[i], y[i], cells[i]) ).to.not.equal(0);
+    }
+
+    expect( area ).to.be.closeTo(100, 0.000001);
+    expect( cells[7] ).to.eql(cells[4]);
+  });
+
+  it('voronoi cell outside the box is empty', () => {
+    const cells: Array<Array<number>> = __delaunay.voronoi([1, 2, 30], [1, 2, 30], 0, 0, 10, 10);
+
+    expect( cells[2].length ).to.equal(0);
+  });
+});
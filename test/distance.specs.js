@@ -0,0 +1,184 @@
+/** Copyright 2016 Jim Armstrong (www.algorithmist.net)
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+"use strict";
+// Specs for distance and closest-point queries
+var Distance_1 = require('../src/Distance');
+var Box_1 = require('../src/Box');
+var GeomUtils_1 = require('../src/GeomUtils');
+var Chai = require('chai');
+var expect = Chai.expect;
+var __distance = new Distance_1.TSMT$Distance();
+var __geomUtils = new GeomUtils_1.TSMT$GeomUtils();
+// are the witness points of a query result the given points?
+function witness(result, x1, y1, x2, y2) {
+    return Math.abs(result['x1'] - x1) < 0.000001 && Math.abs(result['y1'] - y1) < 0.000001 &&
+        Math.abs(result['x2'] - x2) < 0.000001 && Math.abs(result['y2'] - y2) < 0.000001;
+}
+// Test Suites
+describe('Distance', function () {
+    it('segment to segment', function () {
+        var result = __distance.segmentToSegment(0, 0, 4, 0, 1, 2, 3, 5);
+        expect(result['distance']).to.be.closeTo(2, 0.000001);
+        expect(witness(result, 1, 0, 1, 2)).to.be.true;
+        expect(result['t']).to.be.closeTo(0.25, 0.000001);
+        expect(result['u']).to.equal(0);
+        // parallel segments
+        result = __distance.segmentToSegment(0, 0, 4, 0, 6, 1, 10, 1);
+        expect(result['distance']).to.be.closeTo(Math.sqrt(5), 0.000001);
+        expect(witness(result, 4, 0, 6, 1)).to.be.true;
+        // crossing segments
+        result = __distance.segmentToSegment(0, 0, 4, 4, 0, 4, 4, 0);
+        expect(result['distance']).to.equal(0);
+        expect(witness(result, 2, 2, 2, 2)).to.be.true;
+        expect(result['t']).to.be.closeTo(0.5, 0.000001);
+    });
+    it('segment to segment agrees with sampling', function () {
+        var seed = 5;
+        var c;
+        var result;
+        var best;
+        var t;
+        var i;
+        var k;
+        for (k = 0; k < 50; ++k) {
+            c = new Array();
+            for (i = 0; i < 8; ++i) {
+                seed = (seed * 16807) % 2147483647;
+                c.push((seed % 1000) / 100);
+            }
+            result = __distance.segmentToSegment(c[0], c[1], c[2], c[3], c[4], c[5], c[6], c[7]);
+            best = Number.POSITIVE_INFINITY;
+            for (i = 0; i <= 200; ++i) {
+                t = i / 200;
+                best = Math.min(best, __geomUtils.pointToSegmentDistance(c[4], c[5], c[6], c[7], c[0] + t * (c[2] - c[0]), c[1] + t * (c[3] - c[1])));
+            }
+            expect(result['distance']).to.be.at.most(best + 0.000000001);
+            expect(result['distance']).to.be.closeTo(best, 0.1);
+            expect(Math.sqrt((result['x2'] - result['x1']) * (result['x2'] - result['x1']) + (result['y2'] - result['y1']) * (result['y2'] - result['y1']))).to.be.closeTo(result['distance'], 0.000001);
+        }
+    });
+    it('point to polyline', function () {
+        var path = [0, 0, 10, 0, 10, 10];
+        var result = __distance.pointToPolyline(8, 4, path);
+        expect(result['distance']).to.be.closeTo(2, 0.000001);
+        expect(result['x']).to.equal(10);
+        expect(result['y']).to.equal(4);
+        expect(result['index']).to.equal(1);
+        expect(result['t']).to.be.closeTo(0.4, 0.000001);
+        result = __distance.pointToPolyline(-3, 4, path);
+        expect(result['distance']).to.be.closeTo(5, 0.000001);
+        expect(result['index']).to.equal(0);
+        expect(result['t']).to.equal(0);
+        expect(__distance.pointToPolyline(3, 4, [0, 0])['distance']).to.be.closeTo(5, 0.000001);
+        expect(__distance.pointToPolyline(3, 4, [])).to.be.null;
+    });
+    it('signed point to polygon', function () {
+        var square = [0, 0, 10, 0, 10, 10, 0, 10];
+        var result = __distance.pointToPolygon(3, 5, square);
+        expect(result['distance']).to.be.closeTo(-3, 0.000001);
+        expect(result['x']).to.equal(0);
+        expect(result['y']).to.equal(5);
+        expect(result['edge']).to.equal(3);
+        result = __distance.pointToPolygon(13, 14, square);
+        expect(result['distance']).to.be.closeTo(5, 0.000001);
+        expect(result['x']).to.equal(10);
+        expect(result['y']).to.equal(10);
+        expect(__distance.pointToPolygon(5, 0, square)['distance']).to.equal(0);
+        expect(__distance.pointToPolygon(3, 5, square.slice().reverse())['distance']).to.be.closeTo(-3, 0.000001);
+        expect(__distance.pointToPolygon(0, 0, [])).to.be.null;
+    });
+    it('polygon boundary uses the configured on-line tolerance', function () {
+        var square = [0, 0, 10, 0, 10, 10, 0, 10];
+        var loose = new Distance_1.TSMT$Distance({ onLine: 1 });
+        expect(__distance.pointToPolygon(5, 0.0004, square)['distance']).to.be.closeTo(-0.0004, 0.0000001);
+        expect(loose.pointToPolygon(5, 0.0004, square)['distance']).to.equal(0);
+    });
+    it('box to box', function () {
+        var result = __distance.boxToBox({ left: 0, top: 2, right: 2, bottom: 0 }, { left: 5, top: 8, right: 7, bottom: 6 });
+        expect(result['distance']).to.be.closeTo(5, 0.000001);
+        expect(witness(result, 2, 2, 5, 6)).to.be.true;
+        // y-down form, separated along x only
+        result = __distance.boxToBox(new Box_1.TSMT$Box(0, 0, 2, 4), { left: 5, top: 1, right: 7, bottom: 6 });
+        expect(result['distance']).to.be.closeTo(3, 0.000001);
+        expect(witness(result, 2, 2.5, 5, 2.5)).to.be.true;
+        // overlapping
+        result = __distance.boxToBox({ left: 0, top: 4, right: 4, bottom: 0 }, { left: 2, top: 6, right: 6, bottom: 3 });
+        expect(result['distance']).to.equal(0);
+        expect(witness(result, 3, 3.5, 3, 3.5)).to.be.true;
+    });
+    it('segment to circle', function () {
+        var result = __distance.segmentToCircle(-5, 5, 5, 5, 0, 0, 2);
+        expect(result['distance']).to.be.closeTo(3, 0.000001);
+        expect(witness(result, 0, 5, 0, 2)).to.be.true;
+        expect(result['t']).to.be.closeTo(0.5, 0.000001);
+        result = __distance.segmentToCircle(6, 8, 9, 12, 0, 0, 5);
+        expect(result['distance']).to.be.closeTo(5, 0.000001);
+        expect(witness(result, 6, 8, 3, 4)).to.be.true;
+        // crossing and inside are at zero distance
+        expect(__distance.segmentToCircle(-5, 1, 5, 1, 0, 0, 2)['distance']).to.equal(0);
+        expect(__distance.segmentToCircle(-0.5, 0, 0.5, 0, 0, 0, 2)['distance']).to.equal(0);
+    });
+    it('Hausdorff distance', function () {
+        var a = [0, 0, 10, 0];
+        var b = [0, 1, 5, 3, 10, 1];
+        var result = __distance.hausdorff(a, b);
+        expect(result['distance']).to.be.closeTo(3, 0.000001);
+        expect(witness(result, 5, 0, 5, 3)).to.be.true;
+        // the witness points are ordered a, b even when the farthest point is on b
+        result = __distance.hausdorff(b, a);
+        expect(witness(result, 5, 3, 5, 0)).to.be.true;
+        expect(__distance.hausdorff([0, 0, 10, 0], [0, 0, 10, 0])['distance']).to.equal(0);
+        expect(__distance.hausdorff([], b)).to.be.null;
+    });
+    it('Hausdorff distance with sampling', function () {
+        var a = [1, 3, 1, 6, 9, 3];
+        var b = [0, 2, 1, 0, 8, 1];
+        // the farthest point of a from b is interior to a segment of a, so it is only found by sampling
+        var vertices = __distance.hausdorff(a, b);
+        var sampled = __distance.hausdorff(a, b, 0.01);
+        expect(vertices['distance']).to.be.closeTo(Math.sqrt(17), 0.000001);
+        expect(sampled['distance']).to.be.above(4.6);
+        expect(sampled['distance']).to.be.closeTo(__distance.hausdorff(a, b, 0.001)['distance'], 0.01);
+        expect(__distance.pointToPolyline(sampled['x1'], sampled['y1'], b)['distance']).to.be.closeTo(sampled['distance'], 0.000001);
+    });
+    it('discrete Frechet distance', function () {
+        var a = [0, 0, 1, 0, 2, 0, 3, 0];
+        var b = [0, 1, 1, 1, 2, 1, 3, 1];
+        var result = __distance.frechet(a, b);
+        expect(result['distance']).to.be.closeTo(1, 0.000001);
+        expect(Math.sqrt((result['x2'] - result['x1']) * (result['x2'] - result['x1']) + (result['y2'] - result['y1']) * (result['y2'] - result['y1']))).to.be.closeTo(1, 0.000001);
+        // the same curves traversed in opposite directions are far apart, although their Hausdorff distance is small
+        var reversed = [3, 1, 2, 1, 1, 1, 0, 1];
+        result = __distance.frechet(a, reversed);
+        expect(result['distance']).to.be.closeTo(Math.sqrt(10), 0.000001);
+        expect(__distance.hausdorff(a, reversed)['distance']).to.be.closeTo(1, 0.000001);
+        expect(__distance.frechet([0, 0], [3, 4])['distance']).to.be.closeTo(5, 0.000001);
+        expect(__distance.frechet([0, 0], [])).to.be.null;
+    });
+    it('Frechet distance witness vertices', function () {
+        var a = [0, 0, 5, 0, 10, 0];
+        var b = [0, 0, 5, 4, 10, 0];
+        var result = __distance.frechet(a, b);
+        expect(result['distance']).to.be.closeTo(4, 0.000001);
+        expect(witness(result, 5, 0, 5, 4)).to.be.true;
+        expect(result['i']).to.equal(1);
+        expect(result['j']).to.equal(1);
+        // inserting points along the segments approaches the continuous distance
+        result = __distance.frechet([0, 0, 10, 0], [0, 0, 2, 0, 10, 0]);
+        expect(result['distance']).to.be.closeTo(2, 0.000001);
+        result = __distance.frechet([0, 0, 10, 0], [0, 0, 2, 0, 10, 0], 0.5);
+        expect(result['distance']).to.be.at.most(0.5);
+    });
+});
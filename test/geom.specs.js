@@ -16,6 +16,8 @@
 // Specs for Geom Utils
 var GeomUtils_1 = require('../src/GeomUtils');
 var GeomUtils_2 = require('../src/GeomUtils');
+var GeomUtils_3 = require('../src/GeomUtils');
+var GeomUtils_4 = require('../src/GeomUtils');
 var Chai = require('chai');
 var expect = Chai.expect;
 // Test Suites
@@ -162,6 +164,79 @@ describe('GeomUtils', function () {
     it('line segment (1,1) to (8,5) & (1,1) to (6,-1) do intersect', function () {
         expect(__geomUtils.segmentsIntersect(1, 1, 8, 5, 1, 1, 6, -1)).to.be.true;
     });
+    it('line segment (1,1) to (5,1) & (3,1) to (7,1) overlap and intersect', function () {
+        expect(__geomUtils.segmentsIntersect(1, 1, 5, 1, 3, 1, 7, 1)).to.be.true;
+        expect(__geomUtils.segmentsIntersect(3, 1, 4, 1, 1, 1, 7, 1)).to.be.true;
+    });
+    it('line segment (1,1) to (2,1) & (3,1) to (7,1) are colinear and do not intersect', function () {
+        expect(__geomUtils.segmentsIntersect(1, 1, 2, 1, 3, 1, 7, 1)).to.be.false;
+    });
+    // line segment intersection details
+    it('segment intersection of (1,1) to (8,5) & (5,2) to (6,-1) is none', function () {
+        var result = __geomUtils.segmentIntersection(1, 1, 8, 5, 5, 2, 6, -1);
+        expect(result['type']).to.equal(GeomUtils_3.IntersectEnum.NONE);
+        expect(isNaN(result['x'])).to.be.true;
+        expect(isNaN(result['t'])).to.be.true;
+    });
+    it('segment intersection of parallel segments is none', function () {
+        expect(__geomUtils.segmentIntersection(1, 1, 8, 5, 2, 2, 9, 6)['type']).to.equal(GeomUtils_3.IntersectEnum.NONE);
+    });
+    it('segment intersection of (0,0) to (4,4) & (0,4) to (4,0) is point (2,2)', function () {
+        var result = __geomUtils.segmentIntersection(0, 0, 4, 4, 0, 4, 4, 0);
+        expect(result['type']).to.equal(GeomUtils_3.IntersectEnum.POINT);
+        expect(result['x']).to.equal(2);
+        expect(result['y']).to.equal(2);
+        expect(result['t']).to.equal(0.5);
+        expect(result['u']).to.equal(0.5);
+        expect(result['x2']).to.equal(2);
+        expect(result['y2']).to.equal(2);
+    });
+    it('segment intersection parameters are along each segment', function () {
+        var result = __geomUtils.segmentIntersection(0, 0, 8, 0, 6, -1, 6, 3);
+        expect(result['type']).to.equal(GeomUtils_3.IntersectEnum.POINT);
+        expect(result['t']).to.equal(0.75);
+        expect(result['u']).to.equal(0.25);
+    });
+    it('segment intersection of (1,1) to (8,5) & (1,1) to (6,-1) is endpoint (1,1)', function () {
+        var result = __geomUtils.segmentIntersection(1, 1, 8, 5, 1, 1, 6, -1);
+        expect(result['type']).to.equal(GeomUtils_3.IntersectEnum.ENDPOINT);
+        expect(result['x']).to.equal(1);
+        expect(result['y']).to.equal(1);
+        expect(result['t']).to.equal(0);
+        expect(result['u']).to.equal(0);
+    });
+    it('segment intersection of T-junction is endpoint', function () {
+        var result = __geomUtils.segmentIntersection(0, 0, 4, 0, 2, 3, 2, 0);
+        expect(result['type']).to.equal(GeomUtils_3.IntersectEnum.ENDPOINT);
+        expect(result['x']).to.equal(2);
+        expect(result['y']).to.equal(0);
+        expect(result['t']).to.equal(0.5);
+        expect(result['u']).to.equal(1);
+    });
+    it('segment intersection of colinear segments touching at one end is endpoint', function () {
+        var result = __geomUtils.segmentIntersection(1, 1, 3, 1, 3, 1, 7, 1);
+        expect(result['type']).to.equal(GeomUtils_3.IntersectEnum.ENDPOINT);
+        expect(result['x']).to.equal(3);
+        expect(result['t']).to.equal(1);
+        expect(result['u']).to.equal(0);
+    });
+    it('segment intersection of colinear segments returns overlap sub-segment', function () {
+        var result = __geomUtils.segmentIntersection(1, 1, 5, 1, 7, 1, 3, 1);
+        expect(result['type']).to.equal(GeomUtils_3.IntersectEnum.OVERLAP);
+        expect(result['x']).to.equal(3);
+        expect(result['y']).to.equal(1);
+        expect(result['x2']).to.equal(5);
+        expect(result['y2']).to.equal(1);
+        expect(result['t']).to.equal(0.5);
+        expect(result['u']).to.equal(1);
+        expect(result['t2']).to.equal(1);
+        expect(result['u2']).to.equal(0.5);
+    });
+    it('segment intersection of point on segment is endpoint', function () {
+        var result = __geomUtils.segmentIntersection(2, 2, 2, 2, 0, 0, 4, 4);
+        expect(result['type']).to.equal(GeomUtils_3.IntersectEnum.ENDPOINT);
+        expect(result['u']).to.equal(0.5);
+    });
     // intersection point of two (infinte) lines
     it('line through (15,10) and (49,25) & (29,5) to (32,32) intersect at (30,17)', function () {
         var coord = __geomUtils.lineIntersection(15, 10, 49, 25, 29, 5, 32, 32);
@@ -170,6 +245,26 @@ describe('GeomUtils', function () {
         expect(Math.abs(x - 30.305) < 0.01).to.be.true;
         expect(Math.abs(y - 16.75) < 0.01).to.be.true;
     });
+    it('parallel lines have no intersection point', function () {
+        var coord = __geomUtils.lineIntersection(1, 1, 7, 1, 2, 2, 8, 2);
+        expect(isNaN(coord['x'])).to.be.true;
+        expect(isNaN(coord['y'])).to.be.true;
+    });
+    // line segment - box intersection points
+    it('segment from (0,2) to (6,2) intersects box (1,4) to (5,0) at (1,2) and (5,2)', function () {
+        var coord = __geomUtils.lineRectIntersection(6, 2, 0, 2, 1, 4, 5, 0);
+        expect(coord['x1']).to.equal(1);
+        expect(coord['y1']).to.equal(2);
+        expect(coord['x2']).to.equal(5);
+        expect(coord['y2']).to.equal(2);
+    });
+    it('segment through box corner (1,4) intersects box at (1,4) and (5,0)', function () {
+        var coord = __geomUtils.lineRectIntersection(0, 5, 6, -1, 1, 4, 5, 0);
+        expect(coord['x1']).to.equal(1);
+        expect(coord['y1']).to.equal(4);
+        expect(coord['x2']).to.equal(5);
+        expect(coord['y2']).to.equal(0);
+    });
     // interior angle
     it('interior angle of (1,2), (7,12) and (-1,18) is approx. 95.91 deg.', function () {
         var angle = __geomUtils.interiorAngle(1, 2, 7, 12, -1, 18, true);
@@ -212,11 +307,183 @@ describe('GeomUtils', function () {
         expect(Math.abs(x2 + 4.37) < 0.01).to.be.true;
         expect(Math.abs(y2 + 1.16) < 0.01).to.be.true;
     });
+    it('circle relation of disjoint, contained, and coincident circles', function () {
+        expect(__geomUtils.circleRelation(0, 0, 1, 5, 0, 1)).to.eql({ type: GeomUtils_4.CircleRelationEnum.DISJOINT, points: [] });
+        expect(__geomUtils.circleRelation(0, 0, 5, 1, 0, 1)).to.eql({ type: GeomUtils_4.CircleRelationEnum.CONTAINED, points: [] });
+        expect(__geomUtils.circleRelation(1, 0, 1, 0, 0, 5)).to.eql({ type: GeomUtils_4.CircleRelationEnum.CONTAINED, points: [] });
+        expect(__geomUtils.circleRelation(0, 0, 1, 0, 0, 2)).to.eql({ type: GeomUtils_4.CircleRelationEnum.CONTAINED, points: [] });
+        expect(__geomUtils.circleRelation(0, 0, 2, 0.0001, 0, 2.0001)).to.eql({ type: GeomUtils_4.CircleRelationEnum.COINCIDENT, points: [] });
+    });
+    it('circle relation of intersecting circles', function () {
+        var relation = __geomUtils.circleRelation(-2, -3, 3, -1, 1, 4);
+        var points = relation['points'];
+        expect(relation['type']).to.equal(GeomUtils_4.CircleRelationEnum.INTERSECTING);
+        expect(points.length).to.equal(2);
+        expect(points[0]['x']).to.be.closeTo(0.96, 0.01);
+        expect(points[0]['y']).to.be.closeTo(-2.49, 0.01);
+        expect(points[1]['x']).to.be.closeTo(-4.37, 0.01);
+        expect(points[1]['y']).to.be.closeTo(-1.16, 0.01);
+    });
+    it('circle relation of externally tangent circles', function () {
+        expect(__geomUtils.circleRelation(0, 0, 1, 3, 0, 2)).to.eql({ type: GeomUtils_4.CircleRelationEnum.EXTERNAL_TANGENT, points: [{ x: 1, y: 0 }] });
+        // within tolerance on either side of exact tangency
+        var near = __geomUtils.circleRelation(0, 0, 0.1, 0.3, 0.4, 0.4);
+        expect(near['type']).to.equal(GeomUtils_4.CircleRelationEnum.EXTERNAL_TANGENT);
+        expect(near['points'][0]['x']).to.be.closeTo(0.06, 0.000001);
+        expect(near['points'][0]['y']).to.be.closeTo(0.08, 0.000001);
+        expect(__geomUtils.circleRelation(0, 0, 1, 3.0005, 0, 2)['type']).to.equal(GeomUtils_4.CircleRelationEnum.EXTERNAL_TANGENT);
+        expect(__geomUtils.circleRelation(0, 0, 1, 2.9995, 0, 2)['type']).to.equal(GeomUtils_4.CircleRelationEnum.EXTERNAL_TANGENT);
+        expect(__geomUtils.circleRelation(0, 0, 1, 3.01, 0, 2)['type']).to.equal(GeomUtils_4.CircleRelationEnum.DISJOINT);
+        expect(__geomUtils.circleRelation(0, 0, 1, 2.99, 0, 2)['type']).to.equal(GeomUtils_4.CircleRelationEnum.INTERSECTING);
+    });
+    it('circle relation of internally tangent circles', function () {
+        expect(__geomUtils.circleRelation(0, 0, 3, 1, 0, 2)).to.eql({ type: GeomUtils_4.CircleRelationEnum.INTERNAL_TANGENT, points: [{ x: 3, y: 0 }] });
+        expect(__geomUtils.circleRelation(1, 0, 2, 0, 0, 3)).to.eql({ type: GeomUtils_4.CircleRelationEnum.INTERNAL_TANGENT, points: [{ x: 3, y: 0 }] });
+        expect(__geomUtils.circleRelation(0, 0, 3, 0, 1.0005, 2)['type']).to.equal(GeomUtils_4.CircleRelationEnum.INTERNAL_TANGENT);
+    });
+    it('circle relation tolerance is configurable', function () {
+        var geomUtils = new GeomUtils_1.TSMT$GeomUtils({ circle: 1e-9 });
+        expect(geomUtils.circleRelation(0, 0, 1, 3.0005, 0, 2)['type']).to.equal(GeomUtils_4.CircleRelationEnum.DISJOINT);
+        expect(geomUtils.circleRelation(0, 0, 0.001, 0.003, 0, 0.002)['type']).to.equal(GeomUtils_4.CircleRelationEnum.EXTERNAL_TANGENT);
+    });
+    // circle primitives
+    it('segment-circle intersection', function () {
+        expect(__geomUtils.segmentCircleIntersection(-10, 0, 10, 0, 0, 0, 5)).to.eql([{ x: -5, y: 0 }, { x: 5, y: 0 }]);
+        expect(__geomUtils.segmentCircleIntersection(10, 0, -10, 0, 0, 0, 5)).to.eql([{ x: 5, y: 0 }, { x: -5, y: 0 }]);
+        expect(__geomUtils.segmentCircleIntersection(0, 0, 10, 0, 0, 0, 5)).to.eql([{ x: 5, y: 0 }]);
+        expect(__geomUtils.segmentCircleIntersection(-1, 0, 1, 0, 0, 0, 5).length).to.equal(0);
+        expect(__geomUtils.segmentCircleIntersection(-10, 6, 10, 6, 0, 0, 5).length).to.equal(0);
+    });
+    it('segment tangent to a circle produces a single point', function () {
+        expect(__geomUtils.segmentCircleIntersection(-10, 5, 10, 5, 0, 0, 5)).to.eql([{ x: 0, y: 5 }]);
+        expect(__geomUtils.segmentCircleIntersection(3, 4, 3, 10, 0, 0, 5)).to.eql([{ x: 3, y: 4 }]);
+    });
+    it('ray-circle intersection', function () {
+        expect(__geomUtils.rayCircleIntersection(-10, 0, 1, 0, 0, 0, 5)).to.eql([{ x: -5, y: 0 }, { x: 5, y: 0 }]);
+        expect(__geomUtils.rayCircleIntersection(0, 0, 0, 2, 0, 0, 5)).to.eql([{ x: 0, y: 5 }]);
+        expect(__geomUtils.rayCircleIntersection(-10, 0, -1, 0, 0, 0, 5).length).to.equal(0);
+        expect(__geomUtils.rayCircleIntersection(-10, 0, 0, 0, 0, 0, 5).length).to.equal(0);
+    });
+    it('line-circle intersection', function () {
+        expect(__geomUtils.lineCircleIntersection(-1, 3, 1, 3, 0, 0, 5)).to.eql([{ x: -4, y: 3 }, { x: 4, y: 3 }]);
+        expect(__geomUtils.lineCircleIntersection(-1, 6, 1, 6, 0, 0, 5).length).to.equal(0);
+    });
+    it('tangents from a point to a circle', function () {
+        var tangents = __geomUtils.pointCircleTangents(0, 10, 0, 0, 5);
+        expect(tangents.length).to.equal(2);
+        expect(tangents[0]['x']).to.be.closeTo(-4.330127, 0.000001);
+        expect(tangents[0]['y']).to.be.closeTo(2.5, 0.000001);
+        expect(tangents[1]['x']).to.be.closeTo(4.330127, 0.000001);
+        expect(tangents[1]['y']).to.be.closeTo(2.5, 0.000001);
+        expect(__geomUtils.pointCircleTangents(3, 4, 0, 0, 5)).to.eql([{ x: 3, y: 4 }]);
+        expect(__geomUtils.pointCircleTangents(1, 1, 0, 0, 5).length).to.equal(0);
+    });
+    it('common tangents of separate circles', function () {
+        var tangents = __geomUtils.circleTangents(0, 0, 1, 10, 0, 1);
+        expect(tangents.length).to.equal(4);
+        // external tangents are y = 1 and y = -1
+        expect(tangents[0]).to.eql({ x1: 0, y1: 1, x2: 10, y2: 1 });
+        expect(tangents[1]['y1']).to.equal(-1);
+        expect(tangents[1]['y2']).to.equal(-1);
+        // internal tangents pass through the midpoint between the centers
+        expect(__geomUtils.pointOnLine(5, 0, tangents[2]['x1'], tangents[2]['y1'], tangents[2]['x2'], tangents[2]['y2'])).to.be.true;
+        expect(tangents[2]['y1'] * tangents[2]['y2']).to.be.below(0);
+    });
+    it('number of common tangents depends on relative position of circles', function () {
+        expect(__geomUtils.circleTangents(0, 0, 2, 3, 0, 1).length).to.equal(3);
+        expect(__geomUtils.circleTangents(0, 0, 2, 2, 0, 1).length).to.equal(2);
+        expect(__geomUtils.circleTangents(0, 0, 2, 1, 0, 1)).to.eql([{ x1: 2, y1: 0, x2: 2, y2: 0 }]);
+        expect(__geomUtils.circleTangents(0, 0, 3, 1, 0, 1).length).to.equal(0);
+        expect(__geomUtils.circleTangents(0, 0, 3, 0, 0, 3).length).to.equal(0);
+    });
+    it('circle through three points', function () {
+        var circle = __geomUtils.circleThroughPoints(5, 0, 0, 5, -3, -4);
+        expect(circle['x']).to.be.closeTo(0, 0.000001);
+        expect(circle['y']).to.be.closeTo(0, 0.000001);
+        expect(circle['r']).to.be.closeTo(5, 0.000001);
+        expect(isNaN(__geomUtils.circleThroughPoints(0, 0, 1, 1, 2, 2)['r'])).to.be.true;
+    });
+    it('minimum enclosing circle', function () {
+        expect(isNaN(__geomUtils.enclosingCircle([], [])['r'])).to.be.true;
+        expect(__geomUtils.enclosingCircle([2], [3])).to.eql({ x: 2, y: 3, r: 0 });
+        expect(__geomUtils.enclosingCircle([0, 4, 2, 1], [0, 0, 1, 0])).to.eql({ x: 2, y: 0, r: 2 });
+        var circle = __geomUtils.enclosingCircle([5, 0, -3, 1, 2, -1], [0, 5, -4, 1, -2, 3]);
+        expect(circle['x']).to.be.closeTo(0, 0.000001);
+        expect(circle['y']).to.be.closeTo(0, 0.000001);
+        expect(circle['r']).to.be.closeTo(5, 0.000001);
+    });
+    it('minimum enclosing circle of collinear and duplicate points', function () {
+        expect(__geomUtils.enclosingCircle([0, 1, 2, 3, 6, 6], [0, 1, 2, 3, 6, 6])).to.eql({ x: 3, y: 3, r: Math.sqrt(72) / 2 });
+        expect(__geomUtils.enclosingCircle([1, 1, 1], [1, 1, 1])).to.eql({ x: 1, y: 1, r: 0 });
+    });
+    it('minimum enclosing circle uses the containment tolerance', function () {
+        var loose = new GeomUtils_1.TSMT$GeomUtils({ containment: 0.01 });
+        // the third point is just outside the circle on the first two as diameter
+        expect(loose.enclosingCircle([0, 4, 2], [0, 0, 2.005])).to.eql({ x: 2, y: 0, r: 2 });
+        expect(__geomUtils.enclosingCircle([0, 4, 2], [0, 0, 2.005])['r']).to.be.above(2);
+    });
     // point to segment distance
     it('dist. from (5,6) to line passing through (2,0) & (8,4) is approx. 3.3', function () {
         var d = __geomUtils.pointToSegmentDistance(2, 0, 8, 4, 5, 6);
         expect(Math.abs(d - 3.3) < 0.1).to.be.true;
     });
+    // batch variants
+    it('batch predicates agree with their scalar versions', function () {
+        var n = 500;
+        var coords = new Float64Array(2 * n);
+        var seed = 11;
+        var i;
+        for (i = 0; i < 2 * n; ++i) {
+            seed = (seed * 16807) % 2147483647;
+            coords[i] = (seed % 2000) / 100 - 10;
+        }
+        // include points exactly on the segment line and at its endpoints
+        coords[0] = -2;
+        coords[1] = -1;
+        coords[2] = 4;
+        coords[3] = 2;
+        coords[4] = 2;
+        coords[5] = 1;
+        var distance = __geomUtils.pointToSegmentDistanceBatch(-2, -1, 4, 2, coords);
+        var projection = __geomUtils.projectToSegmentBatch(-2, -1, 4, 2, coords);
+        var orientation = __geomUtils.pointOrientationBatch(-2, -1, 4, 2, coords);
+        var yUp = __geomUtils.insideBoxBatch(coords, -3, 5, 6, -2);
+        var yDown = __geomUtils.insideBoxBatch(coords, -3, -2, 6, 5);
+        var consistent = true;
+        var x;
+        var y;
+        var p;
+        for (i = 0; i < n; ++i) {
+            x = coords[2 * i];
+            y = coords[2 * i + 1];
+            p = __geomUtils.projectToSegment(-2, -1, 4, 2, x, y);
+            consistent = consistent && distance[i] == __geomUtils.pointToSegmentDistance(-2, -1, 4, 2, x, y);
+            consistent = consistent && projection[2 * i] == p['x'] && projection[2 * i + 1] == p['y'];
+            consistent = consistent && orientation[i] == __geomUtils.pointOrientation(-2, -1, 4, 2, x, y);
+            consistent = consistent && (yUp[i] == 1) == __geomUtils.insideBox(x, y, -3, 5, 6, -2);
+            consistent = consistent && (yDown[i] == 1) == __geomUtils.insideBox(x, y, -3, -2, 6, 5);
+        }
+        expect(consistent).to.be.true;
+        expect(orientation[1]).to.equal(GeomUtils_2.DirEnum.ON);
+    });
+    it('batch predicates write into caller-supplied buffers', function () {
+        var coords = new Float64Array([0, 2, 5, 1, -1, -1]);
+        var distance = new Float64Array(3);
+        var inside = new Uint8Array(3);
+        expect(__geomUtils.pointToSegmentDistanceBatch(0, 0, 4, 0, coords, distance)).to.equal(distance);
+        expect(Array.prototype.slice.call(distance)).to.eql([2, Math.sqrt(2), Math.sqrt(2)]);
+        expect(__geomUtils.insideBoxBatch(coords, -2, 3, 3, -2, inside)).to.equal(inside);
+        expect(Array.prototype.slice.call(inside)).to.eql([1, 0, 1]);
+        // projection in place
+        expect(__geomUtils.projectToSegmentBatch(0, 0, 4, 0, coords, coords)).to.equal(coords);
+        expect(Array.prototype.slice.call(coords)).to.eql([0, 0, 4, 0, 0, 0]);
+    });
+    it('batch orientation uses exact predicates in robust mode', function () {
+        var geomUtils = new GeomUtils_1.TSMT$GeomUtils({ robust: true });
+        var coords = new Float64Array([0.5, 0.5, 0.5, 0.50001, 0.5, 0.49999]);
+        expect(Array.prototype.slice.call(geomUtils.pointOrientationBatch(0, 0, 1, 1, coords))).to.eql([GeomUtils_2.DirEnum.ON, GeomUtils_2.DirEnum.LEFT, GeomUtils_2.DirEnum.RIGHT]);
+        expect(Array.prototype.slice.call(__geomUtils.pointOrientationBatch(0, 0, 1, 1, coords))).to.eql([GeomUtils_2.DirEnum.ON, GeomUtils_2.DirEnum.ON, GeomUtils_2.DirEnum.ON]);
+    });
     // reflect point cloud around a line segment
     it('reflection about line y = x', function () {
         var p = [{ x: 2, y: 1 }, { x: 1, y: -1 }, { x: -1, y: 0 }, { x: 4, y: 7 }, { x: 6, y: -4 }, { x: 7, y: 2 }];
@@ -267,4 +534,222 @@ describe('GeomUtils', function () {
         var d = Math.sqrt(dx * dx + dy * dy);
         expect(Math.abs(d - 1) < 0.001).to.be.true;
     });
+    it('closest distance handles duplicate points', function () {
+        var points = __geomUtils.closestPoints([0, 5, 9, 5, 2], [0, 5, 1, 5, 8]);
+        expect(points[0]).to.eql({ x: 5, y: 5 });
+        expect(points[1]).to.eql({ x: 5, y: 5 });
+    });
+    it('closest pairs returns indices in order of distance', function () {
+        var xcoord = [0, 10, 1, 13, 0];
+        var ycoord = [0, 0, 0, 4, 3];
+        var pairs = __geomUtils.closestPairs(xcoord, ycoord, 3);
+        expect(pairs.length).to.equal(3);
+        expect(pairs[0]).to.eql({ i: 0, j: 2, d: 1 });
+        expect(pairs[1]['i']).to.equal(0);
+        expect(pairs[1]['j']).to.equal(4);
+        expect(pairs[1]['d']).to.equal(3);
+        expect(pairs[2]['d']).to.be.closeTo(Math.sqrt(10), 0.000001);
+    });
+    it('closest pairs returns at most all pairs and is empty for invalid input', function () {
+        expect(__geomUtils.closestPairs([0, 1, 2], [0, 0, 0], 10).length).to.equal(3);
+        expect(__geomUtils.closestPairs([0], [0], 1).length).to.equal(0);
+        expect(__geomUtils.closestPairs([0, 1], [0], 1).length).to.equal(0);
+        expect(__geomUtils.closestPairs([0, 1], [0, 1], 0).length).to.equal(0);
+    });
+    it('pairs within a distance', function () {
+        var xcoord = [0, 10, 1, 13, 0, 1];
+        var ycoord = [0, 0, 0, 4, 3, 0];
+        var pairs = __geomUtils.pairsWithin(xcoord, ycoord, 3);
+        expect(pairs.map(function (p) { return [p['i'], p['j']]; })).to.eql([[2, 5], [0, 2], [0, 5], [0, 4]]);
+        expect(pairs[0]['d']).to.equal(0);
+        expect(__geomUtils.pairsWithin(xcoord, ycoord, -1).length).to.equal(0);
+    });
+    it('minimum pairs returns all ties', function () {
+        var xcoord = [-2, 1, 2, 0, -8, -7, -8, 5, 1, 1, -2, 5, 4, 3, -5, 8, 4, 2, 1, 0];
+        var ycoord = [0, 3, 4, -2, -3, 4, 2, 0, 1, 2, -2, -1, 4, 0, 2, -2, 3, -3, -2, 1];
+        var pairs = __geomUtils.minimumPairs(xcoord, ycoord);
+        expect(pairs.length).to.equal(6);
+        expect(pairs.every(function (p) { return p['d'] == 1; })).to.be.true;
+        expect(pairs[0]).to.eql({ i: 1, j: 9, d: 1 });
+    });
+    it('minimum pairs with tolerance', function () {
+        var xcoord = [0, 0.1, 5, 5.1000001, 9];
+        var ycoord = [0, 0, 0, 0, 9];
+        expect(__geomUtils.minimumPairs(xcoord, ycoord).length).to.equal(1);
+        expect(__geomUtils.minimumPairs(xcoord, ycoord, 0.00001).length).to.equal(2);
+        expect(__geomUtils.minimumPairs([1], [1]).length).to.equal(0);
+    });
+    // convex hull of a point cloud
+    it('convex hull returns empty array for empty or mismatched inputs', function () {
+        expect(__geomUtils.convexHull([], []).length).to.equal(0);
+        expect(__geomUtils.convexHull([0, 1], [0]).length).to.equal(0);
+    });
+    it('convex hull of square with interior points is CCW from lower-left', function () {
+        var xcoord = [1, 2, 0, 2, 1, 0];
+        var ycoord = [1, 0, 2, 2, 0.5, 0];
+        expect(__geomUtils.convexHull(xcoord, ycoord)).to.eql([5, 1, 3, 2]);
+    });
+    it('convex hull of square in CW order', function () {
+        var xcoord = [1, 2, 0, 2, 1, 0];
+        var ycoord = [1, 0, 2, 2, 0.5, 0];
+        expect(__geomUtils.convexHull(xcoord, ycoord, true)).to.eql([5, 2, 3, 1]);
+    });
+    it('convex hull drops or keeps collinear boundary points', function () {
+        var xcoord = [0, 1, 2, 2, 0, 1];
+        var ycoord = [0, 0, 0, 2, 2, 1];
+        expect(__geomUtils.convexHull(xcoord, ycoord)).to.eql([0, 2, 3, 4]);
+        expect(__geomUtils.convexHull(xcoord, ycoord, false, true)).to.eql([0, 1, 2, 3, 4]);
+    });
+    it('convex hull reports duplicate points once', function () {
+        var xcoord = [0, 4, 0, 4, 0, 2];
+        var ycoord = [0, 0, 0, 3, 0, 3];
+        expect(__geomUtils.convexHull(xcoord, ycoord)).to.eql([0, 1, 3, 5]);
+        expect(__geomUtils.convexHull([1, 1, 1], [2, 2, 2])).to.eql([0]);
+    });
+    it('convex hull of collinear points returns the extremes', function () {
+        var xcoord = [2, 0, 1, 3];
+        var ycoord = [2, 0, 1, 3];
+        expect(__geomUtils.convexHull(xcoord, ycoord)).to.eql([1, 3]);
+        expect(__geomUtils.convexHull(xcoord, ycoord, false, true)).to.eql([1, 2, 0, 3]);
+    });
+    it('convex hull contains every input point', function () {
+        var xcoord = [-2, 1, 2, 0, -8, -7, -8, 5, 1, 1, -2, 5, 4, 3, -5, 8, 4, 2, 1, 0];
+        var ycoord = [0, 3, 4, -2, -3, 4, 2, 0, 1, 2, -2, -1, 4, 0, 2, -2, 3, -3, -2, 1];
+        var hull = __geomUtils.convexHull(xcoord, ycoord);
+        var h = hull.length;
+        expect(hull).to.eql([4, 17, 15, 12, 5, 6]);
+        var i;
+        var j;
+        var a;
+        var b;
+        for (i = 0; i < xcoord.length; ++i) {
+            for (j = 0; j < h; ++j) {
+                a = hull[j];
+                b = hull[(j + 1) % h];
+                expect(__geomUtils.isClockwise(xcoord[a], ycoord[a], xcoord[b], ycoord[b], xcoord[i], ycoord[i]) &&
+                    !__geomUtils.pointOnLine(xcoord[i], ycoord[i], xcoord[a], ycoord[a], xcoord[b], ycoord[b])).to.be.false;
+            }
+        }
+    });
+    it('robust property defaults to false', function () {
+        var geomUtils = new GeomUtils_1.TSMT$GeomUtils();
+        expect(geomUtils.robust).to.be.false;
+        geomUtils.robust = true;
+        expect(geomUtils.robust).to.be.true;
+    });
+    it('robust point orientation is independent of scale', function () {
+        var geomUtils = new GeomUtils_1.TSMT$GeomUtils();
+        geomUtils.robust = true;
+        // the default tolerance considers a point just off a small-scale line to be on the line
+        expect(__geomUtils.pointOrientation(0, 0, 0.001, 0.001, 0.002, 0.0020001)).to.equal(GeomUtils_2.DirEnum.ON);
+        expect(geomUtils.pointOrientation(0, 0, 0.001, 0.001, 0.002, 0.0020001)).to.equal(GeomUtils_2.DirEnum.LEFT);
+        expect(geomUtils.pointOrientation(0, 0, 1000, 1000, 2000, 2000.0001)).to.equal(GeomUtils_2.DirEnum.LEFT);
+        expect(geomUtils.pointOrientation(0, 0, 1000, 1000, 2000, 1999.9999)).to.equal(GeomUtils_2.DirEnum.RIGHT);
+        expect(geomUtils.pointOrientation(1e8, 1e8, 3e8, 2e8, 5e8, 3e8)).to.equal(GeomUtils_2.DirEnum.ON);
+    });
+    it('robust orientation is exact for points within an ulp of a line', function () {
+        var geomUtils = new GeomUtils_1.TSMT$GeomUtils();
+        geomUtils.robust = true;
+        var ulp = Math.pow(2, -53);
+        var consistent = true;
+        var i;
+        var j;
+        // orientation of (0.5 + i*ulp, 0.5 + j*ulp) relative to the line y = x is the sign of j - i
+        for (i = 0; i < 16; ++i) {
+            for (j = 0; j < 16; ++j) {
+                consistent = consistent && geomUtils.isClockwise(12, 12, 24, 24, 0.5 + i * ulp, 0.5 + j * ulp) == (j <= i);
+                consistent = consistent && geomUtils.pointOnLine(0.5 + i * ulp, 0.5 + j * ulp, 12, 12, 24, 24) == (i == j);
+            }
+        }
+        expect(consistent).to.be.true;
+    });
+    it('robust segment intersection is classified identically at any scale', function () {
+        var geomUtils = new GeomUtils_1.TSMT$GeomUtils();
+        geomUtils.robust = true;
+        // crossing, T-junction, overlap, collinear touch, collinear gap, parallel, zero-length on segment, zero-length off line
+        var segments = [
+            [0, 0, 4, 4, 0, 4, 4, 0],
+            [0, 0, 4, 0, 2, 0, 2, 3],
+            [0, 0, 4, 4, 6, 6, 2, 2],
+            [0, 0, 2, 0, 2, 0, 5, 0],
+            [0, 0, 2, 0, 3, 0, 5, 0],
+            [0, 0, 4, 0, 0, 1, 4, 1],
+            [1, 1, 1, 1, 0, 0, 2, 2],
+            [3, 4, 3, 4, 0, 1, 3, 2]
+        ];
+        var expected = [GeomUtils_3.IntersectEnum.POINT, GeomUtils_3.IntersectEnum.ENDPOINT, GeomUtils_3.IntersectEnum.OVERLAP, GeomUtils_3.IntersectEnum.ENDPOINT,
+            GeomUtils_3.IntersectEnum.NONE, GeomUtils_3.IntersectEnum.NONE, GeomUtils_3.IntersectEnum.ENDPOINT, GeomUtils_3.IntersectEnum.NONE];
+        var scales = [Math.pow(2, -40), 1, Math.pow(2, 40)];
+        var i;
+        var j;
+        var s;
+        for (j = 0; j < scales.length; ++j) {
+            for (i = 0; i < segments.length; ++i) {
+                s = segments[i].map(function (v) { return v * scales[j]; });
+                expect(geomUtils.segmentIntersection(s[0], s[1], s[2], s[3], s[4], s[5], s[6], s[7])['type']).to.equal(expected[i]);
+            }
+        }
+    });
+    it('robust segment intersection resolves near-touching segments', function () {
+        var geomUtils = new GeomUtils_1.TSMT$GeomUtils();
+        geomUtils.robust = true;
+        var eps = Math.pow(2, -52);
+        // second segment starts just above the first; the default tolerance reports contact
+        expect(__geomUtils.segmentsIntersect(0, 0, 1, 1, 0.5, 0.5 + eps, 1, 2)).to.be.true;
+        expect(geomUtils.segmentsIntersect(0, 0, 1, 1, 0.5, 0.5 + eps, 1, 2)).to.be.false;
+        var result = geomUtils.segmentIntersection(0, 0, 1, 1, 0.5, 0.5, 1, 2);
+        expect(result['type']).to.equal(GeomUtils_3.IntersectEnum.ENDPOINT);
+        expect(result['x']).to.equal(0.5);
+        expect(result['t']).to.equal(0.5);
+        expect(result['u']).to.equal(0);
+    });
+    it('robust convex hull of small-scale points', function () {
+        var geomUtils = new GeomUtils_1.TSMT$GeomUtils();
+        geomUtils.robust = true;
+        var xcoord = [0, 1e-9, 2e-9, 1e-9];
+        var ycoord = [0, 1e-9, 0, -1e-12];
+        expect(geomUtils.convexHull(xcoord, ycoord)).to.eql([0, 3, 2, 1]);
+    });
+    it('default tolerances', function () {
+        var tolerances = __geomUtils.tolerances;
+        expect(tolerances['zero']).to.equal(0.0000001);
+        expect(tolerances['parallel']).to.equal(0.00000001);
+        expect(tolerances['parameter']).to.equal(0.00000001);
+        expect(tolerances['orientation']).to.equal(0.0001);
+        expect(tolerances['onLine']).to.equal(0.001);
+        expect(tolerances['relative']).to.equal(0.001);
+        expect(tolerances['circle']).to.equal(0.001);
+        expect(tolerances['containment']).to.equal(0.0000000001);
+        expect(tolerances['robust']).to.be.false;
+    });
+    it('constructor options override only the supplied tolerances', function () {
+        var geomUtils = new GeomUtils_1.TSMT$GeomUtils({ orientation: 1e-12, relative: -1, onLine: 'big', robust: true });
+        var tolerances = geomUtils.tolerances;
+        expect(tolerances['orientation']).to.equal(1e-12);
+        expect(tolerances['relative']).to.equal(0.001);
+        expect(tolerances['onLine']).to.equal(0.001);
+        expect(tolerances['zero']).to.equal(0.0000001);
+        expect(geomUtils.robust).to.be.true;
+    });
+    it('CAD-scale tolerances', function () {
+        // millimetre features in kilometre-scale coordinates
+        var geomUtils = new GeomUtils_1.TSMT$GeomUtils({ orientation: 1e-9, onLine: 1e-9, relative: 1e-12, circle: 1e-9 });
+        expect(__geomUtils.pointsEqual(250000.000, 10.0, 250000.001, 10.0)).to.be.true;
+        expect(geomUtils.pointsEqual(250000.000, 10.0, 250000.001, 10.0)).to.be.false;
+        expect(__geomUtils.pointOrientation(0, 0, 0.01, 0, 0.02, 0.000001)).to.equal(GeomUtils_2.DirEnum.ON);
+        expect(geomUtils.pointOrientation(0, 0, 0.01, 0, 0.02, 0.000001)).to.equal(GeomUtils_2.DirEnum.LEFT);
+        expect(__geomUtils.pointOnLine(0.02, 0.000001, 0, 0, 0.01, 0)).to.be.true;
+        expect(geomUtils.pointOnLine(0.02, 0.000001, 0, 0, 0.01, 0)).to.be.false;
+        expect(__geomUtils.circleToCircleIntersection(0, 0, 0.001, 0.0005, 0, 0.001).length).to.equal(0);
+        expect(geomUtils.circleToCircleIntersection(0, 0, 0.001, 0.0005, 0, 0.001).length).to.equal(2);
+    });
+    it('zero, parallel, and parameter tolerances in segment intersection', function () {
+        var geomUtils = new GeomUtils_1.TSMT$GeomUtils({ zero: 1e-20, parallel: 1e-20, parameter: 1e-12 });
+        // crossing segments 1e-5 units long are treated as degenerate by the default tolerances
+        expect(__geomUtils.segmentIntersection(0, 0, 1e-5, 1e-5, 0, 1e-5, 1e-5, 0)['type']).to.equal(GeomUtils_3.IntersectEnum.NONE);
+        expect(geomUtils.segmentIntersection(0, 0, 1e-5, 1e-5, 0, 1e-5, 1e-5, 0)['type']).to.equal(GeomUtils_3.IntersectEnum.POINT);
+        // a crossing within 1e-9 of an endpoint is snapped by the default parameter tolerance
+        expect(__geomUtils.segmentIntersection(0, 0, 1, 0, 1 + 1e-9, -1, 1 + 1e-9, 1)['type']).to.equal(GeomUtils_3.IntersectEnum.ENDPOINT);
+        expect(geomUtils.segmentIntersection(0, 0, 1, 0, 1 + 1e-9, -1, 1 + 1e-9, 1)['type']).to.equal(GeomUtils_3.IntersectEnum.NONE);
+    });
 });
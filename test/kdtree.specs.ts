@@ -0,0 +1,144 @@
+/** Copyright 2016 Jim Armstrong (www.algorithmist.net)
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// Specs for kd-tree spatial index
+import {TSMT$KdTree} from '../src/KdTree';
+
+import * as Chai from 'chai';
+const expect = Chai.expect;
+
+// Test Suites
+describe('KdTree', () => {
+  const xcoord: Array<number> = [-2, 1, 2,  0, -8, -7, -8, 5, 1, 1, -2,  5, 4, 3, -5,  8, 4,  2,  1 , 0 ];
+  const ycoord: Array<number> = [0 , 3, 4, -2, -3,  4,  2, 0, 1, 2, -2, -1, 4, 0,  2, -2, 3, -3, -2 , 1 ];
+
+  const __tree: TSMT$KdTree = new TSMT$KdTree(xcoord, ycoord);
+
+  // brute-force ordering of point indices by distance from (x,y), ties by index
+  function byDistance(x: number, y: number): Array<number>
+  {
+    const d2: Array<number> = xcoord.map( (v: number, i: number): number => (v - x)*(v - x) + (ycoord[i] - y)*(ycoord[i] - y) );
+
+    return xcoord.map( (v: number, i: number): number => i ).sort( (a: number, b: number): number => (d2[a] - d2[b]) || (a - b) );
+  }
+
+  it('empty tree', () => {
+    const tree: TSMT$KdTree = new TSMT$KdTree();
+
+    expect( tree.size ).to.equal(0);
+    expect( tree.nearest(0, 0) ).to.equal(-1);
+    expect( tree.kNearest(0, 0, 3).length ).to.equal(0);
+    expect( tree.radius(0, 0, 10).length ).to.equal(0);
+    expect( tree.box(-10, 10, 10, -10).length ).to.equal(0);
+  });
+
+  it('mismatched coordinate arrays produce an empty tree', () => {
+    expect( new TSMT$KdTree([0, 1], [0]).size ).to.equal(0);
+  });
+
+  it('nearest neighbor', () => {
+    expect( __tree.size ).to.equal(20);
+    expect( __tree.nearest(7.9, -1.8) ).to.equal(15);
+    expect( __tree.nearest(-100, -100) ).to.equal(4);
+    expect( __tree.nearest(1, 1) ).to.equal(8);
+  });
+
+  it('nearest neighbor returns the lowest index of equidistant points', () => {
+    // (0.5, 1) is equidistant from (1,1) and (0,1)
+    expect( __tree.nearest(0.5, 1) ).to.equal(8);
+
+    const tree: TSMT$KdTree = new TSMT$KdTree([3, 1, 1, 1], [3, 1, 1, 1]);
+    expect( tree.nearest(1, 1) ).to.equal(1);
+  });
+
+  it('k-nearest neighbors in order of distance', () => {
+    expect( __tree.kNearest(0.5, 0.5, 5) ).to.eql( byDistance(0.5, 0.5).slice(0, 5) );
+    expect( __tree.kNearest(-6, 1, 1) ).to.eql([14]);
+    expect( __tree.kNearest(0, 0, 50) ).to.eql( byDistance(0, 0) );
+    expect( __tree.kNearest(0, 0, 0).length ).to.equal(0);
+  });
+
+  it('radius search includes points on the circle', () => {
+    const found: Array<number> = __tree.radius(1, 1, 1);
+
+    expect( found ).to.eql([8, 9, 19]);
+    expect( __tree.radius(1, 1, 0) ).to.eql([8]);
+    expect( __tree.radius(1, 1, -1).length ).to.equal(0);
+  });
+
+  it('box search accepts y-up and y-down boxes', () => {
+    const expected: Array<number> = [1, 2, 8, 9, 12, 16];
+
+    expect( __tree.box(1, 4, 4, 1) ).to.eql(expected);
+    expect( __tree.box(1, 1, 4, 4) ).to.eql(expected);
+    expect( __tree.box(20, 20, 30, 30).length ).to.equal(0);
+  });
+
+  it('tree is independent of the input arrays after building', () => {
+    const x: Array<number>  = [0, 10, 20];
+    const y: Array<number>  = [0, 0, 0];
+    const tree: TSMT$KdTree = new TSMT$KdTree(x, y);
+
+    x[0] = 100;
+    expect( tree.nearest(1, 0) ).to.equal(0);
+
+    tree.build(x, y);
+    expect( tree.nearest(1, 0) ).to.equal(1);
+  });
+
+  it('queries on a large cloud agree with brute force', () => {
+    const x: Array<number> = new Array<number>();
+    const y: Array<number> = new Array<number>();
+    let seed: number       = 5;
+    let i: number;
+
+    for (i = 0; i < 2000; ++i)
+    {
+      seed = (seed*16807) % 2147483647;
+      x.push(seed % 500);
+
+      // clustered along a line
+      seed = (seed*16807) % 2147483647;
+      y.push(x[i] + seed % 7);
+    }
+
+    const tree: TSMT$KdTree = new TSMT$KdTree(x, y);
+    let consistent: boolean = true;
+    let qx: number;
+    let qy: number;
+    let best: number;
+    let d2: number;
+    let j: number;
+
+    for (i = 0; i < 50; ++i)
+    {
+      qx   = 10*i + 0.3;
+      qy   = 10*i - 4.1;
+      best = 0;
+
+      for (j = 1; j < x.length; ++j)
+      {
+        d2 = (x[j] - qx)*(x[j] - qx) + (y[j] - qy)*(y[j] - qy);
+        if (d2 < (x[best] - qx)*(x[best] - qx) + (y[best] - qy)*(y[best] - qy)) {
+          best = j;
+        }
+      }
+
+      consistent = consistent && tree.nearest(qx, qy) == best;
+    }
+
+    expect( consistent ).to.be.true;
+  });
+});
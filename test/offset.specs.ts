@@ -0,0 +1,180 @@
+/** Copyright 2016 Jim Armstrong (www.algorithmist.net)
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+// Specs for polygon and polyline offset
+import {TSMT$Offset      } from '../src/Offset';
+import {JoinEnum         } from '../src/Offset';
+import {CapEnum          } from '../src/Offset';
+import {TSMT$PolygonUtils} from '../src/PolygonUtils';
+import {TSMT$GeomUtils   } from '../src/GeomUtils';
+
+import * as Chai from 'chai';
+const expect = Chai.expect;
+
+const __polyUtils: TSMT$PolygonUtils = new TSMT$PolygonUtils();
+const __geomUtils: TSMT$GeomUtils    = new TSMT$GeomUtils();
+
+// total signed area of a collection of boundaries (holes are CW, so they subtract)
+function totalArea(rings: Array<Array<number>>): number
+{
+  return rings.reduce( (sum: number, ring: Array<number>): number => sum + __polyUtils.signedArea(ring), 0 );
+}
+
+// is a point inside a collection of boundaries?
+function inside(x: number, y: number, rings: Array<Array<number>>): boolean
+{
+  return rings.reduce( (w: number, ring: Array<number>): number => w + __polyUtils.windingNumber(x, y, ring), 0 ) > 0;
+}
+
+// Test Suites
+describe('Offset', () => {
+  const __offset: TSMT$Offset = new TSMT$Offset(0.001);
+
+  const square: Array<number> = [0, 0, 10, 0, 10, 10, 0, 10];
+  const lShape: Array<number> = [0, 0, 10, 0, 10, 4, 4, 4, 4, 10, 0, 10];
+
+  it('grow a square with each join', () => {
+    expect( totalArea( __offset.offsetPolygon(square, 1) ) ).to.be.closeTo(144, 0.000001);
+    expect( totalArea( __offset.offsetPolygon(square, 1, JoinEnum.BEVEL) ) ).to.be.closeTo(142, 0.000001);
+    expect( totalArea( __offset.offsetPolygon(square, 1, JoinEnum.ROUND) ) ).to.be.closeTo(140 + Math.PI, 0.01);
+
+    expect( __offset.offsetPolygon(square, 1) ).to.eql([[-1, -1, 11, -1, 11, 11, -1, 11]]);
+  });
+
+  it('miter limit', () => {
+    // a 90-degree corner has a miter ratio of sqrt(2)
+    expect( totalArea( __offset.offsetPolygon(square, 1, JoinEnum.MITER, 1.4) ) ).to.be.closeTo(142, 0.000001);
+    expect( totalArea( __offset.offsetPolygon(square, 1, JoinEnum.MITER, 1.5) ) ).to.be.closeTo(144, 0.000001);
+
+    // a sharp spike is beveled with the default limit
+    const spike: Array<number>         = [0, 0, 10, 0, 0, 1];
+    const result: Array<Array<number>> = __offset.offsetPolygon(spike, 0.5);
+    const xmax: number                 = Math.max.apply(null, result[0].filter( (v: number, i: number): boolean => i % 2 == 0 ));
+
+    expect( xmax ).to.be.below(11);
+  });
+
+  it('input winding order does not matter', () => {
+    expect( totalArea( __offset.offsetPolygon(__polyUtils.reverse(square), 1) ) ).to.be.closeTo(144, 0.000001);
+    expect( totalArea( __offset.offsetPolygon(__polyUtils.reverse(square), -1) ) ).to.be.closeTo(64, 0.000001);
+  });
+
+  it('shrink a polygon', () => {
+    expect( __offset.offsetPolygon(square, -2) ).to.eql([[2, 2, 8, 2, 8, 8, 2, 8]]);
+    expect( __offset.offsetPolygon(lShape, -1) ).to.eql([[1, 1, 9, 1, 9, 3, 3, 3, 3, 9, 1, 9]]);
+
+    // shrinking by more than half the width removes the polygon
+    expect( __offset.offsetPolygon(square, -6).length ).to.equal(0);
+  });
+
+  it('grow a concave polygon', () => {
+    const result: Array<Array<number>> = __offset.offsetPolygon(lShape, 1);
+
+    // the reflex corner at (4,4) is offset to (5,5)
+    expect( result.length ).to.equal(1);
+    expect( totalArea(result) ).to.be.closeTo(108, 0.000001);
+    expect( __polyUtils.isSimple(result[0]) ).to.be.true;
+    expect( inside(4.9, 4.9, result) ).to.be.true;
+    expect( inside(5.1, 5.1, result) ).to.be.false;
+  });
+
+  it('shrinking a narrow waist splits a polygon', () => {
+    const dumbbell: Array<number>      = [0, 0, 4, 0, 4, 1.5, 6, 1.5, 6, 0, 10, 0, 10, 4, 6, 4, 6, 2.5, 4, 2.5, 4, 4, 0, 4];
+    const result: Array<Array<number>> = __offset.offsetPolygon(dumbbell, -1);
+
+    expect( result.length ).to.equal(2);
+    expect( totalArea(result) ).to.be.closeTo(8, 0.000001);
+  });
+
+  it('zero offset and degenerate polygons', () => {
+    expect( totalArea( __offset.offsetPolygon(square, 0) ) ).to.equal(100);
+    expect( __offset.offsetPolygon([0, 0, 1, 1, 2, 2], 1).length ).to.equal(0);
+    expect( __offset.offsetPolygon([0, 0, 1, 1], 1).length ).to.equal(0);
+  });
+
+  it('offset a segment with each cap', () => {
+    const segment: Array<number> = [0, 0, 10, 0];
+
+    expect( __offset.offsetPolyline(segment, 1) ).to.eql([[0, -1, 10, -1, 10, 1, 0, 1]]);
+    expect( totalArea( __offset.offsetPolyline(segment, 1, JoinEnum.MITER, CapEnum.SQUARE) ) ).to.be.closeTo(24, 0.000001);
+    expect( totalArea( __offset.offsetPolyline(segment, 1, JoinEnum.MITER, CapEnum.ROUND) ) ).to.be.closeTo(20 + Math.PI, 0.01);
+    expect( totalArea( __offset.offsetPolyline(segment, -1) ) ).to.be.closeTo(20, 0.000001);
+  });
+
+  it('offset a single point', () => {
+    expect( totalArea( __offset.offsetPolyline([1, 1], 1, JoinEnum.MITER, CapEnum.ROUND) ) ).to.be.closeTo(Math.PI, 0.01);
+    expect( __offset.offsetPolyline([1, 1, 1, 1], 1, JoinEnum.MITER, CapEnum.SQUARE) ).to.eql([[0, 0, 2, 0, 2, 2, 0, 2]]);
+    expect( __offset.offsetPolyline([1, 1], 1).length ).to.equal(0);
+    expect( __offset.offsetPolyline([0, 0, 10, 0], 0).length ).to.equal(0);
+  });
+
+  it('corridor along a path with a corner', () => {
+    const path: Array<number> = [0, 0, 10, 0, 10, 10];
+
+    expect( totalArea( __offset.offsetPolyline(path, 1) ) ).to.be.closeTo(40, 0.000001);
+    expect( totalArea( __offset.offsetPolyline(path, 1, JoinEnum.BEVEL) ) ).to.be.closeTo(39.5, 0.000001);
+    expect( totalArea( __offset.offsetPolyline(path, 1, JoinEnum.ROUND) ) ).to.be.closeTo(39 + 0.25*Math.PI, 0.01);
+  });
+
+  it('a path that reverses on itself', () => {
+    expect( __offset.offsetPolyline([0, 0, 10, 0, 5, 0], 1) ).to.eql([[0, -1, 10, -1, 10, 1, 0, 1]]);
+
+    // a spur that doubles back along a straight path
+    const result: Array<Array<number>> = __offset.offsetPolyline([0, 0, 10, 0, 10, 5, 10, 0, 20, 0], 1);
+
+    expect( result.length ).to.equal(1);
+    expect( totalArea(result) ).to.be.closeTo(48, 0.000001);
+    expect( __polyUtils.isSimple(result[0]) ).to.be.true;
+  });
+
+  it('a path that nearly closes encloses a hole', () => {
+    const result: Array<Array<number>> = __offset.offsetPolyline([0, 0, 10, 0, 10, 10, 0, 10, 0, 1], 1);
+
+    expect( result.length ).to.equal(2);
+    expect( result.filter( (ring: Array<number>): boolean => __polyUtils.isClockwise(ring) ).length ).to.equal(1);
+    // butt caps leave the corner at (0,0) open outside the square
+    expect( totalArea(result) ).to.be.closeTo(144 - 64 - 2, 0.000001);
+    expect( inside(5, 5, result) ).to.be.false;
+  });
+
+  it('round joins and caps contain exactly the points within the distance', () => {
+    const path: Array<number>          = [0, 0, 6, 1, 2, 4, 8, 7, 3, 9];
+    const result: Array<Array<number>> = __offset.offsetPolyline(path, 1.5, JoinEnum.ROUND, CapEnum.ROUND);
+    let seed: number                   = 1;
+    let x: number;
+    let y: number;
+    let d: number;
+    let i: number;
+    let k: number;
+
+    for (k = 0; k < 500; ++k)
+    {
+      seed = (seed*16807) % 2147483647;
+      x    = (seed % 1400)/100 - 3;
+      seed = (seed*16807) % 2147483647;
+      y    = (seed % 1400)/100 - 3;
+      d    = Number.POSITIVE_INFINITY;
+
+      for (i = 0; i < path.length-2; i += 2) {
+        d = Math.min(d, __geomUtils.pointToSegmentDistance(path[i], path[i+1], path[i+2], path[i+3], x, y));
+      }
+
+      if (Math.abs(d - 1.5) > 0.01) {
+        expect( inside(x, y, result) ).to.equal(d < 1.5);
+      }
+    }
+  });
+});
@@ -0,0 +1,186 @@
+/** Copyright 2016 Jim Armstrong (www.algorithmist.net)
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+"use strict";
+// Specs for Polygon Utils
+var PolygonUtils_1 = require('../src/PolygonUtils');
+var PolygonUtils_2 = require('../src/PolygonUtils');
+var PolygonUtils_3 = require('../src/PolygonUtils');
+var Chai = require('chai');
+var expect = Chai.expect;
+// Test Suites
+describe('PolygonUtils', function () {
+    var __polyUtils = new PolygonUtils_1.TSMT$PolygonUtils();
+    // 4x3 rectangle, CCW in y-up coordinates
+    var rect = [0, 0, 4, 0, 4, 3, 0, 3];
+    // concave 'L' shape, CCW in y-up coordinates
+    var ell = [0, 0, 4, 0, 4, 1, 1, 1, 1, 3, 0, 3];
+    // signed area and area
+    it('signed area of empty or degenerate input is zero', function () {
+        expect(__polyUtils.signedArea([])).to.equal(0);
+        expect(__polyUtils.signedArea([1, 1, 2, 2])).to.equal(0);
+    });
+    it('signed area of CCW rectangle is positive', function () {
+        expect(__polyUtils.signedArea(rect)).to.equal(12);
+    });
+    it('signed area of CW rectangle is negative', function () {
+        expect(__polyUtils.signedArea(__polyUtils.reverse(rect))).to.equal(-12);
+    });
+    it('area of L-shape is 6, independent of vertex order', function () {
+        expect(__polyUtils.area(ell)).to.equal(6);
+        expect(__polyUtils.area(__polyUtils.reverse(ell))).to.equal(6);
+    });
+    // centroid
+    it('centroid of rectangle is its center', function () {
+        var c = __polyUtils.centroid(rect);
+        expect(Math.abs(c['x'] - 2) < 0.001).to.be.true;
+        expect(Math.abs(c['y'] - 1.5) < 0.001).to.be.true;
+    });
+    it('centroid of L-shape is (1.5, 1.0)', function () {
+        var c = __polyUtils.centroid(ell);
+        expect(Math.abs(c['x'] - 1.5) < 0.001).to.be.true;
+        expect(Math.abs(c['y'] - 1.0) < 0.001).to.be.true;
+    });
+    it('centroid of degenerate polygon is vertex average', function () {
+        var c = __polyUtils.centroid([0, 0, 1, 1, 2, 2]);
+        expect(Math.abs(c['x'] - 1) < 0.001).to.be.true;
+        expect(Math.abs(c['y'] - 1) < 0.001).to.be.true;
+    });
+    // winding order
+    it('CCW rectangle is not clockwise', function () {
+        expect(__polyUtils.isClockwise(rect)).to.be.false;
+    });
+    it('reversed rectangle is clockwise', function () {
+        expect(__polyUtils.isClockwise(__polyUtils.reverse(rect))).to.be.true;
+    });
+    it('reverse does not modify input', function () {
+        var r = __polyUtils.reverse(rect);
+        expect(r).to.eql([0, 3, 4, 3, 4, 0, 0, 0]);
+        expect(rect).to.eql([0, 0, 4, 0, 4, 3, 0, 3]);
+    });
+    it('orient returns requested winding order', function () {
+        expect(__polyUtils.isClockwise(__polyUtils.orient(rect, true))).to.be.true;
+        expect(__polyUtils.isClockwise(__polyUtils.orient(rect, false))).to.be.false;
+    });
+    // perimeter
+    it('perimeter of rectangle is 14', function () {
+        expect(__polyUtils.perimeter(rect)).to.equal(14);
+    });
+    it('perimeter of 3-4-5 triangle is 12', function () {
+        expect(__polyUtils.perimeter([0, 0, 3, 0, 0, 4])).to.equal(12);
+    });
+    // convexity
+    it('rectangle is convex in either winding order', function () {
+        expect(__polyUtils.isConvex(rect)).to.be.true;
+        expect(__polyUtils.isConvex(__polyUtils.reverse(rect))).to.be.true;
+    });
+    it('rectangle with collinear vertex is convex', function () {
+        expect(__polyUtils.isConvex([0, 0, 2, 0, 4, 0, 4, 3, 0, 3])).to.be.true;
+    });
+    it('L-shape is not convex', function () {
+        expect(__polyUtils.isConvex(ell)).to.be.false;
+    });
+    it('pentagram is not convex', function () {
+        var star = [];
+        var i;
+        var a;
+        for (i = 0; i < 5; ++i) {
+            a = Math.PI / 2 + i * 4 * Math.PI / 5;
+            star.push(10 * Math.cos(a), 10 * Math.sin(a));
+        }
+        expect(__polyUtils.isConvex(star)).to.be.false;
+    });
+    // simple polygons
+    it('rectangle and L-shape are simple', function () {
+        expect(__polyUtils.isSimple(rect)).to.be.true;
+        expect(__polyUtils.isSimple(ell)).to.be.true;
+    });
+    it('bow-tie is not simple', function () {
+        expect(__polyUtils.isSimple([0, 0, 4, 0, 0, 3, 4, 3])).to.be.false;
+    });
+    it('polygon with zero-length edge is not simple', function () {
+        expect(__polyUtils.isSimple([0, 0, 4, 0, 4, 0, 4, 3])).to.be.false;
+    });
+    it('polygon with edge folding back on itself is not simple', function () {
+        expect(__polyUtils.isSimple([0, 0, 4, 0, 2, 0, 2, 3])).to.be.false;
+    });
+    it('polygon with vertex touching another edge is not simple', function () {
+        expect(__polyUtils.isSimple([0, 0, 4, 0, 4, 3, 2, 0, 0, 3])).to.be.false;
+    });
+    // point in polygon
+    it('point inside rectangle is inside', function () {
+        expect(__polyUtils.pointInPolygon(2, 1, rect)).to.equal(PolygonUtils_2.PolygonLocEnum.INSIDE);
+    });
+    it('point outside rectangle is outside', function () {
+        expect(__polyUtils.pointInPolygon(5, 1, rect)).to.equal(PolygonUtils_2.PolygonLocEnum.OUTSIDE);
+        expect(__polyUtils.pointInPolygon(-1, 3, rect)).to.equal(PolygonUtils_2.PolygonLocEnum.OUTSIDE);
+    });
+    it('points on edges and vertices of rectangle are on boundary', function () {
+        expect(__polyUtils.pointInPolygon(2, 0, rect)).to.equal(PolygonUtils_2.PolygonLocEnum.BOUNDARY);
+        expect(__polyUtils.pointInPolygon(4, 1.5, rect)).to.equal(PolygonUtils_2.PolygonLocEnum.BOUNDARY);
+        expect(__polyUtils.pointInPolygon(0, 3, rect)).to.equal(PolygonUtils_2.PolygonLocEnum.BOUNDARY);
+    });
+    it('point in notch of L-shape is outside', function () {
+        expect(__polyUtils.pointInPolygon(3, 2, ell)).to.equal(PolygonUtils_2.PolygonLocEnum.OUTSIDE);
+        expect(__polyUtils.pointInPolygon(0.5, 2, ell)).to.equal(PolygonUtils_2.PolygonLocEnum.INSIDE);
+    });
+    it('ray through a vertex is counted once', function () {
+        var diamond = [0, -2, 2, 0, 0, 2, -2, 0];
+        expect(__polyUtils.pointInPolygon(-1, 0, diamond)).to.equal(PolygonUtils_2.PolygonLocEnum.INSIDE);
+        expect(__polyUtils.pointInPolygon(-3, 0, diamond)).to.equal(PolygonUtils_2.PolygonLocEnum.OUTSIDE);
+    });
+    it('point in hole is outside, independent of hole orientation', function () {
+        var outer = [0, 0, 10, 0, 10, 10, 0, 10];
+        var hole = [4, 4, 6, 4, 6, 6, 4, 6];
+        expect(__polyUtils.pointInPolygon(5, 5, outer, [hole])).to.equal(PolygonUtils_2.PolygonLocEnum.OUTSIDE);
+        expect(__polyUtils.pointInPolygon(5, 5, outer, [__polyUtils.reverse(hole)], PolygonUtils_3.FillRuleEnum.NON_ZERO)).to.equal(PolygonUtils_2.PolygonLocEnum.OUTSIDE);
+        expect(__polyUtils.pointInPolygon(2, 5, outer, [hole])).to.equal(PolygonUtils_2.PolygonLocEnum.INSIDE);
+        expect(__polyUtils.pointInPolygon(6, 5, outer, [hole])).to.equal(PolygonUtils_2.PolygonLocEnum.BOUNDARY);
+    });
+    it('even-odd and non-zero rules differ for overlapping self-intersecting boundary', function () {
+        // square traversed twice (via a second, inset loop in the same direction)
+        var loops = [0, 0, 10, 0, 10, 10, 0, 10, 0, 0, 2, 2, 8, 2, 8, 8, 2, 8, 2, 2];
+        expect(__polyUtils.pointInPolygon(5, 5, loops, null, PolygonUtils_3.FillRuleEnum.EVEN_ODD)).to.equal(PolygonUtils_2.PolygonLocEnum.OUTSIDE);
+        expect(__polyUtils.pointInPolygon(5, 5, loops, null, PolygonUtils_3.FillRuleEnum.NON_ZERO)).to.equal(PolygonUtils_2.PolygonLocEnum.INSIDE);
+        expect(__polyUtils.pointInPolygon(1, 5, loops, null, PolygonUtils_3.FillRuleEnum.NON_ZERO)).to.equal(PolygonUtils_2.PolygonLocEnum.INSIDE);
+    });
+    it('winding number is +1 for CCW, -1 for CW and 0 outside', function () {
+        expect(__polyUtils.windingNumber(2, 1, rect)).to.equal(1);
+        expect(__polyUtils.windingNumber(2, 1, __polyUtils.reverse(rect))).to.equal(-1);
+        expect(__polyUtils.windingNumber(7, 1, rect)).to.equal(0);
+    });
+    it('tolerances are taken from the constructor options', function () {
+        // 1 mm square in metres; the default on-line tolerance puts every point on the boundary
+        var small = new PolygonUtils_1.TSMT$PolygonUtils({ zero: 1e-20, onLine: 1e-12 });
+        var mm = [0, 0, 0.001, 0, 0.001, 0.001, 0, 0.001];
+        expect(__polyUtils.pointInPolygon(0.0005, 0.0005, mm)).to.equal(PolygonUtils_2.PolygonLocEnum.BOUNDARY);
+        expect(small.pointInPolygon(0.0005, 0.0005, mm)).to.equal(PolygonUtils_2.PolygonLocEnum.INSIDE);
+        expect(small.pointInPolygon(0.0005, 0, mm)).to.equal(PolygonUtils_2.PolygonLocEnum.BOUNDARY);
+        // L-shape scaled to 1.0e-4 is degenerate with the default zero tolerance
+        var L = [0, 0, 2e-4, 0, 2e-4, 1e-4, 1e-4, 1e-4, 1e-4, 3e-4, 0, 3e-4];
+        var c = small.centroid(L);
+        expect(c['x']).to.be.closeTo(0.75e-4, 1e-12);
+        expect(c['y']).to.be.closeTo(1.25e-4, 1e-12);
+        expect(__polyUtils.centroid(L)['x']).to.be.closeTo(1e-4, 1e-12);
+        // kilometres in millimetres; the offset allowed from an edge is the on-line tolerance over the edge length, and the slack
+        // beyond an endpoint follows the parameter tolerance
+        var large = new PolygonUtils_1.TSMT$PolygonUtils({ onLine: 1000, parameter: 1e-6 });
+        var km = [0, 0, 1e6, 0, 1e6, 1e6, 0, 1e6];
+        expect(__polyUtils.pointInPolygon(1e6 + 0.5, 0, km)).to.equal(PolygonUtils_2.PolygonLocEnum.OUTSIDE);
+        expect(large.pointInPolygon(1e6 + 0.5, 0, km)).to.equal(PolygonUtils_2.PolygonLocEnum.BOUNDARY);
+        expect(large.pointInPolygon(1e6 + 1.5, 0, km)).to.equal(PolygonUtils_2.PolygonLocEnum.OUTSIDE);
+        expect(large.pointInPolygon(5e5, 0.0004, km)).to.equal(PolygonUtils_2.PolygonLocEnum.BOUNDARY);
+        expect(large.pointInPolygon(5e5, 0.002, km)).to.equal(PolygonUtils_2.PolygonLocEnum.INSIDE);
+    });
+});
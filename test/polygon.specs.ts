@@ -0,0 +1,236 @@
+/** Copyright 2016 Jim Armstrong (www.algorithmist.net)
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// Specs for Polygon Utils
+import {TSMT$PolygonUtils} from '../src/PolygonUtils';
+import {PolygonLocEnum   } from '../src/PolygonUtils';
+import {FillRuleEnum     } from '../src/PolygonUtils';
+
+import * as Chai from 'chai';
+const expect = Chai.expect;
+
+// Test Suites
+describe('PolygonUtils', () => {
+  const __polyUtils: TSMT$PolygonUtils = new TSMT$PolygonUtils();
+
+  // 4x3 rectangle, CCW in y-up coordinates
+  const rect: Array<number> = [0, 0, 4, 0, 4, 3, 0, 3];
+
+  // concave 'L' shape, CCW in y-up coordinates
+  const ell: Array<number> = [0, 0, 4, 0, 4, 1, 1, 1, 1, 3, 0, 3];
+
+  // signed area and area
+  it('signed area of empty or degenerate input is zero', () => {
+    expect( __polyUtils.signedArea([]) ).to.equal(0);
+    expect( __polyUtils.signedArea([1, 1, 2, 2]) ).to.equal(0);
+  });
+
+  it('signed area of CCW rectangle is positive', () => {
+    expect( __polyUtils.signedArea(rect) ).to.equal(12);
+  });
+
+  it('signed area of CW rectangle is negative', () => {
+    expect( __polyUtils.signedArea( __polyUtils.reverse(rect) ) ).to.equal(-12);
+  });
+
+  it('area of L-shape is 6, independent of vertex order', () => {
+    expect( __polyUtils.area(ell) ).to.equal(6);
+    expect( __polyUtils.area( __polyUtils.reverse(ell) ) ).to.equal(6);
+  });
+
+  // centroid
+  it('centroid of rectangle is its center', () => {
+    const c: Object = __polyUtils.centroid(rect);
+
+    expect( Math.abs(c['x'] - 2) < 0.001 ).to.be.true;
+    expect( Math.abs(c['y'] - 1.5) < 0.001 ).to.be.true;
+  });
+
+  it('centroid of L-shape is (1.5, 1.0)', () => {
+    const c: Object = __polyUtils.centroid(ell);
+
+    expect( Math.abs(c['x'] - 1.5) < 0.001 ).to.be.true;
+    expect( Math.abs(c['y'] - 1.0) < 0.001 ).to.be.true;
+  });
+
+  it('centroid of degenerate polygon is vertex average', () => {
+    const c: Object = __polyUtils.centroid([0, 0, 1, 1, 2, 2]);
+
+    expect( Math.abs(c['x'] - 1) < 0.001 ).to.be.true;
+    expect( Math.abs(c['y'] - 1) < 0.001 ).to.be.true;
+  });
+
+  // winding order
+  it('CCW rectangle is not clockwise', () => {
+    expect( __polyUtils.isClockwise(rect) ).to.be.false;
+  });
+
+  it('reversed rectangle is clockwise', () => {
+    expect( __polyUtils.isClockwise( __polyUtils.reverse(rect) ) ).to.be.true;
+  });
+
+  it('reverse does not modify input', () => {
+    const r: Array<number> = __polyUtils.reverse(rect);
+
+    expect( r ).to.eql([0, 3, 4, 3, 4, 0, 0, 0]);
+    expect( rect ).to.eql([0, 0, 4, 0, 4, 3, 0, 3]);
+  });
+
+  it('orient returns requested winding order', () => {
+    expect( __polyUtils.isClockwise( __polyUtils.orient(rect, true) ) ).to.be.true;
+    expect( __polyUtils.isClockwise( __polyUtils.orient(rect, false) ) ).to.be.false;
+  });
+
+  // perimeter
+  it('perimeter of rectangle is 14', () => {
+    expect( __polyUtils.perimeter(rect) ).to.equal(14);
+  });
+
+  it('perimeter of 3-4-5 triangle is 12', () => {
+    expect( __polyUtils.perimeter([0, 0, 3, 0, 0, 4]) ).to.equal(12);
+  });
+
+  // convexity
+  it('rectangle is convex in either winding order', () => {
+    expect( __polyUtils.isConvex(rect) ).to.be.true;
+    expect( __polyUtils.isConvex( __polyUtils.reverse(rect) ) ).to.be.true;
+  });
+
+  it('rectangle with collinear vertex is convex', () => {
+    expect( __polyUtils.isConvex([0, 0, 2, 0, 4, 0, 4, 3, 0, 3]) ).to.be.true;
+  });
+
+  it('L-shape is not convex', () => {
+    expect( __polyUtils.isConvex(ell) ).to.be.false;
+  });
+
+  it('pentagram is not convex', () => {
+    const star: Array<number> = [];
+    let i: number;
+    let a: number;
+
+    for (i = 0; i < 5; ++i)
+    {
+      a = Math.PI/2 + i*4*Math.PI/5;
+      star.push( 10*Math.cos(a), 10*Math.sin(a) );
+    }
+
+    expect( __polyUtils.isConvex(star) ).to.be.false;
+  });
+
+  // simple polygons
+  it('rectangle and L-shape are simple', () => {
+    expect( __polyUtils.isSimple(rect) ).to.be.true;
+    expect( __polyUtils.isSimple(ell) ).to.be.true;
+  });
+
+  it('bow-tie is not simple', () => {
+    expect( __polyUtils.isSimple([0, 0, 4, 0, 0, 3, 4, 3]) ).to.be.false;
+  });
+
+  it('polygon with zero-length edge is not simple', () => {
+    expect( __polyUtils.isSimple([0, 0, 4, 0, 4, 0, 4, 3]) ).to.be.false;
+  });
+
+  it('polygon with edge folding back on itself is not simple', () => {
+    expect( __polyUtils.isSimple([0, 0, 4, 0, 2, 0, 2, 3]) ).to.be.false;
+  });
+
+  it('polygon with vertex touching another edge is not simple', () => {
+    expect( __polyUtils.isSimple([0, 0, 4, 0, 4, 3, 2, 0, 0, 3]) ).to.be.false;
+  });
+
+  // point in polygon
+  it('point inside rectangle is inside', () => {
+    expect( __polyUtils.pointInPolygon(2, 1, rect) ).to.equal(PolygonLocEnum.INSIDE);
+  });
+
+  it('point outside rectangle is outside', () => {
+    expect( __polyUtils.pointInPolygon(5, 1, rect) ).to.equal(PolygonLocEnum.OUTSIDE);
+    expect( __polyUtils.pointInPolygon(-1, 3, rect) ).to.equal(PolygonLocEnum.OUTSIDE);
+  });
+
+  it('points on edges and vertices of rectangle are on boundary', () => {
+    expect( __polyUtils.pointInPolygon(2, 0, rect) ).to.equal(PolygonLocEnum.BOUNDARY);
+    expect( __polyUtils.pointInPolygon(4, 1.5, rect) ).to.equal(PolygonLocEnum.BOUNDARY);
+    expect( __polyUtils.pointInPolygon(0, 3, rect) ).to.equal(PolygonLocEnum.BOUNDARY);
+  });
+
+  it('point in notch of L-shape is outside', () => {
+    expect( __polyUtils.pointInPolygon(3, 2, ell) ).to.equal(PolygonLocEnum.OUTSIDE);
+    expect( __polyUtils.pointInPolygon(0.5, 2, ell) ).to.equal(PolygonLocEnum.INSIDE);
+  });
+
+  it('ray through a vertex is counted once', () => {
+    const diamond: Array<number> = [0, -2, 2, 0, 0, 2, -2, 0];
+
+    expect( __polyUtils.pointInPolygon(-1, 0, diamond) ).to.equal(PolygonLocEnum.INSIDE);
+    expect( __polyUtils.pointInPolygon(-3, 0, diamond) ).to.equal(PolygonLocEnum.OUTSIDE);
+  });
+
+  it('point in hole is outside, independent of hole orientation', () => {
+    const outer: Array<number> = [0, 0, 10, 0, 10, 10, 0, 10];
+    const hole: Array<number>  = [4, 4, 6, 4, 6, 6, 4, 6];
+
+    expect( __polyUtils.pointInPolygon(5, 5, outer, [hole]) ).to.equal(PolygonLocEnum.OUTSIDE);
+    expect( __polyUtils.pointInPolygon(5, 5, outer, [__polyUtils.reverse(hole)], FillRuleEnum.NON_ZERO) ).to.equal(PolygonLocEnum.OUTSIDE);
+    expect( __polyUtils.pointInPolygon(2, 5, outer, [hole]) ).to.equal(PolygonLocEnum.INSIDE);
+    expect( __polyUtils.pointInPolygon(6, 5, outer, [hole]) ).to.equal(PolygonLocEnum.BOUNDARY);
+  });
+
+  it('even-odd and non-zero rules differ for overlapping self-intersecting boundary', () => {
+    // square traversed twice (via a second, inset loop in the same direction)
+    const loops: Array<number> = [0, 0, 10, 0, 10, 10, 0, 10, 0, 0, 2, 2, 8, 2, 8, 8, 2, 8, 2, 2];
+
+    expect( __polyUtils.pointInPolygon(5, 5, loops, null, FillRuleEnum.EVEN_ODD) ).to.equal(PolygonLocEnum.OUTSIDE);
+    expect( __polyUtils.pointInPolygon(5, 5, loops, null, FillRuleEnum.NON_ZERO) ).to.equal(PolygonLocEnum.INSIDE);
+    expect( __polyUtils.pointInPolygon(1, 5, loops, null, FillRuleEnum.NON_ZERO) ).to.equal(PolygonLocEnum.INSIDE);
+  });
+
+  it('winding number is +1 for CCW, -1 for CW and 0 outside', () => {
+    expect( __polyUtils.windingNumber(2, 1, rect) ).to.equal(1);
+    expect( __polyUtils.windingNumber(2, 1, __polyUtils.reverse(rect)) ).to.equal(-1);
+    expect( __polyUtils.windingNumber(7, 1, rect) ).to.equal(0);
+  });
+
+  it('tolerances are taken from the constructor options', () => {
+    // 1 mm square in metres; the default on-line tolerance puts every point on the boundary
+    const small: TSMT$PolygonUtils = new TSMT$PolygonUtils({zero: 1e-20, onLine: 1e-12});
+    const mm: Array<number>        = [0, 0, 0.001, 0, 0.001, 0.001, 0, 0.001];
+
+    expect( __polyUtils.pointInPolygon(0.0005, 0.0005, mm) ).to.equal(PolygonLocEnum.BOUNDARY);
+    expect( small.pointInPolygon(0.0005, 0.0005, mm) ).to.equal(PolygonLocEnum.INSIDE);
+    expect( small.pointInPolygon(0.0005, 0, mm) ).to.equal(PolygonLocEnum.BOUNDARY);
+
+    // L-shape scaled to 1.0e-4 is degenerate with the default zero tolerance
+    const L: Array<number> = [0, 0, 2e-4, 0, 2e-4, 1e-4, 1e-4, 1e-4, 1e-4, 3e-4, 0, 3e-4];
+    const c: Object        = small.centroid(L);
+
+    expect( c['x'] ).to.be.closeTo(0.75e-4, 1e-12);
+    expect( c['y'] ).to.be.closeTo(1.25e-4, 1e-12);
+    expect( __polyUtils.centroid(L)['x'] ).to.be.closeTo(1e-4, 1e-12);
+
+    // kilometres in millimetres; the offset allowed from an edge is the on-line tolerance over the edge length, and the slack
+    // beyond an endpoint follows the parameter tolerance
+    const large: TSMT$PolygonUtils = new TSMT$PolygonUtils({onLine: 1000, parameter: 1e-6});
+    const km: Array<number>        = [0, 0, 1e6, 0, 1e6, 1e6, 0, 1e6];
+
+    expect( __polyUtils.pointInPolygon(1e6 + 0.5, 0, km) ).to.equal(PolygonLocEnum.OUTSIDE);
+    expect( large.pointInPolygon(1e6 + 0.5, 0, km) ).to.equal(PolygonLocEnum.BOUNDARY);
+    expect( large.pointInPolygon(1e6 + 1.5, 0, km) ).to.equal(PolygonLocEnum.OUTSIDE);
+    expect( large.pointInPolygon(5e5, 0.0004, km) ).to.equal(PolygonLocEnum.BOUNDARY);
+    expect( large.pointInPolygon(5e5, 0.002, km) ).to.equal(PolygonLocEnum.INSIDE);
+  });
+});
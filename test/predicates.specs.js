@@ -0,0 +1,76 @@
+/** Copyright 2016 Jim Armstrong (www.algorithmist.net)
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+"use strict";
+// Specs for adaptive-precision geometric predicates
+var Predicates_1 = require('../src/Predicates');
+var Chai = require('chai');
+var expect = Chai.expect;
+function sign(value) {
+    return value > 0 ? 1 : (value < 0 ? -1 : 0);
+}
+// Test Suites
+describe('Predicates', function () {
+    var __predicates = new Predicates_1.TSMT$Predicates();
+    var ulp = Math.pow(2, -53);
+    it('orient2d sign for well-separated points', function () {
+        expect(__predicates.orient2d(0, 0, 1, 0, 0, 1)).to.equal(1);
+        expect(__predicates.orient2d(0, 0, 0, 1, 1, 0)).to.equal(-1);
+        expect(__predicates.orient2d(0, 0, 1, 1, 2, 2)).to.equal(0);
+    });
+    it('orient2d is exact for points within an ulp of a line', function () {
+        var consistent = true;
+        var i;
+        var j;
+        for (i = 0; i < 32; ++i) {
+            for (j = 0; j < 32; ++j) {
+                consistent = consistent && sign(__predicates.orient2d(12, 12, 24, 24, 0.5 + i * ulp, 0.5 + j * ulp)) == sign(j - i);
+            }
+        }
+        expect(consistent).to.be.true;
+    });
+    it('orient2d is exact for collinear points at large and small magnitude', function () {
+        expect(__predicates.orient2d(1e15, 1e15 + 2, 3e15, 3e15 + 6, 5e15, 5e15 + 10)).to.equal(0);
+        expect(__predicates.orient2d(1e-15, 2e-15, 3e-15, 4e-15, 0.1, 0.1 + 1e-15)).to.not.equal(0);
+        expect(sign(__predicates.orient2d(0, 0, 1e15, 1e15 + 1, 2e15, 2e15 + 1))).to.equal(-1);
+    });
+    it('incircle sign for well-separated points', function () {
+        expect(__predicates.incircle(1, 0, 0, 1, -1, 0, 0, 0)).to.be.above(0);
+        expect(__predicates.incircle(1, 0, 0, 1, -1, 0, 3, 3)).to.be.below(0);
+        expect(__predicates.incircle(-1, 0, 0, 1, 1, 0, 0, 0)).to.be.below(0);
+    });
+    it('incircle is zero for cocircular points at any scale', function () {
+        var scales = [Math.pow(2, -60), 1, Math.pow(2, 60)];
+        var s;
+        var i;
+        for (i = 0; i < scales.length; ++i) {
+            s = scales[i];
+            expect(__predicates.incircle(5 * s, 0, 3 * s, 4 * s, 0, 5 * s, 4 * s, -3 * s)).to.equal(0);
+            expect(__predicates.incircle(5 * s, 0, 0, 5 * s, -5 * s, 0, 0, -5 * s)).to.equal(0);
+        }
+    });
+    it('incircle is exact for points one ulp from a circle', function () {
+        // (1,0), (0,1), (-1,0) lie on the unit circle; (0.6, -0.8) nearly does
+        var x = 0.6;
+        var y = -0.8;
+        var inside = sign(__predicates.incircle(1, 0, 0, 1, -1, 0, x * (1 - ulp), y * (1 - ulp)));
+        var outside = sign(__predicates.incircle(1, 0, 0, 1, -1, 0, x * (1 + 2 * ulp), y * (1 + 2 * ulp)));
+        expect(inside).to.equal(1);
+        expect(outside).to.equal(-1);
+        // points on a line through the circle's center, straddling its boundary
+        expect(sign(__predicates.incircle(1, 0, 0, 1, -1, 0, 0, -1 + ulp))).to.equal(1);
+        expect(sign(__predicates.incircle(1, 0, 0, 1, -1, 0, 0, -1 - 2 * ulp))).to.equal(-1);
+        expect(__predicates.incircle(1, 0, 0, 1, -1, 0, 0, -1)).to.equal(0);
+    });
+});
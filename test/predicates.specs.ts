@@ -0,0 +1,95 @@
+/** Copyright 2016 Jim Armstrong (www.algorithmist.net)
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// Specs for adaptive-precision geometric predicates
+import {TSMT$Predicates} from '../src/Predicates';
+
+import * as Chai from 'chai';
+const expect = Chai.expect;
+
+function sign(value: number): number
+{
+  return value > 0 ? 1 : (value < 0 ? -1 : 0);
+}
+
+// Test Suites
+describe('Predicates', () => {
+  const __predicates: TSMT$Predicates = new TSMT$Predicates();
+
+  const ulp: number = Math.pow(2, -53);
+
+  it('orient2d sign for well-separated points', () => {
+    expect( __predicates.orient2d(0, 0, 1, 0, 0, 1) ).to.equal(1);
+    expect( __predicates.orient2d(0, 0, 0, 1, 1, 0) ).to.equal(-1);
+    expect( __predicates.orient2d(0, 0, 1, 1, 2, 2) ).to.equal(0);
+  });
+
+  it('orient2d is exact for points within an ulp of a line', () => {
+    let consistent: boolean = true;
+    let i: number;
+    let j: number;
+
+    for (i = 0; i < 32; ++i)
+    {
+      for (j = 0; j < 32; ++j) {
+        consistent = consistent && sign( __predicates.orient2d(12, 12, 24, 24, 0.5 + i*ulp, 0.5 + j*ulp) ) == sign(j - i);
+      }
+    }
+
+    expect( consistent ).to.be.true;
+  });
+
+  it('orient2d is exact for collinear points at large and small magnitude', () => {
+    expect( __predicates.orient2d(1e15, 1e15 + 2, 3e15, 3e15 + 6, 5e15, 5e15 + 10) ).to.equal(0);
+    expect( __predicates.orient2d(1e-15, 2e-15, 3e-15, 4e-15, 0.1, 0.1 + 1e-15) ).to.not.equal(0);
+    expect( sign(__predicates.orient2d(0, 0, 1e15, 1e15 + 1, 2e15, 2e15 + 1)) ).to.equal(-1);
+  });
+
+  it('incircle sign for well-separated points', () => {
+    expect( __predicates.incircle(1, 0, 0, 1, -1, 0, 0, 0) ).to.be.above(0);
+    expect( __predicates.incircle(1, 0, 0, 1, -1, 0, 3, 3) ).to.be.below(0);
+    expect( __predicates.incircle(-1, 0, 0, 1, 1, 0, 0, 0) ).to.be.below(0);
+  });
+
+  it('incircle is zero for cocircular points at any scale', () => {
+    const scales: Array<number> = [Math.pow(2, -60), 1, Math.pow(2, 60)];
+    let s: number;
+    let i: number;
+
+    for (i = 0; i < scales.length; ++i)
+    {
+      s = scales[i];
+
+      expect( __predicates.incircle(5*s, 0, 3*s, 4*s, 0, 5*s, 4*s, -3*s) ).to.equal(0);
+      expect( __predicates.incircle(5*s, 0, 0, 5*s, -5*s, 0, 0, -5*s) ).to.equal(0);
+    }
+  });
+
+  it('incircle is exact for points one ulp from a circle', () => {
+    // (1,0), (0,1), (-1,0) lie on the unit circle; (0.6, -0.8) nearly does
+    const x: number = 0.6;
+    const y: number = -0.8;
+    const inside: number  = sign( __predicates.incircle(1, 0, 0, 1, -1, 0, x*(1 - ulp), y*(1 - ulp)) );
+    const outside: number = sign( __predicates.incircle(1, 0, 0, 1, -1, 0, x*(1 + 2*ulp), y*(1 + 2*ulp)) );
+
+    expect( inside ).to.equal(1);
+    expect( outside ).to.equal(-1);
+
+    // points on a line through the circle's center, straddling its boundary
+    expect( sign(__predicates.incircle(1, 0, 0, 1, -1, 0, 0, -1 + ulp)) ).to.equal(1);
+    expect( sign(__predicates.incircle(1, 0, 0, 1, -1, 0, 0, -1 - 2*ulp)) ).to.equal(-1);
+    expect( __predicates.incircle(1, 0, 0, 1, -1, 0, 0, -1) ).to.equal(0);
+  });
+});
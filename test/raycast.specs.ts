@@ -0,0 +1,171 @@
+/** Copyright 2016 Jim Armstrong (www.algorithmist.net)
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// Specs for ray queries
+import {TSMT$Raycast} from '../src/Raycast';
+import {TSMT$Box    } from '../src/Box';
+
+import * as Chai from 'chai';
+const expect = Chai.expect;
+
+const __raycast: TSMT$Raycast = new TSMT$Raycast();
+
+// Test Suites
+describe('Raycast', () => {
+
+  it('zero direction and empty collections produce no hit', () => {
+    expect( __raycast.castSegments(0, 0, 0, 0, [1, -1, 1, 1]) ).to.be.null;
+    expect( __raycast.castSegments(0, 0, 1, 0, []) ).to.be.null;
+    expect( __raycast.castBoxes(0, 0, 1, 0, []) ).to.be.null;
+    expect( __raycast.castCircles(0, 0, 1, 0, []) ).to.be.null;
+    expect( __raycast.castPolygons(0, 0, 1, 0, []) ).to.be.null;
+  });
+
+  it('nearest segment with normal facing the ray', () => {
+    const segments: Array<number> = [5, -1, 5, 1,  3, 2, 3, -2,  -1, -1, -1, 1,  4, 1, 4, 3];
+    const hit: Object             = __raycast.castSegments(0, 0, 2, 0, segments);
+
+    expect( hit ).to.eql({index: 1, x: 3, y: 0, distance: 3, nx: -1, ny: 0});
+
+    // from the other side
+    expect( __raycast.castSegments(10, 0, -1, 0, segments) ).to.eql({index: 0, x: 5, y: 0, distance: 5, nx: 1, ny: 0});
+  });
+
+  it('segment hits respect the maximum distance', () => {
+    const segments: Array<number> = [3, 2, 3, -2];
+
+    expect( __raycast.castSegments(0, 0, 1, 0, segments, 3)['index'] ).to.equal(0);
+    expect( __raycast.castSegments(0, 0, 1, 0, segments, 2.9) ).to.be.null;
+    expect( __raycast.castSegments(0, 0, -1, 0, segments) ).to.be.null;
+  });
+
+  it('segment endpoint, oblique, and collinear hits', () => {
+    const endpoint: Object = __raycast.castSegments(0, 0, 1, 1, [2, 2, 4, 0]);
+
+    expect( endpoint['index'] ).to.equal(0);
+    expect( endpoint['distance'] ).to.be.closeTo(Math.sqrt(8), 0.000001);
+    expect( endpoint['nx'] ).to.be.closeTo(-Math.SQRT1_2, 0.000001);
+    expect( endpoint['ny'] ).to.be.closeTo(-Math.SQRT1_2, 0.000001);
+
+    expect( __raycast.castSegments(0, 0, 1, 0, [4, 0, 2, 0]) ).to.eql({index: 0, x: 2, y: 0, distance: 2, nx: -1, ny: 0});
+    expect( __raycast.castSegments(3, 0, 1, 0, [4, 0, 2, 0])['distance'] ).to.equal(0);
+    expect( __raycast.castSegments(0, 0, 1, 0, [-4, 0, -2, 0]) ).to.be.null;
+  });
+
+  it('equidistant hits resolve to the lowest index', () => {
+    expect( __raycast.castSegments(0, 0, 1, 0, [2, 0, 2, 1,  2, -1, 2, 0])['index'] ).to.equal(0);
+  });
+
+  it('boxes in y-up and y-down form', () => {
+    const boxes: Array<Object> = [new TSMT$Box(6, 1, 8, -1), {left: 2, top: -1, right: 4, bottom: 1}, {left: 2, top: 5, right: 4, bottom: 3}];
+
+    expect( __raycast.castBoxes(0, 0, 1, 0, boxes) ).to.eql({index: 1, x: 2, y: 0, distance: 2, nx: -1, ny: 0});
+    expect( __raycast.castBoxes(3, 10, 0, -1, boxes) ).to.eql({index: 2, x: 3, y: 5, distance: 5, nx: 0, ny: 1});
+    expect( __raycast.castBoxes(3, 2, 0, -1, boxes) ).to.eql({index: 1, x: 3, y: 1, distance: 1, nx: 0, ny: 1});
+    expect( __raycast.castBoxes(5, 0, 0, 1, boxes) ).to.be.null;
+    expect( __raycast.castBoxes(0, 0, 1, 0, boxes, 1.5) ).to.be.null;
+  });
+
+  it('ray from inside a box is blocked at the origin', () => {
+    expect( __raycast.castBoxes(7, 0, 0, 2, [{left: 6, top: 1, right: 8, bottom: -1}]) ).to.eql({index: 0, x: 7, y: 0, distance: 0, nx: 0, ny: -1});
+  });
+
+  it('box coordinates are coerced to numbers', () => {
+    const box: Object = {left: '2', top: '1', right: '4', bottom: '-1'};
+
+    expect( __raycast.castBoxes(0, 0, 1, 0, [box]) ).to.eql({index: 0, x: 2, y: 0, distance: 2, nx: -1, ny: 0});
+    expect( __raycast.castBoxes(3, 10, 0, -1, [box]) ).to.eql({index: 0, x: 3, y: 1, distance: 9, nx: 0, ny: 1});
+  });
+
+  it('box grazed along a side', () => {
+    const hit: Object = __raycast.castBoxes(0, 1, 1, 0, [{left: 2, top: 1, right: 4, bottom: -1}]);
+
+    expect( hit['distance'] ).to.equal(2);
+    expect( hit['nx'] ).to.equal(-1);
+  });
+
+  it('circles with outward normal', () => {
+    const circles: Array<Object> = [{x: 10, y: 0, r: 2}, {x: 5, y: 3, r: 1}, {x: 6, y: 0, r: 1}];
+    const hit: Object            = __raycast.castCircles(0, 0, 1, 0, circles);
+
+    expect( hit ).to.eql({index: 2, x: 5, y: 0, distance: 5, nx: -1, ny: 0});
+
+    const oblique: Object = __raycast.castCircles(0, 0, 3, 4, [{x: 6, y: 8, r: 5}]);
+
+    expect( oblique['distance'] ).to.be.closeTo(5, 0.000001);
+    expect( oblique['x'] ).to.be.closeTo(3, 0.000001);
+    expect( oblique['nx'] ).to.be.closeTo(-0.6, 0.000001);
+    expect( oblique['ny'] ).to.be.closeTo(-0.8, 0.000001);
+  });
+
+  it('circle tangency, inside origin, and misses', () => {
+    const tangent: Object = __raycast.castCircles(0, 1, 1, 0, [{x: 5, y: 0, r: 1}]);
+
+    expect( tangent['x'] ).to.be.closeTo(5, 0.000001);
+    expect( tangent['ny'] ).to.be.closeTo(1, 0.000001);
+
+    expect( __raycast.castCircles(5, 0.5, 1, 0, [{x: 5, y: 0, r: 1}])['distance'] ).to.equal(0);
+    expect( __raycast.castCircles(0, 1.1, 1, 0, [{x: 5, y: 0, r: 1}]) ).to.be.null;
+    expect( __raycast.castCircles(0, 0, -1, 0, [{x: 5, y: 0, r: 1}]) ).to.be.null;
+  });
+
+  it('polygons report the edge that was hit', () => {
+    const square: Array<number>   = [2, -1, 4, -1, 4, 1, 2, 1];
+    const triangle: Array<number> = [7, -3, 9, -3, 9, 3];
+
+    expect( __raycast.castPolygons(0, 0, 1, 0, [triangle, square]) ).to.eql({index: 1, x: 2, y: 0, distance: 2, nx: -1, ny: 0, edge: 3});
+    expect( __raycast.castPolygons(20, 0, -1, 0, [triangle, square]) ).to.eql({index: 0, x: 9, y: 0, distance: 11, nx: 1, ny: 0, edge: 1});
+    expect( __raycast.castPolygons(8.5, 0, -1, 0, [triangle, square]) ).to.eql({index: 0, x: 8.5, y: 0, distance: 0, nx: 1, ny: 0, edge: -1});
+    expect( __raycast.castPolygons(0, 5, 1, 0, [triangle, square]) ).to.be.null;
+  });
+
+  it('polygon boundary uses the configured on-line tolerance', () => {
+    const square: Array<number> = [2, -1, 4, -1, 4, 1, 2, 1];
+    const loose: TSMT$Raycast   = new TSMT$Raycast({onLine: 1});
+
+    expect( __raycast.castPolygons(1.8, 0, 1, 0, [square])['distance'] ).to.be.closeTo(0.2, 0.000001);
+    expect( loose.castPolygons(1.8, 0, 1, 0, [square])['distance'] ).to.equal(0);
+  });
+
+  it('polygon hits agree with segment hits on the polygon edges', () => {
+    const polygon: Array<number>  = [0, 0, 6, 1, 4, 5, 1, 3, -2, 6];
+    const segments: Array<number> = new Array<number>();
+    const n: number               = polygon.length/2;
+    let consistent: boolean       = true;
+    let angle: number;
+    let edgeHit: Object;
+    let polygonHit: Object;
+    let i: number;
+
+    for (i = 0; i < n; ++i) {
+      segments.push(polygon[2*i], polygon[2*i+1], polygon[(2*i+2) % polygon.length], polygon[(2*i+3) % polygon.length]);
+    }
+
+    for (i = 0; i < 72; ++i)
+    {
+      angle      = i*Math.PI/36;
+      edgeHit    = __raycast.castSegments(2, -4, Math.cos(angle), Math.sin(angle), segments);
+      polygonHit = __raycast.castPolygons(2, -4, Math.cos(angle), Math.sin(angle), [polygon]);
+
+      if (edgeHit == null) {
+        consistent = consistent && polygonHit == null;
+      } else {
+        consistent = consistent && polygonHit != null && polygonHit['edge'] == edgeHit['index'] && polygonHit['distance'] == edgeHit['distance'];
+      }
+    }
+
+    expect( consistent ).to.be.true;
+  });
+});
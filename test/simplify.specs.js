@@ -0,0 +1,135 @@
+/** Copyright 2016 Jim Armstrong (www.algorithmist.net)
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+"use strict";
+// Specs for polyline simplification
+var Simplify_1 = require('../src/Simplify');
+var GeomUtils_1 = require('../src/GeomUtils');
+var Chai = require('chai');
+var expect = Chai.expect;
+var __simplify = new Simplify_1.TSMT$Simplify();
+var __geomUtils = new GeomUtils_1.TSMT$GeomUtils();
+// Test Suites
+describe('Simplify', function () {
+    // a step with a little noise on each level
+    var xcoord = [0, 1, 2, 3, 4, 5, 6, 7];
+    var ycoord = [0, 0.1, -0.1, 0, 4, 4.1, 3.9, 4];
+    // random walk
+    var walkX = new Array();
+    var walkY = new Array();
+    var seed = 3;
+    var k;
+    walkX.push(0);
+    walkY.push(0);
+    for (k = 1; k < 300; ++k) {
+        seed = (seed * 16807) % 2147483647;
+        walkX.push(walkX[k - 1] + (seed % 100) / 50 - 0.5);
+        seed = (seed * 16807) % 2147483647;
+        walkY.push(walkY[k - 1] + (seed % 100) / 50 - 1);
+    }
+    // recursive Douglas-Peucker
+    function douglasPeucker(x, y, first, last, tol, keep) {
+        var index = -1;
+        var dist = -1;
+        var d;
+        var i;
+        for (i = first + 1; i < last; ++i) {
+            d = __geomUtils.pointToSegmentDistance(x[first], y[first], x[last], y[last], x[i], y[i]);
+            if (d > dist) {
+                dist = d;
+                index = i;
+            }
+        }
+        if (index != -1 && dist > tol) {
+            keep.push(index);
+            douglasPeucker(x, y, first, index, tol, keep);
+            douglasPeucker(x, y, index, last, tol, keep);
+        }
+    }
+    // Visvalingam-Whyatt with a linear search for the smallest effective area
+    function visvalingam(x, y, count) {
+        var indices = x.map(function (v, i) { return i; });
+        var minArea = 0;
+        var best;
+        var area;
+        var a;
+        var i;
+        while (indices.length > count) {
+            best = -1;
+            area = 0;
+            for (i = 1; i < indices.length - 1; ++i) {
+                a = __geomUtils.triangleArea(x[indices[i - 1]], y[indices[i - 1]], x[indices[i]], y[indices[i]], x[indices[i + 1]], y[indices[i + 1]]);
+                a = Math.max(a, minArea);
+                if (best == -1 || a < area) {
+                    best = i;
+                    area = a;
+                }
+            }
+            minArea = area;
+            indices.splice(best, 1);
+        }
+        return indices;
+    }
+    it('invalid and short polylines', function () {
+        expect(__simplify.douglasPeucker([0, 1], [0], 1).length).to.equal(0);
+        expect(__simplify.visvalingamWhyatt([0, 1], [0], 1).length).to.equal(0);
+        expect(__simplify.douglasPeucker([], [], 1).length).to.equal(0);
+        expect(__simplify.douglasPeucker([5], [5], 1)).to.eql([0]);
+        expect(__simplify.visvalingamWhyattCount([0, 1], [0, 1], 1)).to.eql([0, 1]);
+    });
+    it('Douglas-Peucker removes noise within the tolerance', function () {
+        expect(__simplify.douglasPeucker(xcoord, ycoord, 0.5)).to.eql([0, 3, 4, 7]);
+        expect(__simplify.douglasPeucker(xcoord, ycoord, 100)).to.eql([0, 7]);
+        expect(__simplify.douglasPeucker(xcoord, ycoord, 0.01)).to.eql([0, 1, 2, 3, 4, 5, 6, 7]);
+    });
+    it('Douglas-Peucker removes collinear points at zero tolerance', function () {
+        expect(__simplify.douglasPeucker([0, 1, 2, 3, 3], [0, 1, 2, 3, 5], 0)).to.eql([0, 3, 4]);
+    });
+    it('Douglas-Peucker to a target count', function () {
+        expect(__simplify.douglasPeuckerCount(xcoord, ycoord, 4)).to.eql([0, 3, 4, 7]);
+        expect(__simplify.douglasPeuckerCount(xcoord, ycoord, 2)).to.eql([0, 7]);
+        expect(__simplify.douglasPeuckerCount(xcoord, ycoord, 0)).to.eql([0, 7]);
+        expect(__simplify.douglasPeuckerCount(xcoord, ycoord, 20)).to.eql([0, 1, 2, 3, 4, 5, 6, 7]);
+        expect(__simplify.douglasPeuckerCount(walkX, walkY, 37).length).to.equal(37);
+    });
+    it('Douglas-Peucker agrees with the recursive algorithm', function () {
+        var keep = [0, walkX.length - 1];
+        douglasPeucker(walkX, walkY, 0, walkX.length - 1, 1.5, keep);
+        keep.sort(function (a, b) { return a - b; });
+        expect(__simplify.douglasPeucker(walkX, walkY, 1.5)).to.eql(keep);
+    });
+    it('Visvalingam-Whyatt removes small triangles', function () {
+        expect(__simplify.visvalingamWhyatt(xcoord, ycoord, 0.5)).to.eql([0, 3, 4, 7]);
+        expect(__simplify.visvalingamWhyatt(xcoord, ycoord, 100)).to.eql([0, 7]);
+        expect(__simplify.visvalingamWhyatt(xcoord, ycoord, 0)).to.eql([0, 1, 2, 3, 4, 5, 6, 7]);
+        expect(__simplify.visvalingamWhyatt([0, 1, 2, 3, 3], [0, 1, 2, 3, 5], 0)).to.eql([0, 3, 4]);
+    });
+    it('Visvalingam-Whyatt to a target count', function () {
+        expect(__simplify.visvalingamWhyattCount(xcoord, ycoord, 4)).to.eql([0, 3, 4, 7]);
+        expect(__simplify.visvalingamWhyattCount(xcoord, ycoord, 1)).to.eql([0, 7]);
+        expect(__simplify.visvalingamWhyattCount(xcoord, ycoord, 8)).to.eql([0, 1, 2, 3, 4, 5, 6, 7]);
+    });
+    it('Visvalingam-Whyatt agrees with a linear search for the smallest area', function () {
+        expect(__simplify.visvalingamWhyattCount(walkX, walkY, 40)).to.eql(visvalingam(walkX, walkY, 40));
+        expect(__simplify.visvalingamWhyattCount(walkX, walkY, 150)).to.eql(visvalingam(walkX, walkY, 150));
+    });
+    it('results for smaller counts are contained in results for larger counts', function () {
+        var small = __simplify.visvalingamWhyattCount(walkX, walkY, 20);
+        var large = __simplify.visvalingamWhyattCount(walkX, walkY, 60);
+        var dpSmall = __simplify.douglasPeuckerCount(walkX, walkY, 20);
+        var dpLarge = __simplify.douglasPeuckerCount(walkX, walkY, 60);
+        expect(small.every(function (i) { return large.indexOf(i) != -1; })).to.be.true;
+        expect(dpSmall.every(function (i) { return dpLarge.indexOf(i) != -1; })).to.be.true;
+    });
+});
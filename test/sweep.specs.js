@@ -0,0 +1,122 @@
+/** Copyright 2016 Jim Armstrong (www.algorithmist.net)
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+"use strict";
+// Specs for Segment Sweep
+var SegmentSweep_1 = require('../src/SegmentSweep');
+var GeomUtils_1 = require('../src/GeomUtils');
+var GeomUtils_2 = require('../src/GeomUtils');
+var Chai = require('chai');
+var expect = Chai.expect;
+// pair keys for a sweep result
+function pairs(result) {
+    return result.map(function (r) { return r['i'] + ',' + r['j']; }).sort();
+}
+// Test Suites
+describe('SegmentSweep', function () {
+    var __sweep = new SegmentSweep_1.TSMT$SegmentSweep();
+    it('empty or singleton input has no intersections', function () {
+        expect(__sweep.intersections([]).length).to.equal(0);
+        expect(__sweep.intersections([0, 0, 1, 1]).length).to.equal(0);
+    });
+    it('two crossing segments report point and parameters', function () {
+        var result = __sweep.intersections([0, 0, 4, 4, 0, 4, 4, 0]);
+        expect(result.length).to.equal(1);
+        expect(result[0]['i']).to.equal(0);
+        expect(result[0]['j']).to.equal(1);
+        expect(result[0]['x']).to.equal(2);
+        expect(result[0]['y']).to.equal(2);
+        expect(result[0]['t']).to.equal(0.5);
+        expect(result[0]['u']).to.equal(0.5);
+        expect(result[0]['type']).to.equal(GeomUtils_2.IntersectEnum.POINT);
+    });
+    it('parameters are relative to input segment direction', function () {
+        var result = __sweep.intersections([4, 0, 0, 0, 1, -1, 1, 3]);
+        expect(result.length).to.equal(1);
+        expect(result[0]['t']).to.equal(0.75);
+        expect(result[0]['u']).to.equal(0.25);
+    });
+    it('parallel and disjoint segments do not intersect', function () {
+        expect(__sweep.intersections([0, 0, 4, 0, 0, 1, 4, 1, 5, 0, 6, 5]).length).to.equal(0);
+    });
+    it('segments sharing an endpoint intersect at that endpoint', function () {
+        var result = __sweep.intersections([0, 0, 2, 2, 2, 2, 4, 0, 2, 2, 2, 5]);
+        expect(pairs(result)).to.eql(['0,1', '0,2', '1,2']);
+        result.forEach(function (r) {
+            expect(r['x']).to.equal(2);
+            expect(r['y']).to.equal(2);
+        });
+    });
+    it('T-junction is reported', function () {
+        var result = __sweep.intersections([0, 0, 4, 0, 2, 0, 2, 3]);
+        expect(result.length).to.equal(1);
+        expect(result[0]['t']).to.equal(0.5);
+        expect(result[0]['u']).to.equal(0);
+        expect(result[0]['type']).to.equal(GeomUtils_2.IntersectEnum.ENDPOINT);
+    });
+    it('vertical segments crossing horizontal segments', function () {
+        var result = __sweep.intersections([1, -1, 1, 5, 0, 0, 4, 0, 0, 3, 4, 3, 3, -1, 3, 2]);
+        expect(pairs(result)).to.eql(['0,1', '0,2', '1,3']);
+    });
+    it('multiple segments crossing at a common interior point', function () {
+        var result = __sweep.intersections([-2, 0, 2, 0, 0, -2, 0, 2, -2, -2, 2, 2, -2, 2, 2, -2]);
+        expect(result.length).to.equal(6);
+        result.forEach(function (r) {
+            expect(Math.abs(r['x']) < 0.000001).to.be.true;
+            expect(Math.abs(r['y']) < 0.000001).to.be.true;
+        });
+    });
+    it('collinear overlap is reported with overlap sub-segment', function () {
+        var result = __sweep.intersections([0, 0, 4, 4, 6, 6, 2, 2]);
+        expect(result.length).to.equal(1);
+        expect(result[0]['type']).to.equal(GeomUtils_2.IntersectEnum.OVERLAP);
+        expect(result[0]['x']).to.equal(2);
+        expect(result[0]['y']).to.equal(2);
+        expect(result[0]['x2']).to.equal(4);
+        expect(result[0]['y2']).to.equal(4);
+        expect(result[0]['t']).to.equal(0.5);
+        expect(result[0]['u']).to.equal(1);
+    });
+    it('collinear segments touching at an endpoint do not overlap', function () {
+        var result = __sweep.intersections([0, 0, 2, 0, 2, 0, 5, 0]);
+        expect(result.length).to.equal(1);
+        expect(result[0]['type']).to.equal(GeomUtils_2.IntersectEnum.ENDPOINT);
+        expect(result[0]['x']).to.equal(2);
+    });
+    it('every pair of stacked collinear segments is reported', function () {
+        var result = __sweep.intersections([0, 0, 5, 0, 1, 0, 6, 0, 2, 0, 7, 0, -1, 1, 8, -1]);
+        expect(pairs(result)).to.eql(['0,1', '0,2', '0,3', '1,2', '1,3', '2,3']);
+    });
+    it('sweep agrees with pairwise segmentsIntersect on a grid of segments', function () {
+        var geomUtils = new GeomUtils_1.TSMT$GeomUtils();
+        var segments = new Array();
+        var seed = 17;
+        var i;
+        var j;
+        // pseudo-random integer coordinates on a coarse grid produce many degenerate cases
+        for (i = 0; i < 160; ++i) {
+            seed = (seed * 16807) % 2147483647;
+            segments.push(seed % 9);
+        }
+        var expected = new Array();
+        for (i = 0; i < 40; ++i) {
+            for (j = i + 1; j < 40; ++j) {
+                if (geomUtils.segmentsIntersect(segments[4 * i], segments[4 * i + 1], segments[4 * i + 2], segments[4 * i + 3], segments[4 * j], segments[4 * j + 1], segments[4 * j + 2], segments[4 * j + 3])) {
+                    expected.push(i + ',' + j);
+                }
+            }
+        }
+        expect(pairs(__sweep.intersections(segments))).to.eql(expected.sort());
+    });
+});
@@ -0,0 +1,104 @@
+/** Copyright 2016 Jim Armstrong (www.algorithmist.net)
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+"use strict";
+// Specs for Triangulation
+var Triangulation_1 = require('../src/Triangulation');
+var PolygonUtils_1 = require('../src/PolygonUtils');
+var Chai = require('chai');
+var expect = Chai.expect;
+var __polyUtils = new PolygonUtils_1.TSMT$PolygonUtils();
+// signed areas of each triangle, given the concatenated vertex coordinates
+function triangleAreas(coords, triangles) {
+    var areas = new Array();
+    var i;
+    for (i = 0; i < triangles.length; i += 3) {
+        areas.push(__polyUtils.signedArea([coords[2 * triangles[i]], coords[2 * triangles[i] + 1], coords[2 * triangles[i + 1]], coords[2 * triangles[i + 1] + 1],
+            coords[2 * triangles[i + 2]], coords[2 * triangles[i + 2] + 1]]));
+    }
+    return areas;
+}
+function sum(values) {
+    return values.reduce(function (s, v) { return s + v; }, 0);
+}
+// Test Suites
+describe('Triangulation', function () {
+    var __triangulation = new Triangulation_1.TSMT$Triangulation();
+    var square = [0, 0, 4, 0, 4, 4, 0, 4];
+    it('returns empty array for fewer than three vertices', function () {
+        expect(__triangulation.triangulate([]).length).to.equal(0);
+        expect(__triangulation.triangulate([0, 0, 1, 1]).length).to.equal(0);
+    });
+    it('single triangle', function () {
+        expect(__triangulation.triangulate([0, 0, 2, 0, 1, 1])).to.eql([1, 2, 0]);
+    });
+    it('square produces two triangles', function () {
+        var triangles = __triangulation.triangulate(square);
+        var areas = triangleAreas(square, triangles);
+        expect(triangles.length).to.equal(6);
+        expect(sum(areas)).to.equal(16);
+    });
+    it('triangles are CCW for CW input', function () {
+        var cw = __polyUtils.reverse(square);
+        var areas = triangleAreas(cw, __triangulation.triangulate(cw));
+        expect(areas.length).to.equal(2);
+        expect(areas.every(function (a) { return a > 0; })).to.be.true;
+    });
+    it('concave polygon', function () {
+        var poly = [0, 0, 6, 0, 6, 1, 1, 1, 1, 5, 6, 5, 6, 6, 0, 6];
+        var triangles = __triangulation.triangulate(poly);
+        var areas = triangleAreas(poly, triangles);
+        expect(triangles.length).to.equal(18);
+        expect(areas.every(function (a) { return a > 0; })).to.be.true;
+        expect(sum(areas)).to.equal(16);
+    });
+    it('collinear vertices do not produce degenerate triangles', function () {
+        var poly = [0, 0, 1, 0, 2, 0, 3, 0, 3, 3, 0, 3];
+        var areas = triangleAreas(poly, __triangulation.triangulate(poly));
+        expect(areas.every(function (a) { return a > 0; })).to.be.true;
+        expect(sum(areas)).to.equal(9);
+    });
+    it('square with a hole', function () {
+        var hole = [1, 1, 3, 1, 3, 3, 1, 3];
+        var triangles = __triangulation.triangulate(square, [hole]);
+        var areas = triangleAreas(square.concat(hole), triangles);
+        expect(triangles.length).to.equal(24);
+        expect(areas.every(function (a) { return a > 0; })).to.be.true;
+        expect(sum(areas)).to.equal(12);
+        expect(Math.max.apply(null, triangles)).to.equal(7);
+    });
+    it('hole orientation does not matter', function () {
+        var hole = [1, 1, 1, 3, 3, 3, 3, 1];
+        var areas = triangleAreas(square.concat(hole), __triangulation.triangulate(square, [hole]));
+        expect(areas.every(function (a) { return a > 0; })).to.be.true;
+        expect(sum(areas)).to.equal(12);
+    });
+    it('multiple holes in a concave polygon', function () {
+        var poly = [0, 0, 10, 0, 10, 10, 6, 10, 6, 4, 4, 4, 4, 10, 0, 10];
+        var holes = [[1, 1, 3, 1, 2, 3], [7, 1, 9, 1, 9, 3, 7, 3], [1, 5, 3, 5, 3, 8, 1, 8]];
+        var coords = poly.concat(holes[0], holes[1], holes[2]);
+        var triangles = __triangulation.triangulate(poly, holes);
+        var areas = triangleAreas(coords, triangles);
+        expect(triangles.length / 3).to.be.at.most(19 + 2 * 3 - 2);
+        expect(areas.every(function (a) { return a > 0; })).to.be.true;
+        expect(sum(areas)).to.equal(88 - 2 - 4 - 6);
+    });
+    it('triangulation covers a spiral', function () {
+        var poly = [0, 0, 5, 0, 5, 5, 1, 5, 1, 2, 3, 2, 3, 3, 2, 3, 2, 4, 4, 4, 4, 1, 0, 1];
+        var areas = triangleAreas(poly, __triangulation.triangulate(poly));
+        expect(areas.length).to.equal(10);
+        expect(areas.every(function (a) { return a > 0; })).to.be.true;
+        expect(sum(areas)).to.be.closeTo(__polyUtils.area(poly), 0.000001);
+    });
+});